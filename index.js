@@ -21,9 +21,11 @@ import Fastify from 'fastify';
 import cors from '@fastify/cors'
 import fastifyMultipart from '@fastify/multipart';
 import fastifyPostgres from '@fastify/postgres';
+import fastifyJwt from '@fastify/jwt';
 // Routes
 import {
   AuthRoutes,
+  AccountRoutes,
   DatabaseRoutes,
   CategoryRoutes,
   DetailRoutes,
@@ -44,6 +46,10 @@ import {
   ArchiveRoutes,
   CategoryExclusionRoutes,
   VehiclesRoutes,
+  ReconciliationRoutes,
+  RecycleBinRoutes,
+  BudgetRoutes,
+  ForecastRoutes,
   // GroupsRoutes, // Disabled - using consultative approach in report.js
 } from './routes/index.js';
 // Migrazione database
@@ -52,9 +58,61 @@ import { runMigrations } from './lib/migrations.js';
 import verifyDatabaseSchema from './lib/verifyDatabaseSchema.js';
 // Avvisi scadenziario
 import { sendScadenziarioAlerts } from './jobs/scadenziarioAlerts.js';
+// Pulizia cestino
+import { purgeExpiredRecycleBin } from './jobs/recycleBinPurge.js';
+// Scadenze dei veicoli nello scadenziario
+import { syncAllVehicleDeadlines } from './jobs/vehicleDeadlines.js';
+// Pulizia sessioni di login
+import { purgeExpiredSessions } from './lib/sessions.js';
+// Autenticazione
+import { authenticate } from './lib/auth.js';
+import { authorizeRequest, warnUnmappedRoute } from './lib/permissions.js';
+// Log strutturati, correlation ID e risposte di errore
+import { getRootLogger, redirectConsole } from './lib/logger.js';
+import {
+  generateCorrelationId,
+  propagateCorrelationToFetch,
+  registerRequestContext,
+  runWithCorrelationId,
+} from './lib/requestContext.js';
+import { errorHandler, notFoundHandler } from './lib/errorHandler.js';
+// Schemi JSON condivisi e documento OpenAPI
+import { SHARED_SCHEMAS } from './lib/schemas.js';
+import { buildOpenApiDocument, collectOpenApiRoute } from './lib/openapi.js';
+
+// console.* e fetch in uscita passano dal logger e portano il correlation ID
+redirectConsole();
+propagateCorrelationToFetch();
+
+// Proxy di cui fidarsi per X-Forwarded-For (request.ip usato dal blocco per IP del login):
+// "true" per tutti, un numero di hop, oppure indirizzi/CIDR separati da virgola
+function trustProxyOption(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(address => address.trim()).filter(Boolean);
+}
 
 // Require the framework and instantiate it
-const fastify = Fastify({ logger: false });
+const fastify = Fastify({
+  trustProxy: trustProxyOption(process.env.TRUST_PROXY),
+  loggerInstance: getRootLogger(),
+  genReqId: generateCorrelationId,
+  requestIdLogLabel: 'correlationId',
+  // Alcuni campi accettano più tipi (es. anno numerico oppure "all-years")
+  ajv: { customOptions: { allowUnionTypes: true } },
+});
+
+// Correlation ID della richiesta disponibile in tutta la catena asincrona
+registerRequestContext(fastify);
+
+// Controllo accessi per database su tutte le rotte (mappa dei permessi in lib/permissions.js)
+fastify.addHook('onRoute', warnUnmappedRoute);
+fastify.addHook('preHandler', authorizeRequest);
+
+// Schemi condivisi (Db, Uuid, Date, Amount, ...) richiamati dagli schemi delle rotte
+for (const schema of SHARED_SCHEMAS) fastify.addSchema(schema);
+fastify.addHook('onRoute', collectOpenApiRoute);
 
 // Health check endpoint
 fastify.get('/health', async (request, reply) => {
@@ -66,11 +124,18 @@ fastify.register(fastifyPostgres, {
   connectionString: process.env.POSTGRES_URL,
 })
 
+// JWT a livello root: fastify.authenticate è disponibile in tutte le rotte
+fastify.register(fastifyJwt, {
+  secret: process.env.JWT_SECRET,
+})
+fastify.decorate('authenticate', authenticate)
+
 // CORS
 fastify.register(cors, {
   origin: '*',
   methods: ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
 });
 
 // Multipart form data
@@ -82,7 +147,10 @@ fastify.register(fastifyMultipart, {
 });
 
 // Declare a routes
+// Le risposte passano dal serializzatore di Fastify: dove la rotta dichiara uno
+// schema di risposta contengono solo i campi dichiarati
 fastify.register(AuthRoutes, { prefix: '/v1/auth' })
+fastify.register(AccountRoutes, { prefix: '/v1/auth' })
 fastify.register(DatabaseRoutes, { prefix: '/v1/databases' })
 fastify.register(OwnerRoutes, { prefix: '/v1/owner' })
 fastify.register(CategoryRoutes, { prefix: '/v1/category' })
@@ -101,6 +169,10 @@ fastify.register(ClassifierRoutes, { prefix: '/v1/classification' })
 fastify.register(ArchiveRoutes, { prefix: '/v1/archive' })
 fastify.register(CategoryExclusionRoutes, { prefix: '/v1/category-exclusion' })
 fastify.register(VehiclesRoutes, { prefix: '/v1/vehicles' })
+fastify.register(ReconciliationRoutes, { prefix: '/v1/reconciliation' })
+fastify.register(RecycleBinRoutes, { prefix: '/v1/recycle-bin' })
+fastify.register(BudgetRoutes, { prefix: '/v1/budget' })
+fastify.register(ForecastRoutes, { prefix: '/v1/forecast' })
 // fastify.register(GroupsRoutes, { prefix: '/v1/groups' }) // Disabled - using consultative approach in report.js
 // fastify.register(SetupRoutes, { prefix: '/v1/setup' })
 // fastify.register(MLAnalysisRoutes, { prefix: '/v1/ml-analysis' })
@@ -109,11 +181,14 @@ fastify.get('/', async (request, reply) => {
   reply.send({ message: 'Hello World' });
 })
 
-// Middleware di gestione degli errori
-fastify.setErrorHandler(function (error, request, reply) {
-  fastify.log.error(error); // Logga l'errore
-  reply.status(500).send({ error: 'Internal Server Error' });
-});
+// Documento OpenAPI generato dagli schemi delle rotte (per il client tipizzato del frontend)
+fastify.get('/v1/openapi.json', { schema: { hide: true } }, async () =>
+  buildOpenApiDocument(fastify, { title: 'Studio Cantini API', version: '1.0.0' })
+);
+
+// Gestione degli errori e delle rotte inesistenti (formato comune in lib/errorHandler.js)
+fastify.setErrorHandler(errorHandler);
+fastify.setNotFoundHandler(notFoundHandler);
 
 /**
  * Run the server!
@@ -142,14 +217,38 @@ const start = async () => {
     }
     console.log(`✅ Server listening on ${fastify.server.address().port}`);
 
-    // Cron giornaliero ore 08:00 per avvisi scadenziario
+    // Cron orario per avvisi scadenziario: ogni database invia all'ora e nel fuso delle sue impostazioni
     const nodeCron = await import('node-cron');
-    nodeCron.default.schedule('0 8 * * *', () => {
+    nodeCron.default.schedule('0 * * * *', () => runWithCorrelationId(null, () =>
       sendScadenziarioAlerts(fastify).catch(err =>
         console.error('❌ Errore avvisi scadenziario:', err)
-      );
-    }, { timezone: 'Europe/Rome' });
-    console.log('📅 Cron avvisi scadenziario registrato (ore 08:00 Europe/Rome)');
+      )
+    ));
+    console.log('📅 Cron avvisi scadenziario registrato (ogni ora, invio secondo le impostazioni del database)');
+
+    // Cron giornaliero ore 03:00 per la pulizia del cestino (RECYCLE_BIN_RETENTION_DAYS)
+    nodeCron.default.schedule('0 3 * * *', () => runWithCorrelationId(null, () =>
+      purgeExpiredRecycleBin(fastify).catch(err =>
+        console.error('❌ Errore pulizia cestino:', err)
+      )
+    ), { timezone: 'Europe/Rome' });
+    console.log('📅 Cron pulizia cestino registrato (ore 03:00 Europe/Rome)');
+
+    // Cron giornaliero ore 03:30 per eliminare le sessioni di login scadute o revocate
+    nodeCron.default.schedule('30 3 * * *', () => runWithCorrelationId(null, () =>
+      purgeExpiredSessions(fastify.pg)
+        .then(purged => console.log(`🔑 Sessioni di login eliminate: ${purged}`))
+        .catch(err => console.error('❌ Errore pulizia sessioni:', err))
+    ), { timezone: 'Europe/Rome' });
+    console.log('📅 Cron pulizia sessioni registrato (ore 03:30 Europe/Rome)');
+
+    // Cron giornaliero ore 04:00 per le scadenze dei veicoli (revisione, polizze, bollo, ZTL, documenti, multe)
+    nodeCron.default.schedule('0 4 * * *', () => runWithCorrelationId(null, () =>
+      syncAllVehicleDeadlines(fastify).catch(err =>
+        console.error('❌ Errore scadenze veicoli:', err)
+      )
+    ), { timezone: 'Europe/Rome' });
+    console.log('📅 Cron scadenze veicoli registrato (ore 04:00 Europe/Rome)');
   } catch (err) {
     console.error('❌ Errore durante l\'avvio del server:', err);
     process.exit(1);
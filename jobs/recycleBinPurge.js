@@ -0,0 +1,19 @@
+// backend/jobs/recycleBinPurge.js
+import { purgeRecycleBin, DEFAULT_RETENTION_DAYS } from '../lib/recycleBin.js';
+
+export async function purgeExpiredRecycleBin(fastify, retentionDays = DEFAULT_RETENTION_DAYS) {
+  const client = await fastify.pg.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const purged = await purgeRecycleBin(client, { retentionDays });
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Pulizia cestino (conservazione ${retentionDays} giorni):`, purged);
+    return purged;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
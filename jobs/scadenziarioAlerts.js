@@ -1,10 +1,30 @@
 // backend/jobs/scadenziarioAlerts.js
-import nodemailer from 'nodemailer';
+import { createMailTransport, sendMail } from '../lib/mailer.js';
+import { listDbSettings } from '../lib/dbSettings.js';
 
-export async function sendScadenziarioAlerts(fastify) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+// Ora corrente (0-23) nel fuso orario indicato
+function localHour(timezone, date) {
+  return parseInt(new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' }).format(date), 10);
+}
+
+/**
+ * Eseguito ogni ora: invia gli avvisi dei database con avvisi attivi la cui
+ * ora di invio (impostazioni alerts.hour nel fuso general.timezone) è quella corrente
+ */
+export async function sendScadenziarioAlerts(fastify, { now = new Date() } = {}) {
+  const databases = await listDbSettings(fastify.pg);
+
+  for (const { db, settings } of databases) {
+    if (!settings.alerts.enabled || localHour(settings.general.timezone, now) !== settings.alerts.hour) continue;
+    try {
+      await sendDbAlerts(fastify, db, settings);
+    } catch (err) {
+      console.error(`❌ Errore avvisi scadenziario per ${db}:`, err);
+    }
+  }
+}
 
+async function sendDbAlerts(fastify, db, settings) {
   const client = await fastify.pg.pool.connect();
   try {
     // Trova tutte le scadenze in avviso raggruppate per owner
@@ -12,11 +32,12 @@ export async function sendScadenziarioAlerts(fastify) {
       SELECT s.*, o.email as owner_email, o.name as owner_name
       FROM scadenziario s
       JOIN owners o ON s.owner_id = o.id
-      WHERE s.status != 'completed'
-        AND s.date - CURRENT_DATE <= s.alert_days
+      WHERE o.db = $1
+        AND s.status != 'completed'
+        AND s.date - CURRENT_DATE <= COALESCE(s.alert_days, $2)
         AND s.date >= CURRENT_DATE - INTERVAL '30 days'
       ORDER BY o.id, s.date ASC
-    `);
+    `, [db, settings.scadenziario.alertDays]);
 
     if (result.rows.length === 0) return;
 
@@ -29,11 +50,8 @@ export async function sendScadenziarioAlerts(fastify) {
       byOwner[row.owner_email].scadenze.push(row);
     }
 
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT || '587'),
-      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-    });
+    const transporter = createMailTransport(settings.smtp);
+    const formatAmount = new Intl.NumberFormat(settings.general.locale, { style: 'currency', currency: settings.general.currency });
 
     for (const [email, { name, scadenze }] of Object.entries(byOwner)) {
       const rows = scadenze.map(s =>
@@ -42,13 +60,13 @@ export async function sendScadenziarioAlerts(fastify) {
           <td>${s.company_name || '-'}</td>
           <td>${s.invoice_number || '-'}</td>
           <td>${s.date}</td>
-          <td>€ ${parseFloat(s.amount).toLocaleString('it-IT')}</td>
+          <td>${s.amount !== null ? formatAmount.format(parseFloat(s.amount)) : '-'}</td>
           <td>${s.status === 'overdue' ? '🔴 Scaduto' : '🟡 In scadenza'}</td>
         </tr>`
       ).join('');
 
-      await transporter.sendMail({
-        from: process.env.SMTP_FROM || 'noreply@studiocantini.it',
+      await sendMail({
+        ...(settings.smtp.from && { from: settings.smtp.from }),
         to: email,
         subject: `[Studio Cantini] ${scadenze.length} scadenze da gestire`,
         html: `
@@ -58,7 +76,7 @@ export async function sendScadenziarioAlerts(fastify) {
             <tbody>${rows}</tbody>
           </table>
         `,
-      });
+      }, transporter);
     }
   } finally {
     client.release();
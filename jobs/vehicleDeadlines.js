@@ -0,0 +1,32 @@
+// backend/jobs/vehicleDeadlines.js
+import { syncVehicleDeadlines } from '../lib/vehicleDeadlines.js';
+
+/**
+ * Eseguito ogni giorno: riallinea le scadenze di tutti i veicoli, così stati
+ * e termini ridotti delle multe si aggiornano e le scadenze pagate si chiudono
+ * anche se le righe di origine sono state modificate fuori dalle rotte
+ */
+export async function syncAllVehicleDeadlines(fastify) {
+  const client = await fastify.pg.pool.connect();
+  try {
+    const { rows } = await client.query('SELECT id, plate FROM vehicles ORDER BY plate');
+    let synced = 0;
+
+    for (const vehicle of rows) {
+      try {
+        await client.query('BEGIN');
+        await syncVehicleDeadlines(client, vehicle.id);
+        await client.query('COMMIT');
+        synced++;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Errore scadenze veicolo ${vehicle.plate}:`, err);
+      }
+    }
+
+    console.log(`🚗 Scadenze veicoli sincronizzate: ${synced}/${rows.length}`);
+    return { synced, total: rows.length };
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Token monouso per reset password e inviti utente
+ *
+ * Il token inviato via email è "<casuale>.<firma>": la firma HMAC-SHA256 con
+ * JWT_SECRET permette di scartare subito i token contraffatti, mentre in
+ * account_tokens si salva solo l'hash SHA-256 del token completo. Ogni token
+ * scade (TOKEN_TTL_HOURS) e viene consumato in modo atomico: un secondo uso
+ * fallisce. Un nuovo token dello stesso tipo per la stessa email (e, per gli
+ * inviti, lo stesso db) invalida quelli precedenti non ancora usati.
+ *
+ * @module lib/accountTokens
+ */
+
+import crypto from 'crypto';
+
+export const TOKEN_TYPES = {
+  passwordReset: 'password_reset',
+  invitation: 'invitation',
+};
+
+// Validità in ore per tipo di token
+export const TOKEN_TTL_HOURS = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_HOURS || '1', 10),
+  invitation: parseInt(process.env.INVITATION_TTL_HOURS || '72', 10),
+};
+
+// Errore con lo status HTTP da restituire al client
+function accountTokenError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', `account-token:${process.env.JWT_SECRET}`).update(value).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Verifica la firma senza accedere al database
+function isWellSigned(token) {
+  if (typeof token !== 'string') return false;
+  const [value, signature] = token.split('.');
+  if (!value || !signature) return false;
+  const expected = Buffer.from(sign(value));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Crea un token e invalida i precedenti non usati dello stesso tipo
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { type, email, userId?, db?, role?, createdBy? }
+ * @returns {Promise<Object>} - { id, token, expiresAt }
+ */
+export async function createAccountToken(pg, { type, email, userId = null, db = null, role = null, createdBy = null }) {
+  const value = crypto.randomBytes(32).toString('base64url');
+  const token = `${value}.${sign(value)}`;
+
+  await pg.query(`
+    UPDATE account_tokens SET used_at = NOW()
+    WHERE type = $1 AND lower(email) = lower($2) AND db IS NOT DISTINCT FROM $3 AND used_at IS NULL
+  `, [type, email, db]);
+
+  const { rows } = await pg.query(`
+    INSERT INTO account_tokens (type, token_hash, email, user_id, db, role, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8))
+    RETURNING id, expires_at
+  `, [type, hashToken(token), email, userId, db, role, createdBy, TOKEN_TTL_HOURS[type]]);
+
+  return { id: rows[0].id, token, expiresAt: rows[0].expires_at };
+}
+
+/**
+ * Token valido (non usato e non scaduto) senza consumarlo
+ * @returns {Promise<Object|null>} - Riga di account_tokens
+ */
+export async function findAccountToken(pg, token, type) {
+  if (!isWellSigned(token)) return null;
+  const { rows } = await pg.query(`
+    SELECT id, type, email, user_id, db, role, expires_at
+    FROM account_tokens
+    WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+  `, [hashToken(token), type]);
+  return rows[0] || null;
+}
+
+/**
+ * Consuma il token: solo la prima richiesta ha successo
+ * @param {Object} pg - Client PostgreSQL (di norma con transazione aperta)
+ * @returns {Promise<Object>} - Riga di account_tokens
+ * @throws {Error} - statusCode 400 se il token non è valido, scaduto o già usato
+ */
+export async function consumeAccountToken(pg, token, type) {
+  if (!isWellSigned(token)) {
+    throw accountTokenError('Link non valido o scaduto', 400);
+  }
+  const { rows } = await pg.query(`
+    UPDATE account_tokens SET used_at = NOW()
+    WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING id, type, email, user_id, db, role
+  `, [hashToken(token), type]);
+
+  if (rows.length === 0) {
+    throw accountTokenError('Link non valido o scaduto', 400);
+  }
+  return rows[0];
+}
+
+/**
+ * Validazione minima della nuova password
+ * @returns {string|null} - Messaggio di errore o null se valida
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'La password deve contenere almeno 8 caratteri';
+  }
+  return null;
+}
@@ -0,0 +1,190 @@
+/**
+ * Autenticazione JWT e autorizzazione per database
+ *
+ * Il token contiene l'id utente e l'id della sessione (vedi lib/sessions); i permessi per database sono in
+ * users.dbrole come [{ db, role }]. Ogni ruolo concede un insieme di permessi
+ * (lettura, scrittura, importazione, amministrazione), vedi ROLE_PERMISSIONS.
+ *
+ * @module lib/auth
+ */
+
+import { loadActiveSession } from './sessions.js';
+
+// Permessi assegnabili per database
+export const PERMISSIONS = ['read', 'write', 'import', 'admin'];
+
+// Permessi concessi da ciascun ruolo di users.dbrole (ruoli sconosciuti: come viewer)
+export const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  editor: ['read', 'write'],
+  user: ['read', 'write', 'import'],
+  admin: ['read', 'write', 'import', 'admin'],
+};
+
+/**
+ * Verifica il JWT, popola request.user e controlla che la sessione non sia stata revocata
+ * @returns {Promise<Object|null>} - null se valido, altrimenti { error, status }
+ */
+export async function verifyRequestToken(request) {
+  try {
+    await request.jwtVerify();
+  } catch (error) {
+    return { error: 'Autenticazione richiesta: token mancante o non valido', status: 401 };
+  }
+  request.authSession = await loadActiveSession(request.server.pg, request.user?.sid);
+  if (!request.authSession) {
+    return { error: 'Sessione scaduta o revocata', status: 401 };
+  }
+  return null;
+}
+
+/**
+ * preHandler: verifica il JWT e la sessione, altrimenti risponde 401
+ */
+export async function authenticate(request, reply) {
+  const denied = await verifyRequestToken(request);
+  if (denied) {
+    return reply.code(denied.status).send({ message: denied.error, status: denied.status });
+  }
+}
+
+/**
+ * Verifica se un ruolo concede il permesso richiesto
+ * @param {string|null} role - Ruolo dell'utente sul database
+ * @param {string} permission - 'read' | 'write' | 'import' | 'admin'
+ */
+export function roleGrants(role, permission) {
+  if (!role) return false;
+  return (ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer).includes(permission);
+}
+
+/**
+ * Ruoli dell'utente autenticato, letti una sola volta per richiesta
+ * @returns {Promise<Array<Object>>} - [{ db, role }]
+ */
+export async function loadUserDbRoles(request) {
+  if (request.dbRoles) return request.dbRoles;
+
+  const { rows } = await request.server.pg.query('SELECT dbrole FROM users WHERE id = $1', [request.user?.id]);
+  request.dbRoles = Array.isArray(rows[0]?.dbrole) ? rows[0].dbrole : [];
+  return request.dbRoles;
+}
+
+/**
+ * Database che richiedono la 2FA per scrittura, importazione e amministrazione
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadDbsRequiring2fa(request) {
+  if (request.dbsRequiring2fa) return request.dbsRequiring2fa;
+
+  const { rows } = await request.server.pg.query('SELECT db_key FROM databases WHERE require_2fa = true');
+  request.dbsRequiring2fa = new Set(rows.map(r => r.db_key));
+  return request.dbsRequiring2fa;
+}
+
+// La lettura non richiede mai il secondo fattore
+async function missing2fa(request, db, level) {
+  if (level === 'read' || request.authSession?.mfa_verified) return false;
+  return (await loadDbsRequiring2fa(request)).has(db);
+}
+
+/**
+ * Verifica che l'utente autenticato abbia il permesso richiesto sul database
+ * @param {Object} request - Richiesta Fastify (già autenticata)
+ * @param {string} db - Database richiesto
+ * @param {string} level - 'read' | 'write' | 'import' | 'admin'
+ * @returns {Promise<Object|null>} - null se consentito, altrimenti { error, status }
+ */
+export async function checkDbAccess(request, db, level) {
+  if (!request.user?.id) {
+    return { error: 'Autenticazione richiesta', status: 401 };
+  }
+  if (!db) {
+    return { error: 'Parametro "db" obbligatorio', status: 400 };
+  }
+
+  const roles = await loadUserDbRoles(request);
+  const entry = roles.find(r => r.db === db);
+
+  if (!entry) {
+    return { error: 'Accesso negato al database richiesto', status: 403 };
+  }
+  if (!roleGrants(entry.role, level)) {
+    return { error: `Permessi insufficienti: richiesto permesso "${level}"`, status: 403 };
+  }
+  if (await missing2fa(request, db, level)) {
+    return { error: 'Autenticazione a due fattori richiesta per questo database', status: 403, mfaRequired: true };
+  }
+  return null;
+}
+
+/**
+ * Per le rotte senza db: il permesso deve essere concesso su almeno un database
+ * @returns {Promise<Object|null>} - null se consentito, altrimenti { error, status }
+ */
+export async function checkAnyDbAccess(request, level) {
+  if (!request.user?.id) {
+    return { error: 'Autenticazione richiesta', status: 401 };
+  }
+
+  const roles = await loadUserDbRoles(request);
+  const granted = roles.filter(r => roleGrants(r.role, level));
+  if (granted.length === 0) {
+    return { error: `Permessi insufficienti: richiesto permesso "${level}"`, status: 403 };
+  }
+  const usable = [];
+  for (const r of granted) {
+    if (!(await missing2fa(request, r.db, level))) usable.push(r);
+  }
+  if (usable.length === 0) {
+    return { error: 'Autenticazione a due fattori richiesta per questo database', status: 403, mfaRequired: true };
+  }
+  return null;
+}
+
+/**
+ * Per le rotte che agiscono su un altro utente: il permesso deve essere
+ * concesso su almeno uno dei database a cui l'utente indicato ha accesso
+ * @param {Object} request - Richiesta Fastify (già autenticata)
+ * @param {string} userId - Utente su cui agisce la rotta
+ * @param {string} level - 'read' | 'write' | 'import' | 'admin'
+ * @returns {Promise<Object|null>} - null se consentito, altrimenti { error, status }
+ */
+export async function checkUserAccess(request, userId, level) {
+  if (!request.user?.id) {
+    return { error: 'Autenticazione richiesta', status: 401 };
+  }
+  if (!userId) {
+    return { error: 'Utente non indicato', status: 400 };
+  }
+
+  const { rows } = await request.server.pg.query('SELECT dbrole FROM users WHERE id = $1', [userId]);
+  if (rows.length === 0) {
+    return { error: 'Utente non trovato', status: 404 };
+  }
+  const targetDbs = new Set((Array.isArray(rows[0].dbrole) ? rows[0].dbrole : []).map(r => r.db));
+
+  const roles = await loadUserDbRoles(request);
+  const granted = roles.filter(r => targetDbs.has(r.db) && roleGrants(r.role, level));
+  if (granted.length === 0) {
+    return { error: 'Accesso negato: l\'utente non appartiene a un database che amministri', status: 403 };
+  }
+  for (const r of granted) {
+    if (!(await missing2fa(request, r.db, level))) return null;
+  }
+  return { error: 'Autenticazione a due fattori richiesta per questo database', status: 403, mfaRequired: true };
+}
+
+/**
+ * preHandler che applica checkDbAccess al db indicato nella richiesta
+ * @param {string} level - 'read' | 'write' | 'import' | 'admin'
+ * @param {Function} [getDb] - Estrae il db dalla richiesta (default: body.db, poi query.db)
+ */
+export function requireDbAccess(level, getDb = (request) => request.body?.db ?? request.query?.db) {
+  return async function dbAccessHandler(request, reply) {
+    const denied = await checkDbAccess(request, getDb(request), level);
+    if (denied) {
+      return reply.code(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+    }
+  };
+}
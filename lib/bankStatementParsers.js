@@ -0,0 +1,357 @@
+/**
+ * Parser per estratti conto bancari in formato nativo
+ *
+ * Formati supportati:
+ * - ISO 20022 CAMT.053 (XML, BkToCstmrStmt)
+ * - SWIFT MT940 (testo con tag :20:, :61:, :86:)
+ * - CBI "Rendicontazione movimenti di c/c" (flat file a record da 120 caratteri)
+ *
+ * Tutti i parser restituiscono movimenti nello stesso formato di ConvertExcelToJson
+ * ({ date, description, negativeAmount, positiveAmount }) più i campi aggiuntivi
+ * valueDate, counterparty e remittanceInfo.
+ *
+ * @module lib/bankStatementParsers
+ */
+
+export const STATEMENT_FORMATS = {
+  EXCEL: 'excel',
+  CAMT053: 'camt053',
+  MT940: 'mt940',
+  CBI: 'cbi',
+};
+
+/**
+ * Rileva il formato dell'estratto conto dal contenuto del file
+ * @param {Buffer} fileBuffer - Contenuto del file
+ * @param {string} [filename] - Nome del file (usato solo come suggerimento)
+ * @returns {string} - Uno dei valori di STATEMENT_FORMATS
+ */
+export function detectStatementFormat(fileBuffer, filename = '') {
+  if (!fileBuffer || fileBuffer.length === 0) return STATEMENT_FORMATS.EXCEL;
+
+  // I file Excel sono binari (xlsx = zip "PK", xls = OLE2 "D0 CF 11 E0")
+  if (fileBuffer[0] === 0x50 && fileBuffer[1] === 0x4b) return STATEMENT_FORMATS.EXCEL;
+  if (fileBuffer[0] === 0xd0 && fileBuffer[1] === 0xcf) return STATEMENT_FORMATS.EXCEL;
+
+  const head = fileBuffer.subarray(0, 4096).toString('latin1');
+
+  if (/<(\w+:)?(Document|BkToCstmrStmt)\b/.test(head) || /camt\.053/i.test(head)) {
+    return STATEMENT_FORMATS.CAMT053;
+  }
+
+  if (/^:20:/m.test(head) && /^:6[01][FM]?:/m.test(head)) {
+    return STATEMENT_FORMATS.MT940;
+  }
+
+  const lines = head.split(/\r?\n/).filter(l => l.trim().length > 0);
+  if (lines.length > 0 && lines.every(l => /^ (RH|61|62|63|64|65|EF)/.test(l))) {
+    return STATEMENT_FORMATS.CBI;
+  }
+
+  const ext = filename.split('.').pop().toLowerCase();
+  if (ext === 'xml') return STATEMENT_FORMATS.CAMT053;
+  if (ext === 'sta' || ext === 'mt940') return STATEMENT_FORMATS.MT940;
+  if (ext === 'cbi') return STATEMENT_FORMATS.CBI;
+
+  return STATEMENT_FORMATS.EXCEL;
+}
+
+/**
+ * Converte un estratto conto nativo in movimenti
+ * @param {Buffer} fileBuffer - Contenuto del file
+ * @param {string} format - Formato rilevato con detectStatementFormat
+ * @returns {Array<Object>} - Movimenti estratti
+ */
+export function parseBankStatement(fileBuffer, format) {
+  switch (format) {
+    case STATEMENT_FORMATS.CAMT053:
+      return parseCamt053(fileBuffer.toString('utf8'));
+    case STATEMENT_FORMATS.MT940:
+      return parseMt940(fileBuffer.toString('latin1'));
+    case STATEMENT_FORMATS.CBI:
+      return parseCbi(fileBuffer.toString('latin1'));
+    default:
+      throw new Error(`Formato estratto conto non supportato: ${format}`);
+  }
+}
+
+/**
+ * Costruisce un movimento nel formato atteso dall'importazione
+ */
+function buildMovement({ date, valueDate, amount, counterparty, remittanceInfo, fallbackDescription }) {
+  const parts = [counterparty, remittanceInfo].filter(p => p && p.trim().length > 0);
+  const description = parts.length > 0
+    ? parts.map(p => p.replace(/\s+/g, ' ').trim()).join(' - ')
+    : (fallbackDescription || '').replace(/\s+/g, ' ').trim();
+
+  return {
+    date,
+    valueDate: valueDate || null,
+    description,
+    counterparty: counterparty ? counterparty.trim() : null,
+    remittanceInfo: remittanceInfo ? remittanceInfo.replace(/\s+/g, ' ').trim() : null,
+    negativeAmount: amount < 0 ? amount : null,
+    positiveAmount: amount > 0 ? amount : null,
+  };
+}
+
+// ==========================================
+// CAMT.053 (ISO 20022)
+// ==========================================
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Restituisce il contenuto di tutti i tag con il percorso indicato (es. 'BookgDt/Dt')
+ */
+function xmlFindAll(xml, tagPath) {
+  const [tag, ...rest] = tagPath.split('/');
+  const regex = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  const results = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    if (rest.length === 0) {
+      results.push(match[1]);
+    } else {
+      results.push(...xmlFindAll(match[1], rest.join('/')));
+    }
+  }
+  return results;
+}
+
+function xmlFind(xml, tagPath) {
+  const found = xmlFindAll(xml, tagPath);
+  return found.length > 0 ? decodeXmlEntities(found[0].trim()) : null;
+}
+
+function parseCamt053(xmlText) {
+  // Rimuove i prefissi dei namespace (es. <ns2:Ntry> → <Ntry>) per semplificare le ricerche
+  const xml = xmlText.replace(/<(\/?)[\w.-]+:/g, '<$1');
+
+  const movements = [];
+  for (const entry of xmlFindAll(xml, 'Ntry')) {
+    const rawAmount = parseFloat(xmlFind(entry, 'Amt'));
+    if (isNaN(rawAmount) || rawAmount === 0) continue;
+
+    // Gli storni (RvslInd) si importano come gli altri movimenti: CdtDbtInd indica
+    // già la direzione dello storno (accredito per un addebito stornato e viceversa)
+    const isReversal = xmlFind(entry, 'RvslInd') === 'true';
+    const isDebit = xmlFind(entry, 'CdtDbtInd') === 'DBIT';
+    const amount = isDebit ? -Math.abs(rawAmount) : Math.abs(rawAmount);
+
+    const bookingDate = (xmlFind(entry, 'BookgDt/Dt') || xmlFind(entry, 'BookgDt/DtTm') || '').substring(0, 10);
+    const valueDate = (xmlFind(entry, 'ValDt/Dt') || xmlFind(entry, 'ValDt/DtTm') || '').substring(0, 10);
+
+    // La controparte è il creditore per gli addebiti e il debitore per gli accrediti;
+    // negli storni le parti sono quelle del movimento originale, di segno opposto
+    const counterparty = isDebit !== isReversal
+      ? (xmlFind(entry, 'RltdPties/Cdtr/Nm') || xmlFind(entry, 'RltdPties/Cdtr/Pty/Nm'))
+      : (xmlFind(entry, 'RltdPties/Dbtr/Nm') || xmlFind(entry, 'RltdPties/Dbtr/Pty/Nm'));
+
+    const unstructured = xmlFindAll(entry, 'RmtInf/Ustrd').map(decodeXmlEntities);
+    const remittanceInfo = unstructured.length > 0
+      ? unstructured.join(' ')
+      : xmlFind(entry, 'RmtInf/Strd/CdtrRefInf/Ref');
+
+    movements.push(buildMovement({
+      date: bookingDate || valueDate,
+      valueDate,
+      amount,
+      counterparty,
+      remittanceInfo,
+      fallbackDescription: xmlFind(entry, 'AddtlNtryInf') || xmlFind(entry, 'AddtlTxInf') || (isReversal ? 'Storno' : null),
+    }));
+  }
+
+  return movements;
+}
+
+// ==========================================
+// MT940 (SWIFT)
+// ==========================================
+
+/**
+ * Converte una data YYMMDD in ISO (YYYY-MM-DD)
+ */
+function yymmddToIso(yymmdd) {
+  const yy = parseInt(yymmdd.substring(0, 2), 10);
+  const year = yy >= 70 ? 1900 + yy : 2000 + yy;
+  return `${year}-${yymmdd.substring(2, 4)}-${yymmdd.substring(4, 6)}`;
+}
+
+/**
+ * Estrae controparte e causale dal campo :86:
+ * Gestisce sia il formato strutturato con sottocampi ?NN sia quello con /CODICE/
+ */
+function parseMt940Info(info) {
+  const text = info.replace(/\r?\n/g, '');
+
+  // Formato strutturato ?20-?29 causale, ?32-?33 nome controparte
+  if (/\?\d{2}/.test(text)) {
+    const fields = {};
+    for (const match of text.matchAll(/\?(\d{2})([^?]*)/g)) {
+      fields[match[1]] = (fields[match[1]] || '') + match[2];
+    }
+    const remittance = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29']
+      .map(k => fields[k]).filter(Boolean).join(' ');
+    const counterparty = [fields['32'], fields['33']].filter(Boolean).join('');
+    return { counterparty: counterparty || null, remittanceInfo: remittance || null };
+  }
+
+  // Formato con sottocampi /NAME/, /REMI/, /ORDP/, /BENM/
+  if (/\/(NAME|REMI|ORDP|BENM)\//.test(text)) {
+    const pick = (code) => {
+      const match = text.match(new RegExp(`/${code}/([^/]*)`));
+      return match ? match[1].trim() : null;
+    };
+    return {
+      counterparty: pick('NAME') || pick('BENM') || pick('ORDP'),
+      remittanceInfo: pick('REMI'),
+    };
+  }
+
+  return { counterparty: null, remittanceInfo: text.trim() };
+}
+
+function parseMt940(text) {
+  // Ricompone i tag su più righe: ogni tag inizia con :NN[A]:
+  const tags = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      tags.push({ tag: match[1], value: match[2] });
+    } else if (tags.length > 0 && line !== '-' && line.trim() !== '') {
+      tags[tags.length - 1].value += '\n' + line;
+    }
+  }
+
+  const movements = [];
+  for (let i = 0; i < tags.length; i++) {
+    if (tags[i].tag !== '61') continue;
+
+    // :61: YYMMDD[MMDD](C|D|RC|RD)[funds code]importo N/F/S + tipo + riferimento
+    const line = tags[i].value.split('\n')[0];
+    const match = line.match(/^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([NFS][A-Z0-9]{3})?(.*)$/);
+    if (!match) {
+      console.warn('⚠️ Riga :61: non riconosciuta, saltata:', line);
+      continue;
+    }
+
+    const [, valueYymmdd, entryMmdd, mark, , amountStr, , reference] = match;
+    const valueDate = yymmddToIso(valueYymmdd);
+
+    // La data contabile usa l'anno della valuta, corretto a cavallo d'anno
+    let bookingDate = valueDate;
+    if (entryMmdd) {
+      let year = parseInt(valueDate.substring(0, 4), 10);
+      const valueMonth = parseInt(valueYymmdd.substring(2, 4), 10);
+      const entryMonth = parseInt(entryMmdd.substring(0, 2), 10);
+      if (valueMonth === 12 && entryMonth === 1) year++;
+      if (valueMonth === 1 && entryMonth === 12) year--;
+      bookingDate = `${year}-${entryMmdd.substring(0, 2)}-${entryMmdd.substring(2, 4)}`;
+    }
+
+    const rawAmount = parseFloat(amountStr.replace(',', '.'));
+    if (isNaN(rawAmount) || rawAmount === 0) continue;
+
+    // D = addebito, C = accredito, RD/RC = storni (segno invertito)
+    const isDebit = mark === 'D' || mark === 'RC';
+    const amount = isDebit ? -rawAmount : rawAmount;
+
+    const next = tags[i + 1];
+    const info = next && next.tag === '86' ? parseMt940Info(next.value) : { counterparty: null, remittanceInfo: null };
+
+    movements.push(buildMovement({
+      date: bookingDate,
+      valueDate,
+      amount,
+      counterparty: info.counterparty,
+      remittanceInfo: info.remittanceInfo,
+      fallbackDescription: reference.replace(/^\/\//, '').trim(),
+    }));
+  }
+
+  return movements;
+}
+
+// ==========================================
+// CBI - Rendicontazione movimenti di c/c
+// ==========================================
+
+/**
+ * Converte una data GGMMAA in ISO (YYYY-MM-DD)
+ */
+function ggmmaaToIso(ggmmaa) {
+  if (!/^\d{6}$/.test(ggmmaa)) return null;
+  return yymmddToIso(`${ggmmaa.substring(4, 6)}${ggmmaa.substring(2, 4)}${ggmmaa.substring(0, 2)}`);
+}
+
+function parseCbiAmount(raw) {
+  const str = raw.trim();
+  if (str.includes(',')) return parseFloat(str.replace(/\./g, '').replace(',', '.'));
+  // Senza virgola le ultime due cifre sono i decimali
+  return parseInt(str, 10) / 100;
+}
+
+function parseCbi(text) {
+  const movements = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.padEnd(120, ' ');
+    const recordType = line.substring(1, 3);
+
+    if (recordType === '62') {
+      // Posizioni (1-based): 14-19 data valuta, 20-25 data contabile, 26 segno,
+      // 27-41 importo, 42-43 causale ABI, 87-120 descrizione
+      const valueDate = ggmmaaToIso(line.substring(13, 19));
+      const bookingDate = ggmmaaToIso(line.substring(19, 25));
+      const sign = line.substring(25, 26);
+      const rawAmount = parseCbiAmount(line.substring(26, 41));
+      if (isNaN(rawAmount) || rawAmount === 0) {
+        current = null;
+        continue;
+      }
+
+      current = {
+        date: bookingDate || valueDate,
+        valueDate,
+        amount: sign === 'D' ? -rawAmount : rawAmount,
+        causale: line.substring(41, 43).trim(),
+        description: line.substring(86, 120).trim(),
+        extra: [],
+      };
+      movements.push(current);
+    } else if (recordType === '63' && current) {
+      // Record informativo: 14-120 testo libero collegato al movimento precedente
+      current.extra.push(line.substring(13, 120).trim());
+    } else if (recordType !== '63') {
+      current = null;
+    }
+  }
+
+  return movements.map(m => {
+    // I record 63 con flag "YYY" riportano i dati dell'ordinante/beneficiario
+    const counterpartyLine = m.extra.find(e => e.startsWith('YYY'));
+    const counterparty = counterpartyLine ? counterpartyLine.substring(3).trim() : null;
+    const remittance = [m.description, ...m.extra.filter(e => e !== counterpartyLine)]
+      .filter(Boolean).join(' ');
+
+    return buildMovement({
+      date: m.date,
+      valueDate: m.valueDate,
+      amount: m.amount,
+      counterparty,
+      remittanceInfo: remittance,
+      fallbackDescription: m.causale ? `Causale CBI ${m.causale}` : '',
+    });
+  });
+}
@@ -1,35 +1,186 @@
-// Tariffe bollo per fascia kW (€/kW) — fonte ACI, aggiornato 2024
-const TARIFFA_BASE_KW = 2.58; // €/kW fino a 100 kW
-const TARIFFA_OLTRE_KW = 3.87; // €/kW oltre 100 kW
+/**
+ * Calcolo del bollo auto e del superbollo
+ *
+ * Le tariffe e le regole sono in lib/bollo-tariffs: si sceglie la versione in
+ * vigore nell'anno d'imposta, si applicano le tariffe della classe Euro
+ * (maggiorate se la regione lo prevede) alle due fasce di kW e poi la regola
+ * di esenzione o riduzione più favorevole tra quelle nazionali e regionali.
+ * Le maggiorazioni e le regole regionali seguono le versioni della regione in
+ * vigore nello stesso anno. Il risultato riporta tutti i passaggi in breakdown.
+ *
+ * @module lib/bollo-calculator
+ */
 
-const TARIFFE_REGIONALI = {
-  'Lombardia': { base: 2.58, oltre: 3.87 },
-  'Piemonte':  { base: 2.58, oltre: 3.87 },
-  'Toscana':   { base: 2.58, oltre: 3.87 },
-};
+import { EURO_CLASSES, REGIONS, REGION_ALIASES, TARIFF_VERSIONS } from './bollo-tariffs.js';
 
-// Superbollo: 20€/kW per ogni kW oltre 185 kW (D.L. 98/2011)
-const SOGLIA_SUPERBOLLO_KW = 185;
-const SUPERBOLLO_PER_KW = 20;
+const round2 = (value) => Math.round(value * 100) / 100;
 
-export function calculateBollo(kw, region = null) {
-  if (!kw || kw <= 0) return { bollo: 0, superbollo: 0 };
+const normalizeName = (value) => String(value).toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
 
-  const tariffe = (region && TARIFFE_REGIONALI[region]) || { base: TARIFFA_BASE_KW, oltre: TARIFFA_OLTRE_KW };
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
 
-  let bollo;
-  if (kw <= 100) {
-    bollo = kw * tariffe.base;
+/**
+ * Regione della tabella a partire dal nome indicato (maiuscole e trattini ignorati)
+ *
+ * @returns {string|null} - Nome della regione in REGIONS, null se non riconosciuta
+ */
+export function resolveRegion(region) {
+  const key = normalizeName(region);
+  const match = Object.keys(REGIONS).find(name => normalizeName(name) === key);
+  return match || REGION_ALIASES[key] || null;
+}
+
+/**
+ * Classe Euro normalizzata ('Euro 4', 'EURO4', '4' -> 'euro4')
+ *
+ * @returns {string|null} - Valore di EURO_CLASSES, null se non riconosciuta
+ */
+export function normalizeEuroClass(euroClass) {
+  const match = String(euroClass).toLowerCase().match(/^(?:euro)?\s*[-_]?\s*(\d)/);
+  const value = match ? `euro${match[1]}` : null;
+  return EURO_CLASSES.includes(value) ? value : null;
+}
+
+/**
+ * Categoria di alimentazione per le regole di esenzione (vedi FUEL_CATEGORIES)
+ */
+export function fuelCategory(fuelType) {
+  const value = String(fuelType || '').toLowerCase();
+  if (/ibrid|hybrid|phev|hev/.test(value)) return 'ibrido';
+  if (/elettric|electric|bev/.test(value)) return 'elettrico';
+  return 'altro';
+}
+
+/**
+ * Versione delle tariffe in vigore nell'anno
+ */
+export function tariffVersion(year) {
+  const version = [...TARIFF_VERSIONS].reverse().find(v => v.validFrom <= year);
+  if (!version) throw badRequest(`Tariffe non disponibili per l'anno ${year}`);
+  return version;
+}
+
+/**
+ * Versione delle maggiorazioni e delle regole della regione in vigore nell'anno
+ *
+ * @returns {Object|null} - null se nell'anno la regione non ha variazioni proprie
+ */
+export function regionalVersion(regionName, year) {
+  return [...(REGIONS[regionName] || [])].reverse().find(v => v.validFrom <= year) || null;
+}
+
+function ruleApplies(rule, fuel, age) {
+  if (rule.fuel && !rule.fuel.includes(fuel)) return false;
+  if (rule.minAge === undefined && rule.maxAge === undefined) return true;
+  if (age === null) return false;
+  if (rule.minAge !== undefined && age < rule.minAge) return false;
+  if (rule.maxAge !== undefined && age > rule.maxAge) return false;
+  return true;
+}
+
+/**
+ * Bollo e superbollo di un'autovettura per un anno d'imposta
+ *
+ * @param {Object} params
+ * @param {number} params.kw - Potenza in kW
+ * @param {string} [params.region] - Regione di residenza del proprietario
+ * @param {string} [params.euroClass] - Classe Euro (senza indicazione si usa Euro 4-6)
+ * @param {string} [params.fuelType] - Alimentazione (vehicles.fuel_type)
+ * @param {string} [params.registrationDate] - Data di prima immatricolazione (YYYY-MM-DD)
+ * @param {number} [params.year] - Anno d'imposta (default anno corrente)
+ * @returns {Object} - { bollo, superbollo, total, year, region, euroClass, fuelCategory, ageYears, breakdown, warnings }
+ */
+export function calculateBollo({ kw, region = null, euroClass = null, fuelType = null, registrationDate = null, year = null }) {
+  const taxYear = year || new Date().getFullYear();
+  const version = tariffVersion(taxYear);
+  const warnings = [];
+
+  let regionName = null;
+  if (region) {
+    regionName = resolveRegion(region);
+    if (!regionName) throw badRequest(`Regione non riconosciuta: ${region}`);
+  } else {
+    warnings.push('Regione non indicata: applicate tariffe e regole nazionali');
+  }
+  const regional = regionName ? regionalVersion(regionName, taxYear) || {} : {};
+
+  let euro = 'euro4';
+  if (euroClass) {
+    euro = normalizeEuroClass(euroClass);
+    if (!euro) throw badRequest(`Classe Euro non valida: ${euroClass}`);
   } else {
-    bollo = (100 * tariffe.base) + ((kw - 100) * tariffe.oltre);
+    warnings.push('Classe Euro non indicata: applicata la tariffa Euro 4-6');
   }
 
-  const superbollo = kw > SOGLIA_SUPERBOLLO_KW
-    ? (kw - SOGLIA_SUPERBOLLO_KW) * SUPERBOLLO_PER_KW
-    : 0;
+  const fuel = fuelCategory(fuelType);
+  const registrationYear = registrationDate ? parseInt(String(registrationDate).slice(0, 4), 10) : null;
+  const age = registrationYear ? Math.max(0, taxYear - registrationYear) : null;
+  if (age === null) warnings.push('Data di immatricolazione non indicata: esenzioni e riduzioni per età non valutate');
+
+  // Tariffe della classe Euro, maggiorate dalla regione
+  const increase = regional.rateIncreasePercent || 0;
+  const base = version.rates[euro];
+  const rates = {
+    upTo100: round2(base.upTo100 * (1 + increase / 100)),
+    over100: round2(base.over100 * (1 + increase / 100)),
+  };
+
+  const power = kw > 0 ? kw : 0;
+  const bands = [
+    { fromKw: 0, toKw: version.bandKw, kw: Math.min(power, version.bandKw), rate: rates.upTo100 },
+    { fromKw: version.bandKw, toKw: null, kw: Math.max(0, power - version.bandKw), rate: rates.over100 },
+  ].map(band => ({ ...band, amount: round2(band.kw * band.rate) }));
+  const grossBollo = round2(bands.reduce((total, band) => total + band.amount, 0));
+
+  // Regola più favorevole tra quelle nazionali e regionali applicabili
+  const rules = [...version.rules, ...(regional.rules || [])]
+    .filter(rule => ruleApplies(rule, fuel, age))
+    .sort((a, b) => b.reductionPercent - a.reductionPercent);
+  const appliedRule = rules[0] || null;
+  const bollo = appliedRule ? round2(grossBollo * (1 - appliedRule.reductionPercent / 100)) : grossBollo;
+
+  // Superbollo: kW oltre la soglia, ridotto in base all'età
+  let superbolloBreakdown = null;
+  let superbollo = 0;
+  if (version.superbollo) {
+    const { thresholdKw, perKw, ageReductions } = version.superbollo;
+    const kwOver = Math.max(0, power - thresholdKw);
+    const reduction = age === null ? null : [...ageReductions].reverse().find(r => age >= r.minAge) || null;
+    const gross = round2(kwOver * perKw);
+    superbollo = reduction ? round2(gross * (1 - reduction.reductionPercent / 100)) : gross;
+    superbolloBreakdown = {
+      thresholdKw,
+      kwOver,
+      ratePerKw: perKw,
+      grossAmount: gross,
+      reductionPercent: reduction ? reduction.reductionPercent : 0,
+      amount: superbollo,
+    };
+  }
 
   return {
-    bollo: Math.round(bollo * 100) / 100,
-    superbollo: Math.round(superbollo * 100) / 100,
+    bollo,
+    superbollo,
+    total: round2(bollo + superbollo),
+    year: taxYear,
+    region: regionName,
+    euroClass: euro,
+    fuelCategory: fuel,
+    ageYears: age,
+    breakdown: {
+      tariff: { validFrom: version.validFrom, source: version.source },
+      regionalTariff: regional.validFrom ? { validFrom: regional.validFrom } : null,
+      rateIncreasePercent: increase,
+      rates,
+      bands,
+      grossBollo,
+      rule: appliedRule && {
+        id: appliedRule.id,
+        description: appliedRule.description,
+        reductionPercent: appliedRule.reductionPercent,
+      },
+      superbollo: superbolloBreakdown,
+    },
+    warnings,
   };
 }
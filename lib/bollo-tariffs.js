@@ -0,0 +1,177 @@
+/**
+ * Tabelle delle tariffe del bollo auto (autovetture, uso privato)
+ *
+ * Ogni versione vale dall'anno validFrom fino alla versione successiva e
+ * contiene le tariffe nazionali per classe Euro (€/kW fino a 100 kW e per i
+ * kW oltre), il superbollo e le regole nazionali di esenzione o riduzione.
+ * Le regioni possono maggiorare le tariffe (rateIncreasePercent) e aggiungere
+ * regole proprie, con versioni annuali indipendenti da quelle nazionali; tra
+ * più regole applicabili vale la più favorevole.
+ *
+ * Le regole regionali cambiano spesso: la tabella va verificata ogni anno
+ * sulle pagine ACI e delle singole regioni prima di aggiungere una versione.
+ *
+ * @module lib/bollo-tariffs
+ */
+
+export const EURO_CLASSES = ['euro0', 'euro1', 'euro2', 'euro3', 'euro4', 'euro5', 'euro6'];
+
+// Categorie di alimentazione usate dalle regole (vedi fuelCategory in lib/bollo-calculator)
+export const FUEL_CATEGORIES = ['elettrico', 'ibrido', 'altro'];
+
+// €/kW fino a 100 kW (upTo100) e per ogni kW oltre 100 (over100) — L. 296/2006, art. 1 c. 321
+const NATIONAL_RATES = {
+  euro0: { upTo100: 3.00, over100: 4.50 },
+  euro1: { upTo100: 2.90, over100: 4.35 },
+  euro2: { upTo100: 2.80, over100: 4.20 },
+  euro3: { upTo100: 2.70, over100: 4.05 },
+  euro4: { upTo100: 2.58, over100: 3.87 },
+  euro5: { upTo100: 2.58, over100: 3.87 },
+  euro6: { upTo100: 2.58, over100: 3.87 },
+};
+
+// Età in anni dalla prima immatricolazione (anno d'imposta - anno di immatricolazione)
+const NATIONAL_RULES = [
+  {
+    id: 'elettrico_primi_5_anni',
+    description: 'Veicoli elettrici: esenti per i primi 5 anni dalla prima immatricolazione',
+    fuel: ['elettrico'],
+    maxAge: 4,
+    reductionPercent: 100,
+  },
+  {
+    id: 'elettrico_dopo_5_anni',
+    description: 'Veicoli elettrici: dopo 5 anni si paga il 25% della tariffa',
+    fuel: ['elettrico'],
+    minAge: 5,
+    reductionPercent: 75,
+  },
+  {
+    id: 'ultratrentennale',
+    description: 'Veicoli con più di 30 anni: esenti dalla tassa automobilistica (L. 342/2000, art. 63)',
+    minAge: 30,
+    reductionPercent: 100,
+  },
+];
+
+/**
+ * Regioni e province autonome che riscuotono il bollo
+ *
+ * Per ogni regione le versioni delle maggiorazioni e delle regole proprie, in
+ * ordine di validFrom: ciascuna vale dall'anno validFrom fino alla versione
+ * successiva della stessa regione. Senza versioni (o prima della prima) si
+ * applicano solo tariffe e regole nazionali.
+ *
+ * rateIncreasePercent: maggiorazione delle tariffe nazionali
+ * rules: regole aggiuntive a quelle nazionali
+ */
+export const REGIONS = {
+  'Abruzzo': [{ validFrom: 2007, rateIncreasePercent: 10 }],
+  'Basilicata': [],
+  'Calabria': [{ validFrom: 2007, rateIncreasePercent: 10 }],
+  'Campania': [{ validFrom: 2007, rateIncreasePercent: 10 }],
+  'Emilia-Romagna': [{
+    validFrom: 2007,
+    rules: [{
+      id: 'emilia_romagna_ibrido_3_anni',
+      description: 'Emilia-Romagna: veicoli ibridi esenti per i primi 3 anni',
+      fuel: ['ibrido'],
+      maxAge: 2,
+      reductionPercent: 100,
+    }],
+  }],
+  'Friuli-Venezia Giulia': [],
+  'Lazio': [],
+  'Liguria': [],
+  'Lombardia': [{
+    validFrom: 2007,
+    rules: [{
+      id: 'lombardia_elettrico',
+      description: 'Lombardia: veicoli elettrici esenti senza limiti di tempo',
+      fuel: ['elettrico'],
+      reductionPercent: 100,
+    }],
+  }],
+  'Marche': [{ validFrom: 2007, rateIncreasePercent: 10 }],
+  'Molise': [{ validFrom: 2007, rateIncreasePercent: 10 }],
+  'Piemonte': [{
+    validFrom: 2007,
+    rules: [{
+      id: 'piemonte_elettrico',
+      description: 'Piemonte: veicoli elettrici esenti senza limiti di tempo',
+      fuel: ['elettrico'],
+      reductionPercent: 100,
+    }],
+  }],
+  'Puglia': [],
+  'Sardegna': [],
+  'Sicilia': [],
+  'Toscana': [{
+    validFrom: 2007,
+    rules: [{
+      id: 'toscana_ibrido_5_anni',
+      description: 'Toscana: veicoli ibridi esenti per i primi 5 anni',
+      fuel: ['ibrido'],
+      maxAge: 4,
+      reductionPercent: 100,
+    }],
+  }],
+  'Provincia autonoma di Bolzano': [],
+  'Provincia autonoma di Trento': [],
+  'Umbria': [],
+  "Valle d'Aosta": [],
+  'Veneto': [],
+};
+
+// Nomi alternativi accettati in input (confronto senza maiuscole, spazi e punteggiatura)
+export const REGION_ALIASES = {
+  'emiliaromagna': 'Emilia-Romagna',
+  'friuli': 'Friuli-Venezia Giulia',
+  'friuliveneziagiulia': 'Friuli-Venezia Giulia',
+  'bolzano': 'Provincia autonoma di Bolzano',
+  'altoadige': 'Provincia autonoma di Bolzano',
+  'trento': 'Provincia autonoma di Trento',
+  'valledaosta': "Valle d'Aosta",
+};
+
+/**
+ * Versioni delle tariffe, in ordine di validFrom
+ *
+ * superbollo.ageReductions: riduzione dopo minAge anni dalla costruzione
+ * (si usa la data di prima immatricolazione)
+ */
+export const TARIFF_VERSIONS = [
+  {
+    validFrom: 2007,
+    source: 'L. 296/2006, art. 1 c. 321',
+    rates: NATIONAL_RATES,
+    bandKw: 100,
+    superbollo: null,
+    rules: NATIONAL_RULES,
+  },
+  {
+    validFrom: 2011,
+    source: 'D.L. 98/2011, art. 23 c. 21',
+    rates: NATIONAL_RATES,
+    bandKw: 100,
+    superbollo: { thresholdKw: 225, perKw: 10, ageReductions: [] },
+    rules: NATIONAL_RULES,
+  },
+  {
+    validFrom: 2012,
+    source: 'D.L. 201/2011, art. 16',
+    rates: NATIONAL_RATES,
+    bandKw: 100,
+    superbollo: {
+      thresholdKw: 185,
+      perKw: 20,
+      ageReductions: [
+        { minAge: 5, reductionPercent: 40 },
+        { minAge: 10, reductionPercent: 70 },
+        { minAge: 15, reductionPercent: 85 },
+        { minAge: 20, reductionPercent: 100 },
+      ],
+    },
+    rules: NATIONAL_RULES,
+  },
+];
@@ -0,0 +1,228 @@
+/**
+ * Budget per categoria, soggetto o dettaglio e confronto con le spese effettive
+ *
+ * Una voce di budget è identificata da db, anno e livello di classificazione
+ * (categoria, eventualmente soggetto ed eventualmente dettaglio). Per ciascuna
+ * voce il budget può essere annuale (ripartito in dodicesimi) oppure mensile,
+ * non entrambi. La previsione a fine anno proietta la media dei mesi trascorsi
+ * sui mesi restanti.
+ *
+ * @module lib/budget
+ */
+
+const MONTHS = 12;
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Chiave univoca del livello di classificazione di una voce
+ */
+export function lineKey({ category_id, subject_id, detail_id }) {
+  return [category_id, subject_id || '', detail_id || ''].join(':');
+}
+
+/**
+ * Livello della voce: 'category', 'subject' o 'detail'
+ */
+export function lineLevel({ subject_id, detail_id }) {
+  if (detail_id) return 'detail';
+  if (subject_id) return 'subject';
+  return 'category';
+}
+
+/**
+ * Valida i dati di una voce di budget
+ * @param {Object} body - { year, month?, categoryId, subjectId?, detailId?, amount }
+ * @returns {Object} - { error, status } oppure { value }
+ */
+export function validateBudgetInput({ year, month, categoryId, subjectId, detailId, amount }) {
+  const parsedYear = parseInt(year, 10);
+  if (isNaN(parsedYear) || parsedYear < 1900 || parsedYear > 9999) {
+    return { error: 'Anno non valido', status: 400 };
+  }
+
+  let parsedMonth = null;
+  if (month !== undefined && month !== null && month !== '') {
+    parsedMonth = parseInt(month, 10);
+    if (isNaN(parsedMonth) || parsedMonth < 1 || parsedMonth > MONTHS) {
+      return { error: 'Mese non valido (1-12)', status: 400 };
+    }
+  }
+
+  if (!categoryId) {
+    return { error: 'Categoria obbligatoria', status: 400 };
+  }
+  if (detailId && !subjectId) {
+    return { error: 'Per un budget su dettaglio è richiesto anche il soggetto', status: 400 };
+  }
+
+  const parsedAmount = parseFloat(amount);
+  if (isNaN(parsedAmount) || parsedAmount < 0) {
+    return { error: 'Importo non valido', status: 400 };
+  }
+
+  return {
+    value: {
+      year: parsedYear,
+      month: parsedMonth,
+      categoryId,
+      subjectId: subjectId || null,
+      detailId: detailId || null,
+      amount: round2(parsedAmount),
+    },
+  };
+}
+
+/**
+ * Ripartisce le righe di budget di una voce sui dodici mesi
+ *
+ * Un budget annuale è diviso in dodicesimi; l'arrotondamento residuo va su dicembre.
+ *
+ * @param {Array<Object>} rows - Righe di budgets della stessa voce
+ * @returns {Array<number>} - Budget per mese (indice 0 = gennaio)
+ */
+export function spreadBudget(rows) {
+  const months = new Array(MONTHS).fill(0);
+
+  for (const row of rows) {
+    const amount = parseFloat(row.amount);
+    if (row.month) {
+      months[row.month - 1] += amount;
+      continue;
+    }
+    const share = Math.floor((amount / MONTHS) * 100) / 100;
+    for (let i = 0; i < MONTHS; i++) months[i] += share;
+    months[MONTHS - 1] += amount - share * MONTHS;
+  }
+
+  return months.map(round2);
+}
+
+/**
+ * Scostamento e percentuale consumata di un periodo
+ */
+function compare(budget, actual) {
+  return {
+    budget: round2(budget),
+    actual: round2(actual),
+    variance: round2(budget - actual),
+    consumedPct: budget > 0 ? round2((actual / budget) * 100) : null,
+  };
+}
+
+/**
+ * Verifica se una riga di spesa ricade nella voce di budget
+ */
+function actualMatchesLine(actual, line) {
+  if (actual.category_id !== line.category_id) return false;
+  if (line.subject_id && actual.subject_id !== line.subject_id) return false;
+  if (line.detail_id && actual.detail_id !== line.detail_id) return false;
+  return true;
+}
+
+/**
+ * Costruisce il report budget vs effettivo
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.budgets - Righe di budgets con category_name, subject_name, detail_name
+ * @param {Array<Object>} params.actuals - Spese aggregate { month, category_id, category_name, subject_id, detail_id, total }
+ * @param {number} params.asOfMonth - Ultimo mese considerato per la previsione (12 per gli anni chiusi)
+ * @returns {Object} - { lines, totals, unbudgeted }
+ */
+export function buildBudgetReport({ budgets, actuals, asOfMonth }) {
+  const grouped = new Map();
+  for (const row of budgets) {
+    const key = lineKey(row);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(row);
+  }
+
+  const keys = new Set(grouped.keys());
+  const lines = [];
+
+  for (const [key, rows] of grouped) {
+    const first = rows[0];
+    const budgetByMonth = spreadBudget(rows);
+    const actualByMonth = new Array(MONTHS).fill(0);
+
+    for (const actual of actuals) {
+      if (actualMatchesLine(actual, first)) {
+        actualByMonth[actual.month - 1] += parseFloat(actual.total);
+      }
+    }
+
+    const months = budgetByMonth.map((budget, i) => ({ month: i + 1, ...compare(budget, actualByMonth[i]) }));
+    const budgetTotal = budgetByMonth.reduce((sum, v) => sum + v, 0);
+    const actualTotal = actualByMonth.reduce((sum, v) => sum + v, 0);
+    const budgetToDate = budgetByMonth.slice(0, asOfMonth).reduce((sum, v) => sum + v, 0);
+    const actualToDate = actualByMonth.slice(0, asOfMonth).reduce((sum, v) => sum + v, 0);
+
+    // Previsione: spesa a oggi + media dei mesi trascorsi (anche quelli senza spese) per i mesi restanti
+    const averageMonthly = asOfMonth > 0 ? actualToDate / asOfMonth : 0;
+    const yearEnd = actualToDate + averageMonthly * (MONTHS - asOfMonth);
+
+    // Una voce annidata sotto un'altra voce con budget non entra nei totali (eviterebbe doppi conteggi):
+    // un dettaglio è annidato se esiste la voce del suo soggetto o quella della sua categoria
+    const level = lineLevel(first);
+    const parents = [
+      level !== 'category' && lineKey({ category_id: first.category_id }),
+      level === 'detail' && lineKey({ category_id: first.category_id, subject_id: first.subject_id }),
+    ];
+    const nested = parents.some(parent => parent && parent !== key && keys.has(parent));
+
+    lines.push({
+      key,
+      level,
+      categoryId: first.category_id,
+      categoryName: first.category_name,
+      subjectId: first.subject_id || null,
+      subjectName: first.subject_name || null,
+      detailId: first.detail_id || null,
+      detailName: first.detail_name || null,
+      budgetType: rows.some(r => r.month) ? 'monthly' : 'annual',
+      nested: Boolean(nested),
+      months,
+      toDate: compare(budgetToDate, actualToDate),
+      total: compare(budgetTotal, actualTotal),
+      forecast: {
+        averageMonthly: round2(averageMonthly),
+        yearEnd: round2(yearEnd),
+        variance: round2(budgetTotal - yearEnd),
+        consumedPct: budgetTotal > 0 ? round2((yearEnd / budgetTotal) * 100) : null,
+      },
+    });
+  }
+
+  lines.sort((a, b) =>
+    (a.categoryName || '').localeCompare(b.categoryName || '')
+    || (a.subjectName || '').localeCompare(b.subjectName || '')
+    || (a.detailName || '').localeCompare(b.detailName || '')
+  );
+
+  const topLevel = lines.filter(l => !l.nested);
+  const sumOf = (pick) => topLevel.reduce((sum, l) => sum + pick(l), 0);
+  const totals = {
+    toDate: compare(sumOf(l => l.toDate.budget), sumOf(l => l.toDate.actual)),
+    total: compare(sumOf(l => l.total.budget), sumOf(l => l.total.actual)),
+    forecastYearEnd: round2(sumOf(l => l.forecast.yearEnd)),
+  };
+
+  // Spese di categorie senza alcuna voce di budget
+  const budgetedCategories = new Set(lines.map(l => l.categoryId));
+  const unbudgetedMap = new Map();
+  for (const actual of actuals) {
+    if (budgetedCategories.has(actual.category_id)) continue;
+    const entry = unbudgetedMap.get(actual.category_id) || {
+      categoryId: actual.category_id,
+      categoryName: actual.category_name,
+      actual: 0,
+    };
+    entry.actual += parseFloat(actual.total);
+    unbudgetedMap.set(actual.category_id, entry);
+  }
+  const unbudgeted = [...unbudgetedMap.values()]
+    .map(u => ({ ...u, actual: round2(u.actual) }))
+    .sort((a, b) => b.actual - a.actual);
+
+  return { lines, totals, unbudgeted };
+}
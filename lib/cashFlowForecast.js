@@ -0,0 +1,306 @@
+/**
+ * Previsione di cassa per conto
+ *
+ * Parte dal saldo attuale di ciascun conto e somma, giorno per giorno, i
+ * movimenti attesi: scadenze aperte dello scadenziario (uscite), movimenti
+ * ricorrenti rilevati nello storico (uscite ed entrate, es. stipendi e
+ * abbonamenti) ed eventuali movimenti ipotetici indicati dal chiamante (per
+ * valutare un pagamento prima di approvarlo). Segnala i periodi in cui un
+ * conto scende sotto la soglia indicata (di norma zero).
+ *
+ * Le date sono stringhe 'YYYY-MM-DD' trattate in UTC.
+ *
+ * @module lib/cashFlowForecast
+ */
+
+// Frequenze riconosciute: intervallo mediano ammesso (giorni) e passo di proiezione
+const FREQUENCIES = [
+  { name: 'weekly', minDays: 6, maxDays: 8, stepDays: 7 },
+  { name: 'monthly', minDays: 26, maxDays: 35, stepMonths: 1 },
+  { name: 'bimonthly', minDays: 56, maxDays: 66, stepMonths: 2 },
+  { name: 'quarterly', minDays: 85, maxDays: 97, stepMonths: 3 },
+];
+
+// Occorrenze minime per considerare ricorrente un movimento
+const MIN_OCCURRENCES = 3;
+// Scostamento massimo dell'importo rispetto alla mediana delle ultime occorrenze
+const AMOUNT_TOLERANCE = 0.5;
+// Finestra e tolleranza per considerare una ricorrenza già coperta da una scadenza
+const SCADENZA_MATCH_DAYS = 7;
+const SCADENZA_MATCH_AMOUNT = 0.1;
+
+const DAY_MS = 86400000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const toIso = (date) => date.toISOString().split('T')[0];
+
+export function addDays(iso, days) {
+  return toIso(new Date(toDate(iso).getTime() + days * DAY_MS));
+}
+
+/**
+ * Aggiunge mesi mantenendo il giorno, limitato all'ultimo giorno del mese
+ */
+export function addMonths(iso, months, day = toDate(iso).getUTCDate()) {
+  const date = toDate(iso);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0)).getUTCDate();
+  return toIso(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, Math.min(day, lastDay))));
+}
+
+export function daysBetween(fromIso, toIsoDate) {
+  return Math.round((toDate(toIsoDate) - toDate(fromIso)) / DAY_MS);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Descrizione senza numeri e punteggiatura (date, riferimenti, importi cambiano a ogni addebito)
+function normalizeDescription(description) {
+  return (description || '')
+    .toLowerCase()
+    .replace(/[^a-zà-ù\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 40);
+}
+
+/**
+ * Rileva i movimenti ricorrenti nello storico
+ *
+ * I movimenti sono raggruppati per conto, segno e classificazione (dettaglio o
+ * soggetto) oppure, se non classificati, per descrizione normalizzata. Un gruppo
+ * è ricorrente se ha almeno MIN_OCCURRENCES occorrenze a intervalli regolari,
+ * importi stabili e l'ultima occorrenza è abbastanza recente.
+ *
+ * @param {Array<Object>} transactions - { ownerid, date, amount, description, subjectid, detailid, subject_name, detail_name }
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {Array<Object>} - [{ ownerId, label, amount, frequency, lastDate, occurrences }]
+ */
+export function detectRecurringMovements(transactions, today) {
+  const groups = new Map();
+
+  for (const tx of transactions) {
+    const amount = parseFloat(tx.amount);
+    if (!amount) continue;
+    const classification = tx.detailid ? `d:${tx.detailid}` : (tx.subjectid ? `s:${tx.subjectid}` : null);
+    const key = [tx.ownerid, amount > 0 ? 'in' : 'out', classification || `t:${normalizeDescription(tx.description)}`].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...tx, amount });
+  }
+
+  const patterns = [];
+
+  for (const movements of groups.values()) {
+    // Un solo movimento per giorno: più addebiti nella stessa data non definiscono un intervallo
+    const byDate = new Map();
+    for (const m of movements) {
+      const existing = byDate.get(m.date);
+      byDate.set(m.date, existing ? { ...existing, amount: existing.amount + m.amount } : m);
+    }
+    const series = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    if (series.length < MIN_OCCURRENCES) continue;
+
+    const intervals = series.slice(1).map((m, i) => daysBetween(series[i].date, m.date));
+    const typical = median(intervals);
+    const frequency = FREQUENCIES.find(f => typical >= f.minDays && typical <= f.maxDays);
+    if (!frequency) continue;
+
+    const regular = intervals.filter(d => d >= frequency.minDays && d <= frequency.maxDays).length;
+    if (regular / intervals.length < 0.75) continue;
+
+    const recent = series.slice(-MIN_OCCURRENCES);
+    const amount = median(recent.map(m => m.amount));
+    if (recent.some(m => Math.abs(m.amount - amount) > Math.abs(amount) * AMOUNT_TOLERANCE)) continue;
+
+    // Serie interrotta: nessuna occorrenza da più di un intervallo e mezzo
+    const last = series[series.length - 1];
+    if (daysBetween(last.date, today) > frequency.maxDays * 1.5) continue;
+
+    patterns.push({
+      ownerId: last.ownerid,
+      label: last.detail_name || last.subject_name || last.description,
+      subjectId: last.subjectid || null,
+      detailId: last.detailid || null,
+      amount: round2(amount),
+      frequency: frequency.name,
+      lastDate: last.date,
+      dayOfMonth: toDate(last.date).getUTCDate(),
+      occurrences: series.length,
+    });
+  }
+
+  return patterns;
+}
+
+/**
+ * Proietta le ricorrenze nel periodo [from, to]
+ *
+ * Le occorrenze attese tra l'ultima registrata e oggi non ancora arrivate sono
+ * considerate in ritardo e collocate a oggi.
+ *
+ * @returns {Array<Object>} - Movimenti attesi { ownerId, date, amount, source: 'recurring', ... }
+ */
+export function projectRecurring(patterns, { from, to }) {
+  const items = [];
+
+  for (const pattern of patterns) {
+    const frequency = FREQUENCIES.find(f => f.name === pattern.frequency);
+    for (let k = 1; ; k++) {
+      const expected = frequency.stepDays
+        ? addDays(pattern.lastDate, k * frequency.stepDays)
+        : addMonths(pattern.lastDate, k * frequency.stepMonths, pattern.dayOfMonth);
+      if (expected > to) break;
+
+      const late = expected < from;
+      items.push({
+        ownerId: pattern.ownerId,
+        date: late ? from : expected,
+        amount: pattern.amount,
+        description: pattern.label,
+        source: 'recurring',
+        frequency: pattern.frequency,
+        late,
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Movimenti attesi dalle scadenze aperte
+ *
+ * Una fattura madre con tranches contribuisce solo per la parte non ancora
+ * ripartita in tranches; le scadenze già scadute e non pagate sono collocate
+ * a oggi.
+ *
+ * @param {Array<Object>} rows - Scadenze aperte { id, subject, type, date, amount, owner_id, parent_id, children_amount, children_count }
+ * @param {string} from - Primo giorno della previsione (oggi)
+ * @returns {Array<Object>}
+ */
+export function scadenzeToItems(rows, from) {
+  const items = [];
+
+  for (const row of rows) {
+    let amount = Math.abs(parseFloat(row.amount || 0));
+    if (row.children_count > 0) {
+      amount = round2(amount - parseFloat(row.children_amount || 0));
+    }
+    if (amount <= 0) continue;
+
+    const overdue = row.date < from;
+    items.push({
+      ownerId: row.owner_id,
+      date: overdue ? from : row.date,
+      amount: -amount,
+      description: row.subject,
+      source: 'scadenziario',
+      scadenzaId: row.id,
+      type: row.type,
+      overdue,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Scarta le ricorrenze in uscita già rappresentate da una scadenza
+ * (stesso conto, data vicina, importo simile), per non contarle due volte
+ */
+export function dropRecurringCoveredByScadenze(recurringItems, scadenzaItems) {
+  const used = new Set();
+
+  return recurringItems.filter(item => {
+    if (item.amount >= 0) return true;
+    const match = scadenzaItems.find(s =>
+      !used.has(s)
+      && s.ownerId === item.ownerId
+      && Math.abs(daysBetween(s.date, item.date)) <= SCADENZA_MATCH_DAYS
+      && Math.abs(s.amount - item.amount) <= Math.abs(item.amount) * SCADENZA_MATCH_AMOUNT
+    );
+    if (!match) return true;
+    used.add(match);
+    return false;
+  });
+}
+
+/**
+ * Inizio del periodo (giorno o settimana ISO) a cui appartiene una data
+ */
+function periodStart(iso, granularity) {
+  if (granularity !== 'weekly') return iso;
+  const weekday = (toDate(iso).getUTCDay() + 6) % 7; // lunedì = 0
+  return addDays(iso, -weekday);
+}
+
+/**
+ * Saldo previsto di un conto per giorno o settimana
+ *
+ * @param {Object} params
+ * @param {number} params.startBalance - Saldo a inizio previsione
+ * @param {Array<Object>} params.items - Movimenti attesi del conto
+ * @param {string} params.from - 'YYYY-MM-DD'
+ * @param {string} params.to - 'YYYY-MM-DD'
+ * @param {string} [params.granularity] - 'daily' | 'weekly'
+ * @param {number} [params.threshold] - Soglia sotto la quale il saldo è segnalato
+ * @returns {Object} - { series, endBalance, minBalance, minBalanceDate, firstBelowThreshold, belowThreshold }
+ */
+export function projectBalance({ startBalance, items, from, to, granularity = 'daily', threshold = 0 }) {
+  const byDate = new Map();
+  for (const item of items) {
+    if (item.date < from || item.date > to) continue;
+    byDate.set(item.date, (byDate.get(item.date) || 0) + item.amount);
+  }
+
+  let balance = round2(startBalance);
+  let minBalance = balance;
+  let minBalanceDate = from;
+  const belowThreshold = [];
+  const periods = new Map();
+  let streak = null;
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const dayTotal = byDate.get(date) || 0;
+    balance = round2(balance + dayTotal);
+
+    if (balance < minBalance) {
+      minBalance = balance;
+      minBalanceDate = date;
+    }
+
+    // Periodi consecutivi sotto soglia
+    if (balance < threshold) {
+      if (!streak) {
+        streak = { from: date, to: date, minBalance: balance };
+        belowThreshold.push(streak);
+      }
+      streak.to = date;
+      streak.minBalance = Math.min(streak.minBalance, balance);
+    } else {
+      streak = null;
+    }
+
+    const key = periodStart(date, granularity);
+    const period = periods.get(key) || { date: key, inflows: 0, outflows: 0, balance, minBalance: balance };
+    if (dayTotal > 0) period.inflows = round2(period.inflows + dayTotal);
+    if (dayTotal < 0) period.outflows = round2(period.outflows + dayTotal);
+    period.balance = balance;
+    period.minBalance = Math.min(period.minBalance, balance);
+    periods.set(key, period);
+  }
+
+  return {
+    series: [...periods.values()],
+    endBalance: balance,
+    minBalance,
+    minBalanceDate,
+    firstBelowThreshold: belowThreshold.length > 0 ? belowThreshold[0].from : null,
+    belowThreshold,
+  };
+}
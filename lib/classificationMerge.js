@@ -0,0 +1,316 @@
+/**
+ * Unione di categorie, soggetti o dettagli
+ *
+ * Tutti i riferimenti all'elemento sorgente (transazioni, regole e feedback di
+ * classificazione, esclusioni per categoria, batch di importazione, budget)
+ * vengono spostati sull'elemento di destinazione, insieme ai figli (soggetti di
+ * una categoria, dettagli di un soggetto). Se la destinazione appartiene a un ramo
+ * diverso, anche i livelli superiori vengono riallineati. La sorgente, ormai
+ * vuota, finisce nel cestino.
+ *
+ * @module lib/classificationMerge
+ */
+
+import { softDeleteClassification } from './recycleBin.js';
+import { snapshotTransactions, recordTransactionChanges } from './transactionAudit.js';
+import { updateClassificationPayloads } from './classifierService.js';
+
+// Livelli superiori di ciascun tipo, dal più vicino
+const ANCESTORS = {
+  category: [],
+  subject: ['category'],
+  detail: ['subject', 'category'],
+};
+
+const TABLES = {
+  category: 'categories',
+  subject: 'subjects',
+  detail: 'details',
+};
+
+// Figli che seguono la sorgente nella destinazione: { tabella, colonna padre }
+const CHILDREN = {
+  category: { table: 'subjects', column: 'category_id' },
+  subject: { table: 'details', column: 'subject_id' },
+  detail: null,
+};
+
+// Colonne di riferimento per ciascuna tabella collegata
+const REFERENCES = [
+  { table: 'transactions', key: 'transactions', columns: { category: 'categoryid', subject: 'subjectid', detail: 'detailid' } },
+  { table: 'classification_rules', key: 'classificationRules', columns: { category: 'category_id', subject: 'subject_id', detail: 'detail_id' } },
+  { table: 'classification_feedback', key: 'classificationFeedback', columns: { category: 'corrected_category_id', subject: 'corrected_subject_id', detail: 'corrected_detail_id' } },
+  { table: 'classification_feedback', key: 'classificationFeedbackSuggested', columns: { category: 'suggested_category_id', subject: 'suggested_subject_id', detail: 'suggested_detail_id' } },
+  { table: 'import_batches', key: 'importBatches', columns: { category: 'category_id', subject: 'subject_id', detail: 'detail_id' } },
+];
+
+// Colonne di budgets per ciascun livello
+const BUDGET_COLUMNS = { category: 'category_id', subject: 'subject_id', detail: 'detail_id' };
+
+/**
+ * Carica un elemento con la sua gerarchia (categoria/soggetto di appartenenza)
+ */
+async function loadNode(pg, db, type, id) {
+  const queries = {
+    category: `
+      SELECT c.id AS category_id, c.name AS category_name, NULL::uuid AS subject_id, NULL AS subject_name,
+             NULL::uuid AS detail_id, NULL AS detail_name, c.name
+      FROM categories c
+      WHERE c.id = $1 AND c.db = $2 AND c.deleted_at IS NULL`,
+    subject: `
+      SELECT c.id AS category_id, c.name AS category_name, s.id AS subject_id, s.name AS subject_name,
+             NULL::uuid AS detail_id, NULL AS detail_name, s.name
+      FROM subjects s
+      JOIN categories c ON c.id = s.category_id
+      WHERE s.id = $1 AND s.db = $2 AND s.deleted_at IS NULL`,
+    detail: `
+      SELECT c.id AS category_id, c.name AS category_name, s.id AS subject_id, s.name AS subject_name,
+             d.id AS detail_id, d.name AS detail_name, d.name
+      FROM details d
+      JOIN subjects s ON s.id = d.subject_id
+      JOIN categories c ON c.id = s.category_id
+      WHERE d.id = $1 AND d.db = $2 AND d.deleted_at IS NULL`,
+  };
+  const { rows } = await pg.query(queries[type], [id, db]);
+  return rows[0] || null;
+}
+
+/**
+ * Valida sorgente e destinazione di un'unione
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { db, type, sourceId, targetId }
+ * @returns {Promise<Object>} - { error } oppure { source, target }
+ */
+export async function loadMergePair(pg, { db, type, sourceId, targetId }) {
+  if (!TABLES[type]) {
+    return { error: `Tipo non valido: ${type}`, status: 400 };
+  }
+  if (!db || !sourceId || !targetId) {
+    return { error: 'Parametri mancanti. Richiesti: db, sourceId e targetId', status: 400 };
+  }
+  if (sourceId === targetId) {
+    return { error: 'Sorgente e destinazione coincidono', status: 400 };
+  }
+
+  const [source, target] = await Promise.all([
+    loadNode(pg, db, type, sourceId),
+    loadNode(pg, db, type, targetId),
+  ]);
+
+  if (!source) return { error: 'Elemento sorgente non trovato', status: 404 };
+  if (!target) return { error: 'Elemento di destinazione non trovato', status: 404 };
+
+  return { source, target };
+}
+
+/**
+ * Anteprima dei record che verrebbero spostati dall'unione
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { db, type, source, target } (source/target da loadMergePair)
+ * @returns {Promise<Object>} - Conteggi per tabella e nomi dei figli in conflitto
+ */
+export async function previewMerge(pg, { db, type, source, target }) {
+  const sourceId = source[`${type}_id`];
+  const counts = {};
+
+  for (const ref of REFERENCES) {
+    const { rows } = await pg.query(
+      `SELECT COUNT(*)::int AS count FROM ${ref.table} WHERE db = $1 AND ${ref.columns[type]} = $2`,
+      [db, sourceId]
+    );
+    counts[ref.key] = rows[0].count;
+  }
+
+  const { rows: budgets } = await pg.query(
+    `SELECT COUNT(*)::int AS count FROM budgets WHERE db = $1 AND ${BUDGET_COLUMNS[type]} = $2`,
+    [db, sourceId]
+  );
+  counts.budgets = budgets[0].count;
+
+  const { rows: exclusions } = await pg.query(`
+    SELECT COUNT(*)::int AS count
+    FROM category_tx_exclusions e
+    JOIN transactions t ON t.id = e.transaction_id
+    WHERE e.db = $1 AND e.category_id = $2 AND t.${REFERENCES[0].columns[type]} = $3
+  `, [db, source.category_id, sourceId]);
+  counts.categoryTxExclusions = source.category_id !== target.category_id ? exclusions[0].count : 0;
+
+  let nameConflicts = [];
+  const children = CHILDREN[type];
+  if (children) {
+    const { rows } = await pg.query(`
+      SELECT src.id, src.name, dst.id AS target_child_id
+      FROM ${children.table} src
+      JOIN ${children.table} dst
+        ON LOWER(dst.name) = LOWER(src.name)
+       AND dst.${children.column} = $3
+       AND dst.deleted_at IS NULL
+      WHERE src.db = $1 AND src.${children.column} = $2 AND src.deleted_at IS NULL
+    `, [db, sourceId, target[`${type}_id`]]);
+    nameConflicts = rows;
+
+    const { rows: childCount } = await pg.query(
+      `SELECT COUNT(*)::int AS count FROM ${children.table} WHERE db = $1 AND ${children.column} = $2 AND deleted_at IS NULL`,
+      [db, sourceId]
+    );
+    counts[children.table] = childCount[0].count;
+  }
+
+  return { counts, nameConflicts };
+}
+
+/**
+ * Esegue l'unione (da chiamare con una transazione SQL aperta)
+ * @param {Object} client - Client PostgreSQL con transazione aperta
+ * @param {Object} params - { db, type, source, target, userId }
+ * @returns {Promise<Object>} - Righe aggiornate per tabella
+ */
+export async function executeMerge(client, { db, type, source, target, userId }) {
+  const sourceId = source[`${type}_id`];
+  const targetId = target[`${type}_id`];
+  const levels = [type, ...ANCESTORS[type]];
+  const updated = {};
+
+  // Le esclusioni sono per categoria: se le transazioni cambiano categoria vanno spostate,
+  // eliminando prima quelle che diventerebbero duplicate sulla destinazione
+  if (source.category_id !== target.category_id) {
+    const txColumn = REFERENCES[0].columns[type];
+    await client.query(`
+      DELETE FROM category_tx_exclusions e
+      WHERE e.db = $1
+        AND e.category_id = $2
+        AND e.transaction_id IN (SELECT id FROM transactions WHERE db = $1 AND ${txColumn} = $4)
+        AND EXISTS (
+          SELECT 1 FROM category_tx_exclusions e2
+          WHERE e2.db = e.db AND e2.transaction_id = e.transaction_id AND e2.category_id = $3
+        )
+    `, [db, source.category_id, target.category_id, sourceId]);
+    updated.categoryTxExclusions = (await client.query(`
+      UPDATE category_tx_exclusions
+      SET category_id = $3
+      WHERE db = $1
+        AND category_id = $2
+        AND transaction_id IN (SELECT id FROM transactions WHERE db = $1 AND ${txColumn} = $4)
+    `, [db, source.category_id, target.category_id, sourceId])).rowCount;
+  } else {
+    updated.categoryTxExclusions = 0;
+  }
+
+  // Riferimenti: il livello unito punta alla destinazione, i livelli superiori al ramo della destinazione
+  for (const ref of REFERENCES) {
+    const assignments = levels.map((level, i) => `${ref.columns[level]} = $${i + 3}`);
+    const values = levels.map(level => target[`${level}_id`]);
+
+    updated[ref.key] = (await client.query(
+      `UPDATE ${ref.table} SET ${assignments.join(', ')} WHERE db = $1 AND ${ref.columns[type]} = $2`,
+      [db, sourceId, ...values]
+    )).rowCount;
+  }
+
+  // Budget: le voci che coincidono con una voce della destinazione vengono sommate, le altre spostate
+  const sameLine = Object.entries(BUDGET_COLUMNS).map(([level, column]) => (levels.includes(level)
+    ? `dst.${column} = $${3 + levels.indexOf(level)}`
+    : `dst.${column} IS NOT DISTINCT FROM src.${column}`));
+  const budgetParams = [db, sourceId, ...levels.map(level => target[`${level}_id`])];
+  const matchingBudget = `
+    dst.db = $1 AND dst.year = src.year AND dst.month IS NOT DISTINCT FROM src.month
+    AND ${sameLine.join(' AND ')}`;
+
+  updated.budgetsMerged = (await client.query(`
+    UPDATE budgets dst SET amount = dst.amount + src.amount, updated_at = NOW()
+    FROM budgets src
+    WHERE src.db = $1 AND src.${BUDGET_COLUMNS[type]} = $2 AND ${matchingBudget}
+  `, budgetParams)).rowCount;
+  await client.query(`
+    DELETE FROM budgets src
+    WHERE src.db = $1 AND src.${BUDGET_COLUMNS[type]} = $2
+      AND EXISTS (SELECT 1 FROM budgets dst WHERE ${matchingBudget})
+  `, budgetParams);
+  updated.budgets = (await client.query(
+    `UPDATE budgets SET ${levels.map((level, i) => `${BUDGET_COLUMNS[level]} = $${i + 3}`).join(', ')}, updated_at = NOW()
+     WHERE db = $1 AND ${BUDGET_COLUMNS[type]} = $2`,
+    budgetParams
+  )).rowCount;
+
+  // I figli seguono la sorgente
+  const children = CHILDREN[type];
+  if (children) {
+    updated[children.table] = (await client.query(
+      `UPDATE ${children.table} SET ${children.column} = $3 WHERE db = $1 AND ${children.column} = $2 AND deleted_at IS NULL`,
+      [db, sourceId, targetId]
+    )).rowCount;
+  }
+
+  // La sorgente non è più referenziata: va nel cestino
+  await softDeleteClassification(client, { db, type, id: sourceId, userId });
+
+  return updated;
+}
+
+/**
+ * Payload Qdrant da applicare ai punti della sorgente dopo l'unione
+ * @returns {Object} - { field, sourceId, payload }
+ */
+export function buildQdrantPayloadUpdate({ type, source, target }) {
+  const payload = {};
+  for (const level of [type, ...ANCESTORS[type]]) {
+    payload[`${level}_id`] = target[`${level}_id`];
+    payload[`${level}_name`] = target[`${level}_name`];
+  }
+  return { field: `${type}_id`, sourceId: source[`${type}_id`], payload };
+}
+
+/**
+ * Unione completa: validazione, spostamento dei riferimenti in un'unica transazione SQL,
+ * audit delle transazioni modificate e aggiornamento dei payload Qdrant
+ *
+ * @param {Object} pg - Pool PostgreSQL (fastify.pg)
+ * @param {Object} params - { db, type, sourceId, targetId, userId, route }
+ * @returns {Promise<Object>} - { error, status } oppure { updated, qdrant }
+ */
+export async function mergeClassification(pg, { db, type, sourceId, targetId, userId, route }) {
+  const client = await pg.connect();
+  let pair;
+  let updated;
+
+  try {
+    await client.query('BEGIN');
+
+    pair = await loadMergePair(client, { db, type, sourceId, targetId });
+    if (pair.error) {
+      await client.query('ROLLBACK');
+      return pair;
+    }
+
+    const { rows: affected } = await client.query(
+      `SELECT id FROM transactions WHERE db = $1 AND ${REFERENCES[0].columns[type]} = $2`,
+      [db, sourceId]
+    );
+    const ids = affected.map(r => r.id);
+    const before = await snapshotTransactions(client, db, ids);
+
+    updated = await executeMerge(client, { db, type, source: pair.source, target: pair.target, userId });
+
+    const after = await snapshotTransactions(client, db, ids);
+    await recordTransactionChanges(client, { before, after, route, userId });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Qdrant è fuori dalla transazione SQL: un errore non annulla l'unione,
+  // i punti possono essere riallineati con la re-indicizzazione
+  let qdrant;
+  try {
+    qdrant = await updateClassificationPayloads(db, buildQdrantPayloadUpdate({ type, ...pair }));
+  } catch (error) {
+    console.error('[Merge] Aggiornamento payload Qdrant fallito:', error.message);
+    qdrant = { success: false, error: error.message };
+  }
+
+  return { source: pair.source, target: pair.target, updated, qdrant };
+}
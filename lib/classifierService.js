@@ -11,13 +11,17 @@
  */
 
 import { QdrantClient } from '@qdrant/js-client-rest';
+import { getDbSettings } from './dbSettings.js';
 // Node.js 18+ ha fetch nativo
 
 // ==========================================
 // CONFIGURATION
 // ==========================================
 
-function getConfig() {
+/**
+ * @param {Object} [thresholdOverrides] - Soglie del database (impostazioni, sezione classifier)
+ */
+function getConfig(thresholdOverrides = {}) {
   return {
     qdrant: {
       url: process.env.QDRANT_URL || 'http://qdrant:6333',
@@ -54,7 +58,8 @@ function getConfig() {
           recencyScore: 0.15,
           frequencyScore: 0.15,
         }
-      }
+      },
+      ...thresholdOverrides,
     }
   };
 }
@@ -291,6 +296,9 @@ async function checkRules(transaction, db, pg) {
     FROM classification_rules
     WHERE db = $1 
       AND enabled = true
+      AND NOT EXISTS (
+        SELECT 1 FROM categories c WHERE c.id = classification_rules.category_id AND c.deleted_at IS NOT NULL
+      )
     ORDER BY priority DESC
   `;
   
@@ -408,8 +416,8 @@ async function findEntityMatch(transaction, db, pg) {
           END
         ) as avg_amount_similarity
       FROM classification_feedback cf
-      JOIN categories c ON cf.corrected_category_id = c.id AND c.db = $1
-      JOIN subjects s ON cf.corrected_subject_id = s.id AND s.db = $1
+      JOIN categories c ON cf.corrected_category_id = c.id AND c.db = $1 AND c.deleted_at IS NULL
+      JOIN subjects s ON cf.corrected_subject_id = s.id AND s.db = $1 AND s.deleted_at IS NULL
       LEFT JOIN details d ON cf.corrected_detail_id = d.id AND d.db = $1
       WHERE cf.db = $1
         AND cf.created_at > NOW() - INTERVAL '12 months'
@@ -528,7 +536,7 @@ async function findHistoricalMatch(transaction, db, pg) {
   // 1. Prima prova con descrizione ORIGINALE (threshold alto 0.85)
   // 2. Se non trova nulla, prova con descrizione NORMALIZZATA (threshold più basso 0.70)
   
-  const config = getConfig();
+  const config = getConfig((await getDbSettings(pg, db)).classifier);
   const weights = config.thresholds.weights.exact;
   
   // LIVELLO 1: Descrizione originale (per catturare match con numeri di carte/conti specifici)
@@ -569,8 +577,8 @@ async function findHistoricalMatch(transaction, db, pg) {
         cf.amount as matched_amount
         
       FROM classification_feedback cf
-      JOIN categories c ON cf.corrected_category_id = c.id
-      JOIN subjects s ON cf.corrected_subject_id = s.id
+      JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
+      JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
       LEFT JOIN details d ON cf.corrected_detail_id = d.id
       WHERE cf.db = $1
         AND similarity(lower(cf.original_description), lower($2)) > 0.85
@@ -688,8 +696,8 @@ async function findHistoricalMatch(transaction, db, pg) {
         cf.amount as matched_amount
         
       FROM classification_feedback cf
-      JOIN categories c ON cf.corrected_category_id = c.id
-      JOIN subjects s ON cf.corrected_subject_id = s.id
+      JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
+      JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
       LEFT JOIN details d ON cf.corrected_detail_id = d.id
       WHERE cf.db = $1
         AND similarity(
@@ -828,8 +836,8 @@ async function findHistoricalMatch(transaction, db, pg) {
         cf.amount as matched_amount
         
       FROM classification_feedback cf
-      JOIN categories c ON cf.corrected_category_id = c.id
-      JOIN subjects s ON cf.corrected_subject_id = s.id
+      JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
+      JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
       LEFT JOIN details d ON cf.corrected_detail_id = d.id
       WHERE cf.db = $1
         AND $2::text IS NOT NULL
@@ -927,7 +935,7 @@ async function findHistoricalMatch(transaction, db, pg) {
  */
 async function semanticSearch(transaction, db, pg) {
   const qdrantClient = getQdrantClient();
-  const config = getConfig();
+  const config = getConfig((await getDbSettings(pg, db)).classifier);
   
   // 1. Genera embedding
   const amountBucket = getAmountBucket(transaction.amount);
@@ -1158,7 +1166,7 @@ export async function reindexTransactions(db, pg, limit = 5000) {
     JOIN categories c ON t.categoryid = c.id
     JOIN subjects s ON t.subjectid = s.id
     LEFT JOIN details d ON t.detailid = d.id
-    WHERE t.db = $1
+    WHERE t.db = $1 AND t.deleted_at IS NULL
       AND t.categoryid IS NOT NULL
       AND t.subjectid IS NOT NULL
       AND t.status = 'completed'
@@ -1344,7 +1352,7 @@ function getAmountRange(bucket) {
  * "Ricarica Postepay 4023600000000000 - Annamaria Orlando"
  * → "ricarica postepay 4023600000000000 annamaria orlando" (MANTIENE numero carta!)
  */
-function normalizeDescription(description) {
+export function normalizeDescription(description) {
   if (!description) return '';
   
   let normalized = description;
@@ -1423,6 +1431,33 @@ function extractSignificantTokens(description) {
   return [...new Set(tokens)]; // Rimuovi duplicati
 }
 
+/**
+ * Aggiorna il payload di tutti i punti Qdrant che puntano ad una classificazione
+ * Usata dopo l'unione di categorie/soggetti/dettagli, per non dover re-indicizzare
+ * 
+ * @param {string} db - Database ID
+ * @param {Object} params
+ * @param {string} params.field - Campo del payload da filtrare (es. 'subject_id')
+ * @param {string} params.sourceId - Valore da sostituire
+ * @param {Object} params.payload - Nuovi valori (id e nomi della destinazione)
+ * @returns {Promise<Object>}
+ */
+export async function updateClassificationPayloads(db, { field, sourceId, payload }) {
+  const qdrantClient = getQdrantClient();
+  const collectionName = `transactions_${db}`;
+
+  await qdrantClient.setPayload(collectionName, {
+    wait: true,
+    payload,
+    filter: {
+      must: [{ key: field, match: { value: sourceId } }],
+    },
+  });
+
+  console.log(`[Qdrant Payload] ✅ Aggiornati i punti con ${field}=${sourceId} in ${collectionName}`);
+  return { success: true, collection: collectionName };
+}
+
 /**
  * Indicizza singola transazione in Qdrant (per apprendimento real-time)
  * Chiamata dopo che l'utente classifica una transazione
@@ -1463,6 +1498,7 @@ export async function indexSingleTransaction(transactionId, db, pg) {
       AND t.categoryid IS NOT NULL
       AND t.subjectid IS NOT NULL
       AND t.status = 'completed'
+      AND t.deleted_at IS NULL
   `;
   
   const result = await pg.query(query, [transactionId, db]);
@@ -1587,6 +1623,7 @@ export async function indexBatchTransactions(transactionIds, db, pg) {
       AND t.categoryid IS NOT NULL
       AND t.subjectid IS NOT NULL
       AND t.status = 'completed'
+      AND t.deleted_at IS NULL
   `;
   
   const result = await pg.query(query, [db, ...transactionIds]);
@@ -1785,8 +1822,8 @@ export async function analyzeFeedbackPatterns(db, pg, minOccurrences = 3, minCon
         s.name as suggested_subject_name,
         d.name as suggested_detail_name
       FROM pattern_stats ps
-      JOIN categories c ON ps.most_common_category = c.id
-      JOIN subjects s ON ps.most_common_subject = s.id
+      JOIN categories c ON ps.most_common_category = c.id AND c.deleted_at IS NULL
+      JOIN subjects s ON ps.most_common_subject = s.id AND s.deleted_at IS NULL
       LEFT JOIN details d ON ps.most_common_detail = d.id
       WHERE ps.consistency_score >= $3
       ORDER BY ps.occurrences DESC, ps.consistency_score DESC
@@ -1977,7 +2014,7 @@ export async function calculateAnalytics(db, pg, days = 30) {
           c.name as category_name, COUNT(*) as count,
           ROUND(AVG(cf.suggestion_confidence), 2) as avg_confidence
         FROM classification_feedback cf
-        JOIN categories c ON cf.corrected_category_id = c.id
+        JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
         WHERE cf.db = $1 AND cf.created_at >= $2
         GROUP BY c.id, c.name ORDER BY count DESC LIMIT 10
       `, [db, dateFrom]),
@@ -1988,7 +2025,7 @@ export async function calculateAnalytics(db, pg, days = 30) {
           s.name as subject_name, c.name as category_name, COUNT(*) as count,
           ROUND(AVG(cf.suggestion_confidence), 2) as avg_confidence
         FROM classification_feedback cf
-        JOIN subjects s ON cf.corrected_subject_id = s.id
+        JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
         JOIN categories c ON s.category_id = c.id
         WHERE cf.db = $1 AND cf.created_at >= $2
         GROUP BY s.id, s.name, c.name ORDER BY count DESC LIMIT 10
@@ -0,0 +1,241 @@
+/**
+ * Impostazioni per database
+ *
+ * Documento JSON in databases.settings diviso in sezioni. SETTINGS_SCHEMA
+ * definisce tipo, vincoli e valore predefinito di ogni chiave: i valori salvati
+ * sono sempre validati e le chiavi assenti (o impostate a null) usano il
+ * predefinito. La password SMTP non viene mai restituita in chiaro.
+ *
+ * @module lib/dbSettings
+ */
+
+import { cache } from './cache.js';
+
+const CACHE_NAMESPACE = 'db-settings';
+const CACHE_TTL_SECONDS = 60;
+
+// Valore restituito al posto della password SMTP; se rinviato non la modifica
+export const SECRET_MASK = '********';
+
+function isValidTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('it-IT', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+function isValidCurrency(value) {
+  try {
+    new Intl.NumberFormat('it-IT', { style: 'currency', currency: value });
+    return /^[A-Z]{3}$/.test(value);
+  } catch {
+    return false;
+  }
+}
+
+export const SETTINGS_SCHEMA = {
+  general: {
+    currency: { type: 'string', default: 'EUR', check: isValidCurrency, description: 'Valuta ISO 4217' },
+    locale: { type: 'string', default: 'it-IT', check: isValidLocale, description: 'Formato di numeri e date nelle email' },
+    timezone: { type: 'string', default: 'Europe/Rome', check: isValidTimezone, description: 'Fuso orario IANA' },
+    fiscalYearStartMonth: { type: 'integer', default: 1, min: 1, max: 12, description: 'Mese di inizio dell\'anno fiscale' },
+  },
+  scadenziario: {
+    alertDays: { type: 'integer', default: 15, min: 0, max: 365, description: 'Giorni di preavviso predefiniti per le nuove scadenze' },
+    upcomingDays: { type: 'integer', default: 15, min: 1, max: 365, description: 'Giorni entro cui una scadenza è "in arrivo"' },
+  },
+  alerts: {
+    enabled: { type: 'boolean', default: true, description: 'Invio giornaliero delle email di avviso' },
+    hour: { type: 'integer', default: 8, min: 0, max: 23, description: 'Ora di invio nel fuso orario del database' },
+  },
+  smtp: {
+    host: { type: 'string', default: null, description: 'Server SMTP (vuoto: configurazione globale)' },
+    port: { type: 'integer', default: null, min: 1, max: 65535 },
+    user: { type: 'string', default: null },
+    pass: { type: 'string', default: null, secret: true },
+    from: { type: 'string', default: null, description: 'Mittente delle email' },
+  },
+  classifier: {
+    exactConfidenceMin: { type: 'integer', default: 85, min: 0, max: 100 },
+    semanticConfidenceMin: { type: 'integer', default: 70, min: 0, max: 100 },
+    vectorSimilarityMin: { type: 'number', default: 0.82, min: 0, max: 1 },
+    amountProximityMin: { type: 'number', default: 0.70, min: 0, max: 1 },
+  },
+};
+
+function settingsError(message, statusCode, details) {
+  return Object.assign(new Error(message), { statusCode, details });
+}
+
+function validateValue(key, spec, value) {
+  if (spec.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${key} deve essere true o false`;
+  }
+  if (spec.type === 'string') {
+    if (typeof value !== 'string' || value.trim() === '') return `${key} deve essere un testo non vuoto`;
+  } else {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} deve essere un numero`;
+    if (spec.type === 'integer' && !Number.isInteger(value)) return `${key} deve essere un numero intero`;
+    if (spec.min !== undefined && value < spec.min) return `${key} deve essere almeno ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${key} deve essere al massimo ${spec.max}`;
+  }
+  if (spec.check && !spec.check(value)) return `${key} non è valido`;
+  return null;
+}
+
+/**
+ * Impostazioni complete: valori salvati validi sopra i predefiniti
+ * @param {Object} [stored] - Contenuto di databases.settings
+ * @returns {Object}
+ */
+export function resolveSettings(stored = {}) {
+  const settings = {};
+  for (const [section, keys] of Object.entries(SETTINGS_SCHEMA)) {
+    settings[section] = {};
+    for (const [key, spec] of Object.entries(keys)) {
+      const value = stored?.[section]?.[key];
+      const valid = value !== undefined && value !== null && !validateValue(key, spec, value);
+      settings[section][key] = valid ? value : spec.default;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Impostazioni da restituire al client (segreti mascherati)
+ */
+export function publicSettings(settings) {
+  const result = {};
+  for (const [section, keys] of Object.entries(SETTINGS_SCHEMA)) {
+    result[section] = { ...settings[section] };
+    for (const [key, spec] of Object.entries(keys)) {
+      if (spec.secret && result[section][key]) result[section][key] = SECRET_MASK;
+    }
+  }
+  return result;
+}
+
+/**
+ * Schema descrittivo per il client (senza funzioni di controllo)
+ */
+export function describeSettingsSchema() {
+  const result = {};
+  for (const [section, keys] of Object.entries(SETTINGS_SCHEMA)) {
+    result[section] = {};
+    for (const [key, { check, secret, ...spec }] of Object.entries(keys)) {
+      result[section][key] = secret ? { ...spec, secret: true } : spec;
+    }
+  }
+  return result;
+}
+
+/**
+ * Valida una modifica parziale ({ sezione: { chiave: valore } }).
+ * null riporta la chiave al valore predefinito.
+ * @returns {Object} - { errors: string[] }
+ */
+export function validateSettingsPatch(patch) {
+  const errors = [];
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { errors: ['Le impostazioni devono essere un oggetto'] };
+  }
+  for (const [section, values] of Object.entries(patch)) {
+    const keys = SETTINGS_SCHEMA[section];
+    if (!keys) {
+      errors.push(`Sezione sconosciuta: ${section}`);
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${section} deve essere un oggetto`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      const spec = keys[key];
+      if (!spec) {
+        errors.push(`Impostazione sconosciuta: ${section}.${key}`);
+      } else if (value !== null && !(spec.secret && value === SECRET_MASK)) {
+        const error = validateValue(`${section}.${key}`, spec, value);
+        if (error) errors.push(error);
+      }
+    }
+  }
+  return { errors };
+}
+
+/**
+ * Impostazioni di un database (con cache breve)
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {string} db - db_key
+ * @returns {Promise<Object>} - Impostazioni complete; predefinite se il db non esiste
+ */
+export async function getDbSettings(pg, db) {
+  if (!db) return resolveSettings();
+  const cached = cache.get(CACHE_NAMESPACE, db);
+  if (cached) return cached;
+
+  const { rows } = await pg.query('SELECT settings FROM databases WHERE db_key = $1', [db]);
+  const settings = resolveSettings(rows[0]?.settings);
+  cache.set(CACHE_NAMESPACE, db, settings, CACHE_TTL_SECONDS);
+  return settings;
+}
+
+/**
+ * Impostazioni di tutti i database attivi
+ * @returns {Promise<Array<Object>>} - [{ db, settings }]
+ */
+export async function listDbSettings(pg) {
+  const { rows } = await pg.query('SELECT db_key, settings FROM databases WHERE is_active = true ORDER BY db_key');
+  return rows.map(row => ({ db: row.db_key, settings: resolveSettings(row.settings) }));
+}
+
+/**
+ * Applica una modifica parziale e restituisce le impostazioni complete
+ * @throws {Error} - statusCode 400 (details: errori di validazione) o 404
+ */
+export async function updateDbSettings(pg, db, patch) {
+  const { errors } = validateSettingsPatch(patch);
+  if (errors.length > 0) {
+    throw settingsError('Impostazioni non valide', 400, errors);
+  }
+
+  const { rows } = await pg.query('SELECT settings FROM databases WHERE db_key = $1', [db]);
+  if (rows.length === 0) {
+    throw settingsError('Database non trovato', 404);
+  }
+
+  const stored = rows[0].settings || {};
+  for (const [section, values] of Object.entries(patch)) {
+    stored[section] = { ...stored[section] };
+    for (const [key, value] of Object.entries(values)) {
+      if (SETTINGS_SCHEMA[section][key].secret && value === SECRET_MASK) continue;
+      if (value === null) delete stored[section][key];
+      else stored[section][key] = value;
+    }
+  }
+
+  await pg.query(
+    'UPDATE databases SET settings = $2::jsonb, updated_at = CURRENT_TIMESTAMP WHERE db_key = $1',
+    [db, JSON.stringify(stored)]
+  );
+  cache.delete(CACHE_NAMESPACE, db);
+  return resolveSettings(stored);
+}
+
+/**
+ * Anno fiscale di una data, indicato con l'anno solare in cui inizia
+ * (con inizio ad aprile, marzo 2026 appartiene al 2025)
+ */
+export function fiscalYearOf(date, fiscalYearStartMonth = 1) {
+  const year = date.getFullYear();
+  return date.getMonth() + 1 >= fiscalYearStartMonth ? year : year - 1;
+}
@@ -0,0 +1,148 @@
+/**
+ * Gestione centralizzata degli errori HTTP
+ *
+ * Tutti gli errori non gestiti dalle rotte e le rotte inesistenti rispondono
+ * con la stessa forma:
+ *
+ *   { success: false, statusCode, error, code, message, details?, correlationId }
+ *
+ * - error: descrizione HTTP dello stato (compatibile con la risposta predefinita di Fastify)
+ * - code: codice leggibile dalle macchine (VALIDATION_ERROR, NOT_FOUND, ...)
+ * - details: elenco dei problemi di validazione, se presenti
+ * - correlationId: lo stesso dell'header X-Request-Id, da citare nelle segnalazioni
+ *
+ * Gli errori di validazione (schema Fastify, JSON malformato, vincoli e tipi
+ * PostgreSQL) rispondono 400 o 409 invece di 500. Gli errori con statusCode
+ * (Object.assign(new Error(msg), { statusCode }) nelle librerie) mantengono
+ * il loro stato. Per i 5xx il messaggio originale resta solo nei log.
+ *
+ * @module lib/errorHandler
+ */
+
+import { STATUS_CODES } from 'node:http';
+
+const CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  406: 'NOT_ACCEPTABLE',
+  408: 'REQUEST_TIMEOUT',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'GATEWAY_TIMEOUT',
+};
+
+// Errori PostgreSQL dovuti ai dati inviati dal client
+const PG_CLIENT_ERRORS = {
+  '23505': { statusCode: 409, code: 'CONFLICT', message: 'Esiste già un elemento con questi valori' },
+  '23503': { statusCode: 409, code: 'CONFLICT', message: 'Elemento collegato inesistente o ancora in uso' },
+  '23502': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Campo obbligatorio mancante' },
+  '23514': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Valore non consentito' },
+  '22P02': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Formato di un valore non valido' },
+  '22007': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Data non valida' },
+  '22008': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Data fuori intervallo' },
+  '22003': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Valore numerico fuori intervallo' },
+  '22001': { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Testo troppo lungo' },
+};
+
+function isPgError(error) {
+  return typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code) && 'severity' in error;
+}
+
+export function codeForStatus(statusCode) {
+  return CODES_BY_STATUS[statusCode] ?? (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * Corpo di risposta di errore nel formato comune
+ */
+export function errorEnvelope(request, { statusCode, code, message, details }) {
+  return {
+    success: false,
+    statusCode,
+    error: STATUS_CODES[statusCode] ?? 'Error',
+    code: code ?? codeForStatus(statusCode),
+    message,
+    ...(details && { details }),
+    correlationId: request.id,
+  };
+}
+
+/**
+ * Stato, codice e messaggio da restituire per un errore
+ */
+export function describeError(error) {
+  if (error.validation) {
+    return {
+      statusCode: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Dati della richiesta non validi',
+      details: error.validation.map(issue => ({
+        field: [error.validationContext, issue.instancePath?.replace(/^\//, '').replace(/\//g, '.') || issue.params?.missingProperty]
+          .filter(Boolean).join('.'),
+        message: issue.message,
+      })),
+    };
+  }
+
+  if (isPgError(error) && PG_CLIENT_ERRORS[error.code]) {
+    return { ...PG_CLIENT_ERRORS[error.code], details: error.constraint ? [{ constraint: error.constraint }] : undefined };
+  }
+
+  const statusCode = Number.isInteger(error.statusCode) && error.statusCode >= 400 && error.statusCode < 600
+    ? error.statusCode
+    : 500;
+
+  if (statusCode >= 500) {
+    return { statusCode, code: codeForStatus(statusCode), message: 'Errore interno del server' };
+  }
+
+  // Corpo JSON malformato o vuoto (FST_ERR_CTP_*)
+  const code = typeof error.code === 'string' && error.code.startsWith('FST_ERR_CTP_') && statusCode === 400
+    ? 'VALIDATION_ERROR'
+    : codeForStatus(statusCode);
+
+  return {
+    statusCode,
+    code,
+    message: error.message,
+    details: Array.isArray(error.details) ? error.details : undefined,
+  };
+}
+
+/**
+ * setErrorHandler di Fastify
+ */
+export function errorHandler(error, request, reply) {
+  const described = describeError(error);
+
+  if (described.statusCode >= 500) {
+    request.log.error({ err: error }, 'Errore non gestito');
+  } else {
+    request.log.info({ code: described.code, statusCode: described.statusCode }, described.message);
+  }
+
+  if (error.headers) reply.headers(error.headers);
+  reply.status(described.statusCode).send(errorEnvelope(request, described));
+}
+
+/**
+ * setNotFoundHandler di Fastify
+ */
+export function notFoundHandler(request, reply) {
+  reply.status(404).send(errorEnvelope(request, {
+    statusCode: 404,
+    code: 'ROUTE_NOT_FOUND',
+    message: `Rotta ${request.method} ${request.url.split('?')[0]} inesistente`,
+  }));
+}
@@ -137,7 +137,7 @@ function logCalculationDetails(context, data) {
   });
 }
 
-module.exports = {
+export {
   calculateMonthlyAverageExpense,
   calculateAverageFromMonthlyData,
   validateCalculationParams,
@@ -0,0 +1,115 @@
+/**
+ * Rilevamento dei movimenti duplicati in fase di importazione
+ *
+ * Ogni riga in ingresso viene confrontata con le transazioni già presenti
+ * per lo stesso conto tramite un fingerprint (conto, data, importo, descrizione
+ * normalizzata) e classificata come:
+ * - 'duplicate':  movimento già presente (fingerprint identico)
+ * - 'suspicious': stesso conto e importo con data vicina o descrizione diversa
+ * - 'new':        movimento non presente
+ *
+ * @module lib/importDeduplication
+ */
+
+import crypto from 'crypto';
+import { normalizeDescription } from './classifierService.js';
+
+// Giorni di tolleranza per considerare "sospetto" un movimento con stesso importo
+const SUSPICIOUS_DAYS_WINDOW = 3;
+
+function formatDate(date) {
+  if (date instanceof Date) return date.toISOString().split('T')[0];
+  return String(date).substring(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * Calcola il fingerprint di un movimento
+ * @param {Object} movement - { ownerId, date, amount, description }
+ * @returns {string} - Hash SHA-1 esadecimale
+ */
+export function fingerprintMovement({ ownerId, date, amount, description }) {
+  const key = [
+    ownerId,
+    formatDate(date),
+    (Math.round(parseFloat(amount) * 100) / 100).toFixed(2),
+    normalizeDescription(description || ''),
+  ].join('|');
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Classifica le righe da importare rispetto alle transazioni esistenti
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params
+ * @param {string} params.db - Database
+ * @param {string} params.ownerId - Conto di destinazione
+ * @param {Array<Object>} params.rows - Righe normalizzate { index, date, amount, description }
+ * @returns {Promise<Array<Object>>} - Righe arricchite con status, fingerprint e match
+ */
+export async function classifyImportRows(pg, { db, ownerId, rows }) {
+  const datedRows = rows.filter(r => r.date);
+  if (datedRows.length === 0) {
+    return rows.map(r => ({ ...r, status: 'new', fingerprint: null, matches: [] }));
+  }
+
+  const dates = datedRows.map(r => formatDate(r.date)).sort();
+  const { rows: existing } = await pg.query(`
+    SELECT
+      t.id,
+      to_char(t.date, 'YYYY-MM-DD') AS date,
+      t.amount::float AS amount,
+      t.description,
+      t.import_batch_id
+    FROM transactions t
+    WHERE t.db = $1 AND t.deleted_at IS NULL
+      AND t.ownerid = $2
+      AND t.date BETWEEN ($3::date - $5::int) AND ($4::date + $5::int)
+  `, [db, ownerId, dates[0], dates[dates.length - 1], SUSPICIOUS_DAYS_WINDOW]);
+
+  // Indicizza le transazioni esistenti per fingerprint, tenendo conto delle occorrenze multiple
+  const byFingerprint = new Map();
+  for (const tx of existing) {
+    const fp = fingerprintMovement({ ownerId, date: tx.date, amount: tx.amount, description: tx.description });
+    if (!byFingerprint.has(fp)) byFingerprint.set(fp, []);
+    byFingerprint.get(fp).push(tx);
+  }
+
+  return rows.map(row => {
+    if (!row.date) return { ...row, status: 'new', fingerprint: null, matches: [] };
+
+    const fingerprint = fingerprintMovement({ ownerId, date: row.date, amount: row.amount, description: row.description });
+
+    // Due movimenti identici nello stesso file sono legittimi: ogni esistente ne "consuma" uno solo
+    const exact = byFingerprint.get(fingerprint);
+    if (exact && exact.length > 0) {
+      const match = exact.shift();
+      return { ...row, status: 'duplicate', fingerprint, matches: [match] };
+    }
+
+    const amount = Math.round(parseFloat(row.amount) * 100) / 100;
+    const near = existing.filter(tx =>
+      Math.round(tx.amount * 100) / 100 === amount &&
+      daysBetween(tx.date, formatDate(row.date)) <= SUSPICIOUS_DAYS_WINDOW
+    );
+    if (near.length > 0) {
+      return { ...row, status: 'suspicious', fingerprint, matches: near };
+    }
+
+    return { ...row, status: 'new', fingerprint, matches: [] };
+  });
+}
+
+/**
+ * Riepilogo dei conteggi per stato
+ * @param {Array<Object>} classifiedRows - Output di classifyImportRows
+ */
+export function summarizeClassification(classifiedRows) {
+  return classifiedRows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1;
+    return acc;
+  }, { new: 0, duplicate: 0, suspicious: 0 });
+}
@@ -0,0 +1,111 @@
+/**
+ * Profili di mappatura colonne per l'importazione Excel
+ *
+ * Ogni conto (owners) esporta un layout Excel leggermente diverso: una volta
+ * confermata, la mappatura viene salvata per il conto e riutilizzata nelle
+ * importazioni successive al posto del rilevamento euristico.
+ *
+ * @module lib/importMappingProfiles
+ */
+
+const COLUMN_KEYS = ['dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn'];
+
+/**
+ * Valida una mappatura colonne
+ * @param {Object} mapping
+ * @returns {string[]} - Elenco degli errori (vuoto se valida)
+ */
+export function validateMapping(mapping) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object') {
+    return ['La mappatura deve essere un oggetto'];
+  }
+
+  for (const key of COLUMN_KEYS) {
+    const value = mapping[key];
+    if (value !== null && value !== undefined && !/^[A-Z]$/.test(value)) {
+      errors.push(`${key} deve essere una lettera di colonna (A-Z)`);
+    }
+  }
+
+  if (!mapping.dateColumn) errors.push('dateColumn è obbligatorio');
+  if (!mapping.descriptionColumn) errors.push('descriptionColumn è obbligatorio');
+
+  if (!mapping.amountColumn && !(mapping.debitColumn && mapping.creditColumn)) {
+    errors.push('Specificare amountColumn oppure debitColumn e creditColumn');
+  }
+
+  if (mapping.decimalSeparator && ![',', '.'].includes(mapping.decimalSeparator)) {
+    errors.push('decimalSeparator deve essere "," oppure "."');
+  }
+
+  if (mapping.startRow !== undefined && (!Number.isInteger(mapping.startRow) || mapping.startRow < 0)) {
+    errors.push('startRow deve essere un intero maggiore o uguale a 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Mantiene solo le chiavi note della mappatura
+ */
+function sanitizeMapping(mapping) {
+  return {
+    sheetName: mapping.sheetName || null,
+    startRow: mapping.startRow || 0,
+    dateColumn: mapping.dateColumn,
+    descriptionColumn: mapping.descriptionColumn,
+    amountColumn: mapping.amountColumn || null,
+    debitColumn: mapping.amountColumn ? null : mapping.debitColumn,
+    creditColumn: mapping.amountColumn ? null : mapping.creditColumn,
+    decimalSeparator: mapping.decimalSeparator || null,
+  };
+}
+
+/**
+ * Recupera il profilo di mappatura di un conto
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {string} db
+ * @param {string} ownerId
+ * @returns {Promise<Object|null>}
+ */
+export async function getMappingProfile(pg, db, ownerId) {
+  const { rows } = await pg.query(
+    `SELECT id, owner_id, mapping, created_at, updated_at
+     FROM import_mapping_profiles
+     WHERE db = $1 AND owner_id = $2`,
+    [db, ownerId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Crea o aggiorna il profilo di mappatura di un conto
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { db, ownerId, mapping }
+ * @returns {Promise<Object>}
+ */
+export async function saveMappingProfile(pg, { db, ownerId, mapping }) {
+  const { rows } = await pg.query(
+    `INSERT INTO import_mapping_profiles (db, owner_id, mapping)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (db, owner_id)
+     DO UPDATE SET mapping = EXCLUDED.mapping, updated_at = NOW()
+     RETURNING id, owner_id, mapping, created_at, updated_at`,
+    [db, ownerId, JSON.stringify(sanitizeMapping(mapping))]
+  );
+  return rows[0];
+}
+
+/**
+ * Elimina il profilo di mappatura di un conto
+ * @returns {Promise<boolean>} - true se un profilo è stato eliminato
+ */
+export async function deleteMappingProfile(pg, db, ownerId) {
+  const { rowCount } = await pg.query(
+    'DELETE FROM import_mapping_profiles WHERE db = $1 AND owner_id = $2',
+    [db, ownerId]
+  );
+  return rowCount > 0;
+}
@@ -0,0 +1,116 @@
+/**
+ * Logger strutturato (pino)
+ *
+ * Un solo logger per server, job e worker. Le righe di log riportano il
+ * correlation ID della richiesta o del job in corso (lib/requestContext.js).
+ * Password, token, segreti e IBAN sono oscurati sia nei campi degli oggetti
+ * loggati sia nel testo dei messaggi.
+ *
+ * Variabili d'ambiente: LOG_LEVEL (predefinito info), LOG_PRETTY (true per
+ * l'output leggibile di pino-pretty; predefinito in sviluppo, cioè senza PROD).
+ *
+ * Il codice esistente che usa console.* passa dal logger dopo redirectConsole().
+ *
+ * @module lib/logger
+ */
+
+import { format } from 'node:util';
+import pino from 'pino';
+import { getContextLogger, getCorrelationId } from './requestContext.js';
+
+const CENSOR = '[REDACTED]';
+
+const SENSITIVE_KEYS = [
+  'password', 'newPassword', 'currentPassword', 'password_hash', 'pass',
+  'token', 'accessToken', 'refreshToken', 'resetToken', 'secret', 'totp_secret',
+  'recoveryCodes', 'iban',
+];
+
+export const REDACT_PATHS = [
+  'req.headers.authorization',
+  'req.headers.cookie',
+  'headers.authorization',
+  ...SENSITIVE_KEYS,
+  ...SENSITIVE_KEYS.map(key => `*.${key}`),
+  ...SENSITIVE_KEYS.map(key => `*.*.${key}`),
+];
+
+// IBAN: 2 lettere, 2 cifre di controllo e 11-30 caratteri, anche a gruppi di 4
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi;
+const SECRET_ASSIGNMENT_PATTERN = /("?(?:password|pass|token|secret)"?\s*[:=]\s*"?)[^"\s,&}]+/gi;
+
+function maskIban(match) {
+  const compact = match.replace(/ /g, '');
+  return `${compact.slice(0, 4)}****${compact.slice(-4)}`;
+}
+
+/**
+ * Oscura IBAN, token Bearer e assegnazioni di password/segreti in un testo
+ */
+export function maskSensitiveText(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(IBAN_PATTERN, maskIban)
+    .replace(BEARER_PATTERN, `$1${CENSOR}`)
+    .replace(SECRET_ASSIGNMENT_PATTERN, `$1${CENSOR}`);
+}
+
+/**
+ * Opzioni pino condivise (usate anche come loggerInstance di Fastify)
+ */
+export function loggerOptions() {
+  const pretty = process.env.LOG_PRETTY !== undefined ? process.env.LOG_PRETTY === 'true' : !process.env.PROD;
+  return {
+    level: process.env.LOG_LEVEL || 'info',
+    redact: { paths: REDACT_PATHS, censor: CENSOR },
+    serializers: { err: pino.stdSerializers.err },
+    hooks: {
+      logMethod(args, method) {
+        method.apply(this, args.map(maskSensitiveText));
+      },
+    },
+    ...(pretty && {
+      transport: { target: 'pino-pretty', options: { translateTime: 'SYS:standard', ignore: 'pid,hostname' } },
+    }),
+  };
+}
+
+let rootLogger = null;
+
+/**
+ * Logger radice, creato al primo uso (dopo il caricamento di .env)
+ */
+export function getRootLogger() {
+  if (!rootLogger) rootLogger = pino(loggerOptions());
+  return rootLogger;
+}
+
+/**
+ * Logger del contesto corrente: request.log nelle richieste, un figlio con
+ * correlationId nei job, altrimenti il logger radice
+ */
+export function getLogger() {
+  const contextLogger = getContextLogger();
+  if (contextLogger) return contextLogger;
+  const correlationId = getCorrelationId();
+  return correlationId ? getRootLogger().child({ correlationId }) : getRootLogger();
+}
+
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+
+/**
+ * Inoltra console.* al logger. Il primo Error tra gli argomenti finisce nel
+ * campo err (con lo stack), il resto forma il messaggio.
+ */
+export function redirectConsole() {
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => {
+      const err = args.find(arg => arg instanceof Error);
+      const rest = err ? args.filter(arg => arg !== err) : args;
+      const message = rest.length > 0 ? format(...rest) : err?.message;
+      if (err) getLogger()[level]({ err }, message);
+      else getLogger()[level](message);
+    };
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Protezione del login da attacchi a forza bruta
+ *
+ * Per account: dopo FREE_ATTEMPTS fallimenti consecutivi ogni nuovo tentativo
+ * deve attendere un ritardo crescente (1s, 2s, 4s, ... fino a MAX_DELAY_SECONDS)
+ * dall'ultimo fallimento; raggiunti MAX_FAILED_ATTEMPTS l'account è bloccato per
+ * LOCKOUT_MINUTES. I fallimenti del secondo fattore (2FA) contano come quelli
+ * della password. Un accesso riuscito azzera il contatore.
+ *
+ * Per IP: oltre IP_MAX_FAILED_ATTEMPTS fallimenti nella finestra di
+ * IP_WINDOW_MINUTES, qualsiasi account, l'IP viene respinto fino allo scadere
+ * della finestra. Dietro un reverse proxy l'IP del client arriva da
+ * X-Forwarded-For solo se il proxy è indicato in TRUST_PROXY (vedi index.js):
+ * altrimenti tutti i tentativi risultano dall'IP del proxy.
+ *
+ * Ogni tentativo è registrato in login_attempts.
+ *
+ * @module lib/loginProtection
+ */
+
+export const FREE_ATTEMPTS = 3;
+export const MAX_DELAY_SECONDS = 30;
+export const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+export const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+export const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20', 10);
+export const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Attesa richiesta prima del prossimo tentativo dopo N fallimenti consecutivi
+ * @returns {number} - Secondi
+ */
+export function progressiveDelaySeconds(failedCount) {
+  if (failedCount < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Verifica se un tentativo di login è consentito
+ *
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { user: riga di users o null, ip }
+ * @returns {Promise<Object|null>} - null se consentito, altrimenti { error, status, retryAfter, reason }
+ */
+export async function checkLoginAllowed(pg, { user, ip, now = new Date() }) {
+  if (ip) {
+    const { rows } = await pg.query(`
+      SELECT COUNT(*)::int AS failures, MIN(created_at) AS oldest
+      FROM login_attempts
+      WHERE ip_address = $1 AND success = false
+        AND created_at > NOW() - make_interval(mins => $2)
+    `, [ip, IP_WINDOW_MINUTES]);
+
+    if (rows[0].failures >= IP_MAX_FAILED_ATTEMPTS) {
+      const resetAt = new Date(rows[0].oldest).getTime() + IP_WINDOW_MINUTES * 60000;
+      return {
+        error: 'Troppi tentativi di accesso falliti da questo indirizzo. Riprova più tardi',
+        status: 429,
+        retryAfter: Math.max(1, Math.ceil((resetAt - now.getTime()) / 1000)),
+        reason: 'ip_blocked',
+      };
+    }
+  }
+
+  if (!user) return null;
+
+  if (user.locked_until && new Date(user.locked_until) > now) {
+    return {
+      error: 'Account temporaneamente bloccato per troppi tentativi falliti',
+      status: 423,
+      retryAfter: Math.ceil((new Date(user.locked_until) - now) / 1000),
+      reason: 'locked',
+    };
+  }
+
+  const delay = progressiveDelaySeconds(user.failed_login_count || 0);
+  if (delay > 0 && user.last_failed_login_at) {
+    const nextAllowed = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+    if (nextAllowed > now.getTime()) {
+      return {
+        error: 'Troppi tentativi ravvicinati. Attendi prima di riprovare',
+        status: 429,
+        retryAfter: Math.ceil((nextAllowed - now.getTime()) / 1000),
+        reason: 'throttled',
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Registra un tentativo nello storico
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} attempt - { userId, email, ip, userAgent, success, reason }
+ */
+export async function recordLoginAttempt(pg, { userId = null, email = null, ip = null, userAgent = null, success, reason }) {
+  await pg.query(`
+    INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [userId, email, ip, userAgent, success, reason]);
+}
+
+/**
+ * Incrementa i fallimenti consecutivi e blocca l'account al raggiungimento del limite
+ * @returns {Promise<Object>} - { failedCount, lockedUntil }
+ */
+export async function registerLoginFailure(pg, userId) {
+  const { rows } = await pg.query(`
+    UPDATE users
+    SET failed_login_count = COALESCE(failed_login_count, 0) + 1,
+        last_failed_login_at = NOW(),
+        locked_until = CASE
+          WHEN COALESCE(failed_login_count, 0) + 1 >= $2 THEN NOW() + make_interval(mins => $3)
+          ELSE locked_until
+        END
+    WHERE id = $1
+    RETURNING failed_login_count, locked_until
+  `, [userId, MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES]);
+
+  const result = { failedCount: rows[0]?.failed_login_count || 0, lockedUntil: rows[0]?.locked_until || null };
+  if (result.failedCount === MAX_FAILED_ATTEMPTS) {
+    console.warn(`🔒 Account ${userId} bloccato per ${LOCKOUT_MINUTES} minuti dopo ${result.failedCount} tentativi falliti`);
+  }
+  return result;
+}
+
+/**
+ * Azzera fallimenti e blocco (accesso riuscito o sblocco da amministratore)
+ * @returns {Promise<boolean>} - false se l'utente non esiste
+ */
+export async function resetLoginFailures(pg, userId) {
+  const { rowCount } = await pg.query(`
+    UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = $1
+  `, [userId]);
+  return rowCount > 0;
+}
+
+/**
+ * Storico dei tentativi di un utente, dal più recente
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLoginAttempts(pg, userId, limit = 50) {
+  const { rows } = await pg.query(`
+    SELECT id, email, ip_address, user_agent, success, reason, created_at
+    FROM login_attempts
+    WHERE user_id = $1
+    ORDER BY created_at DESC
+    LIMIT $2
+  `, [userId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]);
+  return rows;
+}
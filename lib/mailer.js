@@ -0,0 +1,58 @@
+/**
+ * Invio email tramite SMTP (nodemailer)
+ *
+ * Configurazione da SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS e SMTP_FROM,
+ * sostituibile per singolo database con la sezione smtp delle impostazioni.
+ * APP_URL è l'indirizzo del frontend usato per i link nelle email.
+ *
+ * @module lib/mailer
+ */
+
+import nodemailer from 'nodemailer';
+
+export const MAIL_FROM = process.env.SMTP_FROM || 'noreply@studiocantini.it';
+
+/**
+ * @param {Object} [smtp] - { host, port, user, pass } da usare al posto delle variabili d'ambiente
+ */
+export function createMailTransport(smtp = {}) {
+  if (smtp.host) {
+    return nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port || 587,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    });
+  }
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  });
+}
+
+/**
+ * Link al frontend (es. appLink('/reset-password', { token }))
+ */
+export function appLink(path, params = {}) {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Invia una email con il mittente predefinito
+ * @param {Object} message - { to, subject, html, from? }
+ * @param {Object} [transporter] - Transport già creato (per invii multipli)
+ */
+export async function sendMail(message, transporter = createMailTransport()) {
+  return transporter.sendMail({ from: MAIL_FROM, ...message });
+}
+
+// Escape dei valori inseriti nei template HTML
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,163 @@
+/**
+ * Documento OpenAPI generato dalle rotte
+ *
+ * L'hook onRoute raccoglie metodo, percorso e schema di ogni rotta; il
+ * documento (OpenAPI 3.0) è costruito alla prima richiesta di
+ * GET /v1/openapi.json a partire da questi dati, dagli schemi condivisi
+ * (components.schemas) e dalla mappa dei permessi (x-permission e security).
+ * Serve al frontend per generare un client tipizzato.
+ *
+ * @module lib/openapi
+ */
+
+import { getRoutePermission } from './permissions.js';
+
+const collectedRoutes = [];
+let cachedDocument = null;
+
+/**
+ * Hook onRoute: registra la rotta per il documento OpenAPI
+ */
+export function collectOpenApiRoute(routeOptions) {
+  const methods = Array.isArray(routeOptions.method) ? routeOptions.method : [routeOptions.method];
+  for (const method of methods) {
+    if (method === 'HEAD' || method === 'OPTIONS') continue;
+    collectedRoutes.push({ method, url: routeOptions.url, schema: routeOptions.schema || {} });
+  }
+  cachedDocument = null;
+}
+
+// { $ref: 'Nome#' } -> { $ref: '#/components/schemas/Nome' }; $id e campi Fastify rimossi
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$id') continue;
+    if (key === '$ref' && typeof value === 'string') {
+      result.$ref = `#/components/schemas/${value.replace(/#.*$/, '')}`;
+    } else if (key === 'type' && Array.isArray(value)) {
+      // OpenAPI 3.0: un solo tipo più nullable
+      const types = value.filter(type => type !== 'null');
+      result.type = types[0];
+      if (types.length > 1) {
+        delete result.type;
+        result.oneOf = types.map(type => ({ type }));
+      }
+      if (value.includes('null')) result.nullable = true;
+    } else {
+      result[key] = toOpenApiSchema(value);
+    }
+  }
+  return result;
+}
+
+// :param -> {param}; il carattere jolly finale diventa il parametro di percorso "*"
+function toOpenApiPath(url) {
+  return url.replace(/:([A-Za-z0-9_]+)/g, '{$1}').replace(/\*$/, '{*}');
+}
+
+function parametersFrom(schema, location, url) {
+  const properties = schema?.properties || {};
+  const required = new Set(schema?.required || []);
+  const parameters = Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.has(name),
+    schema: toOpenApiSchema(property),
+    ...(property.description && { description: property.description }),
+  }));
+
+  // Parametri di percorso senza schema: stringhe
+  if (location === 'path') {
+    for (const [, name] of url.matchAll(/:([A-Za-z0-9_]+)/g)) {
+      if (!properties[name]) parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  return parameters;
+}
+
+function responsesFrom(response) {
+  if (!response) return { 200: { description: 'OK' } };
+
+  const result = {};
+  for (const [status, schema] of Object.entries(response)) {
+    const code = status.toUpperCase();
+    result[code] = {
+      description: schema.description || (code.startsWith('2') ? 'OK' : 'Errore'),
+      content: { 'application/json': { schema: toOpenApiSchema(schema) } },
+    };
+  }
+  return result;
+}
+
+function operationFrom({ method, url, schema }) {
+  const segments = url.split('/').filter(Boolean);
+  const tag = segments[0] === 'v1' ? segments[1] : segments[0];
+  const permission = getRoutePermission(method, url)?.permission ?? null;
+
+  const operation = {
+    operationId: `${method.toLowerCase()}${url.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))}`,
+    tags: schema.tags || (tag ? [tag] : []),
+    ...(schema.summary && { summary: schema.summary }),
+    ...(schema.description && { description: schema.description }),
+    parameters: [
+      ...parametersFrom(schema.params, 'path', url),
+      ...parametersFrom(schema.querystring || schema.query, 'query', url),
+    ],
+    responses: responsesFrom(schema.response),
+    'x-permission': permission,
+  };
+
+  if (schema.body) {
+    const contentType = schema.consumes?.[0] || 'application/json';
+    operation.requestBody = {
+      required: true,
+      content: { [contentType]: { schema: toOpenApiSchema(schema.body) } },
+    };
+  } else if (schema.consumes) {
+    operation.requestBody = { required: true, content: { [schema.consumes[0]]: { schema: { type: 'object' } } } };
+  }
+
+  if (permission && permission !== 'public') {
+    operation.security = [{ bearerAuth: [] }];
+  }
+  return operation;
+}
+
+/**
+ * Documento OpenAPI di tutte le rotte registrate
+ * @param {Object} fastify - Istanza Fastify (per gli schemi condivisi)
+ * @param {Object} info - { title, version }
+ */
+export function buildOpenApiDocument(fastify, info) {
+  if (cachedDocument) return cachedDocument;
+
+  const paths = {};
+  for (const route of collectedRoutes) {
+    if (route.schema.hide) continue;
+    const path = toOpenApiPath(route.url.length > 1 ? route.url.replace(/\/$/, '') : route.url);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operationFrom(route);
+  }
+
+  const schemas = {};
+  for (const [id, schema] of Object.entries(fastify.getSchemas())) {
+    schemas[id] = toOpenApiSchema(schema);
+  }
+
+  cachedDocument = {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+  return cachedDocument;
+}
@@ -0,0 +1,402 @@
+/**
+ * Controllo accessi centralizzato: permesso richiesto da ogni rotta
+ *
+ * Ogni rotta registrata in index.js è mappata qui per prefisso e
+ * "METODO /percorso". Il permesso può essere:
+ * - 'public': nessuna autenticazione
+ * - 'authenticated': basta un JWT valido (dati del solo utente)
+ * - 'read' | 'write' | 'import' | 'admin': JWT valido e ruolo adeguato in
+ *   users.dbrole sul db della richiesta (params, query o body, che se presenti
+ *   devono coincidere). Le rotte che non ricevono il db richiedono il permesso
+ *   su almeno un database.
+ *
+ * Una voce può essere un oggetto { permission, db } quando il db arriva da un
+ * campo diverso da "db", oppure { permission, user } per le rotte che agiscono
+ * su un altro utente: il permesso va allora concesso su un database a cui
+ * quell'utente ha accesso. Le rotte non mappate vengono rifiutate con 403 e
+ * segnalate all'avvio.
+ *
+ * @module lib/permissions
+ */
+
+import { verifyRequestToken, checkDbAccess, checkAnyDbAccess, checkUserAccess } from './auth.js';
+
+// Utente su cui agiscono le rotte /:userId
+const targetUser = (request) => request.params?.userId;
+// Db obbligatorio in query string per le rotte GET che leggono un singolo oggetto
+const queryDb = (request) => request.query?.db;
+
+const ROUTES = {
+  '': {
+    'GET /': 'public',
+    'GET /health': 'public',
+    'GET /v1/openapi.json': 'public',
+  },
+  '/v1/auth': {
+    'GET /me': 'authenticated',
+    'POST /login': 'public',
+    'POST /register': 'public',
+    'POST /login/2fa': 'public',
+    'POST /refresh': 'public',
+    'POST /logout': 'authenticated',
+    'GET /sessions/:userId': { permission: 'admin', user: targetUser },
+    'DELETE /sessions/:userId': { permission: 'admin', user: targetUser },
+    'DELETE /sessions/:userId/:sessionId': { permission: 'admin', user: targetUser },
+    'GET /2fa/status': 'authenticated',
+    'POST /2fa/setup': 'authenticated',
+    'POST /2fa/enable': 'authenticated',
+    'POST /2fa/disable': 'authenticated',
+    'POST /2fa/recovery-codes': 'authenticated',
+    'DELETE /2fa/:userId': { permission: 'admin', user: targetUser },
+    'POST /users/:userId/unlock': { permission: 'admin', user: targetUser },
+    'GET /users/:userId/login-attempts': { permission: 'admin', user: targetUser },
+    'GET /login-attempts': 'authenticated',
+    'POST /password/forgot': 'public',
+    'POST /password/reset': 'public',
+    'POST /invitations': 'admin',
+    'GET /invitations': 'admin',
+    'DELETE /invitations/:id': 'admin',
+    'POST /invitations/details': 'public',
+    'POST /invitations/accept': 'public',
+    'PUT /update': 'authenticated',
+    'GET /user-roles/:userId': { permission: 'admin', user: targetUser },
+    // Il controllo per ciascun db assegnato o revocato è nella rotta stessa
+    'PUT /user-roles/:userId': 'admin',
+    'POST /user-roles/:userId/add': { permission: 'admin', db: (request) => request.body?.db_key },
+    'DELETE /user-roles/:userId/remove/:dbKey': { permission: 'admin', db: (request) => request.params?.dbKey },
+  },
+  '/v1/databases': {
+    'GET /list': 'public',
+    'GET /all': 'authenticated',
+    'POST /create': 'admin',
+    // Il controllo sul db del record indicato da :id è nella rotta stessa
+    'PUT /update/:id': 'admin',
+    'DELETE /delete/:id': 'admin',
+    'GET /settings/schema': 'authenticated',
+    'GET /:db/settings': 'read',
+    'PUT /:db/settings': 'admin',
+    'GET /:db/export': 'admin',
+    'POST /:db/clone': 'admin',
+    'POST /import': 'admin',
+  },
+  '/v1/owner': {
+    'GET /:db': 'read',
+    'POST /create': 'admin',
+    'POST /edit': 'admin',
+    'POST /delete': 'admin',
+  },
+  '/v1/category': {
+    'GET /test-users': 'admin',
+    'GET /:db': 'read',
+    'GET /details/:id': { permission: 'read', db: queryDb },
+    'POST /create': 'write',
+    'POST /edit': 'write',
+    'POST /delete': 'write',
+    'POST /merge/preview': 'read',
+    'POST /merge': 'admin',
+  },
+  '/v1/subject': {
+    'GET /:db': 'read',
+    'POST /': 'read',
+    'POST /create': 'write',
+    'POST /edit': 'write',
+    'POST /delete': 'write',
+    'POST /merge/preview': 'read',
+    'POST /merge': 'admin',
+  },
+  '/v1/detail': {
+    'POST /': 'read',
+    'POST /create': 'write',
+    'POST /edit': 'write',
+    'POST /delete': 'write',
+    'POST /merge/preview': 'read',
+    'POST /merge': 'admin',
+  },
+  '/v1/transaction': {
+    'GET /:db': 'read',
+    'POST /edit': 'write',
+    'POST /edit/multi': 'write',
+    'POST /delete': 'write',
+    'POST /month_transactions': 'read',
+    'POST /filtered_list': 'read',
+    'POST /split': 'write',
+    'POST /create': 'write',
+    // Multipart: il db nei metadata è verificato dalla rotta
+    'POST /import/preview': 'import',
+    'POST /import': 'import',
+    'POST /import/associated': 'import',
+    'GET /import/mapping-profile/:db/:ownerId': 'read',
+    'POST /import/mapping-profile/save': 'import',
+    'POST /import/mapping-profile/delete': 'import',
+    'POST /import-history': 'read',
+    'POST /import-history/details': 'read',
+    'POST /undo-import': 'import',
+    'POST /toggle-stats-exclusion': 'write',
+    'POST /audit/history': 'read',
+    'POST /audit/revert': 'admin',
+    'POST /classification-feedback': 'write',
+    'POST /search-similar': 'read',
+    'POST /smart-classify': 'read',
+  },
+  '/v1/report': {
+    'GET /master/:db': 'read',
+    'GET /category/details': 'read',
+    'POST /category/subject/details': 'read',
+    'POST /category/subject/details/chart': 'read',
+    'POST /category/month-breakdown': 'read',
+    'POST /group-aggregation': 'read',
+    'GET /categories-subjects/:db': 'read',
+  },
+  '/v1/upload': {
+    'POST /': 'write',
+  },
+  '/v1/file-manager': {
+    'GET /:db': 'read',
+    'POST /upload/:db': 'write',
+    'DELETE /:db': 'write',
+    'GET /file-info/:db': 'read',
+    'POST /link-transaction': 'write',
+  },
+  '/v1/scadenziario': {
+    'POST /list': 'read',
+    'POST /details': 'read',
+    'POST /create': 'write',
+    'POST /update': 'write',
+    'POST /update-payment': 'write',
+    'POST /delete': 'write',
+    'POST /delete-multiple': 'write',
+    'POST /update-status': 'write',
+    'POST /groups': 'read',
+    'POST /create-group': 'write',
+    'POST /delete-group': 'write',
+    'POST /children': 'read',
+    'POST /create-tranche': 'write',
+    'POST /ocr-extract': 'write',
+    'POST /upload-attachment': 'write',
+    'GET /attachment/*': { permission: 'read', db: queryDb },
+  },
+  '/v1/anomalie': {
+    'GET /analysis': 'read',
+    'GET /stats': 'read',
+    'GET /filtri': 'read',
+  },
+  '/v1/classification-feedback': {
+    'POST /find-best-match': 'read',
+    'POST /learning-data': 'read',
+    'GET /stats/:db': 'read',
+  },
+  '/v1/classification': {
+    'POST /classify': 'read',
+    'PUT /classify/batch': 'read',
+    'POST /reindex': 'admin',
+    'POST /index-transaction': 'write',
+    'POST /index-batch': 'write',
+    'GET /metrics': 'read',
+    'GET /rules': 'read',
+    'POST /rules': 'admin',
+    'GET /suggested-rules': 'read',
+    'GET /analytics': 'read',
+    // Il controllo sul db della regola indicata da :id è nella rotta stessa
+    'PATCH /rules/:id': 'admin',
+    'DELETE /rules/:id': 'admin',
+    'GET /health': 'public',
+  },
+  '/v1/archive': {
+    // Multipart: il db nei campi del form è verificato dalla rotta
+    'POST /upload': 'write',
+    'POST /folders': 'write',
+    'PUT /folders': 'write',
+    'DELETE /folders': 'admin',
+    'GET /folders': 'read',
+    'GET /documents': 'read',
+    'GET /documents/:id': 'read',
+    'POST /search': 'read',
+    'DELETE /documents/:id': 'admin',
+    'PUT /documents/rename': 'write',
+    'PUT /documents/move': 'write',
+    'GET /documents/:id/download': 'read',
+    'POST /documents/:id/retry': 'write',
+    'GET /breadcrumb': 'authenticated',
+    'GET /stats': 'read',
+    'GET /files/*': 'read',
+    'POST /ask': 'authenticated',
+    'DELETE /documents/clear-all': 'admin',
+    'POST /chat/sessions': 'read',
+    'GET /chat/sessions': 'read',
+    'GET /chat/sessions/:id/messages': 'read',
+    'POST /chat/sessions/:id/messages': 'read',
+    'DELETE /chat/sessions/:id': 'read',
+  },
+  '/v1/category-exclusion': {
+    'POST /toggle': 'write',
+    'POST /list': 'read',
+    'POST /reset': 'write',
+  },
+  '/v1/vehicles': {
+    'POST /list': 'read',
+    'POST /details': 'read',
+    'POST /create': 'write',
+    'POST /update': 'write',
+    'POST /delete': 'write',
+    'POST /documents/list': 'read',
+    'POST /documents/create': 'write',
+    'POST /documents/delete': 'write',
+    'POST /documents/upload': 'write',
+    // Il db del conto del veicolo è verificato dalla rotta
+    'GET /documents/file/*': 'read',
+    'POST /maintenance/list': 'read',
+    'POST /maintenance/create': 'write',
+    'POST /maintenance/update': 'write',
+    'POST /maintenance/delete': 'write',
+    'POST /odometer/list': 'read',
+    'POST /odometer/create': 'write',
+    'POST /odometer/update': 'write',
+    'POST /odometer/delete': 'write',
+    'POST /mileage/schedule': 'read',
+    'POST /tires/list': 'read',
+    'POST /tires/create': 'write',
+    'POST /tires/update': 'write',
+    'POST /tires/delete': 'write',
+    'POST /incidents/list': 'read',
+    'POST /incidents/create': 'write',
+    'POST /incidents/update': 'write',
+    'POST /incidents/delete': 'write',
+    'POST /timeline': 'read',
+    'POST /policies/list': 'read',
+    'POST /policies/create': 'write',
+    'POST /policies/update': 'write',
+    'POST /policies/delete': 'write',
+    'POST /taxes/list': 'read',
+    'POST /taxes/calculate': 'read',
+    'POST /taxes/create': 'write',
+    'POST /taxes/update': 'write',
+    'POST /taxes/delete': 'write',
+    'POST /ztl/list': 'read',
+    'POST /ztl/create': 'write',
+    'POST /ztl/update': 'write',
+    'POST /ztl/delete': 'write',
+    'POST /fines/list': 'read',
+    'POST /fines/create': 'write',
+    'POST /fines/update': 'write',
+    'POST /fines/delete': 'write',
+    'POST /fines/driver-communication': 'write',
+    'POST /deadlines/sync': 'write',
+    'POST /tco': 'read',
+    'POST /tco/fleet': 'read',
+  },
+  '/v1/reconciliation': {
+    'POST /running-balance': 'read',
+    'POST /statement-balances/list': 'read',
+    'POST /statement-balances/create': 'write',
+    'POST /statement-balances/delete': 'write',
+    'POST /check': 'read',
+    'POST /credit-card': 'read',
+    'POST /credit-card/link': 'write',
+    'POST /credit-card/unlink': 'write',
+  },
+  '/v1/recycle-bin': {
+    'POST /list': 'read',
+    'POST /restore': 'write',
+    'POST /purge': 'admin',
+  },
+  '/v1/budget': {
+    'POST /list': 'read',
+    'POST /create': 'write',
+    'POST /edit': 'write',
+    'POST /delete': 'write',
+    'POST /report': 'read',
+  },
+  '/v1/forecast': {
+    'POST /cash-flow': 'read',
+  },
+};
+
+// Mappa piatta "METODO /percorso/completo" -> { permission, db?, user? }
+const ROUTE_PERMISSIONS = new Map();
+for (const [prefix, routes] of Object.entries(ROUTES)) {
+  for (const [key, value] of Object.entries(routes)) {
+    const [method, url] = key.split(' ');
+    const entry = typeof value === 'string' ? { permission: value } : value;
+    ROUTE_PERMISSIONS.set(routeKey(method, `${prefix}${url}`), entry);
+  }
+}
+
+// I prefissi con rotta '/' vengono registrati sia con che senza slash finale; HEAD segue GET
+function routeKey(method, url) {
+  const normalizedUrl = url.length > 1 ? url.replace(/\/$/, '') : url;
+  return `${method === 'HEAD' ? 'GET' : method} ${normalizedUrl}`;
+}
+
+/**
+ * Permesso richiesto da una rotta
+ * @returns {Object|null} - { permission, db?, user? } oppure null se la rotta non è mappata
+ */
+export function getRoutePermission(method, url) {
+  return ROUTE_PERMISSIONS.get(routeKey(method, url)) || null;
+}
+
+// Db della richiesta: parametro di rotta, query string o body. Le rotte usano
+// quasi sempre body.db: se le tre fonti indicano db diversi la richiesta è
+// rifiutata, così il db autorizzato è sempre quello su cui agisce la rotta.
+function requestDb(request) {
+  const body = request.body && typeof request.body === 'object' ? request.body : {};
+  const values = [request.params?.db, request.query?.db, body.db].filter(db => db !== undefined && db !== null && db !== '');
+  if (new Set(values).size > 1) return { conflict: true };
+  return { db: values[0] };
+}
+
+/**
+ * Hook preHandler globale: autentica e verifica il permesso della rotta
+ */
+export async function authorizeRequest(request, reply) {
+  if (request.method === 'OPTIONS') return;
+
+  const url = request.routeOptions?.url;
+  if (!url) return; // 404: nessuna rotta corrispondente
+
+  const entry = getRoutePermission(request.method, url);
+  if (!entry) {
+    console.warn(`🔒 Rotta senza permesso configurato, accesso negato: ${request.method} ${url}`);
+    return reply.code(403).send({ message: 'Accesso negato: rotta non configurata', status: 403 });
+  }
+  if (entry.permission === 'public') return;
+
+  const unauthenticated = await verifyRequestToken(request);
+  if (unauthenticated) {
+    return reply.code(unauthenticated.status).send({ message: unauthenticated.error, status: unauthenticated.status });
+  }
+  if (entry.permission === 'authenticated') return;
+
+  if (entry.user) {
+    const denied = await checkUserAccess(request, entry.user(request), entry.permission);
+    if (denied) {
+      return reply.code(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+    }
+    return;
+  }
+
+  const { db, conflict } = entry.db ? { db: entry.db(request) } : requestDb(request);
+  if (conflict) {
+    return reply.code(400).send({ message: 'Database indicato in modo discordante tra percorso, query string e body', status: 400 });
+  }
+  const denied = db
+    ? await checkDbAccess(request, db, entry.permission)
+    : await checkAnyDbAccess(request, entry.permission);
+
+  if (denied) {
+    return reply.code(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+  }
+}
+
+/**
+ * Hook onRoute: segnala all'avvio le rotte senza permesso configurato
+ */
+export function warnUnmappedRoute(routeOptions) {
+  const methods = Array.isArray(routeOptions.method) ? routeOptions.method : [routeOptions.method];
+  for (const method of methods) {
+    if (method === 'OPTIONS' || method === 'HEAD') continue;
+    if (!getRoutePermission(method, routeOptions.url)) {
+      console.warn(`⚠️ Nessun permesso configurato per ${method} ${routeOptions.url} (lib/permissions.js)`);
+    }
+  }
+}
@@ -123,14 +123,15 @@ export const rateLimiter = new RateLimiter();
  * 
  * @param {number} maxRequests - Max richieste per finestra
  * @param {number} windowMs - Finestra temporale in ms
+ * @param {string} [scope] - Contatore separato per IP (es. 'auth'), altrimenti condiviso con gli altri hook
  * @example
  * fastify.get('/api', { preHandler: rateLimitHook(100, 60000) }, handler);
  */
-export function rateLimitHook(maxRequests = 100, windowMs = 60000) {
+export function rateLimitHook(maxRequests = 100, windowMs = 60000, scope = null) {
   return async (request, reply) => {
     const ip = request.ip || request.raw.socket.remoteAddress || 'unknown';
     
-    const result = rateLimiter.check(ip, maxRequests, windowMs);
+    const result = rateLimiter.check(scope ? `${scope}:${ip}` : ip, maxRequests, windowMs);
     
     // Add headers
     reply.header('X-RateLimit-Limit', maxRequests);
@@ -165,3 +166,9 @@ export const standardRateLimit = rateLimitHook(60, 60000);
  * 120 richieste al minuto
  */
 export const generousRateLimit = rateLimitHook(120, 60000);
+
+/**
+ * Rate limit per login, verifica 2FA, reset password e inviti
+ * 20 richieste al minuto per IP, contate a parte
+ */
+export const authRateLimit = rateLimitHook(20, 60000, 'auth');
@@ -0,0 +1,204 @@
+/**
+ * Riconciliazione bancaria: saldo progressivo per conto e confronto
+ * con i saldi dichiarati negli estratti conto
+ *
+ * Convenzione sul saldo iniziale: owners.initialbalance è il saldo alla data
+ * owners.date, quindi i movimenti con data <= owners.date sono già inclusi
+ * nel saldo iniziale e non vengono sommati.
+ *
+ * @module lib/reconciliation
+ */
+
+import { fingerprintMovement } from './importDeduplication.js';
+
+// Tolleranza per considerare due saldi coincidenti
+const BALANCE_TOLERANCE = 0.01;
+// Giorni di distanza massima tra due movimenti "quasi duplicati"
+const NEAR_DUPLICATE_DAYS = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Costruisce il saldo progressivo giornaliero
+ * @param {number} initialBalance - Saldo iniziale del conto
+ * @param {Array<Object>} dailyTotals - [{ date: 'YYYY-MM-DD', total, count }] ordinati per data
+ * @returns {Array<Object>} - [{ date, movements, dailyTotal, balance }]
+ */
+export function buildRunningBalance(initialBalance, dailyTotals) {
+  let balance = parseFloat(initialBalance || 0);
+  return dailyTotals.map(day => {
+    balance = round2(balance + parseFloat(day.total));
+    return {
+      date: day.date,
+      movements: parseInt(day.count, 10),
+      dailyTotal: round2(parseFloat(day.total)),
+      balance,
+    };
+  });
+}
+
+/**
+ * Saldo calcolato alla fine della giornata indicata
+ * @param {number} initialBalance
+ * @param {Array<Object>} runningBalance - Output di buildRunningBalance
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export function balanceAt(initialBalance, runningBalance, date) {
+  let balance = round2(parseFloat(initialBalance || 0));
+  for (const day of runningBalance) {
+    if (day.date > date) break;
+    balance = day.balance;
+  }
+  return balance;
+}
+
+/**
+ * Cerca i movimenti che possono spiegare una differenza di saldo
+ * @param {Array<Object>} transactions - Movimenti del periodo { id, date, amount, description, import_batch_id }
+ * @param {number} difference - Saldo dichiarato - saldo calcolato
+ * @param {string} ownerId
+ * @returns {Object} - { hint, duplicates, matchingAmount }
+ */
+export function findDiscrepancyCandidates(transactions, difference, ownerId) {
+  // Duplicati esatti (stesso fingerprint) e quasi duplicati (stesso importo a pochi giorni, batch diversi)
+  const groups = new Map();
+  for (const tx of transactions) {
+    const fp = fingerprintMovement({ ownerId, date: tx.date, amount: tx.amount, description: tx.description });
+    if (!groups.has(fp)) groups.set(fp, []);
+    groups.get(fp).push(tx);
+  }
+  const duplicates = [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => ({ type: 'exact', transactions: group }));
+
+  const seen = new Set(duplicates.flatMap(d => d.transactions.map(t => t.id)));
+  for (let i = 0; i < transactions.length; i++) {
+    const a = transactions[i];
+    if (seen.has(a.id)) continue;
+    const near = transactions.filter((b, j) =>
+      j !== i &&
+      !seen.has(b.id) &&
+      round2(b.amount) === round2(a.amount) &&
+      b.import_batch_id !== a.import_batch_id &&
+      Math.abs(new Date(b.date) - new Date(a.date)) / 86400000 <= NEAR_DUPLICATE_DAYS
+    );
+    if (near.length > 0) {
+      const group = [a, ...near];
+      group.forEach(t => seen.add(t.id));
+      duplicates.push({ type: 'near', transactions: group });
+    }
+  }
+
+  // Un singolo movimento pari alla differenza (in valore assoluto) è il candidato più probabile:
+  // se il saldo calcolato è inferiore al dichiarato può trattarsi di un'uscita duplicata, e viceversa
+  const target = round2(Math.abs(difference));
+  const matchingAmount = transactions.filter(tx => round2(Math.abs(tx.amount)) === target);
+
+  const hint = difference > 0
+    ? 'Saldo dichiarato superiore al calcolato: possibili entrate mancanti o uscite duplicate'
+    : 'Saldo dichiarato inferiore al calcolato: possibili uscite mancanti o entrate duplicate';
+
+  return { hint, duplicates, matchingAmount };
+}
+
+/**
+ * Confronta i saldi dichiarati con quelli calcolati
+ * @param {Object} params
+ * @param {number} params.initialBalance
+ * @param {Array<Object>} params.runningBalance - Output di buildRunningBalance
+ * @param {Array<Object>} params.declaredBalances - [{ id, period_end, declared_balance, ... }] ordinati per data
+ * @returns {Array<Object>} - Un elemento per saldo dichiarato con differenza cumulativa e di periodo
+ */
+export function compareDeclaredBalances({ initialBalance, runningBalance, declaredBalances }) {
+  let previousDifference = 0;
+  let previousEnd = null;
+
+  return declaredBalances.map(declared => {
+    const computed = balanceAt(initialBalance, runningBalance, declared.period_end);
+    const declaredValue = round2(parseFloat(declared.declared_balance));
+    const difference = round2(declaredValue - computed);
+
+    // La differenza di periodo isola la divergenza introdotta in questo periodo,
+    // così un errore a gennaio non fa segnalare anche tutti i mesi successivi
+    const periodDifference = round2(difference - previousDifference);
+
+    const result = {
+      ...declared,
+      periodStart: previousEnd,
+      declaredBalance: declaredValue,
+      computedBalance: computed,
+      difference,
+      periodDifference,
+      status: Math.abs(periodDifference) < BALANCE_TOLERANCE ? 'ok' : 'mismatch',
+    };
+
+    previousDifference = difference;
+    previousEnd = declared.period_end;
+    return result;
+  });
+}
+
+/**
+ * Confronta l'addebito della carta sul conto corrente con i movimenti dell'estratto carta
+ * @param {Object} params
+ * @param {number} params.debitAmount - Importo dell'addebito sul conto corrente
+ * @param {Array<Object>} params.lines - Movimenti dell'estratto carta { amount, ... }
+ * @returns {Object} - { debitAmount, linesTotal, delta, status }
+ */
+export function reconcileCardDebit({ debitAmount, lines }) {
+  const expected = round2(parseFloat(debitAmount || 0));
+  const linesTotal = round2(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0));
+  const delta = round2(expected - linesTotal);
+
+  return {
+    debitAmount: expected,
+    linesTotal,
+    delta,
+    status: Math.abs(delta) < BALANCE_TOLERANCE ? 'ok' : 'mismatch',
+  };
+}
+
+/**
+ * Propone il collegamento tra estratti carta non collegati e addebiti sul conto corrente
+ *
+ * Un addebito è candidato se l'importo coincide con il totale dell'estratto (entro la
+ * tolleranza) e la data cade tra l'ultimo movimento dell'estratto e i giorni successivi
+ * indicati dalla finestra. Ogni addebito viene proposto al più per un estratto.
+ *
+ * @param {Array<Object>} batches - [{ batch_id, last_date, total, ... }]
+ * @param {Array<Object>} debits - [{ id, date, amount, ... }]
+ * @param {Object} [options]
+ * @param {number} [options.windowDays=45] - Giorni dopo la chiusura dell'estratto
+ * @param {number} [options.amountTolerance=0.01] - Differenza di importo ammessa
+ * @returns {Array<Object>} - [{ ...batch, proposed, alternatives }]
+ */
+export function proposeCardDebitLinks(batches, debits, { windowDays = 45, amountTolerance = 0.01 } = {}) {
+  const used = new Set();
+  const sorted = [...batches].sort((a, b) => a.last_date.localeCompare(b.last_date));
+
+  return sorted.map(batch => {
+    const total = round2(parseFloat(batch.total));
+    const candidates = debits
+      .map(debit => ({
+        ...debit,
+        amountDifference: round2(Math.abs(parseFloat(debit.amount) - total)),
+        daysAfterClosing: Math.round((new Date(debit.date) - new Date(batch.last_date)) / 86400000),
+      }))
+      .filter(c =>
+        c.amountDifference <= amountTolerance &&
+        c.daysAfterClosing >= 0 &&
+        c.daysAfterClosing <= windowDays
+      )
+      .sort((a, b) => a.amountDifference - b.amountDifference || a.daysAfterClosing - b.daysAfterClosing);
+
+    const proposed = candidates.find(c => !used.has(c.id)) || null;
+    if (proposed) used.add(proposed.id);
+
+    return {
+      ...batch,
+      total,
+      proposed,
+      alternatives: candidates.filter(c => c !== proposed),
+    };
+  });
+}
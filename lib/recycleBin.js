@@ -0,0 +1,268 @@
+/**
+ * Cestino: eliminazione logica (soft delete) di transazioni, categorie,
+ * soggetti e dettagli
+ *
+ * Le righe eliminate restano in tabella con deleted_at valorizzato e vengono
+ * escluse da liste e report. Eliminare una categoria (o un soggetto) sposta nel
+ * cestino anche i figli con lo stesso deleted_at, così che il ripristino li
+ * riporti indietro insieme. Dopo il periodo di conservazione le righe vengono
+ * eliminate definitivamente da purgeRecycleBin.
+ *
+ * @module lib/recycleBin
+ */
+
+// Giorni di conservazione nel cestino prima dell'eliminazione definitiva
+export const DEFAULT_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS || '30', 10);
+
+export const RECYCLABLE_TYPES = {
+  transaction: { table: 'transactions', label: 'Transazione' },
+  category: { table: 'categories', label: 'Categoria' },
+  subject: { table: 'subjects', label: 'Soggetto' },
+  detail: { table: 'details', label: 'Dettaglio' },
+};
+
+// Colonna di transactions che referenzia ciascun tipo di anagrafica
+const TRANSACTION_COLUMN = {
+  category: 'categoryid',
+  subject: 'subjectid',
+  detail: 'detailid',
+};
+
+// Errore con lo status HTTP da restituire al client
+function recycleBinError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Sposta nel cestino le transazioni indicate
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { db, ids, userId }
+ * @returns {Promise<number>} - Numero di transazioni eliminate
+ */
+export async function softDeleteTransactions(pg, { db, ids, userId }) {
+  const { rowCount } = await pg.query(`
+    UPDATE transactions
+    SET deleted_at = NOW(), deleted_by = $3
+    WHERE id = ANY($1::uuid[])
+      AND ($2::text IS NULL OR db = $2)
+      AND deleted_at IS NULL
+  `, [ids, db || null, userId || null]);
+  return rowCount;
+}
+
+/**
+ * Sposta nel cestino una categoria, un soggetto o un dettaglio con i relativi figli
+ *
+ * L'eliminazione è rifiutata se esistono transazioni attive che la usano.
+ *
+ * @param {Object} pg - Client PostgreSQL con transazione aperta
+ * @param {Object} params - { db, type: 'category'|'subject'|'detail', id, userId }
+ * @returns {Promise<Object>} - { deletedAt, categories, subjects, details }
+ */
+export async function softDeleteClassification(pg, { db, type, id, userId }) {
+  const { table } = RECYCLABLE_TYPES[type];
+
+  const { rows: existing } = await pg.query(
+    `SELECT id FROM ${table} WHERE id = $1 AND db = $2 AND deleted_at IS NULL`,
+    [id, db]
+  );
+  if (existing.length === 0) {
+    throw recycleBinError('Nessun record trovato. Verifica che l\'ID e il DB corrispondano a record esistenti.', 404);
+  }
+
+  const { rows: inUse } = await pg.query(
+    `SELECT COUNT(*)::int AS count FROM transactions WHERE db = $1 AND ${TRANSACTION_COLUMN[type]} = $2 AND deleted_at IS NULL`,
+    [db, id]
+  );
+  if (inUse[0].count > 0) {
+    throw recycleBinError(`Impossibile eliminare: ${inUse[0].count} transazioni attive utilizzano questo elemento`, 409);
+  }
+
+  const { rows: now } = await pg.query('SELECT NOW() AS deleted_at');
+  const deletedAt = now[0].deleted_at;
+  const result = { deletedAt, categories: 0, subjects: 0, details: 0 };
+
+  if (type === 'category') {
+    result.details = (await pg.query(`
+      UPDATE details SET deleted_at = $3, deleted_by = $4
+      WHERE db = $1 AND deleted_at IS NULL
+        AND subject_id IN (SELECT id FROM subjects WHERE category_id = $2)
+    `, [db, id, deletedAt, userId || null])).rowCount;
+    result.subjects = (await pg.query(`
+      UPDATE subjects SET deleted_at = $3, deleted_by = $4
+      WHERE db = $1 AND category_id = $2 AND deleted_at IS NULL
+    `, [db, id, deletedAt, userId || null])).rowCount;
+  } else if (type === 'subject') {
+    result.details = (await pg.query(`
+      UPDATE details SET deleted_at = $3, deleted_by = $4
+      WHERE db = $1 AND subject_id = $2 AND deleted_at IS NULL
+    `, [db, id, deletedAt, userId || null])).rowCount;
+  }
+
+  await pg.query(
+    `UPDATE ${table} SET deleted_at = $3, deleted_by = $4 WHERE id = $1 AND db = $2`,
+    [id, db, deletedAt, userId || null]
+  );
+  result[table] += 1;
+
+  return result;
+}
+
+/**
+ * Ripristina un elemento dal cestino (con i figli eliminati insieme ad esso)
+ * @param {Object} pg - Client PostgreSQL con transazione aperta
+ * @param {Object} params - { db, type, id }
+ * @returns {Promise<Object>} - Conteggio dei record ripristinati per tabella
+ */
+export async function restoreFromRecycleBin(pg, { db, type, id }) {
+  const { table } = RECYCLABLE_TYPES[type];
+
+  const { rows } = await pg.query(
+    `SELECT * FROM ${table} WHERE id = $1 AND db = $2 AND deleted_at IS NOT NULL`,
+    [id, db]
+  );
+  if (rows.length === 0) {
+    throw recycleBinError('Elemento non presente nel cestino', 404);
+  }
+  const item = rows[0];
+
+  // Un figlio non può tornare attivo sotto un padre ancora nel cestino
+  const parentChecks = {
+    transaction: [
+      ['categories', item.categoryid],
+      ['subjects', item.subjectid],
+      ['details', item.detailid],
+    ],
+    subject: [['categories', item.category_id]],
+    detail: [['subjects', item.subject_id]],
+    category: [],
+  }[type];
+
+  for (const [parentTable, parentId] of parentChecks) {
+    if (!parentId) continue;
+    const { rows: parent } = await pg.query(
+      `SELECT deleted_at FROM ${parentTable} WHERE id = $1`,
+      [parentId]
+    );
+    if (parent.length > 0 && parent[0].deleted_at) {
+      throw recycleBinError(`Ripristinare prima l'elemento padre (${parentTable})`, 409);
+    }
+  }
+
+  const restored = { transactions: 0, categories: 0, subjects: 0, details: 0 };
+
+  if (type === 'category') {
+    // I dettagli prima dei soggetti: la sottoquery deve ancora vedere i soggetti nel cestino
+    restored.details = (await pg.query(`
+      UPDATE details SET deleted_at = NULL, deleted_by = NULL
+      WHERE db = $1
+        AND deleted_at = (SELECT deleted_at FROM categories WHERE id = $2)
+        AND subject_id IN (SELECT id FROM subjects WHERE category_id = $2)
+    `, [db, id])).rowCount;
+    restored.subjects = (await pg.query(`
+      UPDATE subjects SET deleted_at = NULL, deleted_by = NULL
+      WHERE db = $1 AND category_id = $2
+        AND deleted_at = (SELECT deleted_at FROM categories WHERE id = $2)
+    `, [db, id])).rowCount;
+  } else if (type === 'subject') {
+    restored.details = (await pg.query(`
+      UPDATE details SET deleted_at = NULL, deleted_by = NULL
+      WHERE db = $1 AND subject_id = $2
+        AND deleted_at = (SELECT deleted_at FROM subjects WHERE id = $2)
+    `, [db, id])).rowCount;
+  }
+
+  await pg.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND db = $2`,
+    [id, db]
+  );
+  restored[table] += 1;
+
+  return restored;
+}
+
+/**
+ * Elenco degli elementi nel cestino di un database
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { db, type?, retentionDays? }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRecycleBin(pg, { db, type = null, retentionDays = DEFAULT_RETENTION_DAYS }) {
+  const { rows } = await pg.query(`
+    SELECT * FROM (
+      SELECT 'transaction' AS type, t.id, t.description AS name, t.amount::float AS amount,
+             to_char(t.date, 'YYYY-MM-DD') AS date, NULL::uuid AS parent_id, t.deleted_at, t.deleted_by
+      FROM transactions t
+      WHERE t.db = $1 AND t.deleted_at IS NOT NULL
+      UNION ALL
+      SELECT 'category', c.id, c.name, NULL, NULL, NULL, c.deleted_at, c.deleted_by
+      FROM categories c
+      WHERE c.db = $1 AND c.deleted_at IS NOT NULL
+      UNION ALL
+      SELECT 'subject', s.id, s.name, NULL, NULL, s.category_id, s.deleted_at, s.deleted_by
+      FROM subjects s
+      WHERE s.db = $1 AND s.deleted_at IS NOT NULL
+      UNION ALL
+      SELECT 'detail', d.id, d.name, NULL, NULL, d.subject_id, d.deleted_at, d.deleted_by
+      FROM details d
+      WHERE d.db = $1 AND d.deleted_at IS NOT NULL
+    ) bin
+    WHERE ($2::text IS NULL OR bin.type = $2)
+    ORDER BY bin.deleted_at DESC
+  `, [db, type]);
+
+  return rows.map(row => ({
+    ...row,
+    purgeAt: new Date(new Date(row.deleted_at).getTime() + retentionDays * 86400000).toISOString(),
+  }));
+}
+
+/**
+ * Elimina definitivamente gli elementi nel cestino da più di retentionDays giorni
+ *
+ * Le anagrafiche ancora referenziate (transazioni o batch di importazione)
+ * restano nel cestino e vengono riprovate al passaggio successivo.
+ *
+ * @param {Object} pg - Client PostgreSQL con transazione aperta
+ * @param {Object} [params] - { db?, retentionDays? }
+ * @returns {Promise<Object>} - Conteggio delle righe eliminate per tabella
+ */
+export async function purgeRecycleBin(pg, { db = null, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  const params = [db, retentionDays];
+  const expired = `deleted_at < NOW() - ($2::int * INTERVAL '1 day') AND ($1::text IS NULL OR db = $1)`;
+
+  await pg.query(`
+    DELETE FROM documents
+    WHERE transaction_id IN (SELECT id FROM transactions WHERE ${expired})
+  `, params);
+  await pg.query(`
+    DELETE FROM category_tx_exclusions
+    WHERE transaction_id IN (SELECT id FROM transactions WHERE ${expired})
+  `, params);
+  const transactions = (await pg.query(`DELETE FROM transactions WHERE ${expired}`, params)).rowCount;
+
+  const details = (await pg.query(`
+    DELETE FROM details d
+    WHERE ${expired}
+      AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.detailid = d.id)
+      AND NOT EXISTS (SELECT 1 FROM import_batches ib WHERE ib.detail_id = d.id)
+  `, params)).rowCount;
+
+  const subjects = (await pg.query(`
+    DELETE FROM subjects s
+    WHERE ${expired}
+      AND NOT EXISTS (SELECT 1 FROM details d WHERE d.subject_id = s.id)
+      AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.subjectid = s.id)
+      AND NOT EXISTS (SELECT 1 FROM import_batches ib WHERE ib.subject_id = s.id)
+  `, params)).rowCount;
+
+  const categories = (await pg.query(`
+    DELETE FROM categories c
+    WHERE ${expired}
+      AND NOT EXISTS (SELECT 1 FROM subjects s WHERE s.category_id = c.id)
+      AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.categoryid = c.id)
+      AND NOT EXISTS (SELECT 1 FROM import_batches ib WHERE ib.category_id = c.id)
+  `, params)).rowCount;
+
+  return { transactions, categories, subjects, details };
+}
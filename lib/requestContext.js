@@ -0,0 +1,107 @@
+/**
+ * Contesto della richiesta (correlation ID)
+ *
+ * Ogni richiesta HTTP riceve un correlation ID: quello dell'header X-Request-Id
+ * se valido, altrimenti un UUID nuovo. L'ID resta disponibile lungo tutta la
+ * catena asincrona (AsyncLocalStorage) ed è:
+ * - incluso in ogni riga di log (lib/logger.js)
+ * - restituito al client nell'header X-Request-Id e nelle risposte di errore
+ * - inoltrato nei job pg-boss (campo correlationId dei dati del job)
+ * - inviato come X-Request-Id nelle chiamate HTTP in uscita (Ollama, Docling,
+ *   Qdrant e gli altri servizi chiamati con fetch)
+ *
+ * I job e i cron aprono un proprio contesto con runWithCorrelationId.
+ *
+ * @module lib/requestContext
+ */
+
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+export const CORRELATION_HEADER = 'x-request-id';
+
+const VALID_CORRELATION_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+const storage = new AsyncLocalStorage();
+const kContextResource = Symbol('requestContextResource');
+const kFetchPatched = Symbol('correlationFetch');
+
+/**
+ * Correlation ID di una richiesta in arrivo (Fastify genReqId)
+ */
+export function generateCorrelationId(req) {
+  const incoming = req?.headers?.[CORRELATION_HEADER];
+  return typeof incoming === 'string' && VALID_CORRELATION_ID.test(incoming) ? incoming : randomUUID();
+}
+
+/**
+ * Correlation ID del contesto corrente, null fuori da richieste e job
+ */
+export function getCorrelationId() {
+  return storage.getStore()?.correlationId ?? null;
+}
+
+/**
+ * Logger della richiesta corrente (request.log di Fastify), se presente
+ */
+export function getContextLogger() {
+  return storage.getStore()?.log ?? null;
+}
+
+/**
+ * Esegue fn in un nuovo contesto (job pg-boss, cron, script)
+ * @param {string} [correlationId] - ID da propagare; se assente ne genera uno
+ * @param {Function} fn
+ */
+export function runWithCorrelationId(correlationId, fn) {
+  const id = typeof correlationId === 'string' && VALID_CORRELATION_ID.test(correlationId) ? correlationId : randomUUID();
+  return storage.run({ correlationId: id, log: null }, fn);
+}
+
+/**
+ * Aggiunge il correlation ID corrente ai dati di un job pg-boss
+ */
+export function withCorrelationId(data = {}) {
+  const correlationId = data.correlationId ?? getCorrelationId();
+  return correlationId ? { ...data, correlationId } : data;
+}
+
+/**
+ * Hook Fastify: apre il contesto in onRequest e lo ripristina in preValidation,
+ * perché il parsing del body riprende su eventi dello stream fuori dal contesto
+ */
+export function registerRequestContext(fastify) {
+  fastify.addHook('onRequest', (request, reply, done) => {
+    reply.header(CORRELATION_HEADER, request.id);
+    storage.run({ correlationId: request.id, log: request.log }, () => {
+      request[kContextResource] = new AsyncResource('request-context');
+      done();
+    });
+  });
+
+  fastify.addHook('preValidation', (request, reply, done) => {
+    const resource = request[kContextResource];
+    if (resource) resource.runInAsyncScope(done, request.raw);
+    else done();
+  });
+}
+
+/**
+ * Avvolge fetch globale per inviare X-Request-Id nelle chiamate in uscita
+ * fatte dentro un contesto. Un header già impostato dal chiamante non viene
+ * sovrascritto.
+ */
+export function propagateCorrelationToFetch() {
+  const originalFetch = globalThis.fetch;
+  if (!originalFetch || originalFetch[kFetchPatched]) return;
+
+  const fetchWithCorrelation = (input, init) => {
+    const correlationId = getCorrelationId();
+    if (!correlationId) return originalFetch(input, init);
+
+    const headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : undefined));
+    if (!headers.has(CORRELATION_HEADER)) headers.set(CORRELATION_HEADER, correlationId);
+    return originalFetch(input, { ...init, headers });
+  };
+  fetchWithCorrelation[kFetchPatched] = true;
+  globalThis.fetch = fetchWithCorrelation;
+}
@@ -0,0 +1,142 @@
+/**
+ * Schemi JSON condivisi dalle rotte
+ *
+ * Le definizioni comuni (db, uuid, date, importi, risposte) sono registrate con
+ * fastify.addSchema in index.js e richiamate con ref('Nome'); nel documento
+ * OpenAPI diventano components.schemas. Gli schemi di ogni router sono in
+ * routes/schemas/.
+ *
+ * Convenzioni:
+ * - i body e le query validano tipi e campi obbligatori ma accettano campi in
+ *   più (nessun additionalProperties: false), per non rompere i client esistenti
+ * - Ajv converte i tipi semplici ("12.5" -> 12.5, "true" -> true)
+ * - i campi facoltativi che i client inviano vuoti usano le varianti Nullable*,
+ *   che accettano anche null e stringa vuota
+ * - gli schemi di risposta sono applicati dal serializzatore di Fastify (i
+ *   campi non dichiarati sono scartati, i null diventano "" o 0 se il tipo non
+ *   li ammette): si dichiarano solo per le risposte con forma fissa (utenti,
+ *   account, database); le altre rotte restituiscono le righe così come sono
+ *
+ * @module lib/schemas
+ */
+
+const UUID_PATTERN = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}';
+const DATE_PATTERN = '\\d{4}-\\d{2}-\\d{2}';
+
+export const SHARED_SCHEMAS = [
+  {
+    $id: 'Db',
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{1,64}$',
+    description: 'Chiave del database (db_key)',
+  },
+  {
+    $id: 'Uuid',
+    type: 'string',
+    pattern: `^${UUID_PATTERN}$`,
+    description: 'Identificativo UUID',
+  },
+  {
+    $id: 'NullableUuid',
+    type: ['string', 'null'],
+    pattern: `^(${UUID_PATTERN})?$`,
+    description: 'UUID facoltativo (null o stringa vuota se assente)',
+  },
+  {
+    $id: 'Date',
+    type: 'string',
+    pattern: `^${DATE_PATTERN}`,
+    description: 'Data ISO YYYY-MM-DD (eventualmente seguita dall\'orario)',
+  },
+  {
+    $id: 'NullableDate',
+    type: ['string', 'null'],
+    pattern: `^(${DATE_PATTERN}.*)?$`,
+    description: 'Data ISO facoltativa (null o stringa vuota se assente)',
+  },
+  {
+    $id: 'Amount',
+    type: 'number',
+    description: 'Importo in euro',
+  },
+  {
+    $id: 'NullableAmount',
+    type: ['number', 'null'],
+    description: 'Importo in euro facoltativo',
+  },
+  {
+    $id: 'Row',
+    type: 'object',
+    additionalProperties: true,
+    description: 'Riga restituita dal database (colonne della tabella)',
+  },
+  {
+    $id: 'ErrorResponse',
+    type: 'object',
+    description: 'Errore: formato comune (lib/errorHandler.js) o risposta di errore della rotta',
+    properties: {
+      success: { type: 'boolean' },
+      statusCode: { type: 'integer' },
+      status: { type: 'integer' },
+      error: { type: 'string' },
+      code: { type: 'string' },
+      message: { type: 'string' },
+      details: { type: 'array' },
+      correlationId: { type: 'string' },
+    },
+    additionalProperties: true,
+  },
+  {
+    $id: 'MessageResponse',
+    type: 'object',
+    description: 'Esito di un\'operazione',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      status: { type: 'integer' },
+    },
+    additionalProperties: true,
+  },
+];
+
+/**
+ * Riferimento a uno schema condiviso
+ * @param {string} name - $id dello schema
+ */
+export function ref(name) {
+  return { $ref: `${name}#` };
+}
+
+/**
+ * Oggetto con proprietà e campi obbligatori
+ */
+export function object(properties, required = []) {
+  return required.length > 0
+    ? { type: 'object', required, properties }
+    : { type: 'object', properties };
+}
+
+/**
+ * Array di righe del database
+ */
+export function rows(items = ref('Row')) {
+  return { type: 'array', items };
+}
+
+/**
+ * Risposte di una rotta: 200 (o le risposte indicate) ed errori
+ * @param {Object} ok - Schema della risposta 200, oppure { codice: schema }
+ */
+export function responses(ok = ref('MessageResponse')) {
+  const success = Object.keys(ok).every(key => /^[23]\d\d$/.test(key)) && Object.keys(ok).length > 0
+    ? ok
+    : { 200: ok };
+  return { ...success, '4xx': ref('ErrorResponse'), '5xx': ref('ErrorResponse') };
+}
+
+/**
+ * Parametri di rotta: db e/o id
+ */
+export const dbParams = object({ db: ref('Db') }, ['db']);
+export const idParams = object({ id: ref('Uuid') }, ['id']);
+export const dbIdParams = object({ db: ref('Db'), id: ref('Uuid') }, ['db', 'id']);
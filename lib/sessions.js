@@ -0,0 +1,197 @@
+/**
+ * Sessioni di login con access token brevi e refresh token a rotazione
+ *
+ * Al login viene creata una sessione in auth_sessions: l'access token (JWT)
+ * contiene l'id utente e l'id sessione (sid) e dura ACCESS_TOKEN_TTL secondi;
+ * il refresh token è una stringa casuale di cui si salva solo l'hash. Ogni
+ * refresh sostituisce il refresh token (rotazione): se un token già sostituito
+ * viene presentato di nuovo, è probabile che sia stato rubato e l'intera
+ * sessione viene revocata. Una sessione revocata invalida subito anche gli
+ * access token già emessi.
+ *
+ * @module lib/sessions
+ */
+
+import crypto from 'crypto';
+
+// Durata dell'access token (secondi) e del refresh token (giorni)
+export const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '900', 10);
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Errore con lo status HTTP da restituire al client
+function sessionError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Firma un access token per la sessione
+ * @param {Object} fastify - Istanza Fastify con @fastify/jwt
+ * @returns {string}
+ */
+export function signAccessToken(fastify, userId, sessionId) {
+  return fastify.jwt.sign({ id: userId, sid: sessionId }, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Crea una sessione e restituisce i token da inviare al client
+ * @param {Object} fastify - Istanza Fastify (pg e jwt)
+ * @param {Object} params - { userId, userAgent, ip, mfaVerified }: mfaVerified se il login è passato dal secondo fattore
+ * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn, sessionId }
+ */
+export async function createSession(fastify, { userId, userAgent, ip, mfaVerified = false }) {
+  const refreshToken = newRefreshToken();
+
+  const { rows } = await fastify.pg.query(`
+    INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, mfa_verified)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), $6)
+    RETURNING id
+  `, [userId, hashToken(refreshToken), userAgent || null, ip || null, REFRESH_TOKEN_TTL_DAYS, mfaVerified]);
+
+  const sessionId = rows[0].id;
+  return {
+    accessToken: signAccessToken(fastify, userId, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId,
+  };
+}
+
+/**
+ * Ruota il refresh token e restituisce una nuova coppia di token
+ *
+ * Il riuso del token precedente revoca la sessione.
+ *
+ * @param {Object} fastify - Istanza Fastify (pg e jwt)
+ * @param {string} refreshToken - Refresh token presentato dal client
+ * @param {Object} [meta] - { userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn, sessionId }
+ */
+export async function rotateSession(fastify, refreshToken, { userAgent, ip } = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw sessionError('Refresh token mancante', 400);
+  }
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  // Rotazione atomica: solo una richiesta concorrente può usare lo stesso token
+  const { rows } = await fastify.pg.query(`
+    UPDATE auth_sessions
+    SET refresh_token_hash = $2,
+        previous_token_hash = refresh_token_hash,
+        last_used_at = NOW(),
+        user_agent = COALESCE($3, user_agent),
+        ip_address = COALESCE($4, ip_address)
+    WHERE refresh_token_hash = $1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING id, user_id
+  `, [tokenHash, hashToken(nextToken), userAgent || null, ip || null]);
+
+  if (rows.length === 0) {
+    const { rowCount } = await fastify.pg.query(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    `, [tokenHash]);
+    if (rowCount > 0) {
+      console.warn('🚨 Riuso di un refresh token già ruotato: sessione revocata');
+    }
+    throw sessionError('Refresh token non valido, scaduto o revocato', 401);
+  }
+
+  const { id: sessionId, user_id: userId } = rows[0];
+  return {
+    accessToken: signAccessToken(fastify, userId, sessionId),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId,
+  };
+}
+
+/**
+ * Sessione attiva di un access token
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {string} sessionId - Claim sid del JWT
+ * @returns {Promise<Object|null>} - { id, user_id, mfa_verified } oppure null se revocata o scaduta
+ */
+export async function loadActiveSession(pg, sessionId) {
+  if (!sessionId) return null;
+  const { rows } = await pg.query(`
+    SELECT id, user_id, mfa_verified FROM auth_sessions
+    WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId]);
+  return rows[0] || null;
+}
+
+/**
+ * Verifica che la sessione di un access token sia ancora attiva
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(pg, sessionId) {
+  return Boolean(await loadActiveSession(pg, sessionId));
+}
+
+/**
+ * Segna come verificate con 2FA (o no) le sessioni indicate
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { userId, sessionId?, verified }; senza sessionId vale per tutte le sessioni dell'utente
+ */
+export async function setSessionMfaVerified(pg, { userId, sessionId = null, verified }) {
+  await pg.query(`
+    UPDATE auth_sessions SET mfa_verified = $3
+    WHERE user_id = $1 AND ($2::uuid IS NULL OR id = $2) AND revoked_at IS NULL
+  `, [userId, sessionId, verified]);
+}
+
+/**
+ * Sessioni attive di un utente (senza hash dei token)
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listActiveSessions(pg, userId) {
+  const { rows } = await pg.query(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM auth_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return rows;
+}
+
+/**
+ * Revoca le sessioni attive di un utente
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params - { userId, sessionId?, reason }; senza sessionId revoca tutte le sessioni
+ * @returns {Promise<number>} - Numero di sessioni revocate
+ */
+export async function revokeSessions(pg, { userId, sessionId = null, reason = 'logout' }) {
+  const { rowCount } = await pg.query(`
+    UPDATE auth_sessions
+    SET revoked_at = NOW(), revoked_reason = $3
+    WHERE user_id = $1
+      AND ($2::uuid IS NULL OR id = $2)
+      AND revoked_at IS NULL
+  `, [userId, sessionId, reason]);
+  return rowCount;
+}
+
+/**
+ * Elimina le sessioni scadute o revocate da più di retentionDays giorni
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @returns {Promise<number>} - Numero di sessioni eliminate
+ */
+export async function purgeExpiredSessions(pg, retentionDays = REFRESH_TOKEN_TTL_DAYS) {
+  const { rowCount } = await pg.query(`
+    DELETE FROM auth_sessions
+    WHERE COALESCE(revoked_at, expires_at) < NOW() - make_interval(days => $1)
+  `, [retentionDays]);
+  return rowCount;
+}
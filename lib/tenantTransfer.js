@@ -0,0 +1,721 @@
+/**
+ * Esportazione, importazione e clonazione di un database (tenant)
+ *
+ * L'archivio è un unico file NDJSON compresso con gzip: un record "manifest"
+ * (dati del database e impostazioni), un record "row" per ogni riga delle
+ * tabelle di TENANT_TABLES nell'ordine in cui vanno reinserite, un record
+ * "object" per ogni file MinIO referenziato (contenuto in base64) e un record
+ * "end" finale che permette di riconoscere un file troncato.
+ *
+ * All'importazione ogni UUID esportato riceve un nuovo valore e i riferimenti
+ * vengono rimappati; le chiavi seriali (regole, import_batches) sono
+ * rigenerate dal database. Tutto avviene in una transazione: in caso di errore
+ * non resta nulla, nemmeno i file già caricati su MinIO.
+ *
+ * Bucket e chiave di destinazione dei file sono ricavati solo dalle righe
+ * importate e sempre sotto lo spazio del nuovo db (bucket del db, prefisso
+ * del db, cartella del nuovo veicolo): bucket e chiave scritti nei record
+ * "object" dell'archivio sono ignorati. Un file già presente nella
+ * destinazione non viene sovrascritto e l'importazione fallisce.
+ *
+ * I veicoli appartengono al db tramite il conto (owner_id): si esportano
+ * quelli dei conti del tenant e quelli collegati al suo scadenziario e, se la
+ * targa esiste già nell'installazione di destinazione, si riusa il veicolo
+ * esistente senza importarne i dati collegati. Allo stesso
+ * modo i documenti d'archivio il cui hash è già presente vengono saltati
+ * (l'hash è univoco in tutta l'installazione). Chunk ed embedding non sono
+ * esportati: vengono rigenerati dopo l'importazione.
+ *
+ * La modalità "structure" esporta solo il piano dei conti (categorie,
+ * soggetti, dettagli) e le regole di classificazione.
+ *
+ * @module lib/tenantTransfer
+ */
+
+import crypto from 'crypto';
+import readline from 'readline';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+import pg from 'pg';
+import { createMinioClient, ensureBucketExists } from './minio-config.js';
+import { reindexTransactions } from './classifierService.js';
+import { getBoss } from '../modules/archive/workers/boss.singleton.js';
+import { withCorrelationId } from './requestContext.js';
+
+export const ARCHIVE_FORMAT = 'studio-cantini-tenant';
+export const ARCHIVE_VERSION = 1;
+export const EXPORT_MODES = ['full', 'structure'];
+
+// Le chiavi dei db sono anche nomi di bucket MinIO (allegati delle transazioni)
+const DB_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/;
+const INSERT_BATCH_SIZE = 500;
+
+// Date e timestamp esportati come testo, senza conversioni di fuso orario
+const RAW_TYPE_OIDS = [1082, 1114, 1184];
+const rawDateTypes = {
+  getTypeParser: (oid, format) => (RAW_TYPE_OIDS.includes(oid) ? (value) => value : pg.types.getTypeParser(oid, format)),
+};
+
+function transferError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Chiave di un oggetto in un bucket condiviso, spostata sotto il prefisso del nuovo db
+function rekey(key, { sourceDb, targetDb }) {
+  return key.startsWith(`${sourceDb}/`) ? `${targetDb}/${key.slice(sourceDb.length + 1)}` : `${targetDb}/${key}`;
+}
+
+/*
+ * File MinIO referenziati dalle righe:
+ * - locate(row, db): posizione del file di una riga esportata
+ * - target(row, data, ctx): destinazione per la riga importata (row già
+ *   rimappata, data com'era nell'archivio), null se la riga non ha file
+ * - apply(row, target, ctx): aggiorna le colonne della riga con la destinazione
+ */
+
+// Allegati delle transazioni: bucket con il nome del db, URL completo nella colonna url
+const TRANSACTION_DOCUMENT = {
+  locate: (row, db) => {
+    const marker = `/${db}/`;
+    const index = row.url ? row.url.indexOf(marker) : -1;
+    return index >= 0 ? { bucket: db, key: row.url.slice(index + marker.length) } : null;
+  },
+  target: (row, data, { sourceDb, targetDb }) => {
+    const location = TRANSACTION_DOCUMENT.locate(data, sourceDb);
+    return location && { bucket: targetDb, key: location.key };
+  },
+  apply: (row, { bucket }, { sourceDb }) => {
+    row.url = row.url.replace(`/${sourceDb}/`, `/${bucket}/`);
+  },
+};
+
+// Allegati dello scadenziario (stesso bucket e URL di routes/scadenziario.js)
+const SCADENZIARIO_URL = '/api/scadenziario/attachment/';
+const SCADENZIARIO_ATTACHMENT = {
+  locate: (row) => (row.attachment_url?.startsWith(SCADENZIARIO_URL)
+    ? { bucket: 'scadenziario-attachments', key: decodeURIComponent(row.attachment_url.slice(SCADENZIARIO_URL.length)) }
+    : null),
+  target: (row, data, ctx) => {
+    const location = SCADENZIARIO_ATTACHMENT.locate(data);
+    return location && { bucket: location.bucket, key: rekey(location.key, ctx) };
+  },
+  apply: (row, { key }) => {
+    row.attachment_url = `${SCADENZIARIO_URL}${encodeURIComponent(key)}`;
+  },
+};
+
+// Documenti dei veicoli (stesso bucket di routes/vehicles.js): i veicoli non
+// appartengono a un db, i file importati vanno nella cartella del nuovo veicolo
+const VEHICLE_DOCUMENT_URL = '/api/vehicles/documents/file/';
+const VEHICLE_DOCUMENT = {
+  locate: (row) => {
+    if (!row.file_path || /^https?:\/\//.test(row.file_path)) return null;
+    const key = row.file_path.startsWith(VEHICLE_DOCUMENT_URL)
+      ? decodeURIComponent(row.file_path.slice(VEHICLE_DOCUMENT_URL.length))
+      : row.file_path;
+    return { bucket: 'vehicle-documents', key };
+  },
+  target: (row, data) => {
+    const location = VEHICLE_DOCUMENT.locate(data);
+    if (!location) return null;
+    const folder = `auto/${data.vehicle_id}/`;
+    const rest = location.key.startsWith(folder) ? location.key.slice(folder.length) : location.key;
+    return { bucket: location.bucket, key: `auto/${row.vehicle_id}/${rest}` };
+  },
+  apply: (row, { key }) => {
+    row.file_path = row.file_path.startsWith(VEHICLE_DOCUMENT_URL) ? `${VEHICLE_DOCUMENT_URL}${encodeURIComponent(key)}` : key;
+  },
+};
+
+// File dell'archivio documentale (bucket di modules/archive)
+const ARCHIVE_BUCKET = process.env.MINIO_ARCHIVE_BUCKET || 'archive';
+const ARCHIVE_FILE = {
+  locate: (row) => (row.storage_path ? { bucket: row.storage_bucket || ARCHIVE_BUCKET, key: row.storage_path } : null),
+  target: (row, data, ctx) => (data.storage_path ? { bucket: ARCHIVE_BUCKET, key: rekey(data.storage_path, ctx) } : null),
+  apply: (row, { bucket, key }) => {
+    row.storage_bucket = bucket;
+    row.storage_path = key;
+  },
+};
+
+const OWNER_SCOPE = 'owner_id IN (SELECT id FROM owners WHERE db = $1)';
+const VEHICLE_SCOPE = `(owner_id IN (SELECT id FROM owners WHERE db = $1) OR id IN (
+  SELECT s.vehicle_id FROM scadenziario s JOIN owners o ON o.id = s.owner_id
+  WHERE o.db = $1 AND s.vehicle_id IS NOT NULL
+))`;
+
+function vehicleTable(name, options = {}) {
+  return {
+    name,
+    where: `vehicle_id IN (SELECT id FROM vehicles WHERE ${VEHICLE_SCOPE})`,
+    refs: ['vehicle_id'],
+    skipWith: ['vehicle_id'],
+    ...options,
+  };
+}
+
+/**
+ * Tabelle del tenant nell'ordine di inserimento.
+ * - where: filtro di esportazione ($1 = db), predefinito "db = $1"
+ * - refs: colonne UUID da rimappare; softRefs: rimappate solo se la riga
+ *   referenziata è stata importata, altrimenti null; arrayRefs: array di UUID
+ * - deferredRefs: come softRefs, ma inserite a null e impostate a fine
+ *   importazione (riferimenti a righe che possono arrivare dopo)
+ * - serial: chiave primaria generata dal database; serialRefs: { colonna: tabella seriale }
+ * - skipWith: la riga si salta se la riga referenziata non è stata importata
+ * - reuseExisting / skipExisting: colonna univoca in tutta l'installazione
+ * - reset: valori sovrascritti all'importazione
+ * - object: file MinIO referenziato dalla riga
+ * - structure: inclusa nella modalità "structure"
+ */
+export const TENANT_TABLES = [
+  { name: 'categories', structure: true },
+  { name: 'subjects', structure: true, refs: ['category_id'] },
+  { name: 'details', structure: true, refs: ['subject_id'] },
+  { name: 'classification_rules', structure: true, serial: true, refs: ['category_id', 'subject_id', 'detail_id'] },
+  { name: 'owners' },
+  { name: 'import_mapping_profiles', refs: ['owner_id'] },
+  { name: 'budgets', refs: ['category_id', 'subject_id', 'detail_id'] },
+  {
+    name: 'import_batches',
+    serial: true,
+    refs: ['owner_id', 'category_id', 'subject_id', 'detail_id'],
+    deferredRefs: ['parent_transaction_id'],
+  },
+  { name: 'owner_statement_balances', refs: ['owner_id'], serialRefs: { import_batch_id: 'import_batches' } },
+  {
+    name: 'transactions',
+    refs: ['categoryid', 'subjectid', 'detailid', 'ownerid'],
+    deferredRefs: ['parent_transaction_id'],
+    serialRefs: { import_batch_id: 'import_batches' },
+  },
+  { name: 'documents', refs: ['transaction_id'], object: TRANSACTION_DOCUMENT },
+  { name: 'category_tx_exclusions', refs: ['transaction_id', 'category_id'] },
+  {
+    name: 'classification_feedback',
+    refs: [
+      'transaction_id',
+      'suggested_category_id', 'suggested_subject_id', 'suggested_detail_id',
+      'corrected_category_id', 'corrected_subject_id', 'corrected_detail_id',
+    ],
+  },
+  { name: 'vehicles', where: VEHICLE_SCOPE, reuseExisting: 'plate', softRefs: ['owner_id'] },
+  vehicleTable('vehicle_policies'),
+  vehicleTable('vehicle_taxes'),
+  vehicleTable('vehicle_ztl'),
+  vehicleTable('vehicle_fines'),
+  vehicleTable('vehicle_maintenance'),
+  vehicleTable('vehicle_odometer_readings'),
+  vehicleTable('vehicle_tires'),
+  vehicleTable('vehicle_incidents', { refs: ['vehicle_id', 'policy_id'] }),
+  vehicleTable('vehicle_assignments_history'),
+  vehicleTable('vehicle_documents', { softRefs: ['related_entity_id'], object: VEHICLE_DOCUMENT }),
+  { name: 'scadenziario_groups', where: OWNER_SCOPE, refs: ['owner_id'] },
+  {
+    name: 'scadenziario',
+    where: OWNER_SCOPE,
+    orderBy: 'parent_id IS NOT NULL',
+    refs: ['owner_id', 'group_id', 'vehicle_id', 'parent_id'],
+    softRefs: ['source_entity_id'],
+    object: SCADENZIARIO_ATTACHMENT,
+  },
+  { name: 'archive_folders', orderBy: 'depth', refs: ['parent_id'] },
+  {
+    name: 'archive_documents',
+    orderBy: 'duplicate_of IS NOT NULL',
+    refs: ['related_subject_id', 'related_category_id', 'folder_id'],
+    softRefs: ['duplicate_of'],
+    arrayRefs: ['related_transaction_ids'],
+    skipExisting: 'file_hash',
+    reset: { processing_status: 'pending', error_message: null, retry_count: 0, completed_at: null },
+    object: ARCHIVE_FILE,
+  },
+  {
+    name: 'archive_document_tags',
+    where: 'document_id IN (SELECT id FROM archive_documents WHERE db = $1)',
+    refs: ['document_id'],
+    skipWith: ['document_id'],
+  },
+];
+
+const TABLES_BY_NAME = new Map(TENANT_TABLES.map(table => [table.name, table]));
+
+/**
+ * Valida la chiave di un nuovo database
+ * @returns {string|null} - Messaggio di errore o null se valida
+ */
+export function validateDbKey(dbKey) {
+  if (typeof dbKey !== 'string' || !DB_KEY_PATTERN.test(dbKey)) {
+    return 'db_key non valido: 3-50 caratteri tra lettere minuscole, numeri e trattini, senza trattino iniziale o finale';
+  }
+  return null;
+}
+
+function getMinioClientOrNull() {
+  try {
+    return createMinioClient();
+  } catch (error) {
+    console.warn('⚠️ MinIO non disponibile, i file non saranno trasferiti:', error.message);
+    return null;
+  }
+}
+
+async function objectExists(minioClient, bucket, key) {
+  try {
+    await minioClient.statObject(bucket, key);
+    return true;
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey' || error.code === 'NoSuchBucket') return false;
+    throw error;
+  }
+}
+
+async function readObject(minioClient, bucket, key) {
+  const stat = await minioClient.statObject(bucket, key);
+  const stream = await minioClient.getObject(bucket, key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return { data: Buffer.concat(chunks), contentType: stat.metaData?.['content-type'] || 'application/octet-stream' };
+}
+
+/**
+ * Record dell'archivio di un database
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {string} db - db_key da esportare
+ * @param {Object} [options] - { mode: 'full' | 'structure' }
+ * @returns {AsyncGenerator<Object>}
+ * @throws {Error} - statusCode 404 se il database non esiste
+ */
+export async function* exportTenant(pg, db, { mode = 'full' } = {}) {
+  const { rows: dbRows } = await pg.query(
+    'SELECT db_name, description, require_2fa, settings FROM databases WHERE db_key = $1',
+    [db]
+  );
+  if (dbRows.length === 0) {
+    throw transferError('Database non trovato', 404);
+  }
+
+  // Le credenziali SMTP non lasciano l'installazione
+  const { smtp, ...settings } = dbRows[0].settings || {};
+  const tables = TENANT_TABLES.filter(table => mode === 'full' || table.structure);
+
+  yield {
+    type: 'manifest',
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    mode,
+    sourceDb: db,
+    exportedAt: new Date().toISOString(),
+    database: {
+      db_name: dbRows[0].db_name,
+      description: dbRows[0].description,
+      require_2fa: dbRows[0].require_2fa,
+      settings,
+    },
+    tables: tables.map(table => table.name),
+  };
+
+  const counts = {};
+  const objects = new Map();
+  for (const table of tables) {
+    const { rows } = await pg.query({
+      text: `SELECT * FROM ${table.name} WHERE ${table.where || 'db = $1'}${table.orderBy ? ` ORDER BY ${table.orderBy}` : ''}`,
+      values: [db],
+      types: rawDateTypes,
+    });
+    counts[table.name] = rows.length;
+
+    for (const row of rows) {
+      const location = table.object?.locate(row, db);
+      if (location) {
+        const objectKey = `${location.bucket}/${location.key}`;
+        if (!objects.has(objectKey)) objects.set(objectKey, { table: table.name, rowIds: [], ...location });
+        objects.get(objectKey).rowIds.push(row.id);
+      }
+      yield { type: 'row', table: table.name, data: row };
+    }
+  }
+
+  const missingObjects = [];
+  const minioClient = objects.size > 0 ? getMinioClientOrNull() : null;
+  for (const object of objects.values()) {
+    if (!minioClient) {
+      missingObjects.push({ bucket: object.bucket, key: object.key });
+      continue;
+    }
+    try {
+      const { data, contentType } = await readObject(minioClient, object.bucket, object.key);
+      yield { type: 'object', ...object, contentType, data: data.toString('base64') };
+    } catch (error) {
+      console.warn(`⚠️ File ${object.bucket}/${object.key} non esportato:`, error.message);
+      missingObjects.push({ bucket: object.bucket, key: object.key });
+    }
+  }
+
+  yield { type: 'end', counts, objects: objects.size - missingObjects.length, missingObjects };
+}
+
+async function* serializeRecords(records) {
+  for await (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Stream gzip dell'archivio (da inviare come risposta o salvare su file)
+ * @param {AsyncIterable<Object>} records - Di norma exportTenant(...)
+ * @returns {import('stream').Readable}
+ */
+export function createArchiveStream(records) {
+  const gzip = zlib.createGzip();
+  pipeline(Readable.from(serializeRecords(records)), gzip, (error) => {
+    if (error) console.error('❌ Errore durante l\'esportazione del database:', error);
+  });
+  return gzip;
+}
+
+/**
+ * Record di un archivio caricato
+ * @param {import('stream').Readable} stream - File gzip
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* readArchive(stream) {
+  const gunzip = zlib.createGunzip();
+  pipeline(stream, gunzip, () => {});
+  const lines = readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        throw transferError('Archivio non valido: riga non leggibile', 400);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'Z_BUF_ERROR') {
+      throw transferError('Archivio incompleto o troncato', 400);
+    }
+    if (error.code === 'Z_DATA_ERROR') {
+      throw transferError('Archivio non valido: il file non è compresso con gzip', 400);
+    }
+    throw error;
+  }
+}
+
+async function loadTargetColumns(client) {
+  const { rows } = await client.query(`
+    SELECT table_name, column_name, data_type
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = ANY($1)
+  `, [TENANT_TABLES.map(table => table.name)]);
+
+  const columns = new Map();
+  for (const row of rows) {
+    if (!columns.has(row.table_name)) columns.set(row.table_name, new Map());
+    columns.get(row.table_name).set(row.column_name, row.data_type);
+  }
+  return columns;
+}
+
+function toParam(value, dataType) {
+  if (value !== null && value !== undefined && (dataType === 'json' || dataType === 'jsonb')) {
+    return JSON.stringify(value);
+  }
+  return value ?? null;
+}
+
+/**
+ * Importa un archivio come nuovo database
+ * @param {Object} pool - Pool PostgreSQL (fastify.pg)
+ * @param {AsyncIterable<Object>} records - readArchive(...) oppure exportTenant(...) per una clonazione
+ * @param {Object} options - { targetDb, dbName, description, userId }: userId riceve il ruolo admin sul nuovo db
+ * @returns {Promise<Object>} - Riepilogo: righe importate per tabella, veicoli riusati, righe saltate, file
+ * @throws {Error} - statusCode 400 (archivio non valido), 409 (db_key esistente)
+ */
+export async function importTenant(pool, records, { targetDb, dbName, description, userId }) {
+  const keyError = validateDbKey(targetDb);
+  if (keyError) throw transferError(keyError, 400);
+
+  const { rows: existing } = await pool.query('SELECT 1 FROM databases WHERE db_key = $1', [targetDb]);
+  if (existing.length > 0) {
+    throw transferError('Un database con questa chiave esiste già', 409);
+  }
+
+  const ids = new Map(); // UUID esportato -> nuovo UUID
+  const serialIds = {}; // tabella seriale -> (id esportato -> nuovo id)
+  const skipped = new Set(); // UUID esportati di righe non importate
+  const deferred = []; // { table, id, column, ref }: riferimenti da impostare a fine importazione
+  const objectTargets = new Map(); // UUID esportato della riga -> destinazione del suo file
+  const uploaded = []; // solo file creati da questa importazione
+  const bucketsReady = new Set();
+  const summary = { db: targetDb, rows: {}, reused: {}, skipped: {}, objects: 0, missingObjects: [] };
+  let manifest = null;
+  let ctx = null;
+  let minioClient;
+  let pending = { table: null, rows: [] };
+  let ended = false;
+
+  const mapId = (oldId) => {
+    if (!ids.has(oldId)) ids.set(oldId, crypto.randomUUID());
+    return ids.get(oldId);
+  };
+  const count = (group, table) => {
+    summary[group][table] = (summary[group][table] || 0) + 1;
+  };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const targetColumns = await loadTargetColumns(client);
+
+    const prepareRow = async (table, data) => {
+      if (table.skipWith?.some(column => skipped.has(data[column]))) {
+        skipped.add(data.id);
+        count('skipped', table.name);
+        return null;
+      }
+      if (table.reuseExisting || table.skipExisting) {
+        const column = table.reuseExisting || table.skipExisting;
+        const { rows } = await client.query(`SELECT id FROM ${table.name} WHERE ${column} = $1`, [data[column]]);
+        if (rows.length > 0) {
+          skipped.add(data.id);
+          if (table.reuseExisting) {
+            ids.set(data.id, rows[0].id);
+            count('reused', table.name);
+          } else {
+            count('skipped', table.name);
+          }
+          return null;
+        }
+      }
+
+      const row = { ...data };
+      if ('db' in row) row.db = targetDb;
+      for (const column of table.refs || []) {
+        if (row[column]) row[column] = mapId(row[column]);
+      }
+      for (const column of table.softRefs || []) {
+        if (row[column]) row[column] = ids.has(row[column]) && !skipped.has(row[column]) ? ids.get(row[column]) : null;
+      }
+      for (const column of table.arrayRefs || []) {
+        if (Array.isArray(row[column])) row[column] = row[column].map(mapId);
+      }
+      for (const [column, serialTable] of Object.entries(table.serialRefs || {})) {
+        if (row[column] !== null && row[column] !== undefined) row[column] = serialIds[serialTable]?.get(row[column]) ?? null;
+      }
+      Object.assign(row, table.reset);
+      if (table.serial) delete row.id;
+      else row.id = mapId(data.id);
+      const target = table.object?.target(row, data, ctx);
+      if (target) {
+        table.object.apply(row, target, ctx);
+        objectTargets.set(data.id, { table: table.name, ...target });
+      }
+      return row;
+    };
+
+    const insertRows = async (table, rows, originalIds) => {
+      const tableColumns = targetColumns.get(table.name);
+      const columns = Object.keys(rows[0]).filter(column => tableColumns.has(column));
+      const deferredRefs = (table.deferredRefs || []).filter(column => tableColumns.has(column));
+      const values = [];
+      const tuples = rows.map(row => `(${columns.map(column => {
+        values.push(deferredRefs.includes(column) ? null : toParam(row[column], tableColumns.get(column)));
+        return `$${values.length}`;
+      }).join(', ')})`);
+
+      const { rows: inserted } = await client.query(
+        `INSERT INTO ${table.name} (${columns.map(column => `"${column}"`).join(', ')})
+         VALUES ${tuples.join(', ')}${table.serial ? ' RETURNING id' : ''}`,
+        values
+      );
+      if (table.serial) {
+        serialIds[table.name] ??= new Map();
+        serialIds[table.name].set(originalIds[0], inserted[0].id);
+      }
+      rows.forEach((row, index) => {
+        for (const column of deferredRefs) {
+          if (row[column]) deferred.push({ table, id: table.serial ? inserted[index].id : row.id, column, ref: row[column] });
+        }
+      });
+      summary.rows[table.name] = (summary.rows[table.name] || 0) + rows.length;
+    };
+
+    const flush = async () => {
+      const { table, rows } = pending;
+      pending = { table: null, rows: [] };
+      if (!table || rows.length === 0) return;
+      for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        await insertRows(table, rows.slice(i, i + INSERT_BATCH_SIZE));
+      }
+    };
+
+    for await (const record of records) {
+      if (!manifest) {
+        if (record?.type !== 'manifest' || record.format !== ARCHIVE_FORMAT) {
+          throw transferError('Il file non è un archivio di database', 400);
+        }
+        if (record.version > ARCHIVE_VERSION) {
+          throw transferError(`Versione dell'archivio non supportata (${record.version})`, 400);
+        }
+        manifest = record;
+        ctx = { sourceDb: record.sourceDb, targetDb };
+        summary.mode = record.mode;
+        summary.sourceDb = record.sourceDb;
+
+        await client.query(`
+          INSERT INTO databases (db_key, db_name, description, require_2fa, settings)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [
+          targetDb,
+          dbName || record.database.db_name,
+          description ?? record.database.description,
+          Boolean(record.database.require_2fa),
+          JSON.stringify(record.database.settings || {}),
+        ]);
+        continue;
+      }
+
+      if (ended) {
+        throw transferError('Archivio non valido: dati dopo la fine', 400);
+      }
+
+      if (record.type === 'row') {
+        const table = TABLES_BY_NAME.get(record.table);
+        if (!table) throw transferError(`Archivio non valido: tabella sconosciuta ${record.table}`, 400);
+        if (!targetColumns.has(table.name)) {
+          count('skipped', table.name);
+          continue;
+        }
+
+        if (pending.table !== table) await flush();
+        const row = await prepareRow(table, record.data);
+        if (!row) continue;
+
+        if (table.serial) {
+          await insertRows(table, [row], [record.data.id]);
+        } else {
+          pending.table = table;
+          pending.rows.push(row);
+        }
+      } else if (record.type === 'object') {
+        await flush();
+        // Destinazioni calcolate dalle righe importate: bucket e key del record non sono usati
+        const targets = (record.rowIds || [record.rowId])
+          .map(rowId => objectTargets.get(rowId))
+          .filter(target => target && target.table === record.table);
+        if (targets.length === 0) continue;
+
+        if (minioClient === undefined) minioClient = getMinioClientOrNull();
+        const data = Buffer.from(record.data, 'base64');
+        for (const target of targets) {
+          const { bucket, key } = target;
+          if (!minioClient) {
+            summary.missingObjects.push({ bucket, key });
+            continue;
+          }
+          if (uploaded.some(object => object.bucket === bucket && object.key === key)) continue;
+          if (!bucketsReady.has(bucket)) {
+            await ensureBucketExists(minioClient, bucket);
+            bucketsReady.add(bucket);
+          }
+          if (await objectExists(minioClient, bucket, key)) {
+            throw transferError(`File già presente nella destinazione: ${bucket}/${key}`, 409);
+          }
+          await minioClient.putObject(bucket, key, data, data.length, { 'Content-Type': record.contentType });
+          uploaded.push({ bucket, key });
+          summary.objects++;
+        }
+      } else if (record.type === 'end') {
+        await flush();
+        summary.missingObjects.push(...(record.missingObjects || []));
+        ended = true;
+      }
+    }
+
+    if (!manifest) throw transferError('Archivio vuoto', 400);
+    if (!ended) throw transferError('Archivio incompleto o troncato', 400);
+
+    // Riferimenti rinviati: ora tutte le righe referenziate sono state inserite
+    const groups = new Map();
+    for (const entry of deferred) {
+      if (!ids.has(entry.ref) || skipped.has(entry.ref)) continue;
+      const group = `${entry.table.name}.${entry.column}`;
+      if (!groups.has(group)) groups.set(group, { ...entry, pairs: [] });
+      groups.get(group).pairs.push([String(entry.id), ids.get(entry.ref)]);
+    }
+    for (const { table, column, pairs } of groups.values()) {
+      for (let i = 0; i < pairs.length; i += INSERT_BATCH_SIZE) {
+        const batch = pairs.slice(i, i + INSERT_BATCH_SIZE);
+        await client.query(
+          `UPDATE ${table.name} t SET "${column}" = v.ref::uuid
+           FROM unnest($1::text[], $2::text[]) AS v(id, ref)
+           WHERE t.id = v.id::${table.serial ? 'integer' : 'uuid'}`,
+          [batch.map(pair => pair[0]), batch.map(pair => pair[1])]
+        );
+      }
+    }
+
+    if (userId) {
+      const { rows: userRows } = await client.query('SELECT dbrole FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (userRows.length > 0) {
+        const roles = (Array.isArray(userRows[0].dbrole) ? userRows[0].dbrole : []).filter(r => r.db !== targetDb);
+        roles.push({ db: targetDb, role: 'admin' });
+        await client.query(
+          'UPDATE users SET dbrole = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [userId, JSON.stringify(roles)]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    for (const { bucket, key } of uploaded) {
+      await minioClient.removeObject(bucket, key).catch(err =>
+        console.warn(`⚠️ Impossibile rimuovere ${bucket}/${key}:`, err.message)
+      );
+    }
+    if (error.code === '23505' && error.constraint === 'databases_db_key_key') {
+      throw transferError('Un database con questa chiave esiste già', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Rigenera in background gli indici del nuovo database: vettori del
+ * classificatore per le transazioni ed elaborazione (OCR, chunk, embedding)
+ * dei documenti d'archivio importati
+ */
+export function reindexImportedTenant(pool, db) {
+  reindexTransactions(db, pool).catch(error =>
+    console.error(`❌ Re-indicizzazione transazioni di ${db} non riuscita:`, error)
+  );
+
+  (async () => {
+    const { rows } = await pool.query(
+      `SELECT id, priority FROM archive_documents WHERE db = $1 AND processing_status = 'pending'`,
+      [db]
+    );
+    if (rows.length === 0) return;
+
+    const boss = await getBoss(process.env.POSTGRES_URL);
+    await boss.createQueue('archive-ocr');
+    for (const document of rows) {
+      await boss.send('archive-ocr', withCorrelationId({ documentId: document.id, db }), {
+        priority: document.priority === 'URGENT' ? 100 : 50,
+        retryLimit: 3,
+        retryDelay: 30,
+        expireInMinutes: 60,
+      });
+    }
+    console.log(`📄 ${rows.length} documenti d'archivio di ${db} accodati per l'elaborazione`);
+  })().catch(error =>
+    console.error(`❌ Accodamento documenti d'archivio di ${db} non riuscito:`, error)
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * Autenticazione a due fattori con TOTP (RFC 6238) e codici di recupero
+ *
+ * Implementazione completamente offline basata su HMAC-SHA1 (RFC 4226):
+ * codici di 6 cifre su intervalli di 30 secondi, compatibili con le app di
+ * autenticazione più diffuse tramite l'URI otpauth:// (da mostrare come QR
+ * code). Il segreto è salvato cifrato con AES-256-GCM usando TOTP_ENCRYPTION_KEY
+ * (o, in mancanza, una chiave derivata da JWT_SECRET).
+ *
+ * @module lib/totp
+ */
+
+import crypto from 'crypto';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+// Intervalli di tolleranza prima e dopo quello corrente (sfasamento dell'orologio)
+export const TOTP_WINDOW = 1;
+export const RECOVERY_CODE_COUNT = 10;
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Studio Cantini';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Carattere base32 non valido: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Nuovo segreto TOTP (160 bit, codificato base32)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Codice HOTP (RFC 4226) per un contatore
+ * @param {string} secret - Segreto base32
+ * @param {number} counter
+ * @returns {string} - Codice di TOTP_DIGITS cifre
+ */
+export function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+export function timeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Codice TOTP per l'istante indicato
+ */
+export function generateTotp(secret, timeMs = Date.now()) {
+  return generateHotp(secret, timeStep(timeMs));
+}
+
+/**
+ * Verifica un codice TOTP entro la finestra di tolleranza
+ *
+ * @param {string} secret - Segreto base32
+ * @param {string} code - Codice inserito dall'utente
+ * @param {Object} [options] - { timeMs, lastStep }: i codici di intervalli <= lastStep sono rifiutati (anti-riuso)
+ * @returns {number|null} - Intervallo corrispondente al codice, null se non valido
+ */
+export function verifyTotp(secret, code, { timeMs = Date.now(), lastStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeStep(timeMs);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * URI otpauth:// da codificare nel QR code per l'app di autenticazione
+ * @param {string} secret - Segreto base32
+ * @param {string} account - Etichetta dell'account (di norma l'email)
+ */
+export function provisioningUri(secret, account) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Nuovi codici di recupero monouso
+ * @returns {Object} - { codes: da mostrare una sola volta, hashes: da salvare }
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET}`)
+    .digest();
+}
+
+/**
+ * Cifra il segreto per il salvataggio in users.totp_secret
+ * @returns {string} - 'iv:tag:ciphertext' in base64
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join(':');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
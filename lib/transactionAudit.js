@@ -0,0 +1,224 @@
+/**
+ * Audit trail delle transazioni
+ *
+ * Ogni modifica a una transazione (edit, edit multipla, scorporo, eliminazione)
+ * viene registrata in transaction_audit_log con utente, rotta di origine e
+ * differenza campo per campo tra stato precedente e successivo. Le modifiche
+ * eseguite dalla stessa richiesta condividono lo stesso bulk_id, così da
+ * poter essere annullate insieme.
+ *
+ * @module lib/transactionAudit
+ */
+
+import crypto from 'crypto';
+
+// Colonne della tabella transactions tracciate dall'audit
+export const AUDITED_FIELDS = [
+  'db',
+  'date',
+  'amount',
+  'description',
+  'note',
+  'ownerid',
+  'categoryid',
+  'subjectid',
+  'detailid',
+  'paymenttype',
+  'status',
+  'excluded_from_stats',
+  'parent_transaction_id',
+  'import_batch_id',
+  'deleted_at',
+];
+
+/**
+ * Nuovo identificativo per raggruppare le modifiche di una stessa richiesta
+ */
+export function newBulkId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Legge lo stato corrente delle transazioni indicate
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {string|null} db - Database (null per non filtrare)
+ * @param {Array<string>} ids
+ * @returns {Promise<Map<string, Object>>} - id -> snapshot
+ */
+export async function snapshotTransactions(pg, db, ids) {
+  const snapshots = new Map();
+  const validIds = (ids || []).filter(Boolean);
+  if (validIds.length === 0) return snapshots;
+
+  const { rows } = await pg.query(`
+    SELECT
+      id,
+      db,
+      to_char(date, 'YYYY-MM-DD') AS date,
+      amount::float AS amount,
+      description,
+      note,
+      ownerid,
+      categoryid,
+      subjectid,
+      detailid,
+      paymenttype,
+      status,
+      excluded_from_stats,
+      parent_transaction_id,
+      import_batch_id,
+      deleted_at::text AS deleted_at
+    FROM transactions
+    WHERE id = ANY($1::uuid[])
+      AND ($2::text IS NULL OR db = $2)
+  `, [validIds, db || null]);
+
+  for (const row of rows) snapshots.set(row.id, row);
+  return snapshots;
+}
+
+/**
+ * Differenza campo per campo tra due snapshot
+ * @returns {Object} - { campo: { before, after } } solo per i campi modificati
+ */
+export function diffTransaction(before, after) {
+  const changes = {};
+  for (const field of AUDITED_FIELDS) {
+    const a = before ? before[field] ?? null : null;
+    const b = after ? after[field] ?? null : null;
+    if (a !== b) changes[field] = { before: a, after: b };
+  }
+  return changes;
+}
+
+/**
+ * Registra le modifiche confrontando gli snapshot prima e dopo la mutazione
+ * @param {Object} pg - Client o pool PostgreSQL
+ * @param {Object} params
+ * @param {Map<string, Object>} params.before - Output di snapshotTransactions prima della modifica
+ * @param {Map<string, Object>} params.after - Output di snapshotTransactions dopo la modifica
+ * @param {string} params.route - Rotta di origine (es. 'POST /v1/transaction/edit')
+ * @param {string|null} params.userId - Utente dal JWT
+ * @param {string} [params.bulkId] - Raggruppamento delle modifiche
+ * @returns {Promise<number>} - Numero di voci registrate
+ */
+export async function recordTransactionChanges(pg, { before, after, route, userId, bulkId = newBulkId() }) {
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  let recorded = 0;
+
+  for (const id of ids) {
+    const previous = before.get(id) || null;
+    const current = after.get(id) || null;
+    const changes = diffTransaction(previous, current);
+    if (Object.keys(changes).length === 0) continue;
+
+    const action = !previous ? 'create' : (!current ? 'delete' : 'update');
+
+    await pg.query(`
+      INSERT INTO transaction_audit_log (db, transaction_id, bulk_id, action, route, user_id, changes, before_data, after_data)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      (current || previous).db,
+      id,
+      bulkId,
+      action,
+      route,
+      userId || null,
+      JSON.stringify(changes),
+      previous ? JSON.stringify(previous) : null,
+      current ? JSON.stringify(current) : null,
+    ]);
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Annulla le voci di audit indicate, dalla più recente alla più vecchia
+ *
+ * Una voce non viene annullata se la transazione è stata modificata di nuovo
+ * dopo la voce stessa (i campi correnti non coincidono più con lo stato "after"):
+ * in quel caso viene restituito un conflitto e nessuna modifica è applicata
+ * dal chiamante (che deve eseguire il tutto in una transazione SQL).
+ *
+ * @param {Object} client - Client PostgreSQL con transazione aperta
+ * @param {Array<Object>} entries - Righe di transaction_audit_log
+ * @param {Object} params - { userId, route }
+ * @returns {Promise<Object>} - { reverted, conflicts, bulkId }
+ */
+export async function revertAuditEntries(client, entries, { userId, route }) {
+  const ordered = [...entries].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const conflicts = [];
+  const bulkId = newBulkId();
+  const touched = [...new Set(ordered.map(e => e.transaction_id))];
+  const before = await snapshotTransactions(client, null, touched);
+
+  for (const entry of ordered) {
+    if (entry.reverted_at) {
+      conflicts.push({ auditId: entry.id, transactionId: entry.transaction_id, reason: 'Modifica già annullata' });
+      continue;
+    }
+
+    const current = (await snapshotTransactions(client, null, [entry.transaction_id])).get(entry.transaction_id);
+    const changes = entry.changes || {};
+
+    if (entry.action === 'delete') {
+      if (current) {
+        conflicts.push({ auditId: entry.id, transactionId: entry.transaction_id, reason: 'La transazione esiste già' });
+        continue;
+      }
+      const data = entry.before_data;
+      const columns = AUDITED_FIELDS.filter(f => data[f] !== undefined);
+      await client.query(
+        `INSERT INTO transactions (id, ${columns.join(', ')})
+         VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})`,
+        [entry.transaction_id, ...columns.map(f => data[f])]
+      );
+      continue;
+    }
+
+    if (!current) {
+      conflicts.push({ auditId: entry.id, transactionId: entry.transaction_id, reason: 'La transazione non esiste più' });
+      continue;
+    }
+
+    const changedSince = Object.keys(changes).filter(field => (current[field] ?? null) !== changes[field].after);
+    if (changedSince.length > 0) {
+      conflicts.push({
+        auditId: entry.id,
+        transactionId: entry.transaction_id,
+        reason: 'Transazione modificata successivamente',
+        fields: changedSince,
+      });
+      continue;
+    }
+
+    if (entry.action === 'create') {
+      await client.query('DELETE FROM transactions WHERE id = $1', [entry.transaction_id]);
+      continue;
+    }
+
+    const fields = Object.keys(changes).filter(f => AUDITED_FIELDS.includes(f));
+    await client.query(
+      `UPDATE transactions
+       SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')}
+       WHERE id = $1`,
+      [entry.transaction_id, ...fields.map(f => changes[f].before)]
+    );
+  }
+
+  if (conflicts.length > 0) {
+    return { reverted: 0, conflicts, bulkId: null };
+  }
+
+  // Anche l'annullamento viene tracciato, e le voci originali marcate come annullate
+  const after = await snapshotTransactions(client, null, touched);
+  await recordTransactionChanges(client, { before, after, route, userId, bulkId });
+  await client.query(
+    'UPDATE transaction_audit_log SET reverted_at = NOW(), reverted_by = $2, revert_bulk_id = $3 WHERE id = ANY($1::uuid[])',
+    [ordered.map(e => e.id), userId || null, bulkId]
+  );
+
+  return { reverted: ordered.length, conflicts, bulkId };
+}
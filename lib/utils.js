@@ -1,6 +1,7 @@
 import ExcelJS from 'exceljs';
 import XLSX from 'xlsx';
 import { DateTime } from 'luxon';
+import { isSessionActive } from './sessions.js';
 
 export async function checkUserLogin(fastify, header) {
   try {
@@ -8,6 +9,11 @@ export async function checkUserLogin(fastify, header) {
     const decoded = await fastify.jwt.verify(token); // decodificare il token
     const userId = decoded.id; // recuperare l'id del cliente dal payload del token
 
+    // Token di una sessione revocata (logout, revoca admin) o scaduta
+    if (!(await isSessionActive(fastify.pg, decoded.sid))) {
+      return { message: 'Session revoked' };
+    }
+
     // Fetch the user from the PostgreSQL database
     const query = 'SELECT id, email, firstname, lastname, dbrole FROM users WHERE id = $1';
     const { rows } = await fastify.pg.query(query, [userId]);
@@ -23,36 +29,65 @@ export async function checkUserLogin(fastify, header) {
   }
 }
 
-function parseAmount(value) {
-  if (value === null || value === undefined) return null;
+/**
+ * Converte un importo in numero.
+ * @param {*} value - Valore della cella
+ * @param {string|null} decimalSeparator - ',' o '.' se noto (da profilo di mappatura), null = rilevamento automatico
+ * @returns {number|null} - null se la cella è vuota, NaN se il valore non è un importo valido
+ */
+function parseAmount(value, decimalSeparator = null) {
+  if (value === null || value === undefined || value === '') return null;
   if (typeof value === 'number') return value;
-  if (typeof value === 'string') {
-    const str = value.trim();
+  if (typeof value !== 'string') return NaN;
+
+  // Rimuovi simbolo valuta, spazi (anche non-breaking) e segno "+" esplicito
+  let str = value.replace(/€|EUR/gi, '').replace(/[\s ]+/g, '').replace(/^\+/, '');
+  if (str === '') return null;
 
+  // Segno meno finale (es. "1.234,56-") usato da alcune banche
+  if (/^[\d.,]+-$/.test(str)) str = '-' + str.slice(0, -1);
+
+  if (decimalSeparator === ',') {
+    str = str.replace(/\./g, '').replace(',', '.');
+  } else if (decimalSeparator === '.') {
+    str = str.replace(/,/g, '');
+  } else if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) {
     // Formato italiano con separatore migliaia (punto) e decimale (virgola)
     // es. "-1.234,56" oppure "1.234,00"
-    if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) {
-      const cleaned = str.replace(/\./g, '').replace(',', '.');
-      const parsed = parseFloat(cleaned);
-      return isNaN(parsed) ? 0 : parsed;
-    }
-
+    str = str.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d+(,\d+)?$/.test(str)) {
     // Formato con solo virgola decimale, senza punti migliaia
     // es. "-32,49" oppure "100,00"
-    if (/^-?\d+(,\d+)?$/.test(str)) {
-      const cleaned = str.replace(',', '.');
-      const parsed = parseFloat(cleaned);
-      return isNaN(parsed) ? 0 : parsed;
-    }
-
-    // Formato standard con punto decimale: "-32.49"
-    const parsed = parseFloat(str);
-    return isNaN(parsed) ? 0 : parsed;
+    str = str.replace(',', '.');
+  } else if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(str)) {
+    // Formato inglese con separatore migliaia (virgola): "-1,234.56"
+    str = str.replace(/,/g, '');
   }
-  return 0;
+
+  // Formato standard con punto decimale: "-32.49"
+  if (!/^-?\d+(\.\d+)?$/.test(str)) return NaN;
+  return parseFloat(str);
 }
 
+/**
+ * Legge un file Excel e ne estrae i movimenti.
+ * Mantiene la firma storica: restituisce solo l'array dei movimenti.
+ * @param {Buffer} fileBuffer
+ * @returns {Promise<Array<Object>>}
+ */
 export async function ConvertExcelToJson(fileBuffer) {
+  const { movements } = await parseExcelStatement(fileBuffer);
+  return movements;
+}
+
+/**
+ * Legge un file Excel e ne estrae i movimenti usando una mappatura colonne
+ * esplicita (profilo salvato per il conto) oppure quella rilevata automaticamente.
+ * @param {Buffer} fileBuffer
+ * @param {Object|null} mapping - Mappatura colonne (vedi detectColumnMapping)
+ * @returns {Promise<{movements: Array<Object>, mapping: Object|null, errors: Array<Object>}>}
+ */
+export async function parseExcelStatement(fileBuffer, mapping = null) {
   console.log('🔍 ConvertExcelToJson - Buffer info:', {
     length: fileBuffer.length,
     isBuffer: Buffer.isBuffer(fileBuffer),
@@ -71,6 +106,11 @@ export async function ConvertExcelToJson(fileBuffer) {
     throw error;
   }
 
+  // Foglio indicato dal profilo di mappatura, se presente nel file
+  if (mapping?.sheetName && workbook.SheetNames.includes(mapping.sheetName)) {
+    return processWorksheet(workbook.Sheets[mapping.sheetName], mapping, mapping.sheetName);
+  }
+
   // Cerca il foglio "Lista Movimenti"
   const sheetName = workbook.SheetNames.find(name => name === 'Lista Movimenti');
   if (!sheetName) {
@@ -81,29 +121,90 @@ export async function ConvertExcelToJson(fileBuffer) {
       const firstSheet = workbook.SheetNames[0];
       console.log('ℹ️ Utilizzo il primo foglio disponibile:', firstSheet);
       const worksheet = workbook.Sheets[firstSheet];
-      return processWorksheet(worksheet);
+      return processWorksheet(worksheet, mapping, firstSheet);
     }
     
-    return [];
+    return { movements: [], mapping: null, errors: [] };
   }
   
   const worksheet = workbook.Sheets[sheetName];
-  return processWorksheet(worksheet);
+  return processWorksheet(worksheet, mapping, sheetName);
+}
+
+// Forma di una data (anche non valida, es. "31/13/2024"): la riga è un movimento
+const DATE_SHAPE = /^(\d{1,4}[\/.\-]\d{1,2}[\/.\-]\d{1,4}|\d{1,2}\s+\p{L}+\s+\d{4}|\d{8})(\s|T|$)/u;
+
+/**
+ * Verifica se il valore della colonna data appartiene a una riga di movimenti.
+ * Intestazioni, titoli e totali ("Data", "Saldo finale") non lo sono e vengono
+ * saltati; una data con la forma giusta ma non valida resta un errore.
+ */
+function looksLikeDate(value) {
+  if (value instanceof Date || typeof value === 'number') return true;
+  if (typeof value !== 'string') return false;
+  return DATE_SHAPE.test(value.trim());
+}
+
+/**
+ * Rileva euristicamente la disposizione delle colonne del foglio.
+ * Formati riconosciuti:
+ * - "alternate": A vuota, B=data, C=descrizione, D=importo con segno (es. estratto conto banca)
+ * - "single":    A=data, B=descrizione, C=importo con segno, D=null (colonna unica)
+ * - "standard":  A=data, B=descrizione, C=dare, D=avere (due colonne separate)
+ * Intestazioni e righe senza data in A o B non contano nel rilevamento.
+ * @param {Array<Object>} rawRows - Righe lette dal foglio, indicizzate per lettera di colonna
+ * @returns {Object} - Mappatura colonne
+ */
+export function detectColumnMapping(rawRows) {
+  const base = { startRow: 0, decimalSeparator: null };
+
+  const dataRows = rawRows.filter(r => looksLikeDate(r.A) || looksLikeDate(r.B));
+  if (dataRows.length > 0) {
+    const firstRow = dataRows[0];
+
+    // Formato alternativo: A è vuota, B contiene la data
+    if (!firstRow.A && firstRow.B && typeof firstRow.B === 'string' &&
+        (/\d{2}\/\d{2}\/\d{4}/.test(firstRow.B) || /\d{1,2}\s+\w+\s+\d{4}/.test(firstRow.B))) {
+      console.log('📋 Rilevato formato alternativo (B=data, C=descrizione, D=importo)');
+      return { ...base, format: 'alternate', dateColumn: 'B', descriptionColumn: 'C', amountColumn: 'D', debitColumn: null, creditColumn: null };
+    }
+
+    // Campiona tutte le righe con data per capire se D è sempre vuota
+    const sampleRows = dataRows.filter(r => looksLikeDate(r.A));
+    const hasAnyD = sampleRows.some(r => r.D !== null && r.D !== '' && r.D !== 0);
+    if (!hasAnyD && sampleRows.length > 0) {
+      console.log('📋 Rilevato formato colonna singola (A=data, B=descrizione, C=importo con segno)');
+      return { ...base, format: 'single', dateColumn: 'A', descriptionColumn: 'B', amountColumn: 'C', debitColumn: null, creditColumn: null };
+    }
+  }
+
+  console.log('📋 Rilevato formato standard (A=data, B=descrizione, C=dare, D=avere)');
+  return { ...base, format: 'standard', dateColumn: 'A', descriptionColumn: 'B', amountColumn: null, debitColumn: 'C', creditColumn: 'D' };
+}
+
+function columnLetters(mapping) {
+  const letters = ['A', 'B', 'C', 'D'];
+  if (mapping) {
+    for (const key of ['dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn']) {
+      if (mapping[key] && !letters.includes(mapping[key])) letters.push(mapping[key]);
+    }
+  }
+  return letters;
 }
 
-function processWorksheet(worksheet) {
+function processWorksheet(worksheet, mapping = null, sheetName = null) {
   // Converti il foglio in una matrice di righe
   const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  const letters = columnLetters(mapping);
   const rawRows = [];
 
   for (let rowNum = range.s.r; rowNum <= range.e.r; rowNum++) {
-    const rowData = {};
+    const rowData = { __row: rowNum + 1 };
 
-    // Leggi le prime 4 colonne (A, B, C, D)
-    for (let colNum = 0; colNum < 4; colNum++) {
-      const cellAddress = XLSX.utils.encode_cell({ r: rowNum, c: colNum });
+    // Leggi le colonne A-D più quelle indicate dalla mappatura
+    for (const colLetter of letters) {
+      const cellAddress = `${colLetter}${rowNum + 1}`;
       const cell = worksheet[cellAddress];
-      const colLetter = String.fromCharCode(65 + colNum); // A, B, C, D
       rowData[colLetter] = cell ? getCellValue(cell) : null;
     }
 
@@ -112,55 +213,57 @@ function processWorksheet(worksheet) {
 
   console.log('📊 Righe lette:', rawRows.length);
 
-  // Determina il formato:
-  // - "alternate": A vuota, B=data, C=descrizione, D=importo con segno (es. estratto conto banca)
-  // - "single":    A=data, B=descrizione, C=importo con segno, D=null (colonna unica)
-  // - "standard":  A=data, B=descrizione, C=dare, D=avere (due colonne separate)
-  let format = 'standard';
-  if (rawRows.length > 0) {
-    const firstRow = rawRows[0];
-
-    // Formato alternativo: A è vuota, B contiene la data
-    if (!firstRow.A && firstRow.B && typeof firstRow.B === 'string' &&
-        (/\d{2}\/\d{2}\/\d{4}/.test(firstRow.B) || /\d{1,2}\s+\w+\s+\d{4}/.test(firstRow.B))) {
-      console.log('📋 Rilevato formato alternativo (B=data, C=descrizione, D=importo)');
-      format = 'alternate';
-    } else {
-      // Campiona tutte le righe con data per capire se D è sempre vuota
-      const sampleRows = rawRows.filter(r => r.A);
-      const hasAnyD = sampleRows.some(r => r.D !== null && r.D !== '' && r.D !== 0);
-      if (!hasAnyD && sampleRows.length > 0) {
-        console.log('📋 Rilevato formato colonna singola (A=data, B=descrizione, C=importo con segno)');
-        format = 'single';
-      } else {
-        console.log('📋 Rilevato formato standard (A=data, B=descrizione, C=dare, D=avere)');
-      }
-    }
-  }
+  // Usa la mappatura fornita (profilo del conto) oppure quella rilevata
+  const effectiveMapping = mapping
+    ? { startRow: 0, decimalSeparator: null, ...mapping, format: mapping.format || 'custom' }
+    : detectColumnMapping(rawRows);
+  if (sheetName) effectiveMapping.sheetName = sheetName;
 
   const movements = [];
+  const errors = [];
+  const skippedRows = [];
   let lastValidRow = null;
 
-  for (const raw of rawRows) {
-    const dateField = format === 'alternate' ? raw.B : raw.A;
-    const description = format === 'alternate' ? raw.C : raw.B;
+  for (const raw of rawRows.slice(effectiveMapping.startRow || 0)) {
+    const dateField = raw[effectiveMapping.dateColumn];
+    const description = raw[effectiveMapping.descriptionColumn];
 
-    if (dateField) {
+    if (dateField && !looksLikeDate(dateField)) {
+      // Intestazione, titolo o totale: non è un movimento e non si valida
+      skippedRows.push(raw.__row);
+      lastValidRow = null;
+    } else if (dateField) {
       let negativeAmount = null;
       let positiveAmount = null;
 
-      if (format === 'alternate' || format === 'single') {
+      if (effectiveMapping.amountColumn) {
         // Colonna importo con segno: negativo=uscita, positivo=entrata
-        const amountCol = format === 'alternate' ? raw.D : raw.C;
-        const amount = parseAmount(amountCol);
-        if (amount !== null && amount !== 0) {
+        const amountCol = raw[effectiveMapping.amountColumn];
+        const amount = parseAmount(amountCol, effectiveMapping.decimalSeparator);
+        if (Number.isNaN(amount)) {
+          errors.push({ row: raw.__row, field: 'amount', value: amountCol, message: 'Importo non valido' });
+        } else if (amount !== null && amount !== 0) {
           if (amount < 0) negativeAmount = amount;
           else positiveAmount = amount;
         }
       } else {
-        // standard: C=dare (uscita), D=avere (entrata)
-        if (raw.C !== null && raw.C !== '') negativeAmount = parseAmount(raw.C);
-        if (raw.D !== null && raw.D !== '') positiveAmount = parseAmount(raw.D);
+        // C=dare (uscita), D=avere (entrata)
+        const debit = parseAmount(raw[effectiveMapping.debitColumn], effectiveMapping.decimalSeparator);
+        const credit = parseAmount(raw[effectiveMapping.creditColumn], effectiveMapping.decimalSeparator);
+        if (Number.isNaN(debit)) {
+          errors.push({ row: raw.__row, field: 'debit', value: raw[effectiveMapping.debitColumn], message: 'Importo dare non valido' });
+        } else {
+          negativeAmount = debit;
+        }
+        if (Number.isNaN(credit)) {
+          errors.push({ row: raw.__row, field: 'credit', value: raw[effectiveMapping.creditColumn], message: 'Importo avere non valido' });
+        } else {
+          positiveAmount = credit;
+        }
+      }
+
+      if (!parseDate(dateField)) {
+        errors.push({ row: raw.__row, field: 'date', value: dateField, message: 'Data non riconosciuta' });
       }
 
       lastValidRow = {
@@ -177,7 +280,13 @@ function processWorksheet(worksheet) {
   }
 
   console.log(`✅ Estratti ${movements.length} movimenti dal file`);
-  return movements;
+  if (skippedRows.length > 0) {
+    console.log(`ℹ️ Righe senza data saltate (intestazioni, totali): ${skippedRows.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    console.warn(`⚠️ ${errors.length} errori di validazione nel file`);
+  }
+  return { movements, mapping: effectiveMapping, errors };
 }
 
 function getCellValue(cell) {
@@ -0,0 +1,70 @@
+/**
+ * Storico delle assegnazioni dei veicoli (vehicle_assignments_history)
+ *
+ * L'assegnatario corrente è in vehicles.assignee_name/assignee_type; ogni
+ * cambio chiude il periodo aperto (unassigned_at) e ne apre uno nuovo, così
+ * da sapere chi aveva il veicolo a una certa data (es. per le contravvenzioni).
+ *
+ * @module lib/vehicleAssignments
+ */
+
+/**
+ * Allinea lo storico all'assegnatario corrente del veicolo
+ *
+ * @param {Object} client - Client pg
+ * @param {Object} vehicle - Riga di vehicles (id, assignee_name, assignee_type, assignment_notes)
+ * @returns {Promise<boolean>} - true se lo storico è stato modificato
+ */
+export async function recordAssignment(client, vehicle) {
+  const open = await client.query(
+    `SELECT id, assignee_name, assignee_type FROM vehicle_assignments_history
+     WHERE vehicle_id = $1 AND unassigned_at IS NULL
+     ORDER BY assigned_at DESC`,
+    [vehicle.id]
+  );
+  const name = vehicle.assignee_name || null;
+  const type = vehicle.assignee_type || null;
+  const current = open.rows[0];
+  if (open.rows.length <= 1 && (current?.assignee_name ?? null) === name && (current?.assignee_type ?? null) === type) {
+    return false;
+  }
+
+  await client.query(
+    'UPDATE vehicle_assignments_history SET unassigned_at = NOW() WHERE vehicle_id = $1 AND unassigned_at IS NULL',
+    [vehicle.id]
+  );
+  if (name) {
+    await client.query(
+      `INSERT INTO vehicle_assignments_history (vehicle_id, assignee_type, assignee_name, notes)
+       VALUES ($1, $2, $3, $4)`,
+      [vehicle.id, type, name, vehicle.assignment_notes || null]
+    );
+  }
+  return true;
+}
+
+/**
+ * Assegnatario del veicolo in una data
+ *
+ * @param {Object} client - Client pg
+ * @param {string} vehicleId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object|null>} - { name, type, assignedAt, unassignedAt } o null se non assegnato
+ */
+export async function findAssignedDriver(client, vehicleId, date) {
+  const result = await client.query(
+    `SELECT assignee_name, assignee_type,
+            to_char(assigned_at, 'YYYY-MM-DD') AS assigned_at,
+            to_char(unassigned_at, 'YYYY-MM-DD') AS unassigned_at
+     FROM vehicle_assignments_history
+     WHERE vehicle_id = $1 AND assignee_name IS NOT NULL
+       AND assigned_at::date <= $2::date
+       AND (unassigned_at IS NULL OR unassigned_at::date >= $2::date)
+     ORDER BY assigned_at DESC
+     LIMIT 1`,
+    [vehicleId, date]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return { name: row.assignee_name, type: row.assignee_type, assignedAt: row.assigned_at, unassignedAt: row.unassigned_at };
+}
@@ -0,0 +1,349 @@
+/**
+ * Scadenze dei veicoli riportate nello scadenziario
+ *
+ * Ogni scadenza generata ha source_module = 'vehicles' e indica la riga di
+ * origine con source_entity_type/source_entity_id:
+ * - policy: vehicle_policies.end_date (rinnovo della polizza attiva)
+ * - tax: vehicle_taxes.due_date (bollo e superbollo)
+ * - ztl: vehicle_ztl.valid_until
+ * - document: vehicle_documents.expiry_date (esclusi i documenti di revisione)
+ * - fine: pagamento della contravvenzione (termine ridotto finché vale, poi
+ *   vehicle_fines.due_date; sospeso durante il ricorso)
+ * - fine_driver: vehicle_fines.driver_communication_deadline (comunicazione dei
+ *   dati del conducente, chiusa da driver_communication_date)
+ * - revisione: calcolata dal veicolo (source_entity_id = id del veicolo)
+ * - maintenance: previsioni di lib/vehicleMileage
+ *
+ * La sincronizzazione di un veicolo crea o aggiorna le scadenze delle righe
+ * ancora aperte, chiude (payment_date e stato 'completed') quelle pagate ed
+ * elimina le scadenze non pagate le cui righe non esistono più o non hanno più
+ * una data. Le scadenze già pagate nello scadenziario non sono modificate:
+ * se la riga di origine passa a una data successiva (polizza rinnovata, nuova
+ * revisione) la scadenza pagata resta come storico, scollegata, e se ne crea
+ * una nuova. I veicoli venduti o radiati non hanno scadenze aperte.
+ *
+ * Le scadenze generate sono intestate al conto del veicolo (vehicles.owner_id),
+ * così da rientrare negli avvisi del database. I veicoli senza conto hanno le
+ * scadenze senza conto: prendono il conto alla prima sincronizzazione dopo
+ * l'assegnazione.
+ *
+ * @module lib/vehicleDeadlines
+ */
+
+import { calculateStatus } from './scadenziarioUtils.js';
+import { finePaymentDeadline, refreshFineStatuses } from './vehicleFines.js';
+
+// Stati del veicolo senza scadenze
+export const INACTIVE_VEHICLE_STATUSES = ['venduto', 'radiato'];
+// Stati che indicano bollo o multa pagati anche senza paid_date
+const PAID_STATUSES = ['pagato', 'pagata'];
+
+// Revisione: prima dopo 4 anni dall'immatricolazione, poi ogni 2 anni,
+// entro la fine del mese di scadenza
+const FIRST_REVISION_YEARS = 4;
+const REVISION_INTERVAL_YEARS = 2;
+
+export const DEADLINE_ENTITY_TYPES = ['policy', 'tax', 'ztl', 'document', 'fine', 'fine_driver', 'revisione'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Ultimo giorno del mese di una data spostata di n anni (YYYY-MM-DD)
+function endOfMonthAfterYears(date, years) {
+  const [year, month] = date.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year + years, month, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Prossima revisione di un veicolo
+ *
+ * Vale, nell'ordine: la scadenza indicata sull'ultimo documento di revisione,
+ * la data dell'ultima revisione più 2 anni, l'immatricolazione più 4 anni.
+ * Senza revisioni registrate la prima scadenza resta anche quando è passata:
+ * la revisione risulta non eseguita finché non se ne registra il documento o
+ * la manutenzione.
+ *
+ * @param {Object} params
+ * @param {string|null} params.registrationDate - YYYY-MM-DD
+ * @param {string|null} params.lastRevisionDate - Data dell'ultima revisione eseguita
+ * @param {string|null} params.lastRevisionExpiry - Scadenza indicata sull'ultimo documento di revisione
+ * @returns {string|null}
+ */
+export function nextRevisionDate({ registrationDate, lastRevisionDate, lastRevisionExpiry }) {
+  if (lastRevisionExpiry) return lastRevisionExpiry;
+  if (lastRevisionDate) return endOfMonthAfterYears(lastRevisionDate, REVISION_INTERVAL_YEARS);
+  if (!registrationDate) return null;
+  return endOfMonthAfterYears(registrationDate, FIRST_REVISION_YEARS);
+}
+
+// Data di chiusura di una riga pagata, null se ancora aperta
+function paidOn(row, asOf) {
+  if (row.paid_date) return row.paid_date;
+  return PAID_STATUSES.includes(row.status) ? asOf : null;
+}
+
+/**
+ * Scadenze di un veicolo per tipo di origine
+ *
+ * @param {Object} params - vehicle e righe collegate (date in formato YYYY-MM-DD)
+ * @param {string} params.asOf - Data di riferimento (YYYY-MM-DD)
+ * @returns {Object} - { [entityType]: [{ entityId, subject, description, date, amount, type, paymentDate }] }
+ */
+export function buildVehicleDeadlines({ vehicle, policies, taxes, ztl, documents, fines, revision, asOf }) {
+  const result = Object.fromEntries(DEADLINE_ENTITY_TYPES.map(type => [type, []]));
+  if (INACTIVE_VEHICLE_STATUSES.includes(vehicle.status)) return result;
+
+  const plate = vehicle.plate;
+
+  for (const policy of policies) {
+    if (!policy.end_date || policy.status !== 'attiva') continue;
+    result.policy.push({
+      entityId: policy.id,
+      subject: `Rinnovo polizza ${plate}: ${policy.insurer}`,
+      description: `Polizza n. ${policy.policy_number} in scadenza`,
+      date: policy.end_date,
+      amount: policy.premium_amount,
+      type: 'ricorrente',
+      paymentDate: null,
+    });
+  }
+
+  for (const tax of taxes) {
+    if (!tax.due_date) continue;
+    const total = parseFloat(tax.bollo_amount || 0) + parseFloat(tax.superbollo_amount || 0);
+    result.tax.push({
+      entityId: tax.id,
+      subject: `Bollo ${tax.year} ${plate}`,
+      description: parseFloat(tax.superbollo_amount || 0) > 0 ? 'Bollo e superbollo' : 'Tassa automobilistica',
+      date: tax.due_date,
+      amount: total > 0 ? total : null,
+      type: 'fiscale',
+      paymentDate: paidOn(tax, asOf),
+    });
+  }
+
+  for (const permit of ztl) {
+    if (!permit.valid_until) continue;
+    result.ztl.push({
+      entityId: permit.id,
+      subject: `Permesso ZTL ${plate}${permit.city ? `: ${permit.city}` : ''}`,
+      description: permit.authorization_number ? `Autorizzazione n. ${permit.authorization_number}` : null,
+      date: permit.valid_until,
+      amount: null,
+      type: 'altro',
+      paymentDate: null,
+    });
+  }
+
+  for (const document of documents) {
+    if (!document.expiry_date || document.document_type === 'revisione') continue;
+    result.document.push({
+      entityId: document.id,
+      subject: `Scadenza ${document.title} ${plate}`,
+      description: `Documento: ${document.document_type}`,
+      date: document.expiry_date,
+      amount: null,
+      type: 'altro',
+      paymentDate: null,
+    });
+  }
+
+  for (const fine of fines) {
+    if (fine.status === 'annullata') continue;
+    const verbale = `${plate}${fine.violation_number ? ` n. ${fine.violation_number}` : ''}`;
+    const paymentDate = paidOn(fine, asOf);
+
+    const payment = finePaymentDeadline(fine, asOf);
+    if (payment && (fine.status !== 'ricorso' || paymentDate)) {
+      result.fine.push({
+        entityId: fine.id,
+        subject: `Contravvenzione ${verbale}`,
+        description: [
+          fine.issuing_authority,
+          fine.violation_type,
+          payment.discounted && !paymentDate ? `importo ridotto, poi ${fine.amount} entro il ${fine.due_date}` : null,
+        ].filter(Boolean).join(' - ') || null,
+        date: payment.date,
+        amount: payment.amount,
+        type: 'altro',
+        paymentDate,
+      });
+    }
+
+    if (fine.driver_communication_deadline) {
+      result.fine_driver.push({
+        entityId: fine.id,
+        subject: `Comunicazione dati conducente ${verbale}`,
+        description: fine.driver_name ? `Conducente: ${fine.driver_name}` : 'Conducente da individuare',
+        date: fine.driver_communication_deadline,
+        amount: null,
+        type: 'altro',
+        paymentDate: fine.driver_communication_date || null,
+      });
+    }
+  }
+
+  const revisionDate = nextRevisionDate({ registrationDate: vehicle.registration_date, ...revision });
+  if (revisionDate) {
+    result.revisione.push({
+      entityId: vehicle.id,
+      subject: `Revisione ${plate}`,
+      description: 'Revisione periodica obbligatoria',
+      date: revisionDate,
+      amount: null,
+      type: 'altro',
+      paymentDate: null,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Conto a cui intestare le scadenze generate: quello del veicolo
+ *
+ * @returns {Promise<string|null>} - null se il veicolo non ha un conto
+ */
+export async function vehicleOwnerId(client, vehicleId) {
+  const result = await client.query('SELECT owner_id FROM vehicles WHERE id = $1', [vehicleId]);
+  return result.rows[0]?.owner_id || null;
+}
+
+/**
+ * Allinea le scadenze di un tipo di origine per un veicolo
+ *
+ * @param {Object} client - Client pg
+ * @param {Object} vehicle - { id, ownerId } (ownerId da vehicleOwnerId)
+ * @param {string} entityType - source_entity_type
+ * @param {Array<Object>} entries - { entityId, subject, description, date, amount, type, paymentDate }
+ */
+export async function upsertVehicleDeadlines(client, vehicle, entityType, entries) {
+  for (const entry of entries) {
+    await client.query(
+      `UPDATE scadenziario SET source_entity_id = NULL, updated_at = NOW()
+       WHERE source_module = 'vehicles' AND source_entity_type = $1 AND source_entity_id = $2
+         AND payment_date IS NOT NULL AND date < $3`,
+      [entityType, entry.entityId, entry.date]
+    );
+    await client.query(
+      `INSERT INTO scadenziario
+        (subject, description, date, amount, payment_date, status, type, owner_id, vehicle_id,
+         source_module, source_entity_type, source_entity_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'vehicles', $10, $11)
+       ON CONFLICT (source_module, source_entity_type, source_entity_id) WHERE source_entity_id IS NOT NULL
+       DO UPDATE SET subject = EXCLUDED.subject, description = EXCLUDED.description, date = EXCLUDED.date,
+                     amount = EXCLUDED.amount, payment_date = EXCLUDED.payment_date, status = EXCLUDED.status,
+                     type = EXCLUDED.type, owner_id = EXCLUDED.owner_id,
+                     vehicle_id = EXCLUDED.vehicle_id, updated_at = NOW()
+       WHERE scadenziario.payment_date IS NULL`,
+      [
+        entry.subject,
+        entry.description,
+        entry.date,
+        entry.amount ?? null,
+        entry.paymentDate || null,
+        calculateStatus(entry.date, entry.paymentDate),
+        entry.type,
+        vehicle.ownerId || null,
+        vehicle.id,
+        entityType,
+        entry.entityId,
+      ]
+    );
+  }
+
+  await client.query(
+    `DELETE FROM scadenziario
+     WHERE vehicle_id = $1 AND source_module = 'vehicles' AND source_entity_type = $2
+       AND payment_date IS NULL AND NOT (source_entity_id = ANY($3::uuid[]))`,
+    [vehicle.id, entityType, entries.map(entry => entry.entityId)]
+  );
+}
+
+/**
+ * Sincronizza le scadenze di polizze, bollo, ZTL, documenti, multe e revisione di un veicolo
+ * (aggiornando prima gli stati automatici delle multe)
+ *
+ * @param {Object} client - Client pg
+ * @param {string} vehicleId
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Data di riferimento (predefinita oggi)
+ * @returns {Promise<Object|null>} - Numero di scadenze per tipo, null se il veicolo non esiste
+ */
+export async function syncVehicleDeadlines(client, vehicleId, { asOf = today() } = {}) {
+  const vehicleResult = await client.query(
+    `SELECT id, plate, status, to_char(registration_date, 'YYYY-MM-DD') AS registration_date
+     FROM vehicles WHERE id = $1`,
+    [vehicleId]
+  );
+  if (vehicleResult.rows.length === 0) return null;
+  const vehicle = vehicleResult.rows[0];
+  const ownerId = await vehicleOwnerId(client, vehicleId);
+
+  const policies = await client.query(
+    `SELECT id, policy_number, insurer, status, premium_amount, to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM vehicle_policies WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  const taxes = await client.query(
+    `SELECT id, year, status, bollo_amount, superbollo_amount,
+            to_char(due_date, 'YYYY-MM-DD') AS due_date, to_char(paid_date, 'YYYY-MM-DD') AS paid_date
+     FROM vehicle_taxes WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  const ztl = await client.query(
+    `SELECT id, city, authorization_number, to_char(valid_until, 'YYYY-MM-DD') AS valid_until
+     FROM vehicle_ztl WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  const documents = await client.query(
+    `SELECT id, document_type, title, to_char(expiry_date, 'YYYY-MM-DD') AS expiry_date
+     FROM vehicle_documents WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  await refreshFineStatuses(client, vehicleId, asOf);
+  const fines = await client.query(
+    `SELECT id, violation_number, issuing_authority, violation_type, amount, discount_amount, status, driver_name,
+            to_char(discount_due_date, 'YYYY-MM-DD') AS discount_due_date,
+            to_char(due_date, 'YYYY-MM-DD') AS due_date, to_char(paid_date, 'YYYY-MM-DD') AS paid_date,
+            to_char(driver_communication_deadline, 'YYYY-MM-DD') AS driver_communication_deadline,
+            to_char(driver_communication_date, 'YYYY-MM-DD') AS driver_communication_date
+     FROM vehicle_fines WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  // Ultima revisione registrata (documenti di tipo revisione o manutenzioni "revisione")
+  // e scadenza indicata sul suo documento
+  const revision = await client.query(
+    `SELECT to_char(MAX(done), 'YYYY-MM-DD') AS last_revision_date,
+            to_char((ARRAY_AGG(expiry ORDER BY done DESC))[1], 'YYYY-MM-DD') AS last_revision_expiry
+     FROM (
+       SELECT COALESCE(document_date, created_at::date) AS done, expiry_date AS expiry
+         FROM vehicle_documents WHERE vehicle_id = $1 AND document_type = 'revisione'
+       UNION ALL
+       SELECT maintenance_date, NULL
+         FROM vehicle_maintenance WHERE vehicle_id = $1 AND maintenance_type ILIKE 'revisione'
+     ) revisions`,
+    [vehicleId]
+  );
+
+  const deadlines = buildVehicleDeadlines({
+    vehicle,
+    policies: policies.rows,
+    taxes: taxes.rows,
+    ztl: ztl.rows,
+    documents: documents.rows,
+    fines: fines.rows,
+    revision: {
+      lastRevisionDate: revision.rows[0]?.last_revision_date || null,
+      lastRevisionExpiry: revision.rows[0]?.last_revision_expiry || null,
+    },
+    asOf,
+  });
+
+  const target = { id: vehicle.id, ownerId };
+  const counts = {};
+  for (const [entityType, entries] of Object.entries(deadlines)) {
+    await upsertVehicleDeadlines(client, target, entityType, entries);
+    counts[entityType] = entries.length;
+  }
+  return counts;
+}
@@ -0,0 +1,191 @@
+/**
+ * Ciclo di vita delle contravvenzioni dei veicoli
+ *
+ * Dalla data di notifica del verbale (per la contestazione immediata è la
+ * data dell'infrazione) si calcolano:
+ * - l'importo ridotto del 30% se si paga entro 5 giorni (art. 202 C.d.S.),
+ *   salvo le violazioni che non lo ammettono (discount_excluded);
+ * - la scadenza di pagamento a 60 giorni;
+ * - i termini di ricorso al Prefetto (60 giorni, art. 203) e al Giudice di
+ *   pace (30 giorni, art. 204-bis);
+ * - il termine per comunicare i dati del conducente (60 giorni, art. 126-bis),
+ *   solo se la violazione comporta la decurtazione di punti.
+ *
+ * Senza data di notifica restano gli importi e le scadenze inseriti a mano.
+ * Lo stato passa da solo a 'pagata' con la data di pagamento e a 'scaduta'
+ * dopo la scadenza; 'ricorso' e 'annullata' sono impostati solo a mano.
+ *
+ * @module lib/vehicleFines
+ */
+
+export const FINE_STATUSES = ['da_pagare', 'scaduta', 'pagata', 'ricorso', 'annullata'];
+// Stati impostati a mano che il ricalcolo non modifica
+const MANUAL_STATUSES = ['ricorso', 'annullata'];
+// 'pagato' è il valore usato dalle righe inserite prima degli stati automatici
+const PAID_STATUSES = ['pagata', 'pagato'];
+
+const DISCOUNT_DAYS = 5;
+const DISCOUNT_PERCENT = 30;
+const PAYMENT_DAYS = 60;
+const APPEAL_PREFETTO_DAYS = 60;
+const APPEAL_GIUDICE_DAYS = 30;
+const DRIVER_COMMUNICATION_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const addDays = (date, days) =>
+  new Date(Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Importo ridotto e scadenze calcolati dalla data di notifica
+ *
+ * @param {Object} fine - Riga di vehicle_fines (date in formato YYYY-MM-DD)
+ * @returns {Object|null} - Campi calcolati, null se manca la data di notifica
+ */
+export function computeFineDeadlines(fine) {
+  if (!fine.notification_date) return null;
+  const notified = String(fine.notification_date).slice(0, 10);
+  const discounted = !fine.discount_excluded && fine.amount !== null && fine.amount !== undefined;
+
+  return {
+    discount_amount: discounted ? round2(Number(fine.amount) * (1 - DISCOUNT_PERCENT / 100)) : null,
+    discount_due_date: discounted ? addDays(notified, DISCOUNT_DAYS) : null,
+    due_date: addDays(notified, PAYMENT_DAYS),
+    appeal_prefetto_deadline: addDays(notified, APPEAL_PREFETTO_DAYS),
+    appeal_giudice_deadline: addDays(notified, APPEAL_GIUDICE_DAYS),
+    driver_communication_deadline: fine.license_points > 0 ? addDays(notified, DRIVER_COMMUNICATION_DAYS) : null,
+  };
+}
+
+/**
+ * Stato della contravvenzione alla data di riferimento
+ *
+ * @param {Object} fine - { status, paid_date, due_date }
+ * @param {string} [asOf] - YYYY-MM-DD, default oggi
+ * @returns {string}
+ */
+export function fineStatus(fine, asOf = today()) {
+  if (MANUAL_STATUSES.includes(fine.status)) return fine.status;
+  if (PAID_STATUSES.includes(fine.status)) return fine.status;
+  if (fine.paid_date) return 'pagata';
+  // 'scaduta' si ricalcola: una nuova scadenza riporta la contravvenzione a 'da_pagare'
+  if (fine.due_date && String(fine.due_date).slice(0, 10) < asOf) return 'scaduta';
+  return 'da_pagare';
+}
+
+/**
+ * Riga della contravvenzione con importi, scadenze e stato ricalcolati
+ *
+ * @param {Object} fine - Campi della contravvenzione
+ * @param {string} [asOf] - YYYY-MM-DD, default oggi
+ * @returns {Object}
+ */
+export function applyFineLifecycle(fine, asOf = today()) {
+  // Senza data di notifica restano i valori ricevuti
+  const result = { ...fine, ...computeFineDeadlines(fine) };
+  return { ...result, status: fineStatus(result, asOf) };
+}
+
+/**
+ * Scadenza di pagamento da riportare nello scadenziario
+ *
+ * Finché vale la riduzione (o se il pagamento è avvenuto entro il termine
+ * ridotto) la scadenza è quella a 5 giorni con l'importo ridotto.
+ *
+ * @param {Object} fine - Riga di vehicle_fines (date in formato YYYY-MM-DD)
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {Object|null} - { date, amount, discounted }
+ */
+export function finePaymentDeadline(fine, asOf) {
+  const discountDue = fine.discount_due_date && fine.discount_amount !== null && fine.discount_amount !== undefined
+    ? fine.discount_due_date
+    : null;
+  const discounted = discountDue !== null && (fine.paid_date ? fine.paid_date <= discountDue : asOf <= discountDue);
+
+  if (discounted) return { date: discountDue, amount: fine.discount_amount, discounted: true };
+  if (!fine.due_date) return null;
+  return { date: fine.due_date, amount: fine.amount, discounted: false };
+}
+
+/**
+ * Aggiorna gli stati automatici delle contravvenzioni di un veicolo
+ *
+ * @param {Object} client - Client pg
+ * @param {string} vehicleId
+ * @param {string} [asOf] - YYYY-MM-DD, default oggi
+ * @returns {Promise<number>} - Contravvenzioni aggiornate
+ */
+export async function refreshFineStatuses(client, vehicleId, asOf = today()) {
+  const fines = await client.query(
+    `SELECT id, status, to_char(paid_date, 'YYYY-MM-DD') AS paid_date, to_char(due_date, 'YYYY-MM-DD') AS due_date
+     FROM vehicle_fines WHERE vehicle_id = $1 AND status NOT IN ('ricorso', 'annullata')`,
+    [vehicleId]
+  );
+
+  let updated = 0;
+  for (const fine of fines.rows) {
+    const status = fineStatus(fine, asOf);
+    if (status === fine.status) continue;
+    await client.query('UPDATE vehicle_fines SET status = $1, updated_at = NOW() WHERE id = $2', [status, fine.id]);
+    updated++;
+  }
+  return updated;
+}
+
+const formatDate = (date) => (date ? String(date).slice(0, 10).split('-').reverse().join('/') : '____________');
+const orBlank = (value, length = 30) => value || '_'.repeat(length);
+
+/**
+ * Testo della comunicazione dei dati del conducente (art. 126-bis, comma 2, C.d.S.)
+ *
+ * I dati anagrafici e della patente del conducente non sono in archivio e
+ * restano da compilare a mano.
+ *
+ * @param {Object} params
+ * @param {Object} params.fine - Riga di vehicle_fines
+ * @param {Object} params.vehicle - { plate, make, model, owner_name }
+ * @param {string} params.driverName
+ * @param {string} [params.date] - Data del documento (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function driverCommunicationText({ fine, vehicle, driverName, date = today() }) {
+  const model = [vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  return [
+    'COMUNICAZIONE DEI DATI DEL CONDUCENTE',
+    '(art. 126-bis, comma 2, del Codice della Strada)',
+    '',
+    `Spett.le ${orBlank(fine.issuing_authority)}`,
+    '',
+    `Oggetto: verbale n. ${orBlank(fine.violation_number, 15)} del ${formatDate(fine.fine_date)}` +
+      (fine.notification_date ? `, notificato il ${formatDate(fine.notification_date)}` : ''),
+    `Violazione: ${orBlank(fine.violation_type)}`,
+    `Veicolo: targa ${vehicle.plate}${model ? ` (${model})` : ''}`,
+    '',
+    `Il/La sottoscritto/a ${orBlank(null)}, in qualità di proprietario/legale`,
+    `rappresentante di ${orBlank(vehicle.owner_name)}, proprietario del veicolo sopra indicato,`,
+    '',
+    'DICHIARA',
+    '',
+    'che alla data e nel luogo della violazione il veicolo era condotto da:',
+    '',
+    `Cognome e nome: ${driverName}`,
+    `Nato/a a: ${orBlank(null)} il ${formatDate(null)}`,
+    `Residente a: ${orBlank(null)} in ${orBlank(null)}`,
+    `Patente n.: ${orBlank(null, 20)} categoria ${orBlank(null, 5)}`,
+    `Rilasciata da: ${orBlank(null)} il ${formatDate(null)}, valida fino al ${formatDate(null)}`,
+    '',
+    'Si allega copia fronte/retro della patente di guida del conducente.',
+    fine.driver_communication_deadline
+      ? `Da trasmettere entro il ${formatDate(fine.driver_communication_deadline)}.`
+      : 'Da trasmettere entro 60 giorni dalla notifica del verbale.',
+    '',
+    `Data ${formatDate(date)}`,
+    '',
+    'Firma del proprietario/legale rappresentante    ______________________________',
+    '',
+    'Firma del conducente per assunzione di responsabilità    ______________________________',
+    '',
+  ].join('\n');
+}
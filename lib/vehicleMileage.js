@@ -0,0 +1,235 @@
+/**
+ * Letture del contachilometri e manutenzioni programmate a chilometraggio
+ *
+ * Le letture di un veicolo sono quelle di vehicle_odometer_readings più i
+ * chilometraggi registrati nelle manutenzioni. Dalle letture degli ultimi
+ * dodici mesi si stima la percorrenza giornaliera (km/giorno) e si prevede la
+ * data in cui l'ultima manutenzione di ciascun tipo raggiunge il suo
+ * next_due_mileage; se è indicato anche next_due_date vale la scadenza più
+ * vicina. Le previsioni diventano scadenze dello scadenziario con
+ * source_module = 'vehicles', aggiornate a ogni nuova lettura o manutenzione.
+ *
+ * Le letture inferiori a una lettura precedente (contachilometri che torna
+ * indietro) sono segnalate e non entrano nella stima.
+ *
+ * @module lib/vehicleMileage
+ */
+
+import { INACTIVE_VEHICLE_STATUSES, upsertVehicleDeadlines, vehicleOwnerId } from './vehicleDeadlines.js';
+
+// Finestra di letture usata per la stima della percorrenza
+const MODEL_WINDOW_DAYS = 365;
+// Intervallo minimo tra la prima e l'ultima lettura per una stima attendibile
+const MODEL_MIN_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (date) => Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`);
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+const addDays = (date, days) => toDateString(toTime(date) + days * DAY_MS);
+
+/**
+ * Letture ordinate per data, con backwards = true se inferiori a una lettura precedente
+ *
+ * @param {Array<Object>} readings - { id, date, mileage, source }
+ * @returns {Array<Object>}
+ */
+export function sortReadings(readings) {
+  const sorted = readings
+    .filter(r => r.date && r.mileage !== null && r.mileage !== undefined)
+    .map(r => ({ ...r, date: String(r.date).slice(0, 10), mileage: Number(r.mileage) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.mileage - b.mileage);
+
+  let max = -1;
+  return sorted.map(reading => {
+    const backwards = reading.mileage < max;
+    max = Math.max(max, reading.mileage);
+    return { ...reading, backwards };
+  });
+}
+
+/**
+ * Avvisi per una lettura fuori sequenza rispetto alle altre letture del veicolo
+ *
+ * @param {Array<Object>} readings - Letture del veicolo (la lettura stessa è esclusa per id e source)
+ * @param {Object} reading - { id, source, date, mileage }
+ * @returns {Array<string>}
+ */
+export function readingWarnings(readings, reading) {
+  const date = String(reading.date).slice(0, 10);
+  const mileage = Number(reading.mileage);
+  const others = sortReadings(readings.filter(r => !(r.id === reading.id && r.source === reading.source)));
+  const warnings = [];
+
+  const previous = others.filter(r => r.date <= date && r.mileage > mileage).pop();
+  if (previous) {
+    warnings.push(`Chilometraggio ${mileage} inferiore alla lettura del ${previous.date} (${previous.mileage} km)`);
+  }
+  const next = others.find(r => r.date > date && r.mileage < mileage);
+  if (next) {
+    warnings.push(`Chilometraggio ${mileage} superiore alla lettura successiva del ${next.date} (${next.mileage} km)`);
+  }
+  return warnings;
+}
+
+/**
+ * Stima dei km giornalieri dalle letture valide
+ *
+ * Usa le letture degli ultimi MODEL_WINDOW_DAYS giorni prima dell'ultima
+ * lettura; se coprono meno di MODEL_MIN_DAYS giorni usa tutto lo storico.
+ *
+ * @param {Array<Object>} readings - Risultato di sortReadings
+ * @returns {Object|null} - { kmPerDay, fromDate, toDate, readingsUsed } o null se i dati non bastano
+ */
+export function estimateDailyKm(readings) {
+  const valid = readings.filter(r => !r.backwards);
+  if (valid.length < 2) return null;
+
+  const last = valid[valid.length - 1];
+  const windowStart = addDays(last.date, -MODEL_WINDOW_DAYS);
+  let used = valid.filter(r => r.date >= windowStart);
+  const span = (list) => (toTime(last.date) - toTime(list[0].date)) / DAY_MS;
+  if (used.length < 2 || span(used) < MODEL_MIN_DAYS) used = valid;
+
+  const days = span(used);
+  if (days < MODEL_MIN_DAYS) return null;
+
+  return {
+    kmPerDay: parseFloat(((last.mileage - used[0].mileage) / days).toFixed(1)),
+    fromDate: used[0].date,
+    toDate: last.date,
+    readingsUsed: used.length,
+  };
+}
+
+/**
+ * Data prevista per il raggiungimento di un chilometraggio
+ *
+ * @returns {string|null} - YYYY-MM-DD; la data dell'ultima lettura se già superato
+ */
+export function projectMileageDate(targetMileage, lastReading, model) {
+  if (!lastReading) return null;
+  const remaining = targetMileage - lastReading.mileage;
+  if (remaining <= 0) return lastReading.date;
+  if (!model || model.kmPerDay <= 0) return null;
+  return addDays(lastReading.date, Math.ceil(remaining / model.kmPerDay));
+}
+
+/**
+ * Previsione delle prossime manutenzioni di un veicolo
+ *
+ * Per ogni tipo di manutenzione conta solo l'intervento più recente: quelli
+ * precedenti sono già stati superati da un nuovo intervento.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.readings - { id, date, mileage, source }
+ * @param {Array<Object>} params.maintenance - Righe di vehicle_maintenance (date YYYY-MM-DD)
+ * @returns {Object} - { readings, lastReading, model, projections, warnings }
+ */
+export function buildMileageSchedule({ readings, maintenance }) {
+  const sorted = sortReadings(readings);
+  const valid = sorted.filter(r => !r.backwards);
+  const lastReading = valid.length ? valid[valid.length - 1] : null;
+  const model = estimateDailyKm(sorted);
+
+  const latestByType = new Map();
+  for (const row of maintenance) {
+    const current = latestByType.get(row.maintenance_type);
+    if (!current || row.maintenance_date > current.maintenance_date) latestByType.set(row.maintenance_type, row);
+  }
+
+  const projections = [];
+  for (const row of latestByType.values()) {
+    if (!row.next_due_mileage && !row.next_due_date) continue;
+
+    const mileageDate = row.next_due_mileage ? projectMileageDate(Number(row.next_due_mileage), lastReading, model) : null;
+    const candidates = [
+      mileageDate && { date: mileageDate, trigger: 'mileage' },
+      row.next_due_date && { date: row.next_due_date, trigger: 'date' },
+    ].filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+
+    projections.push({
+      maintenanceId: row.id,
+      maintenanceType: row.maintenance_type,
+      title: row.title,
+      nextDueMileage: row.next_due_mileage ? Number(row.next_due_mileage) : null,
+      nextDueDate: row.next_due_date || null,
+      remainingKm: row.next_due_mileage && lastReading ? Number(row.next_due_mileage) - lastReading.mileage : null,
+      projectedDate: mileageDate,
+      dueDate: candidates[0]?.date || null,
+      trigger: candidates[0]?.trigger || null,
+    });
+  }
+  projections.sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+
+  const warnings = sorted
+    .filter(r => r.backwards)
+    .map(r => `Lettura del ${r.date} (${r.mileage} km) inferiore a una lettura precedente`);
+
+  return { readings: sorted, lastReading, model, projections, warnings };
+}
+
+/**
+ * Letture, stima e previsioni di un veicolo dal database
+ *
+ * @param {Object} client - Client pg
+ * @param {string} vehicleId
+ * @returns {Promise<Object|null>} - { plate, status, ...buildMileageSchedule }, null se il veicolo non esiste
+ */
+export async function loadMileageSchedule(client, vehicleId) {
+  const vehicle = await client.query('SELECT id, plate, status FROM vehicles WHERE id = $1', [vehicleId]);
+  if (vehicle.rows.length === 0) return null;
+
+  const readings = await client.query(
+    `SELECT id, to_char(reading_date, 'YYYY-MM-DD') AS date, mileage, 'odometer' AS source
+       FROM vehicle_odometer_readings WHERE vehicle_id = $1
+     UNION ALL
+     SELECT id, to_char(maintenance_date, 'YYYY-MM-DD'), mileage, 'maintenance'
+       FROM vehicle_maintenance WHERE vehicle_id = $1 AND mileage IS NOT NULL`,
+    [vehicleId]
+  );
+  const maintenance = await client.query(
+    `SELECT id, maintenance_type, title, next_due_mileage,
+            to_char(maintenance_date, 'YYYY-MM-DD') AS maintenance_date,
+            to_char(next_due_date, 'YYYY-MM-DD') AS next_due_date
+     FROM vehicle_maintenance WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+
+  return {
+    plate: vehicle.rows[0].plate,
+    status: vehicle.rows[0].status,
+    ...buildMileageSchedule({ readings: readings.rows, maintenance: maintenance.rows }),
+  };
+}
+
+/**
+ * Ricalcola le previsioni di un veicolo e aggiorna le relative scadenze
+ * (source_entity_type 'maintenance', vedi lib/vehicleDeadlines)
+ *
+ * @param {Object} client - Client pg
+ * @param {string} vehicleId
+ * @returns {Promise<Object|null>} - Risultato di loadMileageSchedule
+ */
+export async function syncMileageSchedule(client, vehicleId) {
+  const schedule = await loadMileageSchedule(client, vehicleId);
+  if (!schedule) return null;
+
+  const entries = INACTIVE_VEHICLE_STATUSES.includes(schedule.status) ? [] : schedule.projections
+    .filter(projection => projection.dueDate)
+    .map(projection => ({
+      entityId: projection.maintenanceId,
+      subject: `Manutenzione ${schedule.plate}: ${projection.title}`,
+      description: projection.trigger === 'mileage'
+        ? `Previsto a ${projection.nextDueMileage} km (stima ${schedule.model?.kmPerDay ?? '-'} km/giorno)`
+        : `Scadenza della manutenzione del ${projection.nextDueDate}`,
+      date: projection.dueDate,
+      amount: null,
+      type: 'altro',
+      paymentDate: null,
+    }));
+
+  const target = { id: vehicleId, ownerId: await vehicleOwnerId(client, vehicleId) };
+  await upsertVehicleDeadlines(client, target, 'maintenance', entries);
+  return schedule;
+}
@@ -0,0 +1,214 @@
+/**
+ * Costo totale di possesso (TCO) dei veicoli
+ *
+ * I costi arrivano già aggregati per veicolo, anno e voce (manutenzioni,
+ * premi delle polizze, bollo e superbollo, contravvenzioni, danni dei sinistri,
+ * pagamenti dello scadenziario collegati al veicolo). I km percorsi sono
+ * ricavati dalle letture del contachilometri registrate nelle manutenzioni:
+ * la differenza tra due letture consecutive è attribuita all'anno della
+ * lettura più recente.
+ *
+ * @module lib/vehicleTco
+ */
+
+export const TCO_CATEGORIES = [
+  'manutenzione',
+  'assicurazione',
+  'bollo',
+  'superbollo',
+  'contravvenzioni',
+  'sinistri',
+  'scadenziario',
+];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// Costo al km: tre decimali (i valori tipici sono frazioni di euro)
+const perKm = (total, km) => (km > 0 ? parseFloat((total / km).toFixed(3)) : null);
+
+const emptyCategories = () => Object.fromEntries(TCO_CATEGORIES.map(category => [category, 0]));
+
+const roundCategories = (categories) =>
+  Object.fromEntries(Object.entries(categories).map(([category, amount]) => [category, round2(amount)]));
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Km percorsi per anno a partire dalle letture del contachilometri
+ *
+ * Le letture inferiori alla precedente (errori di inserimento) sono ignorate.
+ *
+ * @param {Array<Object>} readings - { date: 'YYYY-MM-DD', mileage }
+ * @returns {Object} - { [anno]: km }
+ */
+export function kmByYear(readings) {
+  const sorted = readings
+    .filter(r => r.date && r.mileage !== null && r.mileage !== undefined)
+    .map(r => ({ date: String(r.date).slice(0, 10), mileage: Number(r.mileage) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.mileage - b.mileage);
+
+  const result = {};
+  let previous = null;
+  for (const reading of sorted) {
+    if (previous !== null && reading.mileage < previous) continue;
+    if (previous !== null) {
+      const year = parseInt(reading.date.slice(0, 4), 10);
+      result[year] = (result[year] || 0) + (reading.mileage - previous);
+    }
+    previous = reading.mileage;
+  }
+  return result;
+}
+
+/**
+ * Anni di possesso del veicolo compresi nell'intervallo richiesto
+ */
+function ownershipYears(vehicle, fromYear, toYear) {
+  const startDate = vehicle.purchase_date || vehicle.registration_date;
+  const start = Math.max(fromYear, startDate ? parseInt(startDate.slice(0, 4), 10) : fromYear);
+  const end = Math.min(toYear, vehicle.disposal_date ? parseInt(vehicle.disposal_date.slice(0, 4), 10) : toYear);
+  return end >= start ? end - start + 1 : 0;
+}
+
+/**
+ * TCO di un veicolo nell'intervallo di anni
+ *
+ * @param {Object} params
+ * @param {Object} params.vehicle - Riga di vehicles (date in formato YYYY-MM-DD)
+ * @param {Array<Object>} params.costs - { year, category, amount } del veicolo
+ * @param {Array<Object>} params.readings - Letture del contachilometri del veicolo
+ * @param {number} params.fromYear
+ * @param {number} params.toYear
+ * @returns {Object} - { vehicle, years, byCategory, total, km, costPerKm, averageAnnualCost }
+ */
+export function buildVehicleTco({ vehicle, costs, readings, fromYear, toYear }) {
+  const km = kmByYear(readings);
+  const years = [];
+
+  for (let year = fromYear; year <= toYear; year++) {
+    const categories = emptyCategories();
+    for (const cost of costs) {
+      if (Number(cost.year) === year && cost.category in categories) {
+        categories[cost.category] += parseFloat(cost.amount) || 0;
+      }
+    }
+    const total = sum(Object.values(categories));
+    const yearKm = km[year] || 0;
+    years.push({
+      year,
+      categories: roundCategories(categories),
+      total: round2(total),
+      km: yearKm,
+      costPerKm: perKm(total, yearKm),
+    });
+  }
+
+  const byCategory = emptyCategories();
+  for (const year of years) {
+    for (const category of TCO_CATEGORIES) byCategory[category] += year.categories[category];
+  }
+  const total = sum(years.map(y => y.total));
+  const totalKm = sum(years.map(y => y.km));
+  const ownedYears = ownershipYears(vehicle, fromYear, toYear);
+
+  return {
+    vehicle: {
+      id: vehicle.id,
+      plate: vehicle.plate,
+      make: vehicle.make,
+      model: vehicle.model,
+      status: vehicle.status,
+      registration_date: vehicle.registration_date,
+      purchase_date: vehicle.purchase_date,
+      purchase_amount: vehicle.purchase_amount,
+      disposal_date: vehicle.disposal_date,
+    },
+    years,
+    byCategory: roundCategories(byCategory),
+    total: round2(total),
+    km: totalKm,
+    costPerKm: perKm(total, totalKm),
+    averageAnnualCost: ownedYears > 0 ? round2(total / ownedYears) : null,
+  };
+}
+
+/**
+ * TCO della flotta: report per veicolo, totali per anno e voce, confronto
+ *
+ * Il confronto ordina i veicoli per costo al km (quelli senza letture in fondo)
+ * e indica la quota di ciascuno sul costo della flotta.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.vehicles - Righe di vehicles
+ * @param {Array<Object>} params.costs - { vehicle_id, year, category, amount }
+ * @param {Array<Object>} params.readings - { vehicle_id, date, mileage }
+ * @param {number} params.fromYear
+ * @param {number} params.toYear
+ * @returns {Object} - { vehicles, years, byCategory, total, km, costPerKm, comparison }
+ */
+export function buildFleetTco({ vehicles, costs, readings, fromYear, toYear }) {
+  const reports = vehicles.map(vehicle => buildVehicleTco({
+    vehicle,
+    costs: costs.filter(c => c.vehicle_id === vehicle.id),
+    readings: readings.filter(r => r.vehicle_id === vehicle.id),
+    fromYear,
+    toYear,
+  }));
+
+  const years = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    const categories = emptyCategories();
+    let km = 0;
+    for (const report of reports) {
+      const entry = report.years.find(y => y.year === year);
+      for (const category of TCO_CATEGORIES) categories[category] += entry.categories[category];
+      km += entry.km;
+    }
+    const total = sum(Object.values(categories));
+    years.push({
+      year,
+      categories: roundCategories(categories),
+      total: round2(total),
+      km,
+      costPerKm: perKm(total, km),
+    });
+  }
+
+  const byCategory = emptyCategories();
+  for (const report of reports) {
+    for (const category of TCO_CATEGORIES) byCategory[category] += report.byCategory[category];
+  }
+  const total = sum(reports.map(r => r.total));
+  const km = sum(reports.map(r => r.km));
+
+  const comparison = reports
+    .map(r => ({
+      vehicleId: r.vehicle.id,
+      plate: r.vehicle.plate,
+      make: r.vehicle.make,
+      model: r.vehicle.model,
+      status: r.vehicle.status,
+      total: r.total,
+      km: r.km,
+      costPerKm: r.costPerKm,
+      averageAnnualCost: r.averageAnnualCost,
+      sharePct: total > 0 ? round2((r.total / total) * 100) : null,
+      byCategory: r.byCategory,
+    }))
+    .sort((a, b) => {
+      if (a.costPerKm === null && b.costPerKm === null) return b.total - a.total;
+      if (a.costPerKm === null) return 1;
+      if (b.costPerKm === null) return -1;
+      return b.costPerKm - a.costPerKm;
+    });
+
+  return {
+    vehicles: reports,
+    years,
+    byCategory: roundCategories(byCategory),
+    total: round2(total),
+    km,
+    costPerKm: perKm(total, km),
+    comparison,
+  };
+}
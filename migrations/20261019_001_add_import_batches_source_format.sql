@@ -0,0 +1,6 @@
+-- Migration: Add source_format column to import_batches
+-- Created: 2026-10-19
+-- Description: Traccia il formato del file importato (excel, camt053, mt940, cbi)
+
+ALTER TABLE import_batches
+  ADD COLUMN IF NOT EXISTS source_format VARCHAR(20) DEFAULT 'excel';
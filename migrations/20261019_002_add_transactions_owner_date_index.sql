@@ -0,0 +1,6 @@
+-- Migration: Add index for duplicate detection on import
+-- Created: 2026-10-19
+-- Description: Velocizza la ricerca dei movimenti già presenti per conto e intervallo di date
+
+CREATE INDEX IF NOT EXISTS idx_transactions_db_owner_date
+  ON transactions(db, ownerid, date);
@@ -0,0 +1,14 @@
+-- Migration: Create import_mapping_profiles table
+-- Created: 2026-10-19
+-- Description: Mappatura colonne Excel confermata per ogni conto, riutilizzata
+--              nelle importazioni successive al posto del rilevamento euristico
+
+CREATE TABLE IF NOT EXISTS import_mapping_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  db TEXT NOT NULL,
+  owner_id UUID NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  mapping JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(db, owner_id)
+);
@@ -0,0 +1,20 @@
+-- Migration: Create owner_statement_balances table
+-- Created: 2026-10-19
+-- Description: Saldi di chiusura dichiarati negli estratti conto (per mese o per
+--              batch di importazione), confrontati con il saldo progressivo calcolato
+
+CREATE TABLE IF NOT EXISTS owner_statement_balances (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  db TEXT NOT NULL,
+  owner_id UUID NOT NULL REFERENCES owners(id) ON DELETE CASCADE,
+  period_type VARCHAR(10) NOT NULL DEFAULT 'month' CHECK (period_type IN ('month', 'batch')),
+  period_end DATE NOT NULL,
+  declared_balance NUMERIC(14,2) NOT NULL,
+  import_batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL,
+  note TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(db, owner_id, period_end)
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_statement_balances_owner ON owner_statement_balances(db, owner_id, period_end);
@@ -0,0 +1,8 @@
+-- Migration: Add parent_amount to import_batches
+-- Created: 2026-10-19
+-- Description: Importo originale della transazione principale prima dell'azzeramento
+--              nell'importazione associata, usato dalla riconciliazione carte di credito
+
+ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS parent_amount NUMERIC(14,2);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_parent_transaction ON import_batches(parent_transaction_id);
@@ -0,0 +1,25 @@
+-- Migration: Create transaction_audit_log table
+-- Created: 2026-10-19
+-- Description: Storico delle modifiche alle transazioni (utente, rotta di origine,
+--              differenza campo per campo) con possibilità di annullamento
+
+CREATE TABLE IF NOT EXISTS transaction_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  db TEXT NOT NULL,
+  transaction_id UUID NOT NULL,
+  bulk_id UUID NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  route VARCHAR(100) NOT NULL,
+  user_id UUID,
+  changes JSONB NOT NULL,
+  before_data JSONB,
+  after_data JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  reverted_at TIMESTAMP,
+  reverted_by UUID,
+  revert_bulk_id UUID
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_audit_log_transaction ON transaction_audit_log(db, transaction_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transaction_audit_log_user ON transaction_audit_log(db, user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transaction_audit_log_bulk ON transaction_audit_log(bulk_id);
@@ -0,0 +1,22 @@
+-- Migration: Add soft delete columns
+-- Created: 2026-10-19
+-- Description: Cestino per transazioni, categorie, soggetti e dettagli: le righe
+--              eliminate restano con deleted_at valorizzato fino alla pulizia programmata
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+ALTER TABLE subjects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE subjects ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+ALTER TABLE details ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE details ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+-- Indici parziali per elenco del cestino e pulizia programmata
+CREATE INDEX IF NOT EXISTS idx_transactions_deleted_at ON transactions(db, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_categories_deleted_at ON categories(db, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_subjects_deleted_at ON subjects(db, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_details_deleted_at ON details(db, deleted_at) WHERE deleted_at IS NOT NULL;
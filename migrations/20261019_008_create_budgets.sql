@@ -0,0 +1,32 @@
+-- Migration: Create budgets table
+-- Created: 2026-10-19
+-- Description: Budget annuali o mensili per categoria, soggetto o dettaglio,
+--              confrontati con le spese effettive nel report di budget
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  db TEXT NOT NULL,
+  year INTEGER NOT NULL CHECK (year BETWEEN 1900 AND 9999),
+  month SMALLINT CHECK (month BETWEEN 1 AND 12), -- NULL = budget annuale
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  subject_id UUID REFERENCES subjects(id) ON DELETE CASCADE,
+  detail_id UUID REFERENCES details(id) ON DELETE CASCADE,
+  amount NUMERIC(14,2) NOT NULL CHECK (amount >= 0),
+  note TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (detail_id IS NULL OR subject_id IS NOT NULL)
+);
+
+-- Una sola voce per periodo e livello di classificazione
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_unique_line ON budgets (
+  db,
+  year,
+  COALESCE(month, 0),
+  category_id,
+  COALESCE(subject_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(detail_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_db_year ON budgets(db, year);
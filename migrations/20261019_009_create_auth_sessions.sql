@@ -0,0 +1,22 @@
+-- Migration: Create auth_sessions table
+-- Created: 2026-10-19
+-- Description: Sessioni di login con refresh token a rotazione salvati lato server
+--              (solo hash SHA-256) e revoca per logout o da amministratore
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  previous_token_hash TEXT, -- token sostituito dall'ultima rotazione: se riusato la sessione viene revocata
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_sessions_refresh_token ON auth_sessions (refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous_token ON auth_sessions (previous_token_hash) WHERE previous_token_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id, created_at DESC);
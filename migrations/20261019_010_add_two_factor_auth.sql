@@ -0,0 +1,18 @@
+-- Migration: Add two-factor authentication
+-- Created: 2026-10-19
+-- Description: TOTP (RFC 6238) per utente con codici di recupero, obbligo di 2FA
+--              per database e sessioni verificate con secondo fattore
+
+-- Segreto TOTP cifrato (AES-256-GCM); resta in attesa finché totp_enabled è false
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+-- Ultimo intervallo di 30 secondi usato: impedisce il riuso dello stesso codice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+-- Hash SHA-256 dei codici di recupero non ancora usati
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB DEFAULT '[]'::jsonb;
+
+-- Se true, scrittura, importazione e amministrazione sul db richiedono una sessione verificata con 2FA
+ALTER TABLE databases ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN DEFAULT false;
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN DEFAULT false;
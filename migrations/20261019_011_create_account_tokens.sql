@@ -0,0 +1,22 @@
+-- Migration: Create account_tokens table
+-- Created: 2026-10-19
+-- Description: Token monouso con scadenza per reset password e inviti utente
+--              su un database con un ruolo (solo hash SHA-256 del token)
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL CHECK (type IN ('password_reset', 'invitation')),
+  token_hash TEXT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL per inviti a email senza account
+  db TEXT,   -- Solo inviti
+  role TEXT, -- Solo inviti
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  CHECK (type <> 'invitation' OR (db IS NOT NULL AND role IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_tokens_hash ON account_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_pending ON account_tokens (type, lower(email)) WHERE used_at IS NULL;
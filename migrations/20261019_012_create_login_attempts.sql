@@ -0,0 +1,22 @@
+-- Migration: Create login_attempts table and account lockout columns
+-- Created: 2026-10-19
+-- Description: Storico dei tentativi di accesso per utente e IP, contatore dei
+--              fallimenti consecutivi e blocco temporaneo dell'account
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL se l'email non corrisponde a un utente
+  email VARCHAR(255),
+  ip_address TEXT,
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  reason TEXT NOT NULL, -- success | invalid_password | unknown_user | mfa_failed | locked | throttled | ip_blocked
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_failed ON login_attempts (ip_address, created_at) WHERE success = false;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
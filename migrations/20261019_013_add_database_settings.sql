@@ -0,0 +1,7 @@
+-- Migration: Add settings document to databases
+-- Created: 2026-10-19
+-- Description: Impostazioni per database (valuta, inizio anno fiscale, avvisi
+--              scadenziario, SMTP, soglie del classificatore) validate da
+--              lib/dbSettings.js. Le chiavi assenti usano i valori predefiniti.
+
+ALTER TABLE databases ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb;
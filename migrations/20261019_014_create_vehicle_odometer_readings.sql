@@ -0,0 +1,27 @@
+-- Migration: Create vehicle_odometer_readings and scadenziario source references
+-- Created: 2026-10-19
+-- Description: Storico delle letture del contachilometri dei veicoli, usato per
+--              stimare i km giornalieri e prevedere quando si raggiungono i
+--              next_due_mileage delle manutenzioni. Le scadenze generate dai
+--              moduli (source_module) indicano la riga di origine con
+--              source_entity_type/source_entity_id, così da poterle aggiornare.
+
+CREATE TABLE IF NOT EXISTS vehicle_odometer_readings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  reading_date DATE NOT NULL,
+  mileage INTEGER NOT NULL CHECK (mileage >= 0),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_odometer_readings_vehicle_date ON vehicle_odometer_readings(vehicle_id, reading_date);
+
+ALTER TABLE scadenziario
+  ADD COLUMN IF NOT EXISTS source_entity_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS source_entity_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scadenziario_source_entity
+  ON scadenziario(source_module, source_entity_type, source_entity_id)
+  WHERE source_entity_id IS NOT NULL;
@@ -0,0 +1,8 @@
+-- Migration: Add euro_class to vehicles
+-- Created: 2026-10-19
+-- Description: Classe di emissione Euro del veicolo, usata dal calcolo del
+--              bollo (le tariffe per kW dipendono dalla classe Euro).
+
+ALTER TABLE vehicles
+  ADD COLUMN IF NOT EXISTS euro_class VARCHAR(10)
+    CHECK (euro_class IN ('euro0', 'euro1', 'euro2', 'euro3', 'euro4', 'euro5', 'euro6'));
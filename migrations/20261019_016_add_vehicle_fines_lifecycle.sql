@@ -0,0 +1,26 @@
+-- Migration: Add notification date, deadlines and driver to vehicle_fines
+-- Created: 2026-10-19
+-- Description: Dalla data di notifica del verbale si calcolano l'importo ridotto
+--              del 30% (pagamento entro 5 giorni), la scadenza di pagamento a 60
+--              giorni, i termini di ricorso al Prefetto (60 giorni) e al Giudice
+--              di pace (30 giorni) e il termine per comunicare i dati del
+--              conducente (60 giorni, solo se la violazione comporta la
+--              decurtazione di punti dalla patente). Il conducente è quello
+--              assegnato al veicolo alla data dell'infrazione; il documento di
+--              comunicazione generato è in vehicle_documents
+--              (related_entity_type = 'fine').
+
+ALTER TABLE vehicle_fines
+  ADD COLUMN IF NOT EXISTS notification_date DATE,
+  ADD COLUMN IF NOT EXISTS discount_excluded BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS discount_due_date DATE,
+  ADD COLUMN IF NOT EXISTS appeal_prefetto_deadline DATE,
+  ADD COLUMN IF NOT EXISTS appeal_giudice_deadline DATE,
+  ADD COLUMN IF NOT EXISTS license_points SMALLINT CHECK (license_points >= 0),
+  ADD COLUMN IF NOT EXISTS driver_name VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS driver_type VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS driver_communication_deadline DATE,
+  ADD COLUMN IF NOT EXISTS driver_communication_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_assignments_vehicle_period
+  ON vehicle_assignments_history(vehicle_id, assigned_at);
@@ -0,0 +1,22 @@
+-- Migration: Add owner_id to vehicles
+-- Created: 2026-10-19
+-- Description: Conto (e quindi database) a cui appartiene il veicolo. Le
+--              scadenze generate dal modulo veicoli sono intestate a questo
+--              conto, così rientrano negli avvisi del database; senza conto le
+--              scadenze restano senza conto. I veicoli esistenti prendono il
+--              conto dell'ultima scadenza inserita a mano per il veicolo;
+--              quelli senza scadenze restano da assegnare (owner_id facoltativo).
+
+ALTER TABLE vehicles
+  ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES owners(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_owner_id ON vehicles(owner_id);
+
+UPDATE vehicles v
+SET owner_id = (
+  SELECT s.owner_id FROM scadenziario s
+  WHERE s.vehicle_id = v.id AND s.owner_id IS NOT NULL AND s.source_module IS DISTINCT FROM 'vehicles'
+  ORDER BY s.created_at DESC
+  LIMIT 1
+)
+WHERE v.owner_id IS NULL;
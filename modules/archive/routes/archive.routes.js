@@ -18,11 +18,31 @@ import { QdrantClient } from '@qdrant/js-client-rest';
 import { sanitizeFileName } from '../../../lib/utils.js';
 import { createMinioClient, getMinioBaseUrl } from '../../../lib/minio-config.js';
 import { getBoss } from '../workers/boss.singleton.js';
+import { checkDbAccess, requireDbAccess } from '../../../lib/auth.js';
+import { withCorrelationId } from '../../../lib/requestContext.js';
+import * as schemas from './archive.schemas.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const archiveRoutes = async (fastify) => {
+  // Tutte le rotte dell'archivio richiedono un JWT valido; l'accesso al db è verificato rotta per rotta
+  fastify.addHook('preHandler', fastify.authenticate);
+
+  const canRead = requireDbAccess('read');
+  const canWrite = requireDbAccess('write');
+  const canAdmin = requireDbAccess('admin');
+
+  // Verifica l'accesso a un db noto solo dopo aver letto il documento o la richiesta
+  const denyDbAccess = async (request, reply, db, level) => {
+    const denied = await checkDbAccess(request, db, level);
+    if (denied) {
+      reply.code(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+      return true;
+    }
+    return false;
+  };
+
   // Configurazione storage locale (fallback se MinIO non è disponibile)
   const USE_LOCAL_STORAGE = process.env.USE_LOCAL_STORAGE === 'true'; // Default: usa MinIO se configurato
   const LOCAL_STORAGE_PATH = path.join(__dirname, '../../../storage/archive');
@@ -134,7 +154,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/upload
    * Upload di un nuovo documento nell'archivio
    */
-  fastify.post('/upload', async (request, reply) => {
+  fastify.post('/upload', { schema: schemas.upload }, async (request, reply) => {
     let boss = null;
     try {
       // Collect all parts first - IMPORTANT: we must consume the file stream
@@ -180,6 +200,7 @@ const archiveRoutes = async (fastify) => {
       if (!db) {
         return reply.code(400).send({ error: 'Campo "db" obbligatorio' });
       }
+      if (await denyDbAccess(request, reply, db, 'write')) return reply;
 
       // Inizializza repositories
       const documentRepo = new DocumentRepository(fastify.pg);
@@ -337,10 +358,10 @@ const archiveRoutes = async (fastify) => {
         // Verifica che il queue esista
         await boss.createQueue('archive-ocr');
 
-        jobId = await boss.send('archive-ocr', {
+        jobId = await boss.send('archive-ocr', withCorrelationId({
           documentId: document.id,
           db: db,
-        }, {
+        }), {
           priority: document.priority === 'URGENT' ? 100 : 50,
           retryLimit: 3,
           retryDelay: 30,
@@ -410,7 +431,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/folders
    * Crea una nuova cartella
    */
-  fastify.post('/folders', async (request, reply) => {
+  fastify.post('/folders', { preHandler: canWrite, schema: schemas.createFolder }, async (request, reply) => {
     try {
       const { db, folderName, parentPath = '' } = request.body;
 
@@ -450,7 +471,7 @@ const archiveRoutes = async (fastify) => {
    * PUT /archive/folders
    * Rinomina una cartella
    */
-  fastify.put('/folders', async (request, reply) => {
+  fastify.put('/folders', { preHandler: canWrite, schema: schemas.renameFolder }, async (request, reply) => {
     try {
       const { db, oldPath, newName } = request.body;
 
@@ -499,7 +520,7 @@ const archiveRoutes = async (fastify) => {
    * DELETE /archive/folders
    * Elimina una cartella (solo se vuota)
    */
-  fastify.delete('/folders', async (request, reply) => {
+  fastify.delete('/folders', { preHandler: canAdmin, schema: schemas.deleteFolder }, async (request, reply) => {
     try {
       const { db, folderPath } = request.query;
 
@@ -549,7 +570,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/folders
    * Lista cartelle
    */
-  fastify.get('/folders', async (request, reply) => {
+  fastify.get('/folders', { preHandler: canRead, schema: schemas.listFolders }, async (request, reply) => {
     try {
       const { db, parentPath = '' } = request.query;
 
@@ -592,7 +613,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/documents
    * Lista documenti con filtri
    */
-  fastify.get('/documents', async (request, reply) => {
+  fastify.get('/documents', { preHandler: canRead, schema: schemas.listDocuments }, async (request, reply) => {
     try {
       const { db, status, priority, documentType, folderPath, limit = 50, offset = 0 } = request.query;
 
@@ -639,7 +660,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/documents/:id
    * Dettaglio singolo documento
    */
-  fastify.get('/documents/:id', async (request, reply) => {
+  fastify.get('/documents/:id', { schema: schemas.getDocument }, async (request, reply) => {
     try {
       const { id } = request.params;
 
@@ -651,6 +672,7 @@ const archiveRoutes = async (fastify) => {
       if (!document) {
         return reply.code(404).send({ error: 'Documento non trovato' });
       }
+      if (await denyDbAccess(request, reply, document.db, 'read')) return reply;
 
       // Recupera chunks e jobs associati
       const chunks = await chunkRepo.findByDocumentId(id);
@@ -679,7 +701,7 @@ const archiveRoutes = async (fastify) => {
    * Ricerca ibrida: full-text (PostgreSQL tsvector) + semantica (Qdrant RRF)
    * Fallback a ricerca keyword-only se Qdrant/Ollama non disponibili.
    */
-  fastify.post('/search', async (request, reply) => {
+  fastify.post('/search', { preHandler: canRead, schema: schemas.search }, async (request, reply) => {
     try {
       const { db, query, filters = {}, limit = 20, offset = 0 } = request.body;
 
@@ -782,7 +804,7 @@ const archiveRoutes = async (fastify) => {
    * DELETE /archive/documents/:id
    * Soft delete documento + eliminazione file da storage
    */
-  fastify.delete('/documents/:id', async (request, reply) => {
+  fastify.delete('/documents/:id', { schema: schemas.deleteDocument }, async (request, reply) => {
     try {
       const { id } = request.params;
 
@@ -792,6 +814,7 @@ const archiveRoutes = async (fastify) => {
       if (!document) {
         return reply.code(404).send({ error: 'Documento non trovato' });
       }
+      if (await denyDbAccess(request, reply, document.db, 'admin')) return reply;
 
       // Elimina il file fisico dallo storage
       if (!USE_LOCAL_STORAGE && minioClient && document.storage_path) {
@@ -815,7 +838,7 @@ const archiveRoutes = async (fastify) => {
         }
       }
 
-      await documentRepo.softDelete(id, request.user?.username);
+      await documentRepo.softDelete(id, request.user?.id);
 
       return reply.send({
         success: true,
@@ -834,7 +857,7 @@ const archiveRoutes = async (fastify) => {
    * PUT /archive/documents/rename
    * Rinomina un file (solo il nome, non sposta)
    */
-  fastify.put('/documents/rename', async (request, reply) => {
+  fastify.put('/documents/rename', { preHandler: canWrite, schema: schemas.renameDocument }, async (request, reply) => {
     try {
       const { db, documentId, newName } = request.body;
 
@@ -874,7 +897,7 @@ const archiveRoutes = async (fastify) => {
    * PUT /archive/documents/move
    * Sposta un file in un'altra cartella
    */
-  fastify.put('/documents/move', async (request, reply) => {
+  fastify.put('/documents/move', { preHandler: canWrite, schema: schemas.moveDocument }, async (request, reply) => {
     try {
       const { db, documentId, targetFolder } = request.body;
 
@@ -943,7 +966,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/documents/:id/download
    * Download di un file
    */
-  fastify.get('/documents/:id/download', async (request, reply) => {
+  fastify.get('/documents/:id/download', { preHandler: canRead, schema: schemas.downloadDocument }, async (request, reply) => {
     try {
       const { id } = request.params;
       const { db } = request.query;
@@ -1014,7 +1037,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/documents/:id/retry
    * Riprova il processamento di un documento fallito
    */
-  fastify.post('/documents/:id/retry', async (request, reply) => {
+  fastify.post('/documents/:id/retry', { preHandler: canWrite, schema: schemas.retryDocument }, async (request, reply) => {
     let boss = null;
     try {
       const { id } = request.params;
@@ -1051,10 +1074,10 @@ const archiveRoutes = async (fastify) => {
       await boss.createQueue('archive-ocr');
 
       // Accoda nuovo job OCR
-      const jobId = await boss.send('archive-ocr', {
+      const jobId = await boss.send('archive-ocr', withCorrelationId({
         documentId: document.id,
         db: db,
-      }, {
+      }), {
         priority: document.priority === 'URGENT' ? 100 : 50,
         retryLimit: 3,
         retryDelay: 30,
@@ -1087,7 +1110,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/breadcrumb
    * Ottiene il percorso breadcrumb per navigazione
    */
-  fastify.get('/breadcrumb', async (request, reply) => {
+  fastify.get('/breadcrumb', { schema: schemas.breadcrumb }, async (request, reply) => {
     try {
       const { path = '' } = request.query;
 
@@ -1127,7 +1150,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/stats
    * Statistiche archivio
    */
-  fastify.get('/stats', async (request, reply) => {
+  fastify.get('/stats', { preHandler: canRead, schema: schemas.stats }, async (request, reply) => {
     try {
       const { db } = request.query;
 
@@ -1173,11 +1196,17 @@ const archiveRoutes = async (fastify) => {
    * Serve i file salvati localmente (quando USE_LOCAL_STORAGE = true)
    */
   if (USE_LOCAL_STORAGE) {
-    fastify.get('/files/*', async (request, reply) => {
+    fastify.get('/files/*', { schema: schemas.file }, async (request, reply) => {
       try {
         const filePath = request.params['*']; // Es: "studio_cantini/123456_file.pdf"
         const fullPath = path.join(LOCAL_STORAGE_PATH, filePath);
 
+        // Il primo segmento del percorso è il db; niente uscite dalla cartella dell'archivio
+        if (!fullPath.startsWith(LOCAL_STORAGE_PATH + path.sep)) {
+          return reply.code(400).send({ error: 'Percorso non valido' });
+        }
+        if (await denyDbAccess(request, reply, filePath.split('/')[0], 'read')) return reply;
+
         // Verifica che il file esista
         try {
           await fs.access(fullPath);
@@ -1227,7 +1256,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/ask
    * Interroga l'LLM con contesto dai documenti
    */
-  fastify.post('/ask', async (request, reply) => {
+  fastify.post('/ask', { schema: schemas.ask }, async (request, reply) => {
     try {
       const { prompt, model = 'mistral-nemo' } = request.body;
 
@@ -1282,9 +1311,9 @@ const archiveRoutes = async (fastify) => {
   /**
    * DELETE /archive/documents/clear-all
    * Elimina TUTTI i documenti dall'archivio (operazione distruttiva)
-   * Richiede: autenticazione JWT + header X-Confirm-Dangerous-Operation
+   * Richiede: autenticazione JWT, ruolo admin sul db + header X-Confirm-Dangerous-Operation
    */
-  fastify.delete('/documents/clear-all', async (request, reply) => {
+  fastify.delete('/documents/clear-all', { preHandler: canAdmin, schema: schemas.clearAll }, async (request, reply) => {
     try {
       const { db } = request.body;
 
@@ -1351,17 +1380,18 @@ const archiveRoutes = async (fastify) => {
       let deletedJobs = 0;
       try {
         const boss = await getBoss(process.env.POSTGRES_URL);
-        // Cancella tutti i jobs archive-*
+        // Cancella i jobs archive-* del solo db richiesto
         const deleted = await boss.getDb().executeSql(
-          "DELETE FROM pgboss.job WHERE name LIKE 'archive-%' RETURNING id"
+          "DELETE FROM pgboss.job WHERE name LIKE 'archive-%' AND data->>'db' = $1 RETURNING id",
+          [db]
         );
         deletedJobs = deleted?.rows?.length || 0;
       } catch (bossErr) {
         console.error('[CLEAR-ALL] Errore cancellazione jobs pg-boss:', bossErr.message);
       }
 
-      // TRUNCATE della tabella (cascata su chunks e processing_jobs)
-      await fastify.pg.query('TRUNCATE TABLE archive_documents CASCADE');
+      // Solo i documenti del db richiesto (cascata su chunks e processing_jobs)
+      await fastify.pg.query('DELETE FROM archive_documents WHERE db = $1', [db]);
 
       console.log(`[CLEAR-ALL] Eliminati ${countBefore} documenti, ${deletedFiles} file fisici, ${deletedJobs} jobs`);
 
@@ -1433,7 +1463,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/chat/sessions
    * Crea una nuova sessione di chat
    */
-  fastify.post('/chat/sessions', async (request, reply) => {
+  fastify.post('/chat/sessions', { preHandler: canRead, schema: schemas.createChatSession }, async (request, reply) => {
     try {
       const { db, title } = request.body;
 
@@ -1441,7 +1471,7 @@ const archiveRoutes = async (fastify) => {
         return reply.code(400).send({ error: 'Parametro "db" obbligatorio' });
       }
 
-      const session = await chatRepo.createSession(db, null, title);
+      const session = await chatRepo.createSession(db, request.user.id, title);
       console.log(`[CHAT] Nuova sessione creata: ${session.id}`);
 
       return reply.send({
@@ -1465,7 +1495,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/chat/sessions
    * Lista sessioni di chat per database
    */
-  fastify.get('/chat/sessions', async (request, reply) => {
+  fastify.get('/chat/sessions', { preHandler: canRead, schema: schemas.listChatSessions }, async (request, reply) => {
     try {
       const { db } = request.query;
 
@@ -1498,7 +1528,7 @@ const archiveRoutes = async (fastify) => {
    * GET /archive/chat/sessions/:id/messages
    * Recupera messaggi di una sessione
    */
-  fastify.get('/chat/sessions/:id/messages', async (request, reply) => {
+  fastify.get('/chat/sessions/:id/messages', { preHandler: canRead, schema: schemas.chatMessages }, async (request, reply) => {
     try {
       const { id } = request.params;
       const { db } = request.query;
@@ -1541,7 +1571,7 @@ const archiveRoutes = async (fastify) => {
    * POST /archive/chat/sessions/:id/messages
    * Invia un messaggio e riceve risposta con contesto conversazionale
    */
-  fastify.post('/chat/sessions/:id/messages', async (request, reply) => {
+  fastify.post('/chat/sessions/:id/messages', { preHandler: canRead, schema: schemas.sendChatMessage }, async (request, reply) => {
     const startTime = Date.now();
     try {
       const { id: sessionId } = request.params;
@@ -1675,7 +1705,7 @@ ${conversationHistory.map(m => `${m.role === 'user' ? 'Utente' : 'Assistente'}:
    * DELETE /archive/chat/sessions/:id
    * Elimina una sessione di chat
    */
-  fastify.delete('/chat/sessions/:id', async (request, reply) => {
+  fastify.delete('/chat/sessions/:id', { preHandler: canRead, schema: schemas.deleteChatSession }, async (request, reply) => {
     try {
       const { id } = request.params;
       const { db } = request.query;
@@ -0,0 +1,227 @@
+/**
+ * Schemi JSON delle rotte dell'Archivio Digitale (/v1/archive)
+ * Definizioni condivise in lib/schemas.js
+ */
+
+import { ref, object, rows, responses } from '../../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const success = object({ success: { type: 'boolean' }, message: { type: 'string' } });
+const dbQuery = object({ db: ref('Db') }, ['db']);
+const idParams = object({ id: ref('Uuid') }, ['id']);
+const folderPath = { type: 'string', description: 'Percorso della cartella, separato da "/" (vuoto per la radice)' };
+
+const chatSession = object({
+  id: { type: 'string' },
+  title: nullableString,
+  created_at: { type: 'string' },
+});
+
+export const upload = {
+  consumes: ['multipart/form-data'],
+  description: 'Campi db (obbligatorio), documentType, documentSubtype, title, description, documentDate, fiscalYear, priority, folderPath e il file',
+  response: responses({
+    201: object({ success: { type: 'boolean' }, message: { type: 'string' }, document: ref('Row') }),
+  }),
+};
+
+export const createFolder = {
+  body: object({
+    db: ref('Db'),
+    folderName: { type: 'string', minLength: 1 },
+    parentPath: folderPath,
+  }, ['db', 'folderName']),
+  response: responses({
+    201: object({
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      folder: object({ name: { type: 'string' }, path: { type: 'string' }, parentPath: { type: 'string' } }),
+    }),
+  }),
+};
+
+export const renameFolder = {
+  body: object({
+    db: ref('Db'),
+    oldPath: { type: 'string', minLength: 1 },
+    newName: { type: 'string', minLength: 1 },
+  }, ['db', 'oldPath', 'newName']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    folder: object({ oldPath: { type: 'string' }, newPath: { type: 'string' }, newName: { type: 'string' } }),
+  })),
+};
+
+export const deleteFolder = {
+  querystring: object({ db: ref('Db'), folderPath: { ...folderPath, minLength: 1 } }, ['db', 'folderPath']),
+  response: responses(success),
+};
+
+export const listFolders = {
+  querystring: object({ db: ref('Db'), parentPath: folderPath }, ['db']),
+  response: responses(object({ success: { type: 'boolean' }, folders: rows() })),
+};
+
+export const listDocuments = {
+  querystring: object({
+    db: ref('Db'),
+    status: { type: 'string' },
+    priority: { type: 'string' },
+    documentType: { type: 'string' },
+    folderPath,
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 },
+  }, ['db']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    data: rows(),
+    pagination: object({ total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } }),
+  })),
+};
+
+export const getDocument = {
+  params: idParams,
+  response: responses(object({
+    success: { type: 'boolean' },
+    document: { ...ref('Row'), description: 'Documento con chunksCount, primi 5 chunks e ultimi 10 job' },
+  })),
+};
+
+export const search = {
+  body: object({
+    db: ref('Db'),
+    query: { type: 'string', minLength: 1 },
+    filters: { type: 'object', additionalProperties: true },
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 },
+  }, ['db', 'query']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    query: { type: 'string' },
+    fallback: { type: 'boolean', description: 'true se la ricerca ibrida non è disponibile e si è usata la ricerca testuale' },
+    results: rows(),
+  })),
+};
+
+export const deleteDocument = {
+  params: idParams,
+  response: responses(success),
+};
+
+export const renameDocument = {
+  body: object({
+    db: ref('Db'),
+    documentId: ref('Uuid'),
+    newName: { type: 'string', minLength: 1 },
+  }, ['db', 'documentId', 'newName']),
+  response: responses(success),
+};
+
+export const moveDocument = {
+  body: object({ db: ref('Db'), documentId: ref('Uuid'), targetFolder: folderPath }, ['db', 'documentId']),
+  response: responses(success),
+};
+
+export const downloadDocument = {
+  description: 'Contenuto del file, oppure { downloadUrl } con un URL firmato',
+  params: idParams,
+  querystring: dbQuery,
+};
+
+export const retryDocument = {
+  params: idParams,
+  body: dbQuery,
+  response: responses(object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    jobId: nullableString,
+    document: object({ id: { type: 'string' }, status: { type: 'string' }, originalStatus: { type: 'string' } }),
+  })),
+};
+
+export const breadcrumb = {
+  querystring: object({ path: folderPath }),
+  response: responses(object({
+    success: { type: 'boolean' },
+    breadcrumb: { type: 'array', items: object({ name: { type: 'string' }, path: { type: 'string' } }) },
+  })),
+};
+
+export const stats = {
+  querystring: dbQuery,
+  response: responses(object({
+    success: { type: 'boolean' },
+    stats: { type: 'object', additionalProperties: true, description: 'Documenti per stato e statistiche dei job' },
+  })),
+};
+
+export const file = {
+  description: 'Contenuto del file (il primo segmento del percorso è il db)',
+  params: object({ '*': { type: 'string', minLength: 1 } }, ['*']),
+};
+
+export const ask = {
+  body: object({ prompt: { type: 'string', minLength: 1 }, model: { type: 'string' } }, ['prompt']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    response: { type: 'string' },
+    model: { type: 'string' },
+    done: { type: 'boolean' },
+  })),
+};
+
+export const clearAll = {
+  body: dbQuery,
+  response: responses(object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    deletedCount: { type: 'integer' },
+    deletedFiles: { type: 'integer' },
+    deletedJobs: { type: 'integer' },
+    errors: { type: 'array' },
+  })),
+};
+
+export const createChatSession = {
+  body: object({ db: ref('Db'), title: nullableString }, ['db']),
+  response: responses(object({ success: { type: 'boolean' }, session: chatSession })),
+};
+
+export const listChatSessions = {
+  querystring: dbQuery,
+  response: responses(object({
+    success: { type: 'boolean' },
+    sessions: {
+      type: 'array',
+      items: object({
+        ...chatSession.properties,
+        last_message_at: nullableString,
+        last_message_preview: nullableString,
+      }),
+    },
+  })),
+};
+
+export const chatMessages = {
+  params: idParams,
+  querystring: dbQuery,
+  response: responses(object({ success: { type: 'boolean' }, session: chatSession, messages: rows() })),
+};
+
+export const sendChatMessage = {
+  params: idParams,
+  body: object({ db: ref('Db'), message: { type: 'string', minLength: 1 } }, ['db', 'message']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    response: { type: 'string' },
+    sources: rows(),
+    timing: object({ total_ms: { type: 'integer' } }),
+  })),
+};
+
+export const deleteChatSession = {
+  params: idParams,
+  querystring: dbQuery,
+  response: responses(success),
+};
@@ -19,9 +19,15 @@ import pdfParse from 'pdf-parse';
 import { QdrantClient } from '@qdrant/js-client-rest';
 import { DocumentRepository } from '../repositories/document.repository.js';
 import { ChunkRepository } from '../repositories/chunk.repository.js';
+import { redirectConsole } from '../../../lib/logger.js';
+import { propagateCorrelationToFetch, runWithCorrelationId, withCorrelationId } from '../../../lib/requestContext.js';
 
 const { Pool } = pg;
 
+// Log strutturati con il correlation ID del job (ereditato dalla richiesta che lo ha accodato)
+redirectConsole();
+propagateCorrelationToFetch();
+
 // Configurazione
 const WORKER_ID = process.env.WORKER_ID || `archive-worker-${process.pid}`;
 const WORKER_TYPE = process.env.WORKER_TYPE || 'all'; // 'ocr', 'metadata', 'cleaning', 'embedding', 'all'
@@ -1002,7 +1008,7 @@ async function handleOCRJob(job) {
 
     // Accoda job metadata extraction
     console.log(`📤 Accodamento job metadata per documento ${documentId}...`);
-    const metadataJobId = await boss.send('archive-metadata', { documentId, db }, {
+    const metadataJobId = await boss.send('archive-metadata', withCorrelationId({ documentId, db }), {
       priority: job.data._priority === 'URGENT' ? 100 : 50,
     });
     console.log(`📤 Job metadata accodato: ${metadataJobId}`);
@@ -1074,7 +1080,7 @@ async function handleMetadataJob(job) {
 
     // Accoda job cleaning
     console.log(`📤 Accodamento job cleaning per documento ${documentId}...`);
-    const cleaningJobId = await boss.send('archive-cleaning', { documentId, db }, {
+    const cleaningJobId = await boss.send('archive-cleaning', withCorrelationId({ documentId, db }), {
       priority: job.data._priority === 'URGENT' ? 100 : 50,
     });
     console.log(`📤 Job cleaning accodato: ${cleaningJobId}`);
@@ -1089,7 +1095,7 @@ async function handleMetadataJob(job) {
     // Non bloccare il flusso se i metadata falliscono
     try {
       await documentRepo.updateProcessingStatus(job.data.documentId, 'ocr_completed');
-      await boss.send('archive-cleaning', { documentId: job.data.documentId, db: job.data.db }, {
+      await boss.send('archive-cleaning', withCorrelationId({ documentId: job.data.documentId, db: job.data.db }), {
         priority: job.data._priority === 'URGENT' ? 100 : 50,
       });
     } catch (e) {
@@ -1128,7 +1134,7 @@ async function handleCleaningJob(job) {
 
     // Accoda job embedding
     console.log(`📤 Accodamento job embedding per documento ${documentId}...`);
-    const embeddingJobId = await boss.send('archive-embedding', { documentId, db }, {
+    const embeddingJobId = await boss.send('archive-embedding', withCorrelationId({ documentId, db }), {
       priority: job.data._priority === 'URGENT' ? 100 : 50,
     });
     console.log(`📤 Job embedding accodato: ${embeddingJobId}`);
@@ -1479,7 +1485,7 @@ async function startWorker() {
     await boss.work('archive-ocr', { batchSize: 1, pollingInterval: 2000 }, async (jobs) => {
       health.lastActivity = Date.now();
       for (const job of jobs) {
-        await handleOCRJob(job);
+        await runWithCorrelationId(job.data?.correlationId, () => handleOCRJob(job));
       }
     });
     console.log('✅ Handler OCR registrato');
@@ -1489,7 +1495,7 @@ async function startWorker() {
     await boss.work('archive-metadata', { batchSize: 1, pollingInterval: 2000 }, async (jobs) => {
       health.lastActivity = Date.now();
       for (const job of jobs) {
-        await handleMetadataJob(job);
+        await runWithCorrelationId(job.data?.correlationId, () => handleMetadataJob(job));
       }
     });
     console.log('✅ Handler Metadata registrato');
@@ -1499,7 +1505,7 @@ async function startWorker() {
     await boss.work('archive-cleaning', { batchSize: 1, pollingInterval: 2000 }, async (jobs) => {
       health.lastActivity = Date.now();
       for (const job of jobs) {
-        await handleCleaningJob(job);
+        await runWithCorrelationId(job.data?.correlationId, () => handleCleaningJob(job));
       }
     });
     console.log('✅ Handler Cleaning registrato');
@@ -1509,7 +1515,7 @@ async function startWorker() {
     await boss.work('archive-embedding', { batchSize: 1, pollingInterval: 2000 }, async (jobs) => {
       health.lastActivity = Date.now();
       for (const job of jobs) {
-        await handleEmbeddingJob(job);
+        await runWithCorrelationId(job.data?.correlationId, () => handleEmbeddingJob(job));
       }
     });
     console.log('✅ Handler Embedding registrato');
@@ -0,0 +1,325 @@
+// Reset password e inviti utente tramite link monouso inviati via email
+import bcrypt from 'bcryptjs';
+import { ROLE_PERMISSIONS } from '../lib/auth.js';
+import { revokeSessions } from '../lib/sessions.js';
+import { resetLoginFailures } from '../lib/loginProtection.js';
+import { authRateLimit } from '../lib/rateLimit.js';
+import { sendMail, appLink, escapeHtml } from '../lib/mailer.js';
+import {
+  TOKEN_TYPES,
+  TOKEN_TTL_HOURS,
+  createAccountToken,
+  findAccountToken,
+  consumeAccountToken,
+  validatePassword,
+} from '../lib/accountTokens.js';
+import * as schemas from './schemas/account.js';
+
+const VALID_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const account = async (fastify) => {
+  async function findUserByEmail(email) {
+    const { rows } = await fastify.pg.query('SELECT id, email, firstName, dbrole FROM users WHERE email = $1', [email]);
+    return rows[0] || null;
+  }
+
+  // Richiesta di reset password: la risposta è sempre la stessa per non rivelare quali email sono registrate
+  fastify.post('/password/forgot', { preHandler: authRateLimit, schema: schemas.forgotPassword }, async (request, reply) => {
+    const genericResponse = {
+      message: 'Se l\'indirizzo è registrato riceverai un\'email con le istruzioni per reimpostare la password',
+      status: 200,
+    };
+
+    try {
+      const { email } = request.body || {};
+      if (!email) {
+        return reply.code(400).send({ message: 'Email obbligatoria', status: 400 });
+      }
+
+      const user = await findUserByEmail(email);
+      if (!user) {
+        return reply.send(genericResponse);
+      }
+
+      const { token } = await createAccountToken(fastify.pg, {
+        type: TOKEN_TYPES.passwordReset,
+        email: user.email,
+        userId: user.id,
+      });
+      const link = appLink('/reset-password', { token });
+
+      await sendMail({
+        to: user.email,
+        subject: '[Studio Cantini] Reimpostazione password',
+        html: `
+          <p>Ciao ${escapeHtml(user.firstname || '')},</p>
+          <p>abbiamo ricevuto una richiesta di reimpostazione della password.</p>
+          <p><a href="${escapeHtml(link)}">Reimposta la password</a></p>
+          <p>Il link è valido per ${TOKEN_TTL_HOURS.password_reset} ore e può essere usato una sola volta.
+          Se non hai richiesto il reset puoi ignorare questa email.</p>
+        `,
+      });
+
+      reply.send(genericResponse);
+    } catch (error) {
+      // Anche in caso di errore (es. SMTP) la risposta non deve rivelare se l'utente esiste
+      console.error('Errore nella richiesta di reset password:', error);
+      reply.send(genericResponse);
+    }
+  });
+
+  // Imposta la nuova password con il token ricevuto via email e chiude tutte le sessioni
+  fastify.post('/password/reset', { preHandler: authRateLimit, schema: schemas.resetPassword }, async (request, reply) => {
+    const { token, password } = request.body || {};
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return reply.code(400).send({ message: passwordError, status: 400 });
+    }
+
+    const client = await fastify.pg.connect();
+    try {
+      await client.query('BEGIN');
+      const resetToken = await consumeAccountToken(client, token, TOKEN_TYPES.passwordReset);
+
+      const { rowCount } = await client.query(
+        'UPDATE users SET password = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [resetToken.user_id, bcrypt.hashSync(password, 10)]
+      );
+      if (rowCount === 0) {
+        await client.query('ROLLBACK');
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+
+      await revokeSessions(client, { userId: resetToken.user_id, reason: 'password_reset' });
+      // Chi ha dimostrato il possesso dell'email può accedere subito anche se l'account era bloccato
+      await resetLoginFailures(client, resetToken.user_id);
+      await client.query('COMMIT');
+
+      reply.send({ message: 'Password aggiornata', status: 200 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({ message: error.message, status: error.statusCode });
+      }
+      console.error('Errore nel reset della password:', error);
+      reply.status(500).send({ error: 'Failed to reset password', message: error.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Invita un utente (nuovo o esistente) su un database con un ruolo - richiede ruolo admin sul db
+  fastify.post('/invitations', { preHandler: fastify.authenticate, schema: schemas.createInvitation }, async (request, reply) => {
+    try {
+      const { db, email, role } = request.body || {};
+
+      if (!db || !email || !role) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db, email e role', status: 400 });
+      }
+      if (!VALID_ROLES.includes(role)) {
+        return reply.code(400).send({ message: `Ruolo non valido. Consentiti: ${VALID_ROLES.join(', ')}`, status: 400 });
+      }
+
+      const { rows: dbRows } = await fastify.pg.query(
+        'SELECT db_name FROM databases WHERE db_key = $1 AND is_active = true',
+        [db]
+      );
+      if (dbRows.length === 0) {
+        return reply.code(404).send({ message: 'Database non trovato o non attivo', status: 404 });
+      }
+
+      const user = await findUserByEmail(email);
+      const invitation = await createAccountToken(fastify.pg, {
+        type: TOKEN_TYPES.invitation,
+        email: user?.email || email,
+        userId: user?.id || null,
+        db,
+        role,
+        createdBy: request.user.id,
+      });
+      const link = appLink('/accept-invitation', { token: invitation.token });
+
+      try {
+        await sendMail({
+          to: email,
+          subject: `[Studio Cantini] Invito al database ${dbRows[0].db_name}`,
+          html: `
+            <p>Sei stato invitato ad accedere al database <strong>${escapeHtml(dbRows[0].db_name)}</strong>
+            con il ruolo <strong>${escapeHtml(role)}</strong>.</p>
+            <p><a href="${escapeHtml(link)}">${user ? 'Accetta l\'invito' : 'Crea il tuo account'}</a></p>
+            <p>Il link è valido per ${TOKEN_TTL_HOURS.invitation} ore e può essere usato una sola volta.</p>
+          `,
+        });
+      } catch (mailError) {
+        // Senza email l'invito non è utilizzabile: viene annullato
+        console.error('Errore nell\'invio dell\'invito:', mailError);
+        await fastify.pg.query('DELETE FROM account_tokens WHERE id = $1', [invitation.id]);
+        return reply.code(502).send({ message: 'Invio dell\'email di invito non riuscito', status: 502 });
+      }
+
+      reply.send({
+        message: 'Invito inviato',
+        data: { id: invitation.id, email, db, role, existingUser: Boolean(user), expiresAt: invitation.expiresAt },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Errore nella creazione dell\'invito:', error);
+      reply.status(500).send({ error: 'Failed to create invitation', message: error.message });
+    }
+  });
+
+  // Inviti in attesa su un database - richiede ruolo admin sul db
+  fastify.get('/invitations', { preHandler: fastify.authenticate, schema: schemas.listInvitations }, async (request, reply) => {
+    try {
+      const { db } = request.query;
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        SELECT id, email, role, user_id IS NOT NULL AS existing_user, created_by, created_at, expires_at
+        FROM account_tokens
+        WHERE type = $1 AND db = $2 AND used_at IS NULL AND expires_at > NOW()
+        ORDER BY created_at DESC
+      `, [TOKEN_TYPES.invitation, db]);
+
+      reply.send({ data: rows, status: 200 });
+    } catch (error) {
+      console.error('Errore nel recupero degli inviti:', error);
+      reply.status(500).send({ error: 'Failed to fetch invitations', message: error.message });
+    }
+  });
+
+  // Annulla un invito in attesa - richiede ruolo admin sul db
+  fastify.delete('/invitations/:id', { preHandler: fastify.authenticate, schema: schemas.cancelInvitation }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { db } = request.query;
+
+      const { rowCount } = await fastify.pg.query(`
+        UPDATE account_tokens SET used_at = NOW()
+        WHERE id = $1 AND type = $2 AND db = $3 AND used_at IS NULL
+      `, [id, TOKEN_TYPES.invitation, db]);
+
+      if (rowCount === 0) {
+        return reply.code(404).send({ message: 'Invito non trovato o già usato', status: 404 });
+      }
+
+      reply.send({ message: 'Invito annullato', status: 200 });
+    } catch (error) {
+      console.error('Errore nell\'annullamento dell\'invito:', error);
+      reply.status(500).send({ error: 'Failed to cancel invitation', message: error.message });
+    }
+  });
+
+  // Dettagli di un invito (per la pagina di accettazione): il token va nel body, non nell'URL
+  fastify.post('/invitations/details', { preHandler: authRateLimit, schema: schemas.invitationDetails }, async (request, reply) => {
+    try {
+      const invitation = await findAccountToken(fastify.pg, request.body?.token, TOKEN_TYPES.invitation);
+      if (!invitation) {
+        return reply.code(400).send({ message: 'Link non valido o scaduto', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query('SELECT db_name FROM databases WHERE db_key = $1', [invitation.db]);
+      const user = await findUserByEmail(invitation.email);
+
+      reply.send({
+        data: {
+          email: invitation.email,
+          db: invitation.db,
+          dbName: rows[0]?.db_name || invitation.db,
+          role: invitation.role,
+          existingUser: Boolean(user),
+          expiresAt: invitation.expires_at,
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Errore nel recupero dell\'invito:', error);
+      reply.status(500).send({ error: 'Failed to fetch invitation', message: error.message });
+    }
+  });
+
+  // Accetta un invito: crea l'account (password obbligatoria) oppure aggiunge il ruolo all'utente esistente.
+  // Per gli utenti esistenti l'invito non cambia la password: per quella c'è il reset.
+  fastify.post('/invitations/accept', { preHandler: authRateLimit, schema: schemas.acceptInvitation }, async (request, reply) => {
+    const { token, password, firstName, lastName } = request.body || {};
+
+    const pending = await findAccountToken(fastify.pg, token, TOKEN_TYPES.invitation);
+    if (!pending) {
+      return reply.code(400).send({ message: 'Link non valido o scaduto', status: 400 });
+    }
+    const existing = await findUserByEmail(pending.email);
+    if (!existing) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return reply.code(400).send({ message: passwordError, status: 400 });
+      }
+    }
+
+    const client = await fastify.pg.connect();
+    try {
+      await client.query('BEGIN');
+      const invitation = await consumeAccountToken(client, token, TOKEN_TYPES.invitation);
+
+      const { rows: dbRows } = await client.query(
+        'SELECT 1 FROM databases WHERE db_key = $1 AND is_active = true',
+        [invitation.db]
+      );
+      if (dbRows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.code(404).send({ message: 'Database non trovato o non attivo', status: 404 });
+      }
+
+      const { rows: userRows } = await client.query(
+        'SELECT id, dbrole FROM users WHERE email = $1 FOR UPDATE',
+        [invitation.email]
+      );
+
+      let userId;
+      if (userRows.length === 0) {
+        const { rows } = await client.query(`
+          INSERT INTO users (email, password, firstName, lastName, dbrole)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id
+        `, [
+          invitation.email,
+          bcrypt.hashSync(password, 10),
+          firstName || null,
+          lastName || null,
+          JSON.stringify([{ db: invitation.db, role: invitation.role }]),
+        ]);
+        userId = rows[0].id;
+      } else {
+        userId = userRows[0].id;
+        const roles = (Array.isArray(userRows[0].dbrole) ? userRows[0].dbrole : [])
+          .filter(r => r.db !== invitation.db);
+        roles.push({ db: invitation.db, role: invitation.role });
+        await client.query(
+          'UPDATE users SET dbrole = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [userId, JSON.stringify(roles)]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      reply.send({
+        message: userRows.length === 0 ? 'Account creato' : 'Invito accettato',
+        data: { userId, email: invitation.email, db: invitation.db, role: invitation.role },
+        status: 200,
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({ message: error.message, status: error.statusCode });
+      }
+      console.error('Errore nell\'accettazione dell\'invito:', error);
+      reply.status(500).send({ error: 'Failed to accept invitation', message: error.message });
+    } finally {
+      client.release();
+    }
+  });
+};
+
+export default account;
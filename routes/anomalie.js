@@ -1,4 +1,5 @@
 import { checkUserLogin } from '../lib/utils.js';
+import * as schemas from './schemas/anomalie.js';
 
 const anomalie = async (fastify) => {
   
@@ -24,7 +25,7 @@ const anomalie = async (fastify) => {
    * - score_minimo: score minimo di criticità (0-100)
    * - ordine: 'score_desc', 'score_asc', 'data_desc', 'data_asc', 'importo_desc', 'importo_asc' (default: 'score_desc')
    */
-  fastify.get('/analysis', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/analysis', { preHandler: fastify.authenticate, schema: schemas.analysis }, async (request, reply) => {
     try {
       const { 
         db, 
@@ -174,7 +175,7 @@ const anomalie = async (fastify) => {
    * GET /anomalie/stats
    * Restituisce statistiche generali sulle anomalie
    */
-  fastify.get('/stats', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/stats', { preHandler: fastify.authenticate, schema: schemas.stats }, async (request, reply) => {
     try {
       const { db, mesi = 12 } = request.query;
 
@@ -199,6 +200,7 @@ const anomalie = async (fastify) => {
           AVG(CASE WHEN amount < 0 THEN ABS(amount) ELSE 0 END) as spesa_media
         FROM transactions 
         WHERE db = $1 
+          AND deleted_at IS NULL
           AND date >= $2 
           AND amount < 0
       `;
@@ -228,7 +230,7 @@ const anomalie = async (fastify) => {
    * GET /anomalie/filtri
    * Restituisce i dati per popolare i filtri (categorie, soggetti, etc.)
    */
-  fastify.get('/filtri', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/filtri', { preHandler: fastify.authenticate, schema: schemas.filters }, async (request, reply) => {
     try {
       const { db, mesi = 12 } = request.query;
 
@@ -248,7 +250,7 @@ const anomalie = async (fastify) => {
         SELECT DISTINCT c.id, c.name, COUNT(t.id) as transazioni_totali
         FROM categories c
         JOIN transactions t ON c.id = t.categoryid
-        WHERE t.db = $1 AND t.date >= $2 AND t.amount < 0
+        WHERE t.db = $1 AND t.deleted_at IS NULL AND t.date >= $2 AND t.amount < 0
         GROUP BY c.id, c.name
         ORDER BY c.name
       `;
@@ -258,7 +260,7 @@ const anomalie = async (fastify) => {
         SELECT DISTINCT s.id, s.name, COUNT(t.id) as transazioni_totali
         FROM subjects s
         JOIN transactions t ON s.id = t.subjectid
-        WHERE t.db = $1 AND t.date >= $2 AND t.amount < 0
+        WHERE t.db = $1 AND t.deleted_at IS NULL AND t.date >= $2 AND t.amount < 0
         GROUP BY s.id, s.name
         ORDER BY s.name
       `;
@@ -271,7 +273,7 @@ const anomalie = async (fastify) => {
           AVG(ABS(amount)) as importo_medio,
           PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ABS(amount)) as importo_mediano
         FROM transactions
-        WHERE db = $1 AND date >= $2 AND amount < 0
+        WHERE db = $1 AND deleted_at IS NULL AND date >= $2 AND amount < 0
       `;
 
       const [categorieResult, soggettiResult, importiResult] = await Promise.all([
@@ -349,6 +351,7 @@ async function analizzaTransazioniAnomale(fastify, db, dataInizio, soglia, filtr
 
   const baseConditions = [
     't.db = $1',
+    't.deleted_at IS NULL',
     't.date >= $2',
     't.amount < 0'
   ];
@@ -1,17 +1,92 @@
-// Fastify
-import fastifyJwt from "@fastify/jwt";
 // Utils
 import bcrypt from "bcryptjs";
 import { checkUserLogin } from '../lib/utils.js';
+import { ROLE_PERMISSIONS, checkDbAccess } from '../lib/auth.js';
+import { createSession, rotateSession, listActiveSessions, revokeSessions, setSessionMfaVerified } from '../lib/sessions.js';
+import { authRateLimit } from '../lib/rateLimit.js';
+import {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  registerLoginFailure,
+  resetLoginFailures,
+  listLoginAttempts,
+} from '../lib/loginProtection.js';
+import {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from '../lib/totp.js';
+import * as schemas from './schemas/auth.js';
+
+// Campi del profilo modificabili dall'utente (dbrole si gestisce solo da /user-roles)
+const UPDATABLE_USER_FIELDS = ['email', 'password', 'firstName', 'lastName'];
+
+// Ruoli assegnabili in users.dbrole
+const VALID_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Durata (secondi) del token intermedio tra password e codice 2FA
+const MFA_TOKEN_TTL = 300;
+
+// Colonne di users da non inviare mai al client
+const SECRET_USER_FIELDS = [
+  'password',
+  'totp_secret',
+  'totp_last_step',
+  'totp_recovery_codes',
+  'failed_login_count',
+  'last_failed_login_at',
+  'locked_until',
+];
+
+function withoutSecrets(user) {
+  const copy = { ...user };
+  SECRET_USER_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
 
 const auth = async (fastify) => {
-  // Registrazione del plugin fastify-jwt
-  fastify.register(fastifyJwt, {
-    secret: process.env.JWT_SECRET,
-  })
+  // Verifica un codice TOTP dell'utente; ogni codice è accettato una sola volta
+  async function verifyUserTotp(user, code) {
+    if (!user.totp_secret) return false;
+    const step = verifyTotp(decryptSecret(user.totp_secret), code, { lastStep: user.totp_last_step });
+    if (step === null) return false;
+
+    const { rowCount } = await fastify.pg.query(`
+      UPDATE users SET totp_last_step = $2
+      WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+    `, [user.id, step]);
+    return rowCount > 0;
+  }
+
+  // Consuma un codice di recupero (monouso)
+  async function consumeRecoveryCode(userId, recoveryCode) {
+    const { rowCount } = await fastify.pg.query(`
+      UPDATE users SET totp_recovery_codes = totp_recovery_codes - $2::text
+      WHERE id = $1 AND totp_recovery_codes ? $2
+    `, [userId, hashRecoveryCode(recoveryCode)]);
+    return rowCount > 0;
+  }
+
+  async function resetTwoFactor(userId) {
+    await fastify.pg.query(`
+      UPDATE users
+      SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL,
+          totp_last_step = NULL, totp_recovery_codes = '[]'::jsonb
+      WHERE id = $1
+    `, [userId]);
+  }
+
+  async function loadUser(userId) {
+    const { rows } = await fastify.pg.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return rows[0] || null;
+  }
 
   // Middleware per la verifica del token
-  fastify.get('/me', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/me', { preHandler: fastify.authenticate, schema: schemas.me }, async (request, reply) => {
     try {
       const user = await checkUserLogin(fastify, request.headers.authorization);
 
@@ -34,58 +109,194 @@ const auth = async (fastify) => {
     }
   });
 
+  function sendLoginBlocked(reply, blocked) {
+    reply.header('Retry-After', blocked.retryAfter);
+    return reply.code(blocked.status).send({ message: blocked.error, status: blocked.status, retryAfter: blocked.retryAfter });
+  }
+
+  // Apre la sessione e costruisce la risposta di login (anche dopo la verifica 2FA)
+  async function completeLogin(request, reply, user, db, mfaVerified) {
+    // Gestione ruoli database (opzionale)
+    let userRole = null;
+    if (db && user.dbrole && Array.isArray(user.dbrole)) {
+      userRole = user.dbrole.find(role => role.db === db);
+      if (!userRole) {
+        return reply.code(400).send({ message: 'Database non trovato o accesso negato', status: 400 });
+      }
+    }
+
+    // Estrai la lista dei db prima di rimuovere dbrole
+    const allDbs = Array.isArray(user.dbrole) ? user.dbrole.map(r => r.db) : [];
+    const publicUser = withoutSecrets(user);
+    delete publicUser.dbrole;
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(fastify, {
+      userId: user.id,
+      userAgent: request.headers['user-agent'],
+      ip: request.ip,
+      mfaVerified,
+    });
+
+    // Se c'è un ruolo per il db, lo includiamo nella risposta
+    const responseUser = userRole
+      ? { ...publicUser, role: userRole.role, db: db, allDbs }
+      : { ...publicUser, allDbs };
+
+    reply.send({ data: { accessToken, refreshToken, expiresIn, user: responseUser } });
+  }
+
   // Login di un utente
-  fastify.post('/login', async (request, reply) => {
+  fastify.post('/login', { preHandler: authRateLimit, schema: schemas.login }, async (request, reply) => {
     const { email, password, db } = request.body;
+    const attempt = { email, ip: request.ip, userAgent: request.headers['user-agent'] || null };
 
     const query = 'SELECT * FROM users WHERE email = $1';
     try {
       const { rows } = await fastify.pg.query(query, [email]);
+      const user = rows[0] || null;
 
-      if (rows.length === 0) {
+      // Blocco per IP, account bloccato o ritardo progressivo non ancora trascorso
+      const blocked = await checkLoginAllowed(fastify.pg, { user, ip: request.ip });
+      if (blocked) {
+        await recordLoginAttempt(fastify.pg, { ...attempt, userId: user?.id, success: false, reason: blocked.reason });
+        return sendLoginBlocked(reply, blocked);
+      }
+
+      if (!user) {
+        await recordLoginAttempt(fastify.pg, { ...attempt, success: false, reason: 'unknown_user' });
         return reply.send({ success: false, message: 'Utente non trovato' });
       }
 
-      const user = rows[0];
       const isPasswordValid = await bcrypt.compare(password, user.password);
 
       if (!isPasswordValid) {
+        await recordLoginAttempt(fastify.pg, { ...attempt, userId: user.id, success: false, reason: 'invalid_password' });
+        await registerLoginFailure(fastify.pg, user.id);
         return reply.code(400).send({ message: 'Credenziali non valide', status: 400 });
       }
 
-      // Gestione ruoli database (opzionale)
-      let userRole = null;
-      if (db && user.dbrole && Array.isArray(user.dbrole)) {
-        userRole = user.dbrole.find(role => role.db === db);
-        if (!userRole) {
-          return reply.code(400).send({ message: 'Database non trovato o accesso negato', status: 400 });
-        }
+      // Con la 2FA attiva il login si completa su /login/2fa con il codice TOTP o un codice di recupero
+      if (user.totp_enabled) {
+        const mfaToken = fastify.jwt.sign({ id: user.id, db: db || null, purpose: 'mfa' }, { expiresIn: MFA_TOKEN_TTL });
+        return reply.send({ data: { mfaRequired: true, mfaToken, expiresIn: MFA_TOKEN_TTL } });
       }
 
-      delete user.password;
+      await recordLoginAttempt(fastify.pg, { ...attempt, userId: user.id, success: true, reason: 'success' });
+      await resetLoginFailures(fastify.pg, user.id);
+      await completeLogin(request, reply, user, db, false);
+    } catch (error) {
+      console.error(error);
+      reply.code(500).send({ message: 'Errore durante il login', status: 500 });
+    }
+  });
 
-      // Estrai la lista dei db prima di rimuovere dbrole
-      const allDbs = Array.isArray(user.dbrole) ? user.dbrole.map(r => r.db) : [];
-      delete user.dbrole;
+  // Secondo passo del login: codice TOTP o codice di recupero
+  fastify.post('/login/2fa', { preHandler: authRateLimit, schema: schemas.login2fa }, async (request, reply) => {
+    const { mfaToken, code, recoveryCode } = request.body || {};
 
-      const token = fastify.jwt.sign({ id: user.id }, {
-        expiresIn: 14400 // 4 ore in secondi
-      });
+    let pending;
+    try {
+      pending = fastify.jwt.verify(mfaToken);
+    } catch (error) {
+      return reply.code(401).send({ message: 'Verifica scaduta: ripetere il login', status: 401 });
+    }
+    if (pending.purpose !== 'mfa') {
+      return reply.code(401).send({ message: 'Token di verifica non valido', status: 401 });
+    }
+
+    try {
+      const { rows } = await fastify.pg.query('SELECT * FROM users WHERE id = $1', [pending.id]);
+      const user = rows[0];
+      if (!user || !user.totp_enabled) {
+        return reply.code(401).send({ message: 'Token di verifica non valido', status: 401 });
+      }
 
-      // Se c'è un ruolo per il db, lo includiamo nella risposta
-      const responseUser = userRole
-        ? { ...user, role: userRole.role, db: db, allDbs }
-        : { ...user, allDbs };
+      const attempt = { userId: user.id, email: user.email, ip: request.ip, userAgent: request.headers['user-agent'] || null };
 
-      reply.send({ data: { accessToken: token, user: responseUser } });
+      // I tentativi sul codice 2FA seguono gli stessi limiti della password
+      const blocked = await checkLoginAllowed(fastify.pg, { user, ip: request.ip });
+      if (blocked) {
+        await recordLoginAttempt(fastify.pg, { ...attempt, success: false, reason: blocked.reason });
+        return sendLoginBlocked(reply, blocked);
+      }
+
+      const verified = recoveryCode
+        ? await consumeRecoveryCode(user.id, recoveryCode)
+        : await verifyUserTotp(user, code);
+      if (!verified) {
+        await recordLoginAttempt(fastify.pg, { ...attempt, success: false, reason: 'mfa_failed' });
+        await registerLoginFailure(fastify.pg, user.id);
+        return reply.code(400).send({ message: 'Codice di verifica non valido', status: 400 });
+      }
+
+      await recordLoginAttempt(fastify.pg, { ...attempt, success: true, reason: 'success' });
+      await resetLoginFailures(fastify.pg, user.id);
+      await completeLogin(request, reply, user, pending.db, true);
     } catch (error) {
-      console.error(error);
+      console.error('Errore nella verifica 2FA:', error);
       reply.code(500).send({ message: 'Errore durante il login', status: 500 });
     }
   });
 
+  // Sblocca un account bloccato per troppi tentativi falliti - richiede ruolo admin su un database dell'utente
+  fastify.post('/users/:userId/unlock', { preHandler: fastify.authenticate, schema: schemas.unlockUser }, async (request, reply) => {
+    try {
+      const { userId } = request.params;
+      if (!(await resetLoginFailures(fastify.pg, userId))) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+
+      console.log(`🔓 Account ${userId} sbloccato da ${request.user.id}`);
+      reply.send({ message: 'Account sbloccato', status: 200 });
+    } catch (error) {
+      console.error('Errore nello sblocco dell\'account:', error);
+      reply.status(500).send({ error: 'Failed to unlock account', message: error.message });
+    }
+  });
+
+  // Storico dei tentativi di accesso di un utente, con stato del blocco - richiede ruolo admin su un database dell'utente
+  fastify.get('/users/:userId/login-attempts', { preHandler: fastify.authenticate, schema: schemas.userLoginAttempts }, async (request, reply) => {
+    try {
+      const { userId } = request.params;
+      const { rows } = await fastify.pg.query(
+        'SELECT failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = $1',
+        [userId]
+      );
+      if (rows.length === 0) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+
+      const attempts = await listLoginAttempts(fastify.pg, userId, request.query.limit);
+      const lockedUntil = rows[0].locked_until && new Date(rows[0].locked_until) > new Date() ? rows[0].locked_until : null;
+
+      reply.send({
+        data: {
+          failedCount: rows[0].failed_login_count || 0,
+          lastFailedAt: rows[0].last_failed_login_at,
+          lockedUntil,
+          attempts,
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Errore nel recupero dei tentativi di accesso:', error);
+      reply.status(500).send({ error: 'Failed to fetch login attempts', message: error.message });
+    }
+  });
+
+  // Ultimi accessi dell'utente autenticato (per riconoscere accessi sospetti)
+  fastify.get('/login-attempts', { preHandler: fastify.authenticate, schema: schemas.loginAttempts }, async (request, reply) => {
+    try {
+      const attempts = await listLoginAttempts(fastify.pg, request.user.id, request.query.limit);
+      reply.send({ data: attempts, status: 200 });
+    } catch (error) {
+      console.error('Errore nel recupero dei tentativi di accesso:', error);
+      reply.status(500).send({ error: 'Failed to fetch login attempts', message: error.message });
+    }
+  });
+
   // Registrazione di un nuovo utente
-  fastify.post('/register', async (request, reply) => {
+  fastify.post('/register', { schema: schemas.register }, async (request, reply) => {
     const { email, password, firstName, lastName } = request.body;
 
     // Hash the password
@@ -103,12 +314,14 @@ const auth = async (fastify) => {
       const { rows } = await fastify.pg.query(query, values);
       const user = rows[0];
 
-      // Generate a JWT token
-      const token = fastify.jwt.sign({ id: user.id }, {
-        expiresIn: 14400 // 4 hours in seconds
+      // Apre la prima sessione dell'utente
+      const { accessToken, refreshToken, expiresIn } = await createSession(fastify, {
+        userId: user.id,
+        userAgent: request.headers['user-agent'],
+        ip: request.ip,
       });
 
-      reply.send({ message: 'User created successfully', accessToken: token, user });
+      reply.send({ message: 'User created successfully', accessToken, refreshToken, expiresIn, user });
     } catch (error) {
       console.error(error);
       reply.code(400).send({ message: 'Error creating user', status: 400 });
@@ -116,8 +329,246 @@ const auth = async (fastify) => {
   })
 
 
+  // Nuova coppia access/refresh token a partire dal refresh token (che viene sostituito)
+  fastify.post('/refresh', { schema: schemas.refresh }, async (request, reply) => {
+    try {
+      const { refreshToken } = request.body || {};
+      const tokens = await rotateSession(fastify, refreshToken, {
+        userAgent: request.headers['user-agent'],
+        ip: request.ip,
+      });
+
+      reply.send({ data: { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn } });
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({ message: error.message, status: error.statusCode });
+      }
+      console.error('Errore nel refresh del token:', error);
+      reply.status(500).send({ error: 'Failed to refresh token', message: error.message });
+    }
+  });
+
+  // Logout: revoca la sessione corrente (o tutte le sessioni dell'utente con allSessions: true)
+  fastify.post('/logout', { preHandler: fastify.authenticate, schema: schemas.logout }, async (request, reply) => {
+    try {
+      const { allSessions = false } = request.body || {};
+      const revoked = await revokeSessions(fastify.pg, {
+        userId: request.user.id,
+        sessionId: allSessions ? null : request.user.sid,
+        reason: 'logout',
+      });
+
+      reply.send({ message: 'Logout effettuato', revoked, status: 200 });
+    } catch (error) {
+      console.error('Errore durante il logout:', error);
+      reply.status(500).send({ error: 'Failed to logout', message: error.message });
+    }
+  });
+
+  // Sessioni attive di un utente - richiede ruolo admin su un database dell'utente
+  fastify.get('/sessions/:userId', { preHandler: fastify.authenticate, schema: schemas.sessions }, async (request, reply) => {
+    try {
+      const sessions = await listActiveSessions(fastify.pg, request.params.userId);
+      reply.send({ data: sessions, status: 200 });
+    } catch (error) {
+      console.error('Errore nel recupero delle sessioni:', error);
+      reply.status(500).send({ error: 'Failed to fetch sessions', message: error.message });
+    }
+  });
+
+  // Revoca tutte le sessioni di un utente - richiede ruolo admin su un database dell'utente
+  fastify.delete('/sessions/:userId', { preHandler: fastify.authenticate, schema: schemas.revokeUserSessions }, async (request, reply) => {
+    try {
+      const revoked = await revokeSessions(fastify.pg, { userId: request.params.userId, reason: 'admin_revoked' });
+      reply.send({ message: 'Sessioni revocate', revoked, status: 200 });
+    } catch (error) {
+      console.error('Errore nella revoca delle sessioni:', error);
+      reply.status(500).send({ error: 'Failed to revoke sessions', message: error.message });
+    }
+  });
+
+  // Revoca una singola sessione di un utente - richiede ruolo admin su un database dell'utente
+  fastify.delete('/sessions/:userId/:sessionId', { preHandler: fastify.authenticate, schema: schemas.revokeSession }, async (request, reply) => {
+    try {
+      const { userId, sessionId } = request.params;
+      const revoked = await revokeSessions(fastify.pg, { userId, sessionId, reason: 'admin_revoked' });
+
+      if (revoked === 0) {
+        return reply.code(404).send({ message: 'Sessione non trovata o già revocata', status: 404 });
+      }
+
+      reply.send({ message: 'Sessione revocata', revoked, status: 200 });
+    } catch (error) {
+      console.error('Errore nella revoca della sessione:', error);
+      reply.status(500).send({ error: 'Failed to revoke session', message: error.message });
+    }
+  });
+
+  // Stato della 2FA dell'utente e database che la richiedono
+  fastify.get('/2fa/status', { preHandler: fastify.authenticate, schema: schemas.twoFactorStatus }, async (request, reply) => {
+    try {
+      const user = await loadUser(request.user.id);
+      if (!user) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+
+      const dbs = Array.isArray(user.dbrole) ? user.dbrole.map(r => r.db) : [];
+      const { rows } = await fastify.pg.query(
+        'SELECT db_key FROM databases WHERE require_2fa = true AND db_key = ANY($1)',
+        [dbs]
+      );
+
+      reply.send({
+        data: {
+          enabled: Boolean(user.totp_enabled),
+          enabledAt: user.totp_enabled_at,
+          recoveryCodesRemaining: Array.isArray(user.totp_recovery_codes) ? user.totp_recovery_codes.length : 0,
+          requiredBy: rows.map(r => r.db_key),
+          sessionVerified: Boolean(request.authSession?.mfa_verified),
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Errore nel recupero dello stato 2FA:', error);
+      reply.status(500).send({ error: 'Failed to fetch 2FA status', message: error.message });
+    }
+  });
+
+  // Avvia l'attivazione: nuovo segreto e URI otpauth:// da mostrare come QR code
+  fastify.post('/2fa/setup', { preHandler: fastify.authenticate, schema: schemas.twoFactorSetup }, async (request, reply) => {
+    try {
+      const user = await loadUser(request.user.id);
+      if (!user) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+      if (user.totp_enabled) {
+        return reply.code(409).send({ message: 'La 2FA è già attiva', status: 409 });
+      }
+
+      const secret = generateSecret();
+      await fastify.pg.query(
+        'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1',
+        [user.id, encryptSecret(secret)]
+      );
+
+      reply.send({ data: { secret, otpauthUri: provisioningUri(secret, user.email) }, status: 200 });
+    } catch (error) {
+      console.error('Errore nella configurazione 2FA:', error);
+      reply.status(500).send({ error: 'Failed to set up 2FA', message: error.message });
+    }
+  });
+
+  // Conferma l'attivazione con il primo codice; restituisce (una sola volta) i codici di recupero
+  fastify.post('/2fa/enable', { preHandler: fastify.authenticate, schema: schemas.twoFactorEnable }, async (request, reply) => {
+    try {
+      const { code } = request.body || {};
+      const user = await loadUser(request.user.id);
+      if (!user) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+      if (user.totp_enabled) {
+        return reply.code(409).send({ message: 'La 2FA è già attiva', status: 409 });
+      }
+      if (!user.totp_secret) {
+        return reply.code(400).send({ message: 'Configurazione 2FA non avviata: chiamare prima /2fa/setup', status: 400 });
+      }
+      if (!(await verifyUserTotp(user, code))) {
+        return reply.code(400).send({ message: 'Codice di verifica non valido', status: 400 });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await fastify.pg.query(`
+        UPDATE users
+        SET totp_enabled = true, totp_enabled_at = NOW(), totp_recovery_codes = $2
+        WHERE id = $1
+      `, [user.id, JSON.stringify(hashes)]);
+
+      // La sessione corrente ha appena dimostrato il secondo fattore
+      await setSessionMfaVerified(fastify.pg, { userId: user.id, sessionId: request.user.sid, verified: true });
+
+      reply.send({ message: '2FA attivata', data: { recoveryCodes: codes }, status: 200 });
+    } catch (error) {
+      console.error('Errore nell\'attivazione 2FA:', error);
+      reply.status(500).send({ error: 'Failed to enable 2FA', message: error.message });
+    }
+  });
+
+  // Disattiva la 2FA: richiede password e codice TOTP (o di recupero)
+  fastify.post('/2fa/disable', { preHandler: fastify.authenticate, schema: schemas.twoFactorDisable }, async (request, reply) => {
+    try {
+      const { password, code, recoveryCode } = request.body || {};
+      const user = await loadUser(request.user.id);
+      if (!user) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+      if (!user.totp_enabled) {
+        return reply.code(409).send({ message: 'La 2FA non è attiva', status: 409 });
+      }
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return reply.code(400).send({ message: 'Credenziali non valide', status: 400 });
+      }
+
+      const verified = recoveryCode
+        ? await consumeRecoveryCode(user.id, recoveryCode)
+        : await verifyUserTotp(user, code);
+      if (!verified) {
+        return reply.code(400).send({ message: 'Codice di verifica non valido', status: 400 });
+      }
+
+      await resetTwoFactor(user.id);
+      await setSessionMfaVerified(fastify.pg, { userId: user.id, verified: false });
+
+      reply.send({ message: '2FA disattivata', status: 200 });
+    } catch (error) {
+      console.error('Errore nella disattivazione 2FA:', error);
+      reply.status(500).send({ error: 'Failed to disable 2FA', message: error.message });
+    }
+  });
+
+  // Rigenera i codici di recupero (i precedenti non sono più validi)
+  fastify.post('/2fa/recovery-codes', { preHandler: fastify.authenticate, schema: schemas.twoFactorRecoveryCodes }, async (request, reply) => {
+    try {
+      const { code } = request.body || {};
+      const user = await loadUser(request.user.id);
+      if (!user || !user.totp_enabled) {
+        return reply.code(409).send({ message: 'La 2FA non è attiva', status: 409 });
+      }
+      if (!(await verifyUserTotp(user, code))) {
+        return reply.code(400).send({ message: 'Codice di verifica non valido', status: 400 });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await fastify.pg.query('UPDATE users SET totp_recovery_codes = $2 WHERE id = $1', [user.id, JSON.stringify(hashes)]);
+
+      reply.send({ data: { recoveryCodes: codes }, status: 200 });
+    } catch (error) {
+      console.error('Errore nella rigenerazione dei codici di recupero:', error);
+      reply.status(500).send({ error: 'Failed to regenerate recovery codes', message: error.message });
+    }
+  });
+
+  // Reset della 2FA di un utente (es. telefono perso) - richiede ruolo admin su un database dell'utente; chiude tutte le sue sessioni
+  fastify.delete('/2fa/:userId', { preHandler: fastify.authenticate, schema: schemas.twoFactorReset }, async (request, reply) => {
+    try {
+      const { userId } = request.params;
+      const user = await loadUser(userId);
+      if (!user) {
+        return reply.code(404).send({ message: 'Utente non trovato', status: 404 });
+      }
+
+      await resetTwoFactor(userId);
+      const revoked = await revokeSessions(fastify.pg, { userId, reason: '2fa_reset' });
+
+      console.log(`🔐 2FA azzerata per l'utente ${userId} da ${request.user.id}`);
+      reply.send({ message: '2FA azzerata', revoked, status: 200 });
+    } catch (error) {
+      console.error('Errore nel reset 2FA:', error);
+      reply.status(500).send({ error: 'Failed to reset 2FA', message: error.message });
+    }
+  });
+
   // Aggiorna un utente esistente (richiede autenticazione)
-  fastify.put('/update', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.put('/update', { preHandler: fastify.authenticate, schema: schemas.updateUser }, async (request, reply) => {
     const token = request.headers.authorization.split(' ')[1]; // recuperare il token dalla richiesta
     const decoded = await fastify.jwt.verify(token); // decodificare il token
     const userId = decoded.id; // recuperare l'id del cliente dal payload del token
@@ -136,7 +587,10 @@ const auth = async (fastify) => {
     let updateValues = [];
     let index = 1;
 
-    for (const [key, value] of Object.entries(request.body)) {
+    for (const [key, value] of Object.entries(request.body || {})) {
+      if (!UPDATABLE_USER_FIELDS.includes(key)) {
+        continue;
+      }
       if (key === 'password') {
         updateFields.push(`${key} = $${index}`);
         updateValues.push(bcrypt.hashSync(value, 10));
@@ -147,21 +601,33 @@ const auth = async (fastify) => {
       index++;
     }
 
+    if (updateFields.length === 0) {
+      return reply.code(400).send({ message: `Nessun campo aggiornabile. Consentiti: ${UPDATABLE_USER_FIELDS.join(', ')}`, status: 400 });
+    }
+
     const queryUpdate = `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${index}`;
     updateValues.push(userId);
 
     await fastify.pg.query(queryUpdate, updateValues);
 
+    // Cambio password: chiude tutte le altre sessioni dell'utente
+    if (request.body.password) {
+      await fastify.pg.query(`
+        UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'password_changed'
+        WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+      `, [userId, decoded.sid]);
+    }
+
     // Recupera l'utente aggiornato
     const { rows: updatedRows } = await fastify.pg.query(querySelect, [userId]);
     const updatedUser = updatedRows[0];
 
     // Invia l'utente aggiornato
-    reply.send({ user: updatedUser });
+    reply.send({ user: withoutSecrets(updatedUser) });
   });
 
   // Ottieni i ruoli di un utente per tutti i database - richiede autenticazione
-  fastify.get('/user-roles/:userId', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/user-roles/:userId', { preHandler: fastify.authenticate, schema: schemas.getUserRoles }, async (request, reply) => {
     try {
       const { userId } = request.params;
       
@@ -214,7 +680,7 @@ const auth = async (fastify) => {
   });
 
   // Aggiorna i ruoli di un utente - richiede autenticazione e ruolo admin
-  fastify.put('/user-roles/:userId', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.put('/user-roles/:userId', { preHandler: fastify.authenticate, schema: schemas.setUserRoles }, async (request, reply) => {
     try {
       const { userId } = request.params;
       const { roles } = request.body; // Array di {db_key, role}
@@ -226,6 +692,13 @@ const auth = async (fastify) => {
         });
       }
 
+      if (roles.some(r => !VALID_ROLES.includes(r.role))) {
+        return reply.code(400).send({
+          success: false,
+          message: `Ruolo non valido. Consentiti: ${VALID_ROLES.join(', ')}`
+        });
+      }
+
       // Verifica che tutti i database esistano
       const dbKeys = roles.map(r => r.db_key);
       const dbQuery = 'SELECT db_key FROM databases WHERE db_key = ANY($1) AND is_active = true';
@@ -240,6 +713,20 @@ const auth = async (fastify) => {
         });
       }
 
+      // Serve il ruolo admin su ogni database il cui ruolo viene assegnato, modificato o revocato
+      const { rows: targetRows } = await fastify.pg.query('SELECT dbrole FROM users WHERE id = $1', [userId]);
+      const currentRoles = Array.isArray(targetRows[0]?.dbrole) ? targetRows[0].dbrole : [];
+      const changedDbs = new Set([
+        ...roles.filter(r => !currentRoles.some(c => c.db === r.db_key && c.role === r.role)).map(r => r.db_key),
+        ...currentRoles.filter(c => !roles.some(r => r.db_key === c.db && r.role === c.role)).map(c => c.db),
+      ]);
+      for (const db of changedDbs) {
+        const denied = await checkDbAccess(request, db, 'admin');
+        if (denied) {
+          return reply.code(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+        }
+      }
+
       // Converte i ruoli nel formato JSON atteso
       const dbroleJson = roles.map(role => ({
         db: role.db_key,
@@ -277,7 +764,7 @@ const auth = async (fastify) => {
   });
 
   // Aggiungi un ruolo a un utente per un database specifico - richiede autenticazione e ruolo admin
-  fastify.post('/user-roles/:userId/add', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/user-roles/:userId/add', { preHandler: fastify.authenticate, schema: schemas.addUserRole }, async (request, reply) => {
     try {
       const { userId } = request.params;
       const { db_key, role } = request.body;
@@ -289,6 +776,13 @@ const auth = async (fastify) => {
         });
       }
 
+      if (!VALID_ROLES.includes(role)) {
+        return reply.code(400).send({
+          success: false,
+          message: `Ruolo non valido. Consentiti: ${VALID_ROLES.join(', ')}`
+        });
+      }
+
       // Verifica che il database esista
       const dbQuery = 'SELECT db_key FROM databases WHERE db_key = $1 AND is_active = true';
       const { rows: dbRows } = await fastify.pg.query(dbQuery, [db_key]);
@@ -343,7 +837,7 @@ const auth = async (fastify) => {
   });
 
   // Rimuovi un ruolo di un utente per un database specifico - richiede autenticazione e ruolo admin
-  fastify.delete('/user-roles/:userId/remove/:dbKey', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.delete('/user-roles/:userId/remove/:dbKey', { preHandler: fastify.authenticate, schema: schemas.removeUserRole }, async (request, reply) => {
     try {
       const { userId, dbKey } = request.params;
       
@@ -0,0 +1,247 @@
+// Budget annuali o mensili per categoria, soggetto o dettaglio e report budget vs effettivo
+import { validateBudgetInput, buildBudgetReport } from '../lib/budget.js';
+import * as schemas from './schemas/budget.js';
+
+const budget = async (fastify) => {
+  // Verifica che categoria, soggetto e dettaglio esistano, siano attivi e formino una gerarchia valida
+  async function checkHierarchy(db, { categoryId, subjectId, detailId }) {
+    const { rows } = await fastify.pg.query(`
+      SELECT
+        (SELECT COUNT(*)::int FROM categories
+          WHERE id = $2 AND db = $1 AND deleted_at IS NULL) AS category_ok,
+        (SELECT COUNT(*)::int FROM subjects
+          WHERE id = $3 AND category_id = $2 AND db = $1 AND deleted_at IS NULL) AS subject_ok,
+        (SELECT COUNT(*)::int FROM details
+          WHERE id = $4 AND subject_id = $3 AND db = $1 AND deleted_at IS NULL) AS detail_ok
+    `, [db, categoryId, subjectId, detailId]);
+
+    if (!rows[0].category_ok) return 'Categoria non trovata';
+    if (subjectId && !rows[0].subject_ok) return 'Soggetto non trovato o non appartenente alla categoria';
+    if (detailId && !rows[0].detail_ok) return 'Dettaglio non trovato o non appartenente al soggetto';
+    return null;
+  }
+
+  // Elenco delle voci di budget di un anno
+  fastify.post('/list', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
+    try {
+      const { db, year } = request.body;
+
+      if (!db || !year) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e year', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        SELECT
+          b.id, b.year, b.month, b.amount::float AS amount, b.note,
+          b.category_id, c.name AS category_name,
+          b.subject_id, s.name AS subject_name,
+          b.detail_id, d.name AS detail_name,
+          b.created_by, b.created_at, b.updated_at
+        FROM budgets b
+        JOIN categories c ON c.id = b.category_id AND c.deleted_at IS NULL
+        LEFT JOIN subjects s ON s.id = b.subject_id
+        LEFT JOIN details d ON d.id = b.detail_id
+        WHERE b.db = $1 AND b.year = $2
+          AND s.deleted_at IS NULL AND d.deleted_at IS NULL
+        ORDER BY c.name, s.name NULLS FIRST, d.name NULLS FIRST, b.month NULLS FIRST
+      `, [db, parseInt(year, 10)]);
+
+      reply.send({ data: rows, status: 200 });
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      reply.status(500).send({ error: 'Failed to fetch budgets', message: 'Errore durante il recupero dei budget' });
+    }
+  });
+
+  // Crea una voce di budget (annuale se month è assente, altrimenti mensile)
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
+    try {
+      const { db, note } = request.body;
+
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+
+      const { error, status, value } = validateBudgetInput(request.body);
+      if (error) {
+        return reply.code(status).send({ message: error, status });
+      }
+
+      const hierarchyError = await checkHierarchy(db, value);
+      if (hierarchyError) {
+        return reply.code(404).send({ message: hierarchyError, status: 404 });
+      }
+
+      // Per la stessa voce e lo stesso anno il budget è annuale oppure mensile, non entrambi
+      const { rows: existing } = await fastify.pg.query(`
+        SELECT month FROM budgets
+        WHERE db = $1 AND year = $2 AND category_id = $3
+          AND subject_id IS NOT DISTINCT FROM $4
+          AND detail_id IS NOT DISTINCT FROM $5
+      `, [db, value.year, value.categoryId, value.subjectId, value.detailId]);
+
+      if (existing.some(r => (r.month || null) === value.month)) {
+        return reply.code(409).send({ message: 'Esiste già un budget per questa voce e questo periodo', status: 409 });
+      }
+      if (existing.some(r => !r.month) || (existing.length > 0 && value.month === null)) {
+        return reply.code(409).send({
+          message: 'Per questa voce esiste già un budget di tipo diverso (annuale/mensile) nello stesso anno',
+          status: 409,
+        });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        INSERT INTO budgets (db, year, month, category_id, subject_id, detail_id, amount, note, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id, year, month, category_id, subject_id, detail_id, amount::float AS amount, note
+      `, [
+        db,
+        value.year,
+        value.month,
+        value.categoryId,
+        value.subjectId,
+        value.detailId,
+        value.amount,
+        note || null,
+        request.user?.id || null,
+      ]);
+
+      reply.send({ message: 'Budget creato', data: rows[0], status: 200 });
+    } catch (error) {
+      console.error('Error creating budget:', error);
+      reply.status(500).send({ error: 'Failed to create budget', message: 'Errore durante la creazione del budget' });
+    }
+  });
+
+  // Modifica importo e nota di una voce di budget
+  fastify.post('/edit', { preHandler: fastify.authenticate, schema: schemas.edit }, async (request, reply) => {
+    try {
+      const { db, id, amount, note } = request.body;
+
+      if (!db || !id) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e id', status: 400 });
+      }
+
+      const parsedAmount = parseFloat(amount);
+      if (isNaN(parsedAmount) || parsedAmount < 0) {
+        return reply.code(400).send({ message: 'Importo non valido', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        UPDATE budgets
+        SET amount = $3, note = $4, updated_at = NOW()
+        WHERE id = $1 AND db = $2
+        RETURNING id, year, month, category_id, subject_id, detail_id, amount::float AS amount, note
+      `, [id, db, parsedAmount.toFixed(2), note ?? null]);
+
+      if (rows.length === 0) {
+        return reply.code(404).send({ message: 'Budget non trovato', status: 404 });
+      }
+
+      reply.send({ message: 'Budget aggiornato', data: rows[0], status: 200 });
+    } catch (error) {
+      console.error('Error updating budget:', error);
+      reply.status(500).send({ error: 'Failed to update budget', message: 'Errore durante l\'aggiornamento del budget' });
+    }
+  });
+
+  // Elimina una voce di budget
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
+    try {
+      const { db, id } = request.body;
+
+      if (!db || !id) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e id', status: 400 });
+      }
+
+      const { rowCount } = await fastify.pg.query('DELETE FROM budgets WHERE id = $1 AND db = $2', [id, db]);
+
+      if (rowCount === 0) {
+        return reply.code(404).send({ message: 'Budget non trovato', status: 404 });
+      }
+
+      reply.send({ message: 'Budget eliminato', status: 200 });
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      reply.status(500).send({ error: 'Failed to delete budget', message: 'Errore durante l\'eliminazione del budget' });
+    }
+  });
+
+  // Report budget vs effettivo per mese, con scostamento, percentuale consumata e previsione a fine anno
+  fastify.post('/report', { preHandler: fastify.authenticate, schema: schemas.report }, async (request, reply) => {
+    try {
+      const { db, year, owner } = request.body;
+
+      if (!db || !year) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e year', status: 400 });
+      }
+
+      const parsedYear = parseInt(year, 10);
+      if (isNaN(parsedYear)) {
+        return reply.code(400).send({ message: 'Anno non valido', status: 400 });
+      }
+
+      // Mesi già trascorsi: tutti per gli anni chiusi, nessuno per quelli futuri
+      const now = new Date();
+      const asOfMonth = parsedYear < now.getFullYear()
+        ? 12
+        : (parsedYear === now.getFullYear() ? now.getMonth() + 1 : 0);
+
+      const { rows: budgets } = await fastify.pg.query(`
+        SELECT
+          b.month, b.amount,
+          b.category_id, c.name AS category_name,
+          b.subject_id, s.name AS subject_name,
+          b.detail_id, d.name AS detail_name
+        FROM budgets b
+        JOIN categories c ON c.id = b.category_id AND c.deleted_at IS NULL
+        LEFT JOIN subjects s ON s.id = b.subject_id
+        LEFT JOIN details d ON d.id = b.detail_id
+        WHERE b.db = $1 AND b.year = $2
+          AND s.deleted_at IS NULL AND d.deleted_at IS NULL
+      `, [db, parsedYear]);
+
+      // Spese effettive: come nei report, senza carte di credito per "tutti i conti",
+      // senza transazioni escluse dalle statistiche o escluse dalla categoria
+      const allAccounts = !owner || owner === 'all-accounts';
+      const { rows: actuals } = await fastify.pg.query(`
+        SELECT
+          EXTRACT(MONTH FROM t.date)::int AS month,
+          t.categoryid AS category_id,
+          c.name AS category_name,
+          t.subjectid AS subject_id,
+          t.detailid AS detail_id,
+          SUM(ABS(t.amount))::float AS total
+        FROM transactions t
+        JOIN owners o ON t.ownerid = o.id
+        JOIN categories c ON c.id = t.categoryid
+        LEFT JOIN category_tx_exclusions cte
+          ON cte.transaction_id = t.id
+          AND cte.db = t.db
+          AND cte.category_id = t.categoryid
+        WHERE t.db = $1 AND t.deleted_at IS NULL
+          AND EXTRACT(YEAR FROM t.date) = $2
+          AND t.amount < 0
+          AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
+          AND cte.transaction_id IS NULL
+          AND (
+            ($3::uuid IS NULL AND (o.is_credit_card = false OR o.is_credit_card IS NULL))
+            OR t.ownerid = $3
+          )
+        GROUP BY 1, t.categoryid, c.name, t.subjectid, t.detailid
+      `, [db, parsedYear, allAccounts ? null : owner]);
+
+      const report = buildBudgetReport({ budgets, actuals, asOfMonth });
+
+      reply.send({
+        data: { year: parsedYear, owner: allAccounts ? 'all-accounts' : owner, asOfMonth, ...report },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Error building budget report:', error);
+      reply.status(500).send({ error: 'Failed to build budget report', message: 'Errore durante il calcolo del confronto con il budget' });
+    }
+  });
+};
+
+export default budget;
@@ -1,7 +1,11 @@
+import { softDeleteClassification } from '../lib/recycleBin.js';
+import { loadMergePair, previewMerge, mergeClassification } from '../lib/classificationMerge.js';
+import { category as schemas } from './schemas/taxonomy.js';
+
 const category = async (fastify) => {
   
   // Endpoint di test per verificare la tabella users
-  fastify.get('/test-users', async (request, reply) => {
+  fastify.get('/test-users', { schema: schemas.testUsers }, async (request, reply) => {
     try {
       // Verifica se la tabella users esiste
       const tableCheck = await fastify.pg.query(`
@@ -38,7 +42,7 @@ const category = async (fastify) => {
     }
   });
 
-  fastify.get('/:db', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/:db', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
     const db = request.params.db;
 
     try {
@@ -46,8 +50,8 @@ const category = async (fastify) => {
       const categoriesQuery = `
         SELECT c.id AS id, c.name AS name, COUNT(s.id) AS subjects
         FROM categories c
-        LEFT JOIN subjects s ON c.id = s.category_id
-        WHERE c.db = $1
+        LEFT JOIN subjects s ON c.id = s.category_id AND s.deleted_at IS NULL
+        WHERE c.db = $1 AND c.deleted_at IS NULL
         GROUP BY c.id, c.name
         ORDER BY c.name;
       `;
@@ -60,22 +64,24 @@ const category = async (fastify) => {
     }
   });
 
-  fastify.get('/details/:id', async (request, reply) => {
+  // Dettaglio di una categoria del database indicato
+  fastify.get('/details/:id', { preHandler: fastify.authenticate, schema: schemas.details }, async (request, reply) => {
     try {
-      const id = request.params.id;
-      try {
-        const category = await Category.findOne({ _id: id });
-        reply.send(category);
-      } catch (error) {
-        return reply.code(400).send({ message: error.message, status: 400 });
+      const { id } = request.params;
+      const { db } = request.query;
+
+      const { rows } = await fastify.pg.query('SELECT id, name FROM categories WHERE id = $1 AND db = $2', [id, db]);
+      if (rows.length === 0) {
+        return reply.code(404).send({ message: 'Categoria non trovata', status: 404 });
       }
+      reply.send(rows[0]);
     } catch (error) {
       console.error("Error fetching category", error);
       reply.status(500).send({ error: 'Failed to fetch category' });
     }
-  })
+  });
 
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     try {
       const { db, name } = request.body;
 
@@ -95,7 +101,7 @@ const category = async (fastify) => {
     }
   });
 
-  fastify.post('/edit', async (request, reply) => {
+  fastify.post('/edit', { schema: schemas.edit }, async (request, reply) => {
     try {
       console.log("Received edit request body:", JSON.stringify(request.body, null, 2));
       const { id, db, name } = request.body;
@@ -136,7 +142,7 @@ const category = async (fastify) => {
     }
   });
 
-  fastify.post('/delete', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
       console.log("Received delete request body:", JSON.stringify(request.body, null, 2));
       const { id, db } = request.body;
@@ -151,31 +157,69 @@ const category = async (fastify) => {
         });
       }
 
-      const query = 'DELETE FROM categories WHERE id = $1 AND db = $2';
-      const values = [id, db];
-      console.log("Executing delete query with values:", values);
-
+      // Eliminazione logica: categoria, soggetti e dettagli finiscono nel cestino.
+      // Le regole di classificazione restano, così il ripristino non perde nulla
+      const client = await fastify.pg.connect();
       try {
-        const result = await fastify.pg.query(query, values);
-        console.log("Delete result:", result.rowCount, "rows affected");
-        
-        if (result.rowCount === 0) {
-          console.warn("No rows were deleted. Check if id and db values match existing records.");
-          return reply.code(404).send({ 
-            message: "Nessun record è stato eliminato. Verifica che l'ID e il DB corrispondano a record esistenti.", 
-            status: 404 
-          });
-        }
-        
-        reply.send({ message: "Categoria eliminata con successo", status: 200 });
+        await client.query('BEGIN');
+        const result = await softDeleteClassification(client, { db, type: 'category', id, userId: request.user?.id });
+        await client.query('COMMIT');
+        console.log("Soft delete result:", result);
+
+        reply.send({ message: "Categoria spostata nel cestino", deleted: result, status: 200 });
       } catch (error) {
-        return reply.code(400).send({ message: error.message, status: 400 });
+        await client.query('ROLLBACK');
+        return reply.code(error.statusCode || 400).send({ message: error.message, status: error.statusCode || 400 });
+      } finally {
+        client.release();
       }
     } catch (error) {
       console.error("Error deleting category", error);
       reply.status(500).send({ message: 'Errore durante l\'eliminazione della categoria', status: 500 });
     }
   })
+
+  // Anteprima dell'unione di due elementi: conteggio dei riferimenti che verranno spostati
+  fastify.post('/merge/preview', { preHandler: fastify.authenticate, schema: schemas.mergePreview }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const pair = await loadMergePair(fastify.pg, { db, type: 'category', sourceId, targetId });
+      if (pair.error) {
+        return reply.code(pair.status).send({ message: pair.error, status: pair.status });
+      }
+
+      const preview = await previewMerge(fastify.pg, { db, type: 'category', ...pair });
+      reply.send({ source: pair.source, target: pair.target, ...preview, status: 200 });
+    } catch (error) {
+      console.error("Error previewing category merge", error);
+      reply.status(500).send({ message: 'Errore durante l\'anteprima dell\'unione', status: 500 });
+    }
+  });
+
+  // Unisce il categoria sorgente nella destinazione spostando tutti i riferimenti
+  fastify.post('/merge', { preHandler: fastify.authenticate, schema: schemas.merge }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const result = await mergeClassification(fastify.pg, {
+        db,
+        type: 'category',
+        sourceId,
+        targetId,
+        userId: request.user?.id,
+        route: 'POST /v1/category/merge',
+      });
+      if (result.error) {
+        return reply.code(result.status).send({ message: result.error, status: result.status });
+      }
+
+      reply.send({ message: "Categorie unite con successo", ...result, status: 200 });
+    } catch (error) {
+      console.error("Error merging category", error);
+      reply.status(500).send({ message: 'Errore durante l\'unione', status: 500 });
+    }
+  });
 }
 
 export default category;
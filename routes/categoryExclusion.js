@@ -1,8 +1,10 @@
 // backend/routes/categoryExclusion.js
+import * as schemas from './schemas/categoryExclusion.js';
+
 const categoryExclusion = async (fastify) => {
 
   // Toggle esclusione locale per una transazione in una categoria
-  fastify.post('/toggle', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/toggle', { preHandler: fastify.authenticate, schema: schemas.toggle }, async (request, reply) => {
     try {
       const { db, transactionId, categoryId, excluded } = request.body;
 
@@ -33,7 +35,7 @@ const categoryExclusion = async (fastify) => {
   });
 
   // Recupera lista transaction_id escluse per una categoria e mese
-  fastify.post('/list', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/list', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
     try {
       const { db, categoryId, year, month } = request.body;
 
@@ -44,7 +46,7 @@ const categoryExclusion = async (fastify) => {
       const { rows } = await fastify.pg.query(`
         SELECT e.transaction_id
         FROM category_tx_exclusions e
-        JOIN transactions t ON t.id = e.transaction_id AND t.db = e.db
+        JOIN transactions t ON t.id = e.transaction_id AND t.db = e.db AND t.deleted_at IS NULL
         WHERE e.db = $1
           AND e.category_id = $2
           AND EXTRACT(YEAR FROM t.date) = $3
@@ -59,7 +61,7 @@ const categoryExclusion = async (fastify) => {
   });
 
   // Ripristina tutte le esclusioni per un soggetto (e opzionalmente dettaglio) in un mese
-  fastify.post('/reset', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/reset', { preHandler: fastify.authenticate, schema: schemas.reset }, async (request, reply) => {
     try {
       const { db, categoryId, subjectId, detailId, year, month } = request.body;
 
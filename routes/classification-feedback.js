@@ -1,8 +1,10 @@
 // API endpoints per il sistema di learning delle classificazioni AI
 
+import * as schemas from './schemas/classification-feedback.js';
+
 const classificationFeedback = async (fastify) => {
   // Cerca il miglior match considerando descrizione E importo
-  fastify.post('/find-best-match', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/find-best-match', { preHandler: fastify.authenticate, schema: schemas.findBestMatch }, async (request, reply) => {
     const { db, description, amount } = request.body;
 
     if (!description) {
@@ -42,8 +44,8 @@ const classificationFeedback = async (fastify) => {
                ELSE 1.0 - LEAST(1.0, ABS(LN(ABS(cf.amount)) - LN(ABS($3::numeric))) / 3.0)
              END * 0.3) as combined_score
           FROM classification_feedback cf
-          JOIN categories c ON cf.corrected_category_id = c.id
-          JOIN subjects s ON cf.corrected_subject_id = s.id
+          JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
+          JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
           LEFT JOIN details d ON cf.corrected_detail_id = d.id
           WHERE cf.db = $1
             AND similarity(cf.original_description, $2) > 0.5  -- Pre-filter per performance
@@ -96,7 +98,7 @@ const classificationFeedback = async (fastify) => {
   });
 
   // Ottieni feedback storici per migliorare le classificazioni
-  fastify.post('/learning-data', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/learning-data', { preHandler: fastify.authenticate, schema: schemas.learningData }, async (request, reply) => {
     const { db, description, limit = 100 } = request.body;
 
     try {
@@ -118,8 +120,8 @@ const classificationFeedback = async (fastify) => {
           -- Calcola similarità con la descrizione di input
           similarity(cf.original_description, $2) as similarity_score
         FROM classification_feedback cf
-        JOIN categories c ON cf.corrected_category_id = c.id
-        JOIN subjects s ON cf.corrected_subject_id = s.id
+        JOIN categories c ON cf.corrected_category_id = c.id AND c.deleted_at IS NULL
+        JOIN subjects s ON cf.corrected_subject_id = s.id AND s.deleted_at IS NULL
         LEFT JOIN details d ON cf.corrected_detail_id = d.id
         WHERE cf.db = $1
           AND similarity(cf.original_description, $2) > 0.3
@@ -144,7 +146,7 @@ const classificationFeedback = async (fastify) => {
   });
 
   // Statistiche sul feedback per monitoraggio
-  fastify.get('/stats/:db', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/stats/:db', { preHandler: fastify.authenticate, schema: schemas.stats }, async (request, reply) => {
     const { db } = request.params;
 
     try {
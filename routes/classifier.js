@@ -16,6 +16,24 @@
 import { classifyTransaction, reindexTransactions, indexSingleTransaction, indexBatchTransactions, analyzeFeedbackPatterns, calculateAnalytics } from '../lib/classifierService.js';
 import { cache } from '../lib/cache.js';
 import { analyticsRateLimit, standardRateLimit } from '../lib/rateLimit.js';
+import { ref } from '../lib/schemas.js';
+import { checkDbAccess } from '../lib/auth.js';
+
+// Colonne di classification_rules modificabili con PATCH /rules/:id
+const UPDATABLE_RULE_FIELDS = [
+  'enabled', 'priority', 'description_patterns', 'amount_min', 'amount_max', 'confidence', 'reasoning',
+];
+
+/**
+ * La regola deve esistere e l'utente deve essere admin del suo db
+ * @returns {Promise<Object>} - { db } se consentito, altrimenti { error, status }
+ */
+async function checkRuleAccess(request, id) {
+  const { rows } = await request.server.pg.query('SELECT db FROM classification_rules WHERE id = $1', [id]);
+  if (rows.length === 0) return { error: 'Rule not found', status: 404 };
+  const denied = await checkDbAccess(request, rows[0].db, 'admin');
+  return denied || { db: rows[0].db };
+}
 
 export default async function classifierRoutes(fastify, options) {
   
@@ -31,7 +49,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['transaction', 'db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           transaction: {
             type: 'object',
             required: ['id', 'description', 'amount', 'date'],
@@ -88,7 +106,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['transactions', 'db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           transactions: {
             type: 'array',
             items: {
@@ -167,7 +185,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           limit: { type: 'number', default: 5000 },
         }
       }
@@ -200,7 +218,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db', 'transactionId'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           transactionId: { type: 'string' },
         }
       }
@@ -233,7 +251,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db', 'transactionIds'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           transactionIds: { 
             type: 'array',
             items: { type: 'string' },
@@ -284,7 +302,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           days: { type: 'number', default: 7 },
         }
       }
@@ -358,7 +376,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           enabled: { type: 'boolean' },
         }
       }
@@ -388,8 +406,8 @@ export default async function classifierRoutes(fastify, options) {
           r.created_at,
           r.created_by
         FROM classification_rules r
-        JOIN categories c ON r.category_id = c.id
-        JOIN subjects s ON r.subject_id = s.id
+        JOIN categories c ON r.category_id = c.id AND c.deleted_at IS NULL
+        JOIN subjects s ON r.subject_id = s.id AND s.deleted_at IS NULL
         LEFT JOIN details d ON r.detail_id = d.id
         WHERE r.db = $1
       `;
@@ -432,7 +450,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db', 'rule_name', 'category_id', 'subject_id'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           rule_name: { type: 'string' },
           priority: { type: 'number', default: 50 },
           enabled: { type: 'boolean', default: true },
@@ -553,7 +571,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           min_occurrences: { type: 'number', default: 3, minimum: 2, maximum: 100 },
           min_consistency: { type: 'number', default: 0.70, minimum: 0.5, maximum: 1.0 },
         }
@@ -632,7 +650,7 @@ export default async function classifierRoutes(fastify, options) {
         type: 'object',
         required: ['db'],
         properties: {
-          db: { type: 'string' },
+          db: ref('Db'),
           days: { type: 'number', default: 30, minimum: 1, maximum: 365 },
         }
       }
@@ -708,6 +726,7 @@ export default async function classifierRoutes(fastify, options) {
       },
       body: {
         type: 'object',
+        additionalProperties: false,
         properties: {
           enabled: { type: 'boolean' },
           priority: { type: 'number' },
@@ -721,12 +740,22 @@ export default async function classifierRoutes(fastify, options) {
     }
   }, async (request, reply) => {
     const { id } = request.params;
-    const updates = request.body;
+    const body = request.body || {};
+
+    // I nomi delle colonne entrano nella query: solo quelli ammessi
+    const unknown = Object.keys(body).filter(key => !UPDATABLE_RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return reply.code(400).send({
+        success: false,
+        error: `Unknown fields: ${unknown.join(', ')}. Allowed: ${UPDATABLE_RULE_FIELDS.join(', ')}`,
+      });
+    }
+    const updates = Object.fromEntries(UPDATABLE_RULE_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
     
     try {
       // Build dynamic update query
       const fields = Object.keys(updates)
-        .map((key, idx) => `${key} = $${idx + 2}`)
+        .map((key, idx) => `${key} = $${idx + 3}`)
         .join(', ');
       
       if (fields.length === 0) {
@@ -735,15 +764,20 @@ export default async function classifierRoutes(fastify, options) {
           error: 'No fields to update',
         });
       }
+
+      const access = await checkRuleAccess(request, id);
+      if (access.error) {
+        return reply.code(access.status).send({ success: false, error: access.error, mfaRequired: access.mfaRequired });
+      }
       
       const query = `
         UPDATE classification_rules
         SET ${fields}, updated_at = NOW()
-        WHERE id = $1
+        WHERE id = $1 AND db = $2
         RETURNING *
       `;
       
-      const values = [id, ...Object.values(updates)];
+      const values = [id, access.db, ...Object.values(updates)];
       const result = await fastify.pg.query(query, values);
       
       if (result.rows.length === 0) {
@@ -787,8 +821,13 @@ export default async function classifierRoutes(fastify, options) {
     const { id } = request.params;
     
     try {
-      const query = 'DELETE FROM classification_rules WHERE id = $1 RETURNING id';
-      const result = await fastify.pg.query(query, [id]);
+      const access = await checkRuleAccess(request, id);
+      if (access.error) {
+        return reply.code(access.status).send({ success: false, error: access.error, mfaRequired: access.mfaRequired });
+      }
+
+      const query = 'DELETE FROM classification_rules WHERE id = $1 AND db = $2 RETURNING id';
+      const result = await fastify.pg.query(query, [id, access.db]);
       
       if (result.rows.length === 0) {
         return reply.code(404).send({
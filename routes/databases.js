@@ -1,8 +1,33 @@
+import { getDbSettings, updateDbSettings, publicSettings, describeSettingsSchema } from '../lib/dbSettings.js';
+import {
+  EXPORT_MODES,
+  exportTenant,
+  createArchiveStream,
+  readArchive,
+  importTenant,
+  reindexImportedTenant,
+} from '../lib/tenantTransfer.js';
+import { checkDbAccess } from '../lib/auth.js';
+import * as schemas from './schemas/databases.js';
+
+const TENANT_ARCHIVE_MAX_BYTES = parseInt(process.env.TENANT_ARCHIVE_MAX_MB || '2048', 10) * 1024 * 1024;
+
+/**
+ * Il database indicato per id deve esistere e l'utente deve esserne admin
+ * @returns {Promise<Object>} - { dbKey } se consentito, altrimenti { error, status }
+ */
+async function checkDatabaseAdmin(request, id) {
+  const { rows } = await request.server.pg.query('SELECT db_key FROM databases WHERE id = $1', [id]);
+  if (rows.length === 0) return { error: 'Database non trovato', status: 404 };
+  const denied = await checkDbAccess(request, rows[0].db_key, 'admin');
+  return denied || { dbKey: rows[0].db_key };
+}
+
 // Route per la gestione dei database
 const databases = async (fastify) => {
   
   // Ottieni tutti i database attivi per la select del login
-  fastify.get('/list', async (request, reply) => {
+  fastify.get('/list', { schema: schemas.list }, async (request, reply) => {
     try {
       const query = `
         SELECT db_key, db_name, description 
@@ -31,10 +56,10 @@ const databases = async (fastify) => {
   });
 
   // Ottieni tutti i database (per admin panel) - richiede autenticazione
-  fastify.get('/all', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/all', { preHandler: fastify.authenticate, schema: schemas.all }, async (request, reply) => {
     try {
       const query = `
-        SELECT id, db_key, db_name, description, is_active, created_at, updated_at 
+        SELECT id, db_key, db_name, description, is_active, require_2fa, created_at, updated_at 
         FROM databases 
         ORDER BY db_name
       `;
@@ -55,9 +80,9 @@ const databases = async (fastify) => {
   });
 
   // Crea un nuovo database - richiede autenticazione e ruolo admin
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     try {
-      const { db_key, db_name, description } = request.body;
+      const { db_key, db_name, description, require_2fa = false } = request.body;
       
       if (!db_key || !db_name) {
         return reply.code(400).send({
@@ -67,12 +92,12 @@ const databases = async (fastify) => {
       }
 
       const query = `
-        INSERT INTO databases (db_key, db_name, description)
-        VALUES ($1, $2, $3)
-        RETURNING id, db_key, db_name, description, is_active, created_at
+        INSERT INTO databases (db_key, db_name, description, require_2fa)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, db_key, db_name, description, is_active, require_2fa, created_at
       `;
       
-      const { rows } = await fastify.pg.query(query, [db_key, db_name, description]);
+      const { rows } = await fastify.pg.query(query, [db_key, db_name, description, Boolean(require_2fa)]);
       
       reply.send({
         success: true,
@@ -96,11 +121,16 @@ const databases = async (fastify) => {
     }
   });
 
-  // Aggiorna un database - richiede autenticazione e ruolo admin
-  fastify.put('/update/:id', { preHandler: fastify.authenticate }, async (request, reply) => {
+  // Aggiorna un database - richiede autenticazione e ruolo admin sul database
+  fastify.put('/update/:id', { preHandler: fastify.authenticate, schema: schemas.update }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { db_key, db_name, description, is_active } = request.body;
+      const { db_key, db_name, description, is_active, require_2fa } = request.body;
+
+      const access = await checkDatabaseAdmin(request, id);
+      if (access.error) {
+        return reply.code(access.status).send({ success: false, message: access.error, mfaRequired: access.mfaRequired });
+      }
       
       const query = `
         UPDATE databases 
@@ -108,12 +138,13 @@ const databases = async (fastify) => {
             db_name = COALESCE($2, db_name),
             description = COALESCE($3, description),
             is_active = COALESCE($4, is_active),
+            require_2fa = COALESCE($6, require_2fa), -- Scrittura/import/admin solo da sessioni verificate con 2FA
             updated_at = CURRENT_TIMESTAMP
-        WHERE id = $5
-        RETURNING id, db_key, db_name, description, is_active, updated_at
+        WHERE id = $5 AND db_key = $7
+        RETURNING id, db_key, db_name, description, is_active, require_2fa, updated_at
       `;
       
-      const { rows } = await fastify.pg.query(query, [db_key, db_name, description, is_active, id]);
+      const { rows } = await fastify.pg.query(query, [db_key, db_name, description, is_active, id, require_2fa ?? null, access.dbKey]);
       
       if (rows.length === 0) {
         return reply.code(404).send({
@@ -144,20 +175,228 @@ const databases = async (fastify) => {
     }
   });
 
-  // Elimina (disattiva) un database - richiede autenticazione e ruolo admin
-  fastify.delete('/delete/:id', { preHandler: fastify.authenticate }, async (request, reply) => {
+  // Schema delle impostazioni per database (tipi, vincoli e valori predefiniti)
+  fastify.get('/settings/schema', { preHandler: fastify.authenticate, schema: schemas.settingsSchema }, async (request, reply) => {
+    reply.send({
+      success: true,
+      schema: describeSettingsSchema()
+    });
+  });
+
+  // Impostazioni di un database - richiede accesso in lettura al database
+  fastify.get('/:db/settings', { preHandler: fastify.authenticate, schema: schemas.getSettings }, async (request, reply) => {
+    try {
+      const { db } = request.params;
+      const { rows } = await fastify.pg.query('SELECT 1 FROM databases WHERE db_key = $1', [db]);
+
+      if (rows.length === 0) {
+        return reply.code(404).send({
+          success: false,
+          message: 'Database non trovato'
+        });
+      }
+
+      const settings = await getDbSettings(fastify.pg, db);
+      reply.send({
+        success: true,
+        settings: publicSettings(settings)
+      });
+    } catch (error) {
+      console.error('Errore nel recupero delle impostazioni del database:', error);
+      reply.code(500).send({
+        success: false,
+        message: 'Errore nel recupero delle impostazioni del database'
+      });
+    }
+  });
+
+  // Aggiorna le impostazioni di un database (modifica parziale, null = valore predefinito) - richiede ruolo admin
+  fastify.put('/:db/settings', { preHandler: fastify.authenticate, schema: schemas.updateSettings }, async (request, reply) => {
+    try {
+      const { db } = request.params;
+      const settings = await updateDbSettings(fastify.pg, db, request.body?.settings);
+
+      reply.send({
+        success: true,
+        message: 'Impostazioni aggiornate con successo',
+        settings: publicSettings(settings)
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({
+          success: false,
+          message: error.message,
+          errors: error.details
+        });
+      }
+
+      console.error('Errore nell\'aggiornamento delle impostazioni del database:', error);
+      reply.code(500).send({
+        success: false,
+        message: 'Errore nell\'aggiornamento delle impostazioni del database'
+      });
+    }
+  });
+
+  // Esporta dati e file di un database in un unico archivio (.ndjson.gz) - richiede ruolo admin
+  // ?mode=structure esporta solo categorie, soggetti, dettagli e regole di classificazione
+  fastify.get('/:db/export', { preHandler: fastify.authenticate, schema: schemas.exportDb }, async (request, reply) => {
+    try {
+      const { db } = request.params;
+      const mode = request.query.mode || 'full';
+
+      if (!EXPORT_MODES.includes(mode)) {
+        return reply.code(400).send({
+          success: false,
+          message: `Modalità non valida. Consentite: ${EXPORT_MODES.join(', ')}`
+        });
+      }
+
+      const { rows } = await fastify.pg.query('SELECT 1 FROM databases WHERE db_key = $1', [db]);
+      if (rows.length === 0) {
+        return reply.code(404).send({
+          success: false,
+          message: 'Database non trovato'
+        });
+      }
+
+      const date = new Date().toISOString().substring(0, 10);
+      reply
+        .header('Content-Type', 'application/gzip')
+        .header('Content-Disposition', `attachment; filename="${db}-${mode}-${date}.ndjson.gz"`);
+      return reply.send(createArchiveStream(exportTenant(fastify.pg, db, { mode })));
+    } catch (error) {
+      console.error('Errore nell\'esportazione del database:', error);
+      reply.code(500).send({
+        success: false,
+        message: 'Errore nell\'esportazione del database'
+      });
+    }
+  });
+
+  // Importa un archivio come nuovo database - richiede ruolo admin
+  // Multipart: i campi db_key, db_name e description devono precedere il file
+  fastify.post('/import', { preHandler: fastify.authenticate, schema: schemas.importDb }, async (request, reply) => {
+    try {
+      const file = await request.file({ limits: { fileSize: TENANT_ARCHIVE_MAX_BYTES } });
+      if (!file) {
+        return reply.code(400).send({
+          success: false,
+          message: 'File dell\'archivio mancante'
+        });
+      }
+
+      const field = (name) => file.fields?.[name]?.value;
+      const dbKey = field('db_key');
+      if (!dbKey) {
+        return reply.code(400).send({
+          success: false,
+          message: 'db_key è obbligatorio e deve precedere il file'
+        });
+      }
+
+      const summary = await importTenant(fastify.pg, readArchive(file.file), {
+        targetDb: dbKey,
+        dbName: field('db_name'),
+        description: field('description'),
+        userId: request.user.id,
+      });
+      reindexImportedTenant(fastify.pg, dbKey);
+
+      reply.send({
+        success: true,
+        message: 'Database importato con successo',
+        summary
+      });
+    } catch (error) {
+      if (error.code === 'FST_REQ_FILE_TOO_LARGE') {
+        return reply.code(413).send({
+          success: false,
+          message: 'Archivio troppo grande'
+        });
+      }
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Errore nell\'importazione del database:', error);
+      reply.code(500).send({
+        success: false,
+        message: 'Errore nell\'importazione del database'
+      });
+    }
+  });
+
+  // Clona un database in uno nuovo (completo o solo struttura) - richiede ruolo admin sul database di origine
+  fastify.post('/:db/clone', { preHandler: fastify.authenticate, schema: schemas.cloneDb }, async (request, reply) => {
+    try {
+      const { db } = request.params;
+      const { db_key, db_name, description, mode = 'full' } = request.body || {};
+
+      if (!db_key) {
+        return reply.code(400).send({
+          success: false,
+          message: 'db_key è obbligatorio'
+        });
+      }
+      if (!EXPORT_MODES.includes(mode)) {
+        return reply.code(400).send({
+          success: false,
+          message: `Modalità non valida. Consentite: ${EXPORT_MODES.join(', ')}`
+        });
+      }
+
+      const summary = await importTenant(fastify.pg, exportTenant(fastify.pg, db, { mode }), {
+        targetDb: db_key,
+        dbName: db_name,
+        description,
+        userId: request.user.id,
+      });
+      reindexImportedTenant(fastify.pg, db_key);
+
+      reply.send({
+        success: true,
+        message: 'Database clonato con successo',
+        summary
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Errore nella clonazione del database:', error);
+      reply.code(500).send({
+        success: false,
+        message: 'Errore nella clonazione del database'
+      });
+    }
+  });
+
+  // Elimina (disattiva) un database - richiede autenticazione e ruolo admin sul database
+  fastify.delete('/delete/:id', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
       const { id } = request.params;
+
+      const access = await checkDatabaseAdmin(request, id);
+      if (access.error) {
+        return reply.code(access.status).send({ success: false, message: access.error, mfaRequired: access.mfaRequired });
+      }
       
       // Invece di eliminare, disattiviamo il database per mantenere l'integrità referenziale
       const query = `
         UPDATE databases 
         SET is_active = false, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $1
+        WHERE id = $1 AND db_key = $2
         RETURNING id, db_key, db_name
       `;
       
-      const { rows } = await fastify.pg.query(query, [id]);
+      const { rows } = await fastify.pg.query(query, [id, access.dbKey]);
       
       if (rows.length === 0) {
         return reply.code(404).send({
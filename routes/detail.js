@@ -1,14 +1,17 @@
 import { checkUserLogin } from '../lib/utils.js';
+import { softDeleteClassification } from '../lib/recycleBin.js';
+import { loadMergePair, previewMerge, mergeClassification } from '../lib/classificationMerge.js';
+import { detail as schemas } from './schemas/taxonomy.js';
 
 const detail = async (fastify) => {
-  fastify.post('/', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/', { preHandler: fastify.authenticate, schema: schemas.bySubject }, async (request, reply) => {
     const { db, subjectId } = request.body;
 
     try {
       const detailsQuery = `
         SELECT id, name
         FROM details 
-        WHERE db = $1 AND subject_id = $2
+        WHERE db = $1 AND subject_id = $2 AND deleted_at IS NULL
       `;
       const { rows: detailsRows } = await fastify.pg.query(detailsQuery, [db, subjectId]);
 
@@ -19,7 +22,7 @@ const detail = async (fastify) => {
     }
   });
 
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     try {
       const { db, name, subjectId } = request.body;
 
@@ -44,7 +47,7 @@ const detail = async (fastify) => {
     }
   });
 
-  fastify.post('/edit', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/edit', { preHandler: fastify.authenticate, schema: schemas.edit }, async (request, reply) => {
     try {
       const { id, db, name } = request.body;
 
@@ -63,24 +66,70 @@ const detail = async (fastify) => {
     }
   });
 
-  fastify.post('/delete', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
       const { id, db } = request.body;
 
-      const query = 'DELETE FROM details WHERE id = $1 AND db = $2';
-      const values = [id, db];
-
+      // Eliminazione logica: il dettaglio finisce nel cestino
+      const client = await fastify.pg.connect();
       try {
-        await fastify.pg.query(query, values);
-        reply.send({ message: "Dettaglio eliminato con successo", status: 200 });
+        await client.query('BEGIN');
+        const result = await softDeleteClassification(client, { db, type: 'detail', id, userId: request.user?.id });
+        await client.query('COMMIT');
+        reply.send({ message: "Dettaglio spostato nel cestino", deleted: result, status: 200 });
       } catch (error) {
-        return reply.code(400).send({ message: error.message, status: 400 });
+        await client.query('ROLLBACK');
+        return reply.code(error.statusCode || 400).send({ message: error.message, status: error.statusCode || 400 });
+      } finally {
+        client.release();
       }
     } catch (error) {
       console.error("Error deleting subject", error);
       reply.status(500).send({ message: 'Errore durante l\'eliminazione del dettaglio', status: 500 });
     }
   })
+
+  // Anteprima dell'unione di due elementi: conteggio dei riferimenti che verranno spostati
+  fastify.post('/merge/preview', { preHandler: fastify.authenticate, schema: schemas.mergePreview }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const pair = await loadMergePair(fastify.pg, { db, type: 'detail', sourceId, targetId });
+      if (pair.error) {
+        return reply.code(pair.status).send({ message: pair.error, status: pair.status });
+      }
+
+      const preview = await previewMerge(fastify.pg, { db, type: 'detail', ...pair });
+      reply.send({ source: pair.source, target: pair.target, ...preview, status: 200 });
+    } catch (error) {
+      console.error("Error previewing detail merge", error);
+      reply.status(500).send({ message: 'Errore durante l\'anteprima dell\'unione', status: 500 });
+    }
+  });
+
+  // Unisce il dettaglio sorgente nella destinazione spostando tutti i riferimenti
+  fastify.post('/merge', { preHandler: fastify.authenticate, schema: schemas.merge }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const result = await mergeClassification(fastify.pg, {
+        db,
+        type: 'detail',
+        sourceId,
+        targetId,
+        userId: request.user?.id,
+        route: 'POST /v1/detail/merge',
+      });
+      if (result.error) {
+        return reply.code(result.status).send({ message: result.error, status: result.status });
+      }
+
+      reply.send({ message: "Dettagli uniti con successo", ...result, status: 200 });
+    } catch (error) {
+      console.error("Error merging detail", error);
+      reply.status(500).send({ message: 'Errore durante l\'unione', status: 500 });
+    }
+  });
 }
 
 export default detail;
@@ -1,5 +1,6 @@
 import { createMinioClient, ensureBucketExists, getMinioBaseUrl } from '../lib/minio-config.js';
 import { sanitizeFileName } from '../lib/utils.js';
+import * as schemas from './schemas/fileManager.js';
 
 const fileManager = async (fastify) => {
   // Funzione per decodificare in modo sicuro i percorsi
@@ -44,7 +45,7 @@ const fileManager = async (fastify) => {
   };
 
   // Endpoint per ottenere la struttura delle cartelle e file
-  fastify.get('/:db', async (request, reply) => {
+  fastify.get('/:db', { schema: schemas.tree }, async (request, reply) => {
     const { db } = request.params;
     const minioClient = getMinioClient();
 
@@ -56,9 +57,9 @@ const fileManager = async (fastify) => {
           s.id AS subjectId, s.name AS subjectName,
           d.id AS detailId, d.name AS detailName
         FROM categories c
-        LEFT JOIN subjects s ON c.id = s.category_id
-        LEFT JOIN details d ON s.id = d.subject_id
-        WHERE c.db = $1
+        LEFT JOIN subjects s ON c.id = s.category_id AND s.deleted_at IS NULL
+        LEFT JOIN details d ON s.id = d.subject_id AND d.deleted_at IS NULL
+        WHERE c.db = $1 AND c.deleted_at IS NULL
         ORDER BY c.name, s.name, d.name;
       `;
       const { rows: hierarchyRows } = await fastify.pg.query(hierarchyQuery, [db]);
@@ -333,7 +334,7 @@ const fileManager = async (fastify) => {
   });
 
   // Endpoint per caricare un nuovo file
-  fastify.post('/upload/:db', async (request, reply) => {
+  fastify.post('/upload/:db', { schema: schemas.uploadFile }, async (request, reply) => {
     const { db } = request.params;
     const { categoryId, subjectId, detailId } = request.query;
     
@@ -438,7 +439,7 @@ const fileManager = async (fastify) => {
   });
 
   // Endpoint per eliminare un file
-  fastify.delete('/:db', async (request, reply) => {
+  fastify.delete('/:db', { schema: schemas.deleteFile }, async (request, reply) => {
     const { db } = request.params;
     const { filePath } = request.query;
     
@@ -470,7 +471,7 @@ const fileManager = async (fastify) => {
   });
   
   // Endpoint per ottenere informazioni sulle transazioni associate a un file
-  fastify.get('/file-info/:db', async (request, reply) => {
+  fastify.get('/file-info/:db', { schema: schemas.fileInfo }, async (request, reply) => {
     const { db } = request.params;
     const { fileUrl } = request.query;
     
@@ -503,7 +504,7 @@ const fileManager = async (fastify) => {
   });
 
   // Endpoint per associare un file a una transazione
-  fastify.post('/link-transaction', async (request, reply) => {
+  fastify.post('/link-transaction', { schema: schemas.linkTransaction }, async (request, reply) => {
     const { fileUrl, transactionId, db } = request.body;
     
     if (!fileUrl || !transactionId || !db) {
@@ -0,0 +1,210 @@
+// Previsione di cassa: saldo previsto per conto da scadenze aperte, movimenti ricorrenti e movimenti ipotetici
+import {
+  addDays,
+  addMonths,
+  detectRecurringMovements,
+  projectRecurring,
+  scadenzeToItems,
+  dropRecurringCoveredByScadenze,
+  projectBalance,
+} from '../lib/cashFlowForecast.js';
+import * as schemas from './schemas/forecast.js';
+
+// Mesi di storico analizzati per rilevare i movimenti ricorrenti
+const RECURRING_LOOKBACK_MONTHS = 12;
+const MAX_FORECAST_MONTHS = 24;
+
+const forecast = async (fastify) => {
+  // Conti della previsione con saldo a oggi (le carte di credito sono escluse se non richieste esplicitamente)
+  async function loadOwnerBalances(db, ownerId, today) {
+    const { rows } = await fastify.pg.query(`
+      SELECT
+        o.id,
+        o.name,
+        o.is_credit_card,
+        COALESCE(o.initialbalance, 0)::float
+          + COALESCE((
+            SELECT SUM(t.amount)
+            FROM transactions t
+            WHERE t.db = $1 AND t.ownerid = o.id AND t.deleted_at IS NULL
+              AND (o.date IS NULL OR t.date > o.date)
+              AND t.date <= $3::date
+          ), 0)::float AS balance
+      FROM owners o
+      WHERE o.db = $1
+        AND (
+          ($2::uuid IS NULL AND (o.is_credit_card = false OR o.is_credit_card IS NULL))
+          OR o.id = $2
+        )
+      ORDER BY o.name
+    `, [db, ownerId, today]);
+    return rows;
+  }
+
+  async function loadRecurringPatterns(db, ownerIds, today) {
+    const { rows } = await fastify.pg.query(`
+      SELECT
+        t.ownerid,
+        to_char(t.date, 'YYYY-MM-DD') AS date,
+        t.amount::float AS amount,
+        t.description,
+        t.subjectid,
+        t.detailid,
+        s.name AS subject_name,
+        d.name AS detail_name
+      FROM transactions t
+      LEFT JOIN subjects s ON s.id = t.subjectid
+      LEFT JOIN details d ON d.id = t.detailid
+      WHERE t.db = $1 AND t.deleted_at IS NULL
+        AND t.ownerid = ANY($2::uuid[])
+        AND t.date > $3::date
+        AND t.date <= $4::date
+      ORDER BY t.date
+    `, [db, ownerIds, addMonths(today, -RECURRING_LOOKBACK_MONTHS), today]);
+    return detectRecurringMovements(rows, today);
+  }
+
+  // Scadenze aperte dei conti (lo scadenziario non ha db: l'appartenenza passa dal conto)
+  async function loadOpenScadenze(ownerIds, to) {
+    const { rows } = await fastify.pg.query(`
+      SELECT
+        s.id,
+        s.subject,
+        s.type,
+        to_char(s.date, 'YYYY-MM-DD') AS date,
+        s.amount::float AS amount,
+        COALESCE(s.owner_id, p.owner_id) AS owner_id,
+        s.parent_id,
+        (SELECT COUNT(*) FROM scadenziario c WHERE c.parent_id = s.id)::int AS children_count,
+        (SELECT COALESCE(SUM(c.amount), 0) FROM scadenziario c WHERE c.parent_id = s.id)::float AS children_amount
+      FROM scadenziario s
+      LEFT JOIN scadenziario p ON p.id = s.parent_id
+      WHERE COALESCE(s.owner_id, p.owner_id) = ANY($1::uuid[])
+        AND s.payment_date IS NULL
+        AND s.status <> 'completed'
+        AND s.date <= $2::date
+      ORDER BY s.date
+    `, [ownerIds, to]);
+    return rows;
+  }
+
+  // Movimenti già registrati con data futura (es. addebiti programmati importati dalla banca)
+  async function loadFutureTransactions(db, ownerIds, today, to) {
+    const { rows } = await fastify.pg.query(`
+      SELECT t.id, t.ownerid, to_char(t.date, 'YYYY-MM-DD') AS date, t.amount::float AS amount, t.description
+      FROM transactions t
+      WHERE t.db = $1 AND t.deleted_at IS NULL
+        AND t.ownerid = ANY($2::uuid[])
+        AND t.date > $3::date
+        AND t.date <= $4::date
+    `, [db, ownerIds, today, to]);
+    return rows.map(tx => ({
+      ownerId: tx.ownerid,
+      date: tx.date,
+      amount: tx.amount,
+      description: tx.description,
+      source: 'transaction',
+      transactionId: tx.id,
+    }));
+  }
+
+  // Previsione del saldo per conto per i prossimi N mesi
+  fastify.post('/cash-flow', { preHandler: fastify.authenticate, schema: schemas.cashFlow }, async (request, reply) => {
+    try {
+      const {
+        db,
+        ownerId = null,
+        months = 3,
+        granularity = 'daily',
+        threshold = 0,
+        includeRecurring = true,
+        hypothetical = [],
+      } = request.body;
+
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+
+      const parsedMonths = parseInt(months, 10);
+      if (isNaN(parsedMonths) || parsedMonths < 1 || parsedMonths > MAX_FORECAST_MONTHS) {
+        return reply.code(400).send({ message: `months deve essere compreso tra 1 e ${MAX_FORECAST_MONTHS}`, status: 400 });
+      }
+      if (!['daily', 'weekly'].includes(granularity)) {
+        return reply.code(400).send({ message: 'granularity deve essere daily o weekly', status: 400 });
+      }
+      if (!Array.isArray(hypothetical) || hypothetical.some(h => !h.date || isNaN(parseFloat(h.amount)))) {
+        return reply.code(400).send({ message: 'Ogni movimento ipotetico richiede date e amount', status: 400 });
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      const to = addDays(addMonths(today, parsedMonths), -1);
+      const owner = ownerId === 'all-accounts' ? null : ownerId;
+
+      const owners = await loadOwnerBalances(db, owner, today);
+      if (owners.length === 0) {
+        return reply.code(404).send({ message: 'Nessun conto trovato', status: 404 });
+      }
+      const ownerIds = owners.map(o => o.id);
+
+      const scadenzaItems = scadenzeToItems(await loadOpenScadenze(ownerIds, to), today);
+      const patterns = includeRecurring ? await loadRecurringPatterns(db, ownerIds, today) : [];
+      const recurringItems = dropRecurringCoveredByScadenze(projectRecurring(patterns, { from: today, to }), scadenzaItems);
+      const futureItems = await loadFutureTransactions(db, ownerIds, today, to);
+
+      // Movimenti ipotetici: senza conto vanno sul primo conto della previsione
+      const hypotheticalItems = hypothetical.map(h => ({
+        ownerId: h.ownerId || ownerIds[0],
+        date: h.date < today ? today : h.date,
+        amount: parseFloat(h.amount),
+        description: h.description || 'Movimento ipotetico',
+        source: 'hypothetical',
+      }));
+
+      const items = [...scadenzaItems, ...recurringItems, ...futureItems, ...hypotheticalItems]
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+      const parsedThreshold = parseFloat(threshold) || 0;
+      const accounts = owners.map(o => {
+        const ownerItems = items.filter(i => i.ownerId === o.id);
+        return {
+          ownerId: o.id,
+          name: o.name,
+          isCreditCard: Boolean(o.is_credit_card),
+          startBalance: Math.round(o.balance * 100) / 100,
+          ...projectBalance({ startBalance: o.balance, items: ownerItems, from: today, to, granularity, threshold: parsedThreshold }),
+          items: ownerItems,
+        };
+      });
+
+      const total = projectBalance({
+        startBalance: owners.reduce((sum, o) => sum + o.balance, 0),
+        items,
+        from: today,
+        to,
+        granularity,
+        threshold: parsedThreshold,
+      });
+
+      reply.send({
+        data: {
+          from: today,
+          to,
+          granularity,
+          threshold: parsedThreshold,
+          accounts,
+          total,
+          recurring: patterns,
+          alerts: accounts
+            .filter(a => a.firstBelowThreshold)
+            .map(a => ({ ownerId: a.ownerId, name: a.name, date: a.firstBelowThreshold, minBalance: a.minBalance, minBalanceDate: a.minBalanceDate })),
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Error building cash-flow forecast:', error);
+      reply.status(500).send({ error: 'Failed to build cash-flow forecast', message: error.message });
+    }
+  });
+};
+
+export default forecast;
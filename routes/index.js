@@ -1,4 +1,5 @@
 export { default as AuthRoutes } from './auth.js'
+export { default as AccountRoutes } from './account.js'
 export { default as DatabaseRoutes } from './databases.js'
 export { default as OwnerRoutes } from './owner.js'
 export { default as CategoryRoutes } from './category.js'
@@ -17,6 +18,10 @@ export { default as ClassifierRoutes } from './classifier.js'
 export { default as ArchiveRoutes } from '../modules/archive/routes/archive.routes.js'
 export { default as CategoryExclusionRoutes } from './categoryExclusion.js'
 export { default as VehiclesRoutes } from './vehicles.js'
+export { default as ReconciliationRoutes } from './reconciliation.js'
+export { default as RecycleBinRoutes } from './recycleBin.js'
+export { default as BudgetRoutes } from './budget.js'
+export { default as ForecastRoutes } from './forecast.js'
 // export { default as GroupsRoutes } from './groups.js' // Disabled - using consultative approach in report.js
 // export { default as SetupRoutes } from './setup.js'
 // export { default as MLAnalysisRoutes } from './ml-analysis.js'
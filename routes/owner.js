@@ -1,7 +1,8 @@
 import { checkUserLogin } from '../lib/utils.js';
+import * as schemas from './schemas/owner.js';
 
 const owner = async (fastify) => {
-  fastify.get('/:db', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/:db', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
     const db = request.params.db;
 
     try {
@@ -17,7 +18,7 @@ const owner = async (fastify) => {
     }
   });
 
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     try {
       const { db, name, cc, iban, initialBalance, balanceDate, isCreditCard, email } = request.body;
 
@@ -38,7 +39,7 @@ const owner = async (fastify) => {
     }
   });
 
-  fastify.post('/edit', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/edit', { preHandler: fastify.authenticate, schema: schemas.edit }, async (request, reply) => {
     try {
       const { id, ...updateData } = request.body;
       
@@ -79,7 +80,7 @@ const owner = async (fastify) => {
     }
   });
 
-  fastify.post('/delete', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
       const { id } = request.body;
 
@@ -0,0 +1,529 @@
+// Riconciliazione bancaria: saldo progressivo per conto e confronto con i saldi degli estratti conto,
+// riconciliazione degli estratti carta di credito con l'addebito sul conto corrente
+import {
+  buildRunningBalance,
+  compareDeclaredBalances,
+  findDiscrepancyCandidates,
+  reconcileCardDebit,
+  proposeCardDebitLinks,
+} from '../lib/reconciliation.js';
+import * as schemas from './schemas/reconciliation.js';
+
+const reconciliation = async (fastify) => {
+  // Carica il conto e il suo saldo progressivo giornaliero
+  async function loadOwnerLedger(db, ownerId) {
+    const { rows: owners } = await fastify.pg.query(
+      `SELECT id, name, initialbalance, to_char("date", 'YYYY-MM-DD') AS balance_date, is_credit_card
+       FROM owners WHERE id = $1 AND db = $2`,
+      [ownerId, db]
+    );
+    if (owners.length === 0) return null;
+
+    const owner = owners[0];
+
+    // I movimenti fino alla data del saldo iniziale sono già compresi nel saldo stesso
+    const { rows: dailyTotals } = await fastify.pg.query(`
+      SELECT
+        to_char(t.date, 'YYYY-MM-DD') AS date,
+        SUM(t.amount)::float AS total,
+        COUNT(*) AS count
+      FROM transactions t
+      WHERE t.db = $1 AND t.deleted_at IS NULL
+        AND t.ownerid = $2
+        AND ($3::date IS NULL OR t.date > $3::date)
+      GROUP BY t.date
+      ORDER BY t.date ASC
+    `, [db, ownerId, owner.balance_date]);
+
+    const initialBalance = parseFloat(owner.initialbalance || 0);
+    return {
+      owner,
+      initialBalance,
+      runningBalance: buildRunningBalance(initialBalance, dailyTotals),
+    };
+  }
+
+  // Ultimo giorno del mese per un valore 'YYYY-MM'
+  function endOfMonth(month) {
+    const [year, monthNumber] = month.split('-').map(n => parseInt(n, 10));
+    return new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+  }
+
+  // Saldo progressivo giornaliero di un conto
+  fastify.post('/running-balance', { preHandler: fastify.authenticate, schema: schemas.runningBalance }, async (request, reply) => {
+    try {
+      const { db, owner, startDate, endDate } = request.body;
+
+      if (!db || !owner) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e owner', status: 400 });
+      }
+
+      const ledger = await loadOwnerLedger(db, owner);
+      if (!ledger) {
+        return reply.code(404).send({ message: 'Conto non trovato', status: 404 });
+      }
+
+      const days = ledger.runningBalance.filter(day =>
+        (!startDate || day.date >= startDate) && (!endDate || day.date <= endDate)
+      );
+
+      reply.send({
+        data: {
+          owner: { id: ledger.owner.id, name: ledger.owner.name },
+          initialBalance: ledger.initialBalance,
+          balanceDate: ledger.owner.balance_date,
+          currentBalance: ledger.runningBalance.length > 0
+            ? ledger.runningBalance[ledger.runningBalance.length - 1].balance
+            : ledger.initialBalance,
+          days,
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Error computing running balance:', error);
+      reply.status(500).send({ error: 'Failed to compute running balance', message: error.message });
+    }
+  });
+
+  // Elenco dei saldi dichiarati per un conto
+  fastify.post('/statement-balances/list', { preHandler: fastify.authenticate, schema: schemas.listStatementBalances }, async (request, reply) => {
+    try {
+      const { db, owner } = request.body;
+
+      const { rows } = await fastify.pg.query(`
+        SELECT
+          sb.id,
+          sb.owner_id,
+          sb.period_type,
+          to_char(sb.period_end, 'YYYY-MM-DD') AS period_end,
+          sb.declared_balance::float AS declared_balance,
+          sb.import_batch_id,
+          sb.note,
+          sb.created_at
+        FROM owner_statement_balances sb
+        WHERE sb.db = $1 AND sb.owner_id = $2
+        ORDER BY sb.period_end ASC
+      `, [db, owner]);
+
+      reply.send({ data: rows, status: 200 });
+    } catch (error) {
+      console.error('Error fetching statement balances:', error);
+      reply.status(500).send({ error: 'Failed to fetch statement balances', message: error.message });
+    }
+  });
+
+  // Registra il saldo di chiusura dichiarato dalla banca (per mese o per batch di importazione)
+  fastify.post('/statement-balances/create', { preHandler: fastify.authenticate, schema: schemas.createStatementBalance }, async (request, reply) => {
+    try {
+      const { db, owner, periodType = 'month', month, periodEnd, declaredBalance, importBatchId, note } = request.body;
+
+      if (!db || !owner || declaredBalance === undefined || declaredBalance === null) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db, owner e declaredBalance', status: 400 });
+      }
+      if (!['month', 'batch'].includes(periodType)) {
+        return reply.code(400).send({ message: 'periodType deve essere "month" oppure "batch"', status: 400 });
+      }
+
+      let closingDate = periodEnd;
+      if (periodType === 'month' && month) {
+        closingDate = endOfMonth(month);
+      }
+
+      // Per un batch la data di chiusura di default è l'ultimo movimento importato
+      if (periodType === 'batch') {
+        if (!importBatchId) {
+          return reply.code(400).send({ message: 'importBatchId obbligatorio per periodType "batch"', status: 400 });
+        }
+        if (!closingDate) {
+          const { rows } = await fastify.pg.query(
+            `SELECT to_char(MAX(date), 'YYYY-MM-DD') AS last_date FROM transactions WHERE db = $1 AND import_batch_id = $2 AND deleted_at IS NULL`,
+            [db, importBatchId]
+          );
+          closingDate = rows[0]?.last_date;
+        }
+      }
+
+      if (!closingDate) {
+        return reply.code(400).send({ message: 'Specificare month (YYYY-MM) oppure periodEnd (YYYY-MM-DD)', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        INSERT INTO owner_statement_balances (db, owner_id, period_type, period_end, declared_balance, import_batch_id, note, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (db, owner_id, period_end)
+        DO UPDATE SET declared_balance = EXCLUDED.declared_balance,
+                      period_type = EXCLUDED.period_type,
+                      import_batch_id = EXCLUDED.import_batch_id,
+                      note = EXCLUDED.note
+        RETURNING id, owner_id, period_type, to_char(period_end, 'YYYY-MM-DD') AS period_end,
+                  declared_balance::float AS declared_balance, import_batch_id, note
+      `, [db, owner, periodType, closingDate, declaredBalance, importBatchId || null, note || null, request.user?.email || 'system']);
+
+      reply.send({ message: 'Saldo dichiarato registrato', data: rows[0], status: 200 });
+    } catch (error) {
+      console.error('Error saving statement balance:', error);
+      reply.status(500).send({ error: 'Failed to save statement balance', message: error.message });
+    }
+  });
+
+  // Elimina un saldo dichiarato
+  fastify.post('/statement-balances/delete', { preHandler: fastify.authenticate, schema: schemas.deleteStatementBalance }, async (request, reply) => {
+    try {
+      const { db, id } = request.body;
+
+      const result = await fastify.pg.query(
+        'DELETE FROM owner_statement_balances WHERE id = $1 AND db = $2',
+        [id, db]
+      );
+
+      if (result.rowCount === 0) {
+        return reply.code(404).send({ message: 'Saldo dichiarato non trovato', status: 404 });
+      }
+
+      reply.send({ message: 'Saldo dichiarato eliminato', status: 200 });
+    } catch (error) {
+      console.error('Error deleting statement balance:', error);
+      reply.status(500).send({ error: 'Failed to delete statement balance', message: error.message });
+    }
+  });
+
+  // Confronta saldi calcolati e dichiarati e segnala i periodi divergenti
+  // con i movimenti candidati (mancanti o duplicati)
+  fastify.post('/check', { preHandler: fastify.authenticate, schema: schemas.check }, async (request, reply) => {
+    try {
+      const { db, owner } = request.body;
+
+      if (!db || !owner) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e owner', status: 400 });
+      }
+
+      const ledger = await loadOwnerLedger(db, owner);
+      if (!ledger) {
+        return reply.code(404).send({ message: 'Conto non trovato', status: 404 });
+      }
+
+      const { rows: declaredBalances } = await fastify.pg.query(`
+        SELECT
+          id,
+          period_type,
+          to_char(period_end, 'YYYY-MM-DD') AS period_end,
+          declared_balance::float AS declared_balance,
+          import_batch_id,
+          note
+        FROM owner_statement_balances
+        WHERE db = $1 AND owner_id = $2
+        ORDER BY period_end ASC
+      `, [db, owner]);
+
+      const periods = compareDeclaredBalances({
+        initialBalance: ledger.initialBalance,
+        runningBalance: ledger.runningBalance,
+        declaredBalances,
+      });
+
+      // Per i periodi divergenti carica i movimenti del periodo e cerca i candidati
+      for (const period of periods) {
+        if (period.status !== 'mismatch') continue;
+
+        const periodStart = period.periodStart || ledger.owner.balance_date;
+        const { rows: transactions } = await fastify.pg.query(`
+          SELECT
+            t.id,
+            to_char(t.date, 'YYYY-MM-DD') AS date,
+            t.amount::float AS amount,
+            t.description,
+            t.import_batch_id
+          FROM transactions t
+          WHERE t.db = $1 AND t.deleted_at IS NULL
+            AND t.ownerid = $2
+            AND ($3::date IS NULL OR t.date > $3::date)
+            AND t.date <= $4::date
+          ORDER BY t.date ASC
+        `, [db, owner, periodStart, period.period_end]);
+
+        period.candidates = findDiscrepancyCandidates(transactions, period.periodDifference, owner);
+      }
+
+      reply.send({
+        data: {
+          owner: { id: ledger.owner.id, name: ledger.owner.name },
+          initialBalance: ledger.initialBalance,
+          balanceDate: ledger.owner.balance_date,
+          periods,
+          mismatches: periods.filter(p => p.status === 'mismatch').length,
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Error checking reconciliation:', error);
+      reply.status(500).send({ error: 'Failed to check reconciliation', message: error.message });
+    }
+  });
+
+  // Riconciliazione carte: per ogni addebito mensile sul conto corrente confronta i movimenti
+  // dell'estratto carta collegato, segnala le righe carta non collegate e propone i collegamenti
+  //
+  // Un addebito è collegato ad un estratto in due modi:
+  // - importazione associata: i movimenti hanno parent_transaction_id e la principale è azzerata
+  //   (l'importo originale è in import_batches.parent_amount)
+  // - estratto importato su un conto carta (is_credit_card) con import_batches.parent_transaction_id
+  fastify.post('/credit-card', { preHandler: fastify.authenticate, schema: schemas.creditCard }, async (request, reply) => {
+    try {
+      const { db, owner, startDate, endDate, windowDays = 45, amountTolerance = 0.01 } = request.body;
+
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+
+      // 1. Addebiti collegati ad un estratto
+      const { rows: linked } = await fastify.pg.query(`
+        SELECT
+          ib.id AS batch_id,
+          ib.filename,
+          ib.owner_id AS batch_owner_id,
+          COALESCE(bo.is_credit_card, false) AS card_batch,
+          ib.parent_amount::float AS parent_amount,
+          t.id,
+          to_char(t.date, 'YYYY-MM-DD') AS date,
+          t.amount::float AS amount,
+          t.description,
+          t.ownerid,
+          o.name AS owner_name
+        FROM import_batches ib
+        JOIN transactions t ON t.id = ib.parent_transaction_id AND t.db = ib.db AND t.deleted_at IS NULL
+        JOIN owners o ON o.id = t.ownerid
+        LEFT JOIN owners bo ON bo.id = ib.owner_id
+        WHERE ib.db = $1
+          AND ($2::uuid IS NULL OR t.ownerid = $2::uuid)
+          AND ($3::date IS NULL OR t.date >= $3::date)
+          AND ($4::date IS NULL OR t.date <= $4::date)
+        ORDER BY t.date ASC
+      `, [db, owner || null, startDate || null, endDate || null]);
+
+      const batchIds = linked.map(l => l.batch_id);
+      const { rows: batchRows } = batchIds.length === 0 ? { rows: [] } : await fastify.pg.query(`
+        SELECT
+          t.id,
+          to_char(t.date, 'YYYY-MM-DD') AS date,
+          t.amount::float AS amount,
+          t.description,
+          t.import_batch_id,
+          t.parent_transaction_id
+        FROM transactions t
+        WHERE t.db = $1 AND t.deleted_at IS NULL AND t.import_batch_id = ANY($2::int[])
+        ORDER BY t.date ASC
+      `, [db, batchIds]);
+
+      const debits = linked.map(debit => {
+        const rows = batchRows.filter(r => r.import_batch_id === debit.batch_id);
+
+        // Nell'importazione associata le righe senza parent_transaction_id sono le rimanenze/eccedenze
+        // generate per pareggiare l'addebito: non fanno parte dell'estratto carta
+        const lines = debit.card_batch ? rows : rows.filter(r => r.parent_transaction_id);
+        const adjustments = debit.card_batch ? [] : rows.filter(r => !r.parent_transaction_id);
+
+        const debitAmount = debit.card_batch
+          ? debit.amount
+          : (debit.parent_amount ?? rows.reduce((sum, r) => sum + r.amount, 0));
+
+        return {
+          month: debit.date.substring(0, 7),
+          debit: {
+            id: debit.id,
+            date: debit.date,
+            description: debit.description,
+            ownerId: debit.ownerid,
+            ownerName: debit.owner_name,
+          },
+          batchId: debit.batch_id,
+          filename: debit.filename,
+          linkType: debit.card_batch ? 'card_owner' : 'associated',
+          ...reconcileCardDebit({ debitAmount, lines }),
+          lines,
+          adjustments,
+        };
+      });
+
+      // 2. Movimenti dei conti carta non collegati ad alcun addebito
+      const { rows: unmatchedLines } = await fastify.pg.query(`
+        SELECT
+          t.id,
+          to_char(t.date, 'YYYY-MM-DD') AS date,
+          t.amount::float AS amount,
+          t.description,
+          t.ownerid,
+          o.name AS owner_name,
+          t.import_batch_id
+        FROM transactions t
+        JOIN owners o ON o.id = t.ownerid
+        LEFT JOIN import_batches ib ON ib.id = t.import_batch_id
+        WHERE t.db = $1 AND t.deleted_at IS NULL
+          AND o.is_credit_card = true
+          AND ib.parent_transaction_id IS NULL
+          AND ($2::date IS NULL OR t.date >= $2::date)
+          AND ($3::date IS NULL OR t.date <= $3::date)
+        ORDER BY t.date ASC
+      `, [db, startDate || null, endDate || null]);
+
+      // 3. Proposte di collegamento per gli estratti carta non ancora collegati
+      const { rows: unlinkedBatches } = await fastify.pg.query(`
+        SELECT
+          ib.id AS batch_id,
+          ib.filename,
+          ib.owner_id,
+          o.name AS owner_name,
+          to_char(MIN(t.date), 'YYYY-MM-DD') AS first_date,
+          to_char(MAX(t.date), 'YYYY-MM-DD') AS last_date,
+          SUM(t.amount)::float AS total,
+          COUNT(*) AS count
+        FROM import_batches ib
+        JOIN owners o ON o.id = ib.owner_id
+        JOIN transactions t ON t.import_batch_id = ib.id AND t.db = ib.db AND t.deleted_at IS NULL
+        WHERE ib.db = $1
+          AND o.is_credit_card = true
+          AND ib.parent_transaction_id IS NULL
+        GROUP BY ib.id, ib.filename, ib.owner_id, o.name
+        HAVING ($2::date IS NULL OR MAX(t.date) >= $2::date)
+           AND ($3::date IS NULL OR MAX(t.date) <= $3::date)
+        ORDER BY MAX(t.date) ASC
+      `, [db, startDate || null, endDate || null]);
+
+      let proposals = [];
+      if (unlinkedBatches.length > 0) {
+        const { rows: candidateDebits } = await fastify.pg.query(`
+          SELECT
+            t.id,
+            to_char(t.date, 'YYYY-MM-DD') AS date,
+            t.amount::float AS amount,
+            t.description,
+            t.ownerid,
+            o.name AS owner_name
+          FROM transactions t
+          JOIN owners o ON o.id = t.ownerid
+          WHERE t.db = $1 AND t.deleted_at IS NULL
+            AND (o.is_credit_card = false OR o.is_credit_card IS NULL)
+            AND t.amount <> 0
+            AND t.date BETWEEN $2::date AND ($3::date + $4::int)
+            AND ($5::uuid IS NULL OR t.ownerid = $5::uuid)
+            AND NOT EXISTS (SELECT 1 FROM import_batches ib WHERE ib.parent_transaction_id = t.id)
+        `, [
+          db,
+          unlinkedBatches[0].last_date,
+          unlinkedBatches[unlinkedBatches.length - 1].last_date,
+          parseInt(windowDays, 10),
+          owner || null,
+        ]);
+
+        proposals = proposeCardDebitLinks(unlinkedBatches, candidateDebits, {
+          windowDays: parseInt(windowDays, 10),
+          amountTolerance: parseFloat(amountTolerance),
+        });
+      }
+
+      reply.send({
+        data: {
+          debits,
+          unmatchedLines,
+          proposals,
+          summary: {
+            debits: debits.length,
+            mismatches: debits.filter(d => d.status === 'mismatch').length,
+            unmatchedLines: unmatchedLines.length,
+            unmatchedTotal: Math.round(unmatchedLines.reduce((sum, l) => sum + l.amount, 0) * 100) / 100,
+            proposals: proposals.filter(p => p.proposed).length,
+          },
+        },
+        status: 200,
+      });
+    } catch (error) {
+      console.error('Error reconciling credit card statements:', error);
+      reply.status(500).send({ error: 'Failed to reconcile credit card statements', message: error.message });
+    }
+  });
+
+  // Collega un estratto carta all'addebito sul conto corrente
+  fastify.post('/credit-card/link', { preHandler: fastify.authenticate, schema: schemas.linkCreditCard }, async (request, reply) => {
+    try {
+      const { db, batchId, transactionId } = request.body;
+
+      if (!db || !batchId || !transactionId) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db, batchId e transactionId', status: 400 });
+      }
+
+      const { rows: batches } = await fastify.pg.query(`
+        SELECT ib.id, ib.parent_transaction_id, o.is_credit_card
+        FROM import_batches ib
+        JOIN owners o ON o.id = ib.owner_id
+        WHERE ib.id = $1 AND ib.db = $2
+      `, [batchId, db]);
+
+      if (batches.length === 0) {
+        return reply.code(404).send({ message: 'Batch di importazione non trovato', status: 404 });
+      }
+      if (!batches[0].is_credit_card) {
+        return reply.code(400).send({ message: 'Il batch non appartiene ad un conto carta di credito', status: 400 });
+      }
+
+      const { rows: debits } = await fastify.pg.query(`
+        SELECT t.id, o.is_credit_card
+        FROM transactions t
+        JOIN owners o ON o.id = t.ownerid
+        WHERE t.id = $1 AND t.db = $2 AND t.deleted_at IS NULL
+      `, [transactionId, db]);
+
+      if (debits.length === 0) {
+        return reply.code(404).send({ message: 'Transazione di addebito non trovata', status: 404 });
+      }
+      if (debits[0].is_credit_card) {
+        return reply.code(400).send({ message: "L'addebito deve appartenere ad un conto corrente, non ad una carta", status: 400 });
+      }
+
+      const { rowCount: alreadyLinked } = await fastify.pg.query(
+        'SELECT 1 FROM import_batches WHERE db = $1 AND parent_transaction_id = $2 AND id <> $3',
+        [db, transactionId, batchId]
+      );
+      if (alreadyLinked > 0) {
+        return reply.code(409).send({ message: "L'addebito è già collegato ad un altro estratto", status: 409 });
+      }
+
+      await fastify.pg.query(
+        'UPDATE import_batches SET parent_transaction_id = $1::uuid WHERE id = $2 AND db = $3',
+        [transactionId, batchId, db]
+      );
+
+      reply.send({ message: 'Estratto carta collegato all\'addebito', status: 200 });
+    } catch (error) {
+      console.error('Error linking credit card statement:', error);
+      reply.status(500).send({ error: 'Failed to link credit card statement', message: error.message });
+    }
+  });
+
+  // Rimuove il collegamento tra un estratto carta e l'addebito
+  fastify.post('/credit-card/unlink', { preHandler: fastify.authenticate, schema: schemas.unlinkCreditCard }, async (request, reply) => {
+    try {
+      const { db, batchId } = request.body;
+
+      // Solo per i batch dei conti carta: nell'importazione associata la principale è stata azzerata
+      const result = await fastify.pg.query(`
+        UPDATE import_batches ib
+        SET parent_transaction_id = NULL
+        FROM owners o
+        WHERE o.id = ib.owner_id
+          AND o.is_credit_card = true
+          AND ib.id = $1
+          AND ib.db = $2
+      `, [batchId, db]);
+
+      if (result.rowCount === 0) {
+        return reply.code(404).send({ message: 'Estratto carta non trovato', status: 404 });
+      }
+
+      reply.send({ message: 'Collegamento rimosso', status: 200 });
+    } catch (error) {
+      console.error('Error unlinking credit card statement:', error);
+      reply.status(500).send({ error: 'Failed to unlink credit card statement', message: error.message });
+    }
+  });
+};
+
+export default reconciliation;
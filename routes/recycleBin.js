@@ -0,0 +1,98 @@
+// Cestino: elenco, ripristino e pulizia degli elementi eliminati
+import {
+  RECYCLABLE_TYPES,
+  DEFAULT_RETENTION_DAYS,
+  listRecycleBin,
+  restoreFromRecycleBin,
+  purgeRecycleBin,
+} from '../lib/recycleBin.js';
+import { snapshotTransactions, recordTransactionChanges } from '../lib/transactionAudit.js';
+import * as schemas from './schemas/recycleBin.js';
+
+const recycleBin = async (fastify) => {
+  // Elenco degli elementi nel cestino di un database
+  fastify.post('/list', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
+    try {
+      const { db, type } = request.body;
+
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+      if (type && !RECYCLABLE_TYPES[type]) {
+        return reply.code(400).send({ message: `Tipo non valido. Ammessi: ${Object.keys(RECYCLABLE_TYPES).join(', ')}`, status: 400 });
+      }
+
+      const items = await listRecycleBin(fastify.pg, { db, type: type || null });
+
+      reply.send({ data: items, retentionDays: DEFAULT_RETENTION_DAYS, status: 200 });
+    } catch (error) {
+      console.error('Error fetching recycle bin:', error);
+      reply.status(500).send({ error: 'Failed to fetch recycle bin', message: error.message });
+    }
+  });
+
+  // Ripristina un elemento (categoria e soggetto tornano insieme ai figli eliminati con loro)
+  fastify.post('/restore', { preHandler: fastify.authenticate, schema: schemas.restore }, async (request, reply) => {
+    const { db, type, id } = request.body;
+
+    if (!db || !id || !RECYCLABLE_TYPES[type]) {
+      return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db, type e id', status: 400 });
+    }
+
+    const client = await fastify.pg.connect();
+    try {
+      await client.query('BEGIN');
+
+      const before = type === 'transaction' ? await snapshotTransactions(client, db, [id]) : null;
+      const restored = await restoreFromRecycleBin(client, { db, type, id });
+
+      if (before) {
+        const after = await snapshotTransactions(client, db, [id]);
+        await recordTransactionChanges(client, {
+          before,
+          after,
+          route: 'POST /v1/recycle-bin/restore',
+          userId: request.user?.id,
+        });
+      }
+
+      await client.query('COMMIT');
+      reply.send({ message: `${RECYCLABLE_TYPES[type].label}: elemento ripristinato dal cestino`, restored, status: 200 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.statusCode) {
+        return reply.code(error.statusCode).send({ message: error.message, status: error.statusCode });
+      }
+      console.error('Error restoring from recycle bin:', error);
+      reply.status(500).send({ error: 'Failed to restore item', message: error.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Pulizia manuale degli elementi oltre il periodo di conservazione
+  fastify.post('/purge', { preHandler: fastify.authenticate, schema: schemas.purge }, async (request, reply) => {
+    const { db } = request.body;
+
+    if (!db) {
+      return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+    }
+
+    const client = await fastify.pg.connect();
+    try {
+      await client.query('BEGIN');
+      const purged = await purgeRecycleBin(client, { db });
+      await client.query('COMMIT');
+
+      reply.send({ message: 'Pulizia del cestino completata', purged, status: 200 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error purging recycle bin:', error);
+      reply.status(500).send({ error: 'Failed to purge recycle bin', message: error.message });
+    } finally {
+      client.release();
+    }
+  });
+};
+
+export default recycleBin;
@@ -1,8 +1,14 @@
+import { getDbSettings, fiscalYearOf } from '../lib/dbSettings.js';
+import * as schemas from './schemas/report.js';
+
 const report = async (fastify) => {
-  fastify.get('/master/:db', async (request, reply) => {
+  fastify.get('/master/:db', { schema: schemas.master }, async (request, reply) => {
     const db = request.params.db;
 
     try {
+      // Gli anni del report sono anni fiscali (general.fiscalYearStartMonth delle impostazioni)
+      const { general } = await getDbSettings(fastify.pg, db);
+
       // Fetch owner data including initial balance - corretto initialBalance in initialbalance
       const { rows: ownersData } = await fastify.pg.query(`
         SELECT 
@@ -48,7 +54,7 @@ const report = async (fastify) => {
       JOIN
         owners o ON t.ownerid = o.id
       WHERE 
-        t.db = $1
+        t.db = $1 AND t.deleted_at IS NULL
         AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
     `, [db]);
 
@@ -57,7 +63,7 @@ const report = async (fastify) => {
       // Process each transaction to build the report structure
       transactions.forEach(tx => {
         const date = new Date(tx.date);
-        const year = date.getFullYear().toString();
+        const year = fiscalYearOf(date, general.fiscalYearStartMonth).toString();
         const month = (date.getMonth() + 1).toString().padStart(2, '0');
         const amount = tx.amount != null ? parseFloat(tx.amount) : NaN;
         const categoryId = tx.categoryid;
@@ -292,7 +298,7 @@ const report = async (fastify) => {
     }
   });
 
-  fastify.get('/category/details', async (request, reply) => {
+  fastify.get('/category/details', { schema: schemas.categoryDetails }, async (request, reply) => {
     try {
       const { owner, category, year, db, month } = request.query;
       const selectedMonth = month ? parseInt(month, 10) : 12; // default: dicembre (anno intero)
@@ -371,7 +377,7 @@ const report = async (fastify) => {
             AND cte.db = t.db
             AND cte.category_id = $2
         WHERE
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           AND t.categoryid = $2
           AND t.date >= $3
           AND t.date <= $4
@@ -416,7 +422,7 @@ const report = async (fastify) => {
             AND cte.db = t.db
             AND cte.category_id = $3
         WHERE
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           AND t.ownerid = $2
           AND t.categoryid = $3
           AND t.date >= $4
@@ -741,7 +747,7 @@ const report = async (fastify) => {
       const { rows: exclusionRows } = await fastify.pg.query(`
         SELECT EXTRACT(MONTH FROM t.date)::int AS month, COUNT(*)::int AS count
         FROM category_tx_exclusions cte
-        JOIN transactions t ON t.id = cte.transaction_id AND t.db = cte.db
+        JOIN transactions t ON t.id = cte.transaction_id AND t.db = cte.db AND t.deleted_at IS NULL
         WHERE cte.db = $1
           AND cte.category_id = $2
           AND EXTRACT(YEAR FROM t.date) = $3
@@ -760,7 +766,7 @@ const report = async (fastify) => {
     }
   });
 
-  fastify.post('/category/subject/details', async (request, reply) => {
+  fastify.post('/category/subject/details', { schema: schemas.subjectDetails }, async (request, reply) => {
     try {
       const { db, owner, category, subject, details, year } = request.body;
 
@@ -821,7 +827,7 @@ const report = async (fastify) => {
         LEFT JOIN
           owners o ON t.ownerid = o.id
         WHERE
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           AND t.categoryid = $2
           AND t.subjectid = $3
           AND t.detailid = $4
@@ -853,7 +859,7 @@ const report = async (fastify) => {
         LEFT JOIN
           owners o ON t.ownerid = o.id
         WHERE
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           AND t.ownerid = $2
           AND t.categoryid = $3
           AND t.subjectid = $4
@@ -964,7 +970,7 @@ const report = async (fastify) => {
     }
   });
 
-  fastify.post('/category/subject/details/chart', async (request, reply) => {
+  fastify.post('/category/subject/details/chart', { schema: schemas.subjectChart }, async (request, reply) => {
     try {
       const { subject, category, year, owner, db } = request.body;
 
@@ -1028,6 +1034,7 @@ const report = async (fastify) => {
             t.amount < 0 AND
             t.db = $5
             AND (o.is_credit_card = false OR o.is_credit_card IS NULL)
+            AND t.deleted_at IS NULL
             AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
           GROUP BY t.detailid, d.name, EXTRACT(MONTH FROM t.date), EXTRACT(YEAR FROM t.date), t.ownerid, o.name, o.cc
           ORDER BY t.detailid, EXTRACT(YEAR FROM t.date), EXTRACT(MONTH FROM t.date)
@@ -1054,6 +1061,7 @@ const report = async (fastify) => {
             t.amount < 0 AND
             t.db = $3
             AND (o.is_credit_card = false OR o.is_credit_card IS NULL)
+            AND t.deleted_at IS NULL
             AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
           GROUP BY t.detailid, d.name, EXTRACT(MONTH FROM t.date), EXTRACT(YEAR FROM t.date), t.ownerid, o.name, o.cc
           ORDER BY t.detailid, EXTRACT(YEAR FROM t.date), EXTRACT(MONTH FROM t.date)
@@ -1086,6 +1094,7 @@ const report = async (fastify) => {
             EXTRACT(YEAR FROM t.date) IN ($4, $5) AND
             t.amount < 0 AND
             t.db = $6
+            AND t.deleted_at IS NULL
             AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
           GROUP BY t.detailid, d.name, EXTRACT(MONTH FROM t.date), EXTRACT(YEAR FROM t.date)
           ORDER BY t.detailid, EXTRACT(YEAR FROM t.date), EXTRACT(MONTH FROM t.date)
@@ -1108,6 +1117,7 @@ const report = async (fastify) => {
             t.ownerid = $3 AND
             t.amount < 0 AND
             t.db = $4
+            AND t.deleted_at IS NULL
             AND (t.excluded_from_stats IS NULL OR t.excluded_from_stats = false)
           GROUP BY t.detailid, d.name, EXTRACT(MONTH FROM t.date), EXTRACT(YEAR FROM t.date)
           ORDER BY t.detailid, EXTRACT(YEAR FROM t.date), EXTRACT(MONTH FROM t.date)
@@ -1169,7 +1179,7 @@ const report = async (fastify) => {
     }
   });
 
-  fastify.post('/category/month-breakdown', async (request, reply) => {
+  fastify.post('/category/month-breakdown', { schema: schemas.monthBreakdown }, async (request, reply) => {
     try {
       const { db, owner, category, year, month } = request.body;
 
@@ -1202,7 +1212,7 @@ const report = async (fastify) => {
             ON cte.transaction_id = t.id
             AND cte.db = t.db
             AND cte.category_id = $2
-          WHERE t.db = $1
+          WHERE t.db = $1 AND t.deleted_at IS NULL
             AND t.categoryid = $2
             AND EXTRACT(YEAR FROM t.date) = $3
             AND EXTRACT(MONTH FROM t.date) = $4
@@ -1227,7 +1237,7 @@ const report = async (fastify) => {
             ON cte.transaction_id = t.id
             AND cte.db = t.db
             AND cte.category_id = $3
-          WHERE t.db = $1
+          WHERE t.db = $1 AND t.deleted_at IS NULL
             AND t.ownerid = $2
             AND t.categoryid = $3
             AND EXTRACT(YEAR FROM t.date) = $4
@@ -1291,7 +1301,7 @@ const report = async (fastify) => {
   });
 
   // Group Aggregation Endpoint - Consultative approach (in-memory aggregation)
-  fastify.post('/group-aggregation', async (request, reply) => {
+  fastify.post('/group-aggregation', { schema: schemas.groupAggregation }, async (request, reply) => {
     try {
       const { db, groupName, selectedCategories, selectedSubjects, selectedDetails, ownerId, year, startYear, startMonth, endYear, endMonth } = request.body;
 
@@ -1564,7 +1574,7 @@ const report = async (fastify) => {
         JOIN
           owners o ON t.ownerid = o.id
         WHERE 
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           ${whereClause}
           ${creditCardFilter}
           ${statsFilter}
@@ -1832,7 +1842,7 @@ const report = async (fastify) => {
   });
 
   // Categories and Subjects for Group Aggregation
-  fastify.get('/categories-subjects/:db', async (request, reply) => {
+  fastify.get('/categories-subjects/:db', { schema: schemas.categoriesSubjects }, async (request, reply) => {
     try {
       const { db } = request.params;
 
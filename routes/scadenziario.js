@@ -1,5 +1,7 @@
 // routes/scadenziario.js
 import { createMinioClient, ensureBucketExists } from '../lib/minio-config.js';
+import { getDbSettings, listDbSettings, SETTINGS_SCHEMA } from '../lib/dbSettings.js';
+import * as schemas from './schemas/scadenziario.js';
 
 const MINIO_BUCKET_SCADENZIARIO = 'scadenziario-attachments';
 const DOCLING_URL = process.env.DOCLING_URL || 'http://localhost:5001';
@@ -71,7 +73,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   const preHandler = fastify.authenticate;
 
   // Endpoint per ottenere tutte le scadenze
-  fastify.post('/list', { preHandler }, async (request, reply) => {
+  fastify.post('/list', { preHandler, schema: schemas.list }, async (request, reply) => {
     try {
       const { db, filters = {} } = request.body;
 
@@ -92,7 +94,7 @@ export default async function scadenziarioRoutes(fastify, options) {
           to_char(s.invoice_date, 'YYYY-MM-DD') AS invoice_date,
           s.company_name, s.vat_number, s.iban, s.bank_name,
           s.payment_terms, s.attachment_url, s.group_id,
-          s.vehicle_id, s.source_module, s.payment_receipt_url,
+          s.vehicle_id, s.source_module, s.source_entity_type, s.source_entity_id, s.payment_receipt_url,
           -- riepilogo tranches (solo per fatture madri)
           (SELECT COUNT(*) FROM scadenziario c WHERE c.parent_id = s.id) AS tranches_count,
           (SELECT COUNT(*) FROM scadenziario c WHERE c.parent_id = s.id AND c.status = 'completed') AS tranches_paid,
@@ -176,7 +178,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per ottenere una scadenza specifica
-  fastify.post('/details', { preHandler }, async (request, reply) => {
+  fastify.post('/details', { preHandler, schema: schemas.details }, async (request, reply) => {
     try {
       const { db, id } = request.body;
       
@@ -200,7 +202,7 @@ export default async function scadenziarioRoutes(fastify, options) {
           to_char(s.invoice_date, 'YYYY-MM-DD') AS invoice_date,
           s.company_name, s.vat_number, s.iban, s.bank_name,
           s.payment_terms, s.attachment_url, s.group_id,
-          s.vehicle_id, s.source_module, s.payment_receipt_url
+          s.vehicle_id, s.source_module, s.source_entity_type, s.source_entity_id, s.payment_receipt_url
       `;
       
       const client = await fastify.pg.pool.connect();
@@ -225,7 +227,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per creare una nuova scadenza
-  fastify.post('/create', { preHandler }, async (request, reply) => {
+  fastify.post('/create', { preHandler, schema: schemas.create }, async (request, reply) => {
     try {
       const { db, scadenza } = request.body;
       
@@ -266,6 +268,8 @@ export default async function scadenziarioRoutes(fastify, options) {
         });
       }
 
+      const settings = await getDbSettings(fastify.pg, db);
+
       const queryText = `
         INSERT INTO scadenziario
           (subject, description, causale, date, amount, payment_date, status, owner_id,
@@ -301,7 +305,7 @@ export default async function scadenziarioRoutes(fastify, options) {
           status,
           owner_id || null,
           type || 'altro',
-          alert_days || 15,
+          alert_days || settings.scadenziario.alertDays,
           invoice_number || null,
           invoice_date || null,
           company_name || null,
@@ -329,7 +333,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per aggiornare una scadenza esistente
-  fastify.post('/update', { preHandler }, async (request, reply) => {
+  fastify.post('/update', { preHandler, schema: schemas.update }, async (request, reply) => {
     try {
       const { db, id, scadenza } = request.body;
       
@@ -524,7 +528,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per aggiornare solo lo stato del pagamento
-  fastify.post('/update-payment', { preHandler }, async (request, reply) => {
+  fastify.post('/update-payment', { preHandler, schema: schemas.updatePayment }, async (request, reply) => {
     try {
       const { db, id, payment_date, status } = request.body;
       
@@ -582,7 +586,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per eliminare una scadenza
-  fastify.post('/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/delete', { preHandler, schema: schemas.remove }, async (request, reply) => {
     try {
       const { db, id } = request.body;
       
@@ -618,7 +622,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per eliminare più scadenze
-  fastify.post('/delete-multiple', { preHandler }, async (request, reply) => {
+  fastify.post('/delete-multiple', { preHandler, schema: schemas.removeMultiple }, async (request, reply) => {
     try {
       const { db, ids } = request.body;
       
@@ -655,16 +659,21 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per aggiornare automaticamente lo stato delle scadenze
-  fastify.post('/update-status', { preHandler }, async (request, reply) => {
+  fastify.post('/update-status', { preHandler, schema: schemas.updateStatus }, async (request, reply) => {
     try {
       const { db } = request.body;
       const today = new Date();
       const todayStr = today.toISOString().substring(0, 10); // YYYY-MM-DD
-      
-      // Data di 15 giorni nel futuro (per scadenze imminenti)
-      const futureDate = new Date();
-      futureDate.setDate(today.getDate() + 15);
-      const futureDateStr = futureDate.toISOString().substring(0, 10);
+
+      // Giorni entro cui una scadenza è imminente, dalle impostazioni del database dell'owner
+      const upcomingDaysByDb = Object.fromEntries(
+        (await listDbSettings(fastify.pg)).map(({ db: dbKey, settings }) => [dbKey, settings.scadenziario.upcomingDays])
+      );
+      const upcomingLimit = `$1::date + COALESCE(
+        (SELECT ($2::jsonb ->> o.db)::int FROM owners o WHERE o.id = scadenziario.owner_id),
+        $3
+      )`;
+      const windowParams = [todayStr, JSON.stringify(upcomingDaysByDb), SETTINGS_SCHEMA.scadenziario.upcomingDays.default];
 
       const client = await fastify.pg.pool.connect();
       try {
@@ -676,22 +685,22 @@ export default async function scadenziarioRoutes(fastify, options) {
           AND date < $1
         `, [todayStr]);
         
-        // Aggiorna le scadenze imminenti (senza data pagamento, data >= oggi e <= oggi + 15 giorni)
+        // Aggiorna le scadenze imminenti (senza data pagamento, data >= oggi e <= oggi + giorni di preavviso)
         await client.query(`
           UPDATE scadenziario
           SET status = 'upcoming'
           WHERE payment_date IS NULL
           AND date >= $1
-          AND date <= $2
-        `, [todayStr, futureDateStr]);
+          AND date <= ${upcomingLimit}
+        `, windowParams);
         
-        // Aggiorna le scadenze future (senza data pagamento, data > oggi + 15 giorni)
+        // Aggiorna le scadenze future (senza data pagamento, data > oggi + giorni di preavviso)
         await client.query(`
           UPDATE scadenziario
           SET status = 'future'
           WHERE payment_date IS NULL
-          AND date > $1
-        `, [futureDateStr]);
+          AND date > ${upcomingLimit}
+        `, windowParams);
         
         // Tutte le scadenze con data di pagamento sono 'completed'
         await client.query(`
@@ -717,7 +726,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per ottenere i gruppi di rate di un owner
-  fastify.post('/groups', { preHandler }, async (request, reply) => {
+  fastify.post('/groups', { preHandler, schema: schemas.groups }, async (request, reply) => {
     try {
       const { db, owner_id } = request.body;
       const client = await fastify.pg.pool.connect();
@@ -737,9 +746,10 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per creare un gruppo + N rate in una transazione
-  fastify.post('/create-group', { preHandler }, async (request, reply) => {
+  fastify.post('/create-group', { preHandler, schema: schemas.createGroup }, async (request, reply) => {
     try {
       const { db, group, installments: installmentList } = request.body;
+      const settings = await getDbSettings(fastify.pg, db);
       const client = await fastify.pg.pool.connect();
       try {
         await client.query('BEGIN');
@@ -756,7 +766,7 @@ export default async function scadenziarioRoutes(fastify, options) {
           const r = await client.query(
             `INSERT INTO scadenziario (subject, description, date, amount, status, owner_id, type, group_id, alert_days)
              VALUES ($1,$2,$3,$4,$5,$6,'rata',$7,$8) RETURNING *`,
-            [inst.subject, inst.description || null, inst.date, inst.amount, inst.status || 'future', group.owner_id, groupId, group.alert_days || 15]
+            [inst.subject, inst.description || null, inst.date, inst.amount, inst.status || 'future', group.owner_id, groupId, group.alert_days || settings.scadenziario.alertDays]
           );
           inserted.push(r.rows[0]);
         }
@@ -776,7 +786,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint per eliminare un gruppo (solo rate non pagate)
-  fastify.post('/delete-group', { preHandler }, async (request, reply) => {
+  fastify.post('/delete-group', { preHandler, schema: schemas.removeGroup }, async (request, reply) => {
     try {
       const { db, group_id } = request.body;
       const client = await fastify.pg.pool.connect();
@@ -809,7 +819,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Restituisce le tranches (figli) di una fattura madre
-  fastify.post('/children', { preHandler }, async (request, reply) => {
+  fastify.post('/children', { preHandler, schema: schemas.children }, async (request, reply) => {
     try {
       const { parent_id } = request.body;
       if (!parent_id) return reply.status(400).send({ error: 'parent_id obbligatorio' });
@@ -838,7 +848,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Crea una tranche (acconto/saldo) collegata a una fattura madre
-  fastify.post('/create-tranche', { preHandler }, async (request, reply) => {
+  fastify.post('/create-tranche', { preHandler, schema: schemas.createTranche }, async (request, reply) => {
     try {
       const { tranche } = request.body;
       if (!tranche?.parent_id) return reply.status(400).send({ error: 'parent_id obbligatorio' });
@@ -850,17 +860,21 @@ export default async function scadenziarioRoutes(fastify, options) {
       try {
         // Verifica che la fattura madre esista
         const parent = await client.query(
-          `SELECT id, amount FROM scadenziario WHERE id = $1 AND parent_id IS NULL`,
+          `SELECT s.id, s.amount, o.db
+           FROM scadenziario s
+           LEFT JOIN owners o ON o.id = s.owner_id
+           WHERE s.id = $1 AND s.parent_id IS NULL`,
           [parent_id]
         );
         if (parent.rows.length === 0) {
           return reply.status(404).send({ error: 'Fattura madre non trovata' });
         }
+        const settings = await getDbSettings(fastify.pg, parent.rows[0].db);
 
         const result = await client.query(
           `INSERT INTO scadenziario
              (subject, description, date, amount, status, owner_id, type, parent_id, alert_days)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 15)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
            RETURNING
              id, subject, type,
              to_char(date, 'YYYY-MM-DD') AS date,
@@ -876,6 +890,7 @@ export default async function scadenziarioRoutes(fastify, options) {
             owner_id || null,
             type || 'acconto',
             parent_id,
+            settings.scadenziario.alertDays,
           ]
         );
         reply.send({ data: result.rows[0], success: true });
@@ -888,7 +903,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint OCR: estrae dati da PDF/immagine fattura via Docling
-  fastify.post('/ocr-extract', { preHandler }, async (request, reply) => {
+  fastify.post('/ocr-extract', { preHandler, schema: schemas.ocrExtract }, async (request, reply) => {
     try {
       const data = await request.file();
       if (!data) return reply.status(400).send({ error: 'Nessun file ricevuto' });
@@ -951,7 +966,7 @@ export default async function scadenziarioRoutes(fastify, options) {
   });
 
   // Endpoint upload allegato su MinIO bucket scadenziario-attachments
-  fastify.post('/upload-attachment', { preHandler }, async (request, reply) => {
+  fastify.post('/upload-attachment', { preHandler, schema: schemas.uploadAttachment }, async (request, reply) => {
     try {
       const data = await request.file();
       if (!data) return reply.status(400).send({ error: 'Nessun file ricevuto' });
@@ -977,9 +992,25 @@ export default async function scadenziarioRoutes(fastify, options) {
 
   // Endpoint per servire un allegato da MinIO
   // Usa wildcard per gestire path con slash (es. temp/2026/123.pdf)
-  fastify.get('/attachment/*', { preHandler }, async (request, reply) => {
+  fastify.get('/attachment/*', { preHandler, schema: schemas.attachment }, async (request, reply) => {
     try {
       const objectName = decodeURIComponent(request.params['*']);
+      const { db } = request.query;
+
+      // L'allegato deve appartenere al db: caricato per un suo owner (prefisso
+      // owner_id/) o collegato a una sua scadenza
+      const { rows: owned } = await fastify.pg.query(
+        `SELECT 1 FROM owners o
+         WHERE o.db = $1
+           AND (o.id::text = $2
+                OR EXISTS (SELECT 1 FROM scadenziario s WHERE s.owner_id = o.id AND s.attachment_url = $3))
+         LIMIT 1`,
+        [db, objectName.split('/')[0], `/api/scadenziario/attachment/${encodeURIComponent(objectName)}`]
+      );
+      if (owned.length === 0) {
+        return reply.status(404).send({ error: 'Allegato non trovato' });
+      }
+
       const minioClient = createMinioClient();
 
       // Legge le info dell'oggetto per avere la dimensione
@@ -0,0 +1,74 @@
+/**
+ * Schemi delle rotte /v1/auth di reset password e inviti
+ * @module routes/schemas/account
+ */
+
+import { ROLE_PERMISSIONS } from '../../lib/auth.js';
+import { ref, object, rows, responses } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const token = { type: 'string', minLength: 1, description: 'Token monouso ricevuto via email' };
+
+const invitationData = {
+  email: { type: 'string' },
+  db: { type: 'string' },
+  role: { type: 'string' },
+  existingUser: { type: 'boolean' },
+  expiresAt: { type: 'string' },
+};
+
+export const forgotPassword = {
+  body: object({ email: { type: 'string', minLength: 1 } }, ['email']),
+  response: responses(),
+};
+
+export const resetPassword = {
+  body: object({ token, password: { type: 'string', minLength: 1 } }, ['token', 'password']),
+  response: responses(),
+};
+
+export const createInvitation = {
+  body: object({
+    db: ref('Db'),
+    email: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: Object.keys(ROLE_PERMISSIONS) },
+  }, ['db', 'email', 'role']),
+  response: responses(object({
+    message: { type: 'string' },
+    data: object({ id: { type: 'string' }, ...invitationData }),
+    status: { type: 'integer' },
+  })),
+};
+
+export const listInvitations = {
+  querystring: object({ db: ref('Db') }, ['db']),
+  response: responses(object({ data: rows(), status: { type: 'integer' } })),
+};
+
+export const cancelInvitation = {
+  params: object({ id: ref('Uuid') }, ['id']),
+  querystring: object({ db: ref('Db') }, ['db']),
+  response: responses(),
+};
+
+export const invitationDetails = {
+  body: object({ token }, ['token']),
+  response: responses(object({
+    data: object({ ...invitationData, dbName: { type: 'string' } }),
+    status: { type: 'integer' },
+  })),
+};
+
+export const acceptInvitation = {
+  body: object({
+    token,
+    password: { type: 'string', minLength: 1 },
+    firstName: nullableString,
+    lastName: nullableString,
+  }, ['token']),
+  response: responses(object({
+    message: { type: 'string' },
+    data: object({ userId: { type: 'string' }, email: { type: 'string' }, db: { type: 'string' }, role: { type: 'string' } }),
+    status: { type: 'integer' },
+  })),
+};
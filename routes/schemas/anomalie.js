@@ -0,0 +1,37 @@
+/**
+ * Schemi delle rotte /v1/anomalie
+ * @module routes/schemas/anomalie
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+const mesi = { type: 'integer', minimum: 1, maximum: 60, default: 12, description: 'Mesi di storico analizzati' };
+
+export const analysis = {
+  querystring: object({
+    db: ref('Db'),
+    soglia: { type: 'number', minimum: 0, maximum: 100, description: 'Scostamento percentuale dalla media' },
+    mesi,
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 },
+    tipo_anomalia: { type: 'string', enum: ['tutte', 'con_dettaglio', 'senza_dettaglio'] },
+    categoria_id: ref('NullableUuid'),
+    soggetto_id: ref('NullableUuid'),
+    data_da: ref('NullableDate'),
+    data_a: ref('NullableDate'),
+    soglia_minima: { type: 'number' },
+    soglia_massima: { type: 'number' },
+    importo_minimo: { type: 'number' },
+    importo_massimo: { type: 'number' },
+    score_minimo: { type: 'number', minimum: 0, maximum: 100 },
+    ordine: { type: 'string', enum: ['score_desc', 'score_asc', 'data_desc', 'data_asc', 'importo_desc', 'importo_asc'] },
+  }, ['db']),
+};
+
+export const stats = {
+  querystring: object({ db: ref('Db'), mesi }, ['db']),
+};
+
+export const filters = {
+  querystring: object({ db: ref('Db'), mesi }, ['db']),
+};
@@ -0,0 +1,236 @@
+/**
+ * Schemi delle rotte /v1/auth (login, sessioni, 2FA, utenti e ruoli)
+ * @module routes/schemas/auth
+ */
+
+import { ROLE_PERMISSIONS } from '../../lib/auth.js';
+import { ref, object, rows, responses } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const totpCode = { type: 'string', pattern: '^[\\d\\s]{6,}$', description: 'Codice TOTP a 6 cifre (spazi ammessi)' };
+const role = { type: 'string', enum: Object.keys(ROLE_PERMISSIONS) };
+
+const userParams = object({ userId: ref('Uuid') }, ['userId']);
+const limitQuery = object({ limit: { type: 'integer', minimum: 1, maximum: 500 } });
+
+const tokens = {
+  accessToken: { type: 'string' },
+  refreshToken: { type: 'string' },
+  expiresIn: { type: 'integer' },
+};
+
+// Colonne di users inviate al client: password, segreti 2FA e contatori dei
+// tentativi falliti non sono dichiarati e il serializzatore li scarta
+const userFields = {
+  id: { type: 'string' },
+  email: { type: 'string' },
+  firstname: nullableString,
+  lastname: nullableString,
+  totp_enabled: { type: ['boolean', 'null'] },
+  totp_enabled_at: nullableString,
+  created_at: nullableString,
+  updated_at: nullableString,
+};
+
+const publicUser = {
+  ...object({
+    ...userFields,
+    role: nullableString,
+    db: nullableString,
+    allDbs: { type: 'array', items: { type: 'string' } },
+  }),
+  description: 'Utente senza password e segreti 2FA; role e db del database scelto, allDbs i database accessibili',
+};
+
+const userWithRoles = object({
+  ...userFields,
+  dbrole: { type: 'array', items: { type: 'object', additionalProperties: true } },
+});
+
+const revokedResponse = object({ message: { type: 'string' }, revoked: { type: 'integer' }, status: { type: 'integer' } });
+
+const recoveryCodes = object({
+  message: { type: 'string' },
+  data: object({ recoveryCodes: { type: 'array', items: { type: 'string' } } }),
+  status: { type: 'integer' },
+});
+
+const userRoles = object({
+  db_key: ref('Db'),
+  role,
+}, ['db_key', 'role']);
+
+export const me = {
+  response: responses(object({ data: object({ user: publicUser }), message: { type: 'string' } })),
+};
+
+export const login = {
+  body: object({
+    email: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    db: { ...nullableString, description: 'Database su cui aprire la sessione (facoltativo)' },
+  }, ['email', 'password']),
+  response: responses(object({
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data: object({
+      ...tokens,
+      user: publicUser,
+      mfaRequired: { type: 'boolean' },
+      mfaToken: { type: 'string', description: 'Con la 2FA attiva: token da inviare a /login/2fa' },
+    }),
+  })),
+};
+
+export const login2fa = {
+  body: object({
+    mfaToken: { type: 'string', minLength: 1 },
+    code: totpCode,
+    recoveryCode: { type: 'string', minLength: 1 },
+  }, ['mfaToken']),
+  response: responses(object({ data: object({ ...tokens, user: publicUser }) })),
+};
+
+export const unlockUser = {
+  params: userParams,
+  response: responses(),
+};
+
+export const userLoginAttempts = {
+  params: userParams,
+  querystring: limitQuery,
+  response: responses(object({
+    data: object({
+      failedCount: { type: 'integer' },
+      lastFailedAt: { type: ['string', 'null'] },
+      lockedUntil: { type: ['string', 'null'] },
+      attempts: rows(),
+    }),
+    status: { type: 'integer' },
+  })),
+};
+
+export const loginAttempts = {
+  querystring: limitQuery,
+  response: responses(object({ data: rows(), status: { type: 'integer' } })),
+};
+
+export const register = {
+  body: object({
+    email: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    firstName: nullableString,
+    lastName: nullableString,
+  }, ['email', 'password']),
+  response: responses(object({ message: { type: 'string' }, ...tokens, user: userWithRoles })),
+};
+
+export const refresh = {
+  body: object({ refreshToken: { type: 'string', minLength: 1 } }, ['refreshToken']),
+  response: responses(object({ data: object(tokens) })),
+};
+
+export const logout = {
+  description: 'Body facoltativo { allSessions: boolean }: con true revoca tutte le sessioni dell\'utente',
+  response: responses(revokedResponse),
+};
+
+export const sessions = {
+  params: userParams,
+  response: responses(object({ data: rows(), status: { type: 'integer' } })),
+};
+
+export const revokeUserSessions = {
+  params: userParams,
+  response: responses(revokedResponse),
+};
+
+export const revokeSession = {
+  params: object({ userId: ref('Uuid'), sessionId: ref('Uuid') }, ['userId', 'sessionId']),
+  response: responses(revokedResponse),
+};
+
+export const twoFactorStatus = {
+  response: responses(object({
+    data: object({
+      enabled: { type: 'boolean' },
+      enabledAt: { type: ['string', 'null'] },
+      recoveryCodesRemaining: { type: 'integer' },
+      requiredBy: { type: 'array', items: { type: 'string' } },
+      sessionVerified: { type: 'boolean' },
+    }),
+    status: { type: 'integer' },
+  })),
+};
+
+export const twoFactorSetup = {
+  response: responses(object({
+    data: object({ secret: { type: 'string' }, otpauthUri: { type: 'string' } }),
+    status: { type: 'integer' },
+  })),
+};
+
+export const twoFactorEnable = {
+  body: object({ code: totpCode }, ['code']),
+  response: responses(recoveryCodes),
+};
+
+export const twoFactorDisable = {
+  body: object({
+    password: { type: 'string', minLength: 1 },
+    code: totpCode,
+    recoveryCode: { type: 'string', minLength: 1 },
+  }, ['password']),
+  response: responses(),
+};
+
+export const twoFactorRecoveryCodes = {
+  body: object({ code: totpCode }, ['code']),
+  response: responses(recoveryCodes),
+};
+
+export const twoFactorReset = {
+  params: userParams,
+  response: responses(revokedResponse),
+};
+
+export const updateUser = {
+  body: object({
+    email: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    firstName: nullableString,
+    lastName: nullableString,
+  }),
+  response: responses(object({ user: userWithRoles, message: { type: 'string' } })),
+};
+
+export const getUserRoles = {
+  params: userParams,
+  response: responses(object({
+    success: { type: 'boolean' },
+    user: object({
+      id: { type: 'string' },
+      email: { type: 'string' },
+      firstName: nullableString,
+      lastName: nullableString,
+      roles: { type: 'array', items: object({ db_key: { type: 'string' }, db_name: nullableString, role: { type: 'string' } }) },
+    }),
+  })),
+};
+
+export const setUserRoles = {
+  params: userParams,
+  body: object({ roles: { type: 'array', items: userRoles } }, ['roles']),
+  response: responses(object({ success: { type: 'boolean' }, message: { type: 'string' }, user: userWithRoles })),
+};
+
+export const addUserRole = {
+  params: userParams,
+  body: userRoles,
+  response: responses(object({ success: { type: 'boolean' }, message: { type: 'string' }, user: userWithRoles })),
+};
+
+export const removeUserRole = {
+  params: object({ userId: ref('Uuid'), dbKey: ref('Db') }, ['userId', 'dbKey']),
+  response: responses(object({ success: { type: 'boolean' }, message: { type: 'string' }, user: userWithRoles })),
+};
@@ -0,0 +1,46 @@
+/**
+ * Schemi delle rotte /v1/budget
+ * @module routes/schemas/budget
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+const year = { type: 'integer', minimum: 1900, maximum: 9999 };
+
+export const list = {
+  body: object({ db: ref('Db'), year }, ['db', 'year']),
+};
+
+export const create = {
+  body: object({
+    db: ref('Db'),
+    year,
+    month: { type: ['integer', 'null'], minimum: 1, maximum: 12, description: 'Mese (null per il budget annuale)' },
+    categoryId: ref('Uuid'),
+    subjectId: ref('NullableUuid'),
+    detailId: ref('NullableUuid'),
+    amount: { type: 'number', minimum: 0 },
+    note: { type: ['string', 'null'] },
+  }, ['db', 'year', 'categoryId', 'amount']),
+};
+
+export const edit = {
+  body: object({
+    db: ref('Db'),
+    id: ref('Uuid'),
+    amount: { type: 'number', minimum: 0 },
+    note: { type: ['string', 'null'] },
+  }, ['db', 'id']),
+};
+
+export const remove = {
+  body: object({ db: ref('Db'), id: ref('Uuid') }, ['db', 'id']),
+};
+
+export const report = {
+  body: object({
+    db: ref('Db'),
+    year,
+    owner: { type: ['string', 'null'], description: 'ID del conto oppure "all-accounts" (predefinito)' },
+  }, ['db', 'year']),
+};
@@ -0,0 +1,33 @@
+/**
+ * Schemi delle rotte /v1/category-exclusion
+ * @module routes/schemas/categoryExclusion
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+const year = { type: 'integer' };
+const month = { type: 'integer', minimum: 1, maximum: 12 };
+
+export const toggle = {
+  body: object({
+    db: ref('Db'),
+    transactionId: ref('Uuid'),
+    categoryId: ref('Uuid'),
+    excluded: { type: 'boolean' },
+  }, ['db', 'transactionId', 'categoryId']),
+};
+
+export const list = {
+  body: object({ db: ref('Db'), categoryId: ref('Uuid'), year, month }, ['db', 'categoryId', 'year', 'month']),
+};
+
+export const reset = {
+  body: object({
+    db: ref('Db'),
+    categoryId: ref('Uuid'),
+    subjectId: ref('Uuid'),
+    detailId: ref('NullableUuid'),
+    year,
+    month,
+  }, ['db', 'categoryId', 'subjectId', 'year', 'month']),
+};
@@ -0,0 +1,28 @@
+/**
+ * Schemi delle rotte /v1/classification-feedback
+ * @module routes/schemas/classification-feedback
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+
+export const findBestMatch = {
+  body: object({
+    db: ref('Db'),
+    description: { type: 'string', minLength: 1 },
+    amount: ref('NullableAmount'),
+  }, ['db', 'description']),
+};
+
+export const learningData = {
+  body: object({
+    db: ref('Db'),
+    description: nullableString,
+    limit: { type: 'integer', minimum: 1 },
+  }, ['db']),
+};
+
+export const stats = {
+  params: dbParams,
+};
@@ -0,0 +1,104 @@
+/**
+ * Schemi delle rotte /v1/databases
+ * @module routes/schemas/databases
+ */
+
+import { EXPORT_MODES } from '../../lib/tenantTransfer.js';
+import { ref, object, rows, responses, dbParams, idParams } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const settingsSections = {
+  type: 'object',
+  additionalProperties: true,
+  description: 'Impostazioni per sezione ({ sezione: { chiave: valore } }), vedi GET /v1/databases/settings/schema',
+};
+
+const databaseResponse = object({ success: { type: 'boolean' }, message: { type: 'string' }, database: ref('Row') });
+const settingsResponse = object({ success: { type: 'boolean' }, message: { type: 'string' }, settings: settingsSections });
+const transferResponse = object({
+  success: { type: 'boolean' },
+  message: { type: 'string' },
+  summary: { type: 'object', additionalProperties: true, description: 'Righe importate per tabella e file copiati' },
+});
+
+export const list = {
+  response: responses(object({
+    success: { type: 'boolean' },
+    databases: {
+      type: 'array',
+      items: object({ value: { type: 'string' }, label: { type: 'string' }, description: nullableString }),
+    },
+  })),
+};
+
+export const all = {
+  response: responses(object({ success: { type: 'boolean' }, databases: rows() })),
+};
+
+export const create = {
+  body: object({
+    db_key: ref('Db'),
+    db_name: { type: 'string', minLength: 1 },
+    description: nullableString,
+    require_2fa: { type: 'boolean' },
+  }, ['db_key', 'db_name']),
+  response: responses(databaseResponse),
+};
+
+export const update = {
+  params: idParams,
+  body: object({
+    db_key: ref('Db'),
+    db_name: { type: 'string', minLength: 1 },
+    description: nullableString,
+    is_active: { type: ['boolean', 'null'] },
+    require_2fa: { type: ['boolean', 'null'] },
+  }),
+  response: responses(databaseResponse),
+};
+
+export const settingsSchema = {
+  response: responses(object({
+    success: { type: 'boolean' },
+    schema: { type: 'object', additionalProperties: true, description: 'Tipo, vincoli e valore predefinito di ogni impostazione' },
+  })),
+};
+
+export const getSettings = {
+  params: dbParams,
+  response: responses(settingsResponse),
+};
+
+export const updateSettings = {
+  params: dbParams,
+  body: object({ settings: settingsSections }, ['settings']),
+  response: responses(settingsResponse),
+};
+
+export const exportDb = {
+  description: 'Archivio .ndjson.gz con dati e file del database',
+  params: dbParams,
+  querystring: object({ mode: { type: 'string', enum: EXPORT_MODES } }),
+};
+
+export const importDb = {
+  consumes: ['multipart/form-data'],
+  description: 'Campi db_key, db_name e description seguiti dal file dell\'archivio',
+  response: responses(transferResponse),
+};
+
+export const cloneDb = {
+  params: dbParams,
+  body: object({
+    db_key: ref('Db'),
+    db_name: nullableString,
+    description: nullableString,
+    mode: { type: 'string', enum: EXPORT_MODES },
+  }, ['db_key']),
+  response: responses(transferResponse),
+};
+
+export const remove = {
+  params: idParams,
+  response: responses(databaseResponse),
+};
@@ -0,0 +1,44 @@
+/**
+ * Schemi delle rotte /v1/file-manager e /v1/upload
+ * @module routes/schemas/fileManager
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+export const tree = {
+  params: dbParams,
+};
+
+export const uploadFile = {
+  consumes: ['multipart/form-data'],
+  params: dbParams,
+  querystring: object({
+    categoryId: ref('Uuid'),
+    subjectId: ref('NullableUuid'),
+    detailId: ref('NullableUuid'),
+  }, ['categoryId']),
+};
+
+export const deleteFile = {
+  params: dbParams,
+  querystring: object({ filePath: { type: 'string', minLength: 1 } }, ['filePath']),
+};
+
+export const fileInfo = {
+  params: dbParams,
+  querystring: object({ fileUrl: { type: 'string', minLength: 1 } }, ['fileUrl']),
+};
+
+export const linkTransaction = {
+  body: object({
+    db: ref('Db'),
+    fileUrl: { type: 'string', minLength: 1 },
+    transactionId: ref('Uuid'),
+  }, ['db', 'fileUrl', 'transactionId']),
+};
+
+export const tempUpload = {
+  consumes: ['multipart/form-data'],
+  description: 'Carica un file nella cartella temporanea e ne restituisce l\'URL',
+  querystring: object({ db: ref('Db') }),
+};
@@ -0,0 +1,27 @@
+/**
+ * Schemi delle rotte /v1/forecast
+ * @module routes/schemas/forecast
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+export const cashFlow = {
+  body: object({
+    db: ref('Db'),
+    ownerId: { type: ['string', 'null'], description: 'ID del conto oppure "all-accounts" (predefinito)' },
+    months: { type: 'integer', minimum: 1, maximum: 24 },
+    granularity: { type: 'string', enum: ['daily', 'weekly'] },
+    threshold: { type: 'number' },
+    includeRecurring: { type: 'boolean' },
+    hypothetical: {
+      type: 'array',
+      description: 'Movimenti ipotetici; senza ownerId vanno sul primo conto della previsione',
+      items: object({
+        ownerId: ref('NullableUuid'),
+        date: ref('Date'),
+        amount: ref('Amount'),
+        description: { type: ['string', 'null'] },
+      }, ['date', 'amount']),
+    },
+  }, ['db']),
+};
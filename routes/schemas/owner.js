@@ -0,0 +1,35 @@
+/**
+ * Schemi delle rotte /v1/owner (conti)
+ * @module routes/schemas/owner
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+
+const ownerFields = {
+  db: ref('Db'),
+  name: { type: 'string', minLength: 1 },
+  cc: nullableString,
+  iban: nullableString,
+  initialBalance: ref('NullableAmount'),
+  balanceDate: ref('NullableDate'),
+  isCreditCard: { type: ['boolean', 'null'] },
+  email: nullableString,
+};
+
+export const list = {
+  params: dbParams,
+};
+
+export const create = {
+  body: object(ownerFields, ['db', 'name']),
+};
+
+export const edit = {
+  body: object({ id: ref('Uuid'), ...ownerFields }, ['id']),
+};
+
+export const remove = {
+  body: object({ db: ref('Db'), id: ref('Uuid') }, ['id']),
+};
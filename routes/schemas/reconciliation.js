@@ -0,0 +1,62 @@
+/**
+ * Schemi delle rotte /v1/reconciliation
+ * @module routes/schemas/reconciliation
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+const dbOwner = object({ db: ref('Db'), owner: ref('Uuid') }, ['db', 'owner']);
+const batchId = { type: 'integer', description: 'ID del batch di importazione dell\'estratto carta' };
+
+export const runningBalance = {
+  body: object({
+    db: ref('Db'),
+    owner: ref('Uuid'),
+    startDate: ref('NullableDate'),
+    endDate: ref('NullableDate'),
+  }, ['db', 'owner']),
+};
+
+export const listStatementBalances = {
+  body: dbOwner,
+};
+
+export const createStatementBalance = {
+  body: object({
+    db: ref('Db'),
+    owner: ref('Uuid'),
+    periodType: { type: 'string', enum: ['month', 'batch'] },
+    month: { type: ['string', 'null'], pattern: '^(\\d{4}-\\d{2})?$', description: 'Mese YYYY-MM (periodType "month")' },
+    periodEnd: ref('NullableDate'),
+    declaredBalance: ref('Amount'),
+    importBatchId: { type: ['integer', 'null'] },
+    note: { type: ['string', 'null'] },
+  }, ['db', 'owner', 'declaredBalance']),
+};
+
+export const deleteStatementBalance = {
+  body: object({ db: ref('Db'), id: ref('Uuid') }, ['db', 'id']),
+};
+
+export const check = {
+  body: dbOwner,
+};
+
+export const creditCard = {
+  body: object({
+    db: ref('Db'),
+    owner: ref('NullableUuid'),
+    startDate: ref('NullableDate'),
+    endDate: ref('NullableDate'),
+    windowDays: { type: 'integer', minimum: 1 },
+    amountTolerance: { type: 'number', minimum: 0 },
+  }, ['db']),
+};
+
+export const linkCreditCard = {
+  body: object({ db: ref('Db'), batchId, transactionId: ref('Uuid') }, ['db', 'batchId', 'transactionId']),
+};
+
+export const unlinkCreditCard = {
+  body: object({ db: ref('Db'), batchId }, ['db', 'batchId']),
+};
@@ -0,0 +1,21 @@
+/**
+ * Schemi delle rotte /v1/recycle-bin
+ * @module routes/schemas/recycleBin
+ */
+
+import { RECYCLABLE_TYPES } from '../../lib/recycleBin.js';
+import { ref, object } from '../../lib/schemas.js';
+
+const type = { type: 'string', enum: Object.keys(RECYCLABLE_TYPES) };
+
+export const list = {
+  body: object({ db: ref('Db'), type: { ...type, type: ['string', 'null'], enum: [...type.enum, null] } }, ['db']),
+};
+
+export const restore = {
+  body: object({ db: ref('Db'), type, id: ref('Uuid') }, ['db', 'type', 'id']),
+};
+
+export const purge = {
+  body: object({ db: ref('Db') }, ['db']),
+};
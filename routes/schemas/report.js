@@ -0,0 +1,76 @@
+/**
+ * Schemi delle rotte /v1/report
+ * @module routes/schemas/report
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+const owner = { type: 'string', minLength: 1, description: 'ID del conto oppure "all-accounts"' };
+const year = { type: ['integer', 'string'], description: 'Anno oppure "all-years"' };
+const month = { type: 'integer', minimum: 1, maximum: 12 };
+const uuidList = { type: ['array', 'null'], items: ref('Uuid') };
+
+export const master = {
+  params: dbParams,
+};
+
+export const categoryDetails = {
+  querystring: object({
+    db: ref('Db'),
+    owner,
+    category: ref('Uuid'),
+    year,
+    month: { ...month, description: 'Ultimo mese incluso (predefinito 12)' },
+  }, ['db', 'owner', 'category', 'year']),
+};
+
+export const subjectDetails = {
+  body: object({
+    db: ref('Db'),
+    owner,
+    category: ref('Uuid'),
+    subject: ref('Uuid'),
+    details: ref('Uuid'),
+    year,
+  }, ['db', 'owner', 'category', 'subject', 'details', 'year']),
+};
+
+export const subjectChart = {
+  body: object({
+    db: ref('Db'),
+    owner,
+    category: ref('Uuid'),
+    subject: ref('Uuid'),
+    year,
+  }, ['db', 'owner', 'category', 'subject', 'year']),
+};
+
+export const monthBreakdown = {
+  body: object({
+    db: ref('Db'),
+    owner,
+    category: ref('Uuid'),
+    year: { type: 'integer' },
+    month,
+  }, ['db', 'owner', 'category', 'year', 'month']),
+};
+
+export const groupAggregation = {
+  body: object({
+    db: ref('Db'),
+    groupName: { type: 'string', minLength: 1 },
+    selectedCategories: uuidList,
+    selectedSubjects: uuidList,
+    selectedDetails: uuidList,
+    ownerId: { type: ['string', 'null'], description: 'ID del conto oppure "all-accounts"' },
+    year: { type: ['integer', 'string', 'null'] },
+    startYear: { type: ['integer', 'null'] },
+    startMonth: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+    endYear: { type: ['integer', 'null'] },
+    endMonth: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+  }, ['db', 'groupName']),
+};
+
+export const categoriesSubjects = {
+  params: dbParams,
+};
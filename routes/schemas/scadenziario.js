@@ -0,0 +1,161 @@
+/**
+ * Schemi delle rotte /v1/scadenziario
+ * @module routes/schemas/scadenziario
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+
+// Campi di una scadenza; in aggiornamento sono tutti facoltativi
+const scadenzaFields = {
+  subject: { type: 'string', minLength: 1 },
+  description: nullableString,
+  causale: nullableString,
+  date: ref('Date'),
+  amount: ref('NullableAmount'),
+  payment_date: ref('NullableDate'),
+  status: { type: 'string', minLength: 1 },
+  owner_id: ref('NullableUuid'),
+  type: nullableString,
+  alert_days: { type: ['integer', 'null'], minimum: 0 },
+  invoice_number: nullableString,
+  invoice_date: ref('NullableDate'),
+  company_name: nullableString,
+  vat_number: nullableString,
+  iban: nullableString,
+  bank_name: nullableString,
+  payment_terms: { description: 'Condizioni di pagamento (JSON libero)' },
+  attachment_url: nullableString,
+  group_id: ref('NullableUuid'),
+  vehicle_id: ref('NullableUuid'),
+  source_module: nullableString,
+};
+
+export const list = {
+  body: object({
+    db: ref('Db'),
+    filters: object({
+      subject: nullableString,
+      description: nullableString,
+      status: { type: ['array', 'null'], items: { type: 'string' } },
+      startDate: ref('NullableDate'),
+      endDate: ref('NullableDate'),
+      ownerId: { type: ['string', 'null'], description: 'ID del conto oppure "all-accounts"' },
+      type: nullableString,
+      vehicleId: ref('NullableUuid'),
+      sourceModule: nullableString,
+    }),
+  }, ['db']),
+};
+
+export const details = {
+  body: object({ db: ref('Db'), id: ref('Uuid') }, ['id']),
+};
+
+export const create = {
+  body: object({
+    db: ref('Db'),
+    scadenza: object(scadenzaFields, ['subject', 'date', 'status']),
+  }, ['db', 'scadenza']),
+};
+
+export const update = {
+  body: object({
+    db: ref('Db'),
+    id: ref('Uuid'),
+    scadenza: object({ ...scadenzaFields, date: ref('NullableDate'), payment_receipt_url: nullableString }),
+  }, ['id', 'scadenza']),
+};
+
+export const updatePayment = {
+  body: object({
+    db: ref('Db'),
+    id: ref('Uuid'),
+    payment_date: ref('NullableDate'),
+    status: nullableString,
+  }, ['id']),
+};
+
+export const remove = {
+  body: object({ db: ref('Db'), id: ref('Uuid') }, ['id']),
+};
+
+export const removeMultiple = {
+  body: object({ db: ref('Db'), ids: { type: 'array', items: ref('Uuid'), minItems: 1 } }, ['ids']),
+};
+
+export const updateStatus = {
+  body: object({ db: ref('Db') }),
+};
+
+export const groups = {
+  body: object({ db: ref('Db'), owner_id: ref('Uuid') }, ['owner_id']),
+};
+
+export const createGroup = {
+  body: object({
+    db: ref('Db'),
+    group: object({
+      name: { type: 'string', minLength: 1 },
+      type: nullableString,
+      total_amount: ref('NullableAmount'),
+      installments: { type: ['integer', 'null'], minimum: 1 },
+      frequency: nullableString,
+      start_date: ref('NullableDate'),
+      owner_id: ref('NullableUuid'),
+      alert_days: { type: ['integer', 'null'], minimum: 0 },
+    }, ['name']),
+    installments: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        subject: { type: 'string', minLength: 1 },
+        description: nullableString,
+        date: ref('Date'),
+        amount: ref('Amount'),
+        status: nullableString,
+      }, ['subject', 'date', 'amount']),
+    },
+  }, ['db', 'group', 'installments']),
+};
+
+export const removeGroup = {
+  body: object({ db: ref('Db'), group_id: ref('Uuid') }, ['group_id']),
+};
+
+export const children = {
+  body: object({ db: ref('Db'), parent_id: ref('Uuid') }, ['parent_id']),
+};
+
+export const createTranche = {
+  body: object({
+    db: ref('Db'),
+    tranche: object({
+      parent_id: ref('Uuid'),
+      subject: nullableString,
+      description: nullableString,
+      date: ref('Date'),
+      amount: ref('Amount'),
+      status: nullableString,
+      owner_id: ref('NullableUuid'),
+      type: nullableString,
+    }, ['parent_id', 'date', 'amount']),
+  }, ['tranche']),
+};
+
+export const ocrExtract = {
+  consumes: ['multipart/form-data'],
+  description: 'Fattura PDF o immagine: restituisce i campi estratti',
+};
+
+export const uploadAttachment = {
+  consumes: ['multipart/form-data'],
+  querystring: object({ owner_id: ref('NullableUuid') }),
+};
+
+export const attachment = {
+  description: 'Contenuto del file allegato',
+  params: object({ '*': { type: 'string', minLength: 1 } }, ['*']),
+  querystring: object({ db: ref('Db') }, ['db']),
+};
@@ -0,0 +1,16 @@
+/**
+ * Schemi della rotta /v1/transaction/smart-classify
+ * @module routes/schemas/smart-classifier
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+
+export const smartClassify = {
+  body: object({
+    db: ref('Db'),
+    transaction: object({
+      description: { type: 'string' },
+      amount: ref('NullableAmount'),
+    }, ['description']),
+  }, ['db', 'transaction']),
+};
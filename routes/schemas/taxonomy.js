@@ -0,0 +1,69 @@
+/**
+ * Schemi delle rotte di categorie, soggetti e dettagli
+ *
+ * I tre router hanno la stessa forma (elenco, creazione, modifica, eliminazione
+ * nel cestino, anteprima ed esecuzione dell'unione); cambiano il riferimento al
+ * livello superiore e il nome del campo restituito in creazione.
+ *
+ * @module routes/schemas/taxonomy
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+const mergeBody = object({ db: ref('Db'), sourceId: ref('Uuid'), targetId: ref('Uuid') }, ['db', 'sourceId', 'targetId']);
+
+function taxonomySchemas(createdField, parentField) {
+  return {
+    create: {
+      body: object({
+        db: ref('Db'),
+        name: { type: 'string', minLength: 1 },
+        ...(parentField && { [parentField]: ref('Uuid') }),
+      }, parentField ? ['db', 'name', parentField] : ['db', 'name']),
+    },
+    edit: {
+      body: object({ db: ref('Db'), id: ref('Uuid'), name: { type: 'string', minLength: 1 } }, ['db', 'id', 'name']),
+    },
+    remove: {
+      body: object({ db: ref('Db'), id: ref('Uuid') }, ['db', 'id']),
+    },
+    mergePreview: {
+      body: mergeBody,
+    },
+    merge: {
+      body: mergeBody,
+    },
+  };
+}
+
+export const category = {
+  ...taxonomySchemas('categories'),
+  testUsers: {
+    hide: true,
+  },
+  list: {
+    params: dbParams,
+  },
+  details: {
+    hide: true,
+    params: object({ id: ref('Uuid') }, ['id']),
+    querystring: object({ db: ref('Db') }, ['db']),
+  },
+};
+
+export const subject = {
+  ...taxonomySchemas('subject', 'categoryId'),
+  list: {
+    params: dbParams,
+  },
+  byCategory: {
+    body: object({ db: ref('Db'), categoryId: ref('Uuid') }, ['db', 'categoryId']),
+  },
+};
+
+export const detail = {
+  ...taxonomySchemas('detail', 'subjectId'),
+  bySubject: {
+    body: object({ db: ref('Db'), subjectId: ref('Uuid') }, ['db', 'subjectId']),
+  },
+};
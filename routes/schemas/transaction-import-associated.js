@@ -0,0 +1,9 @@
+/**
+ * Schemi della rotta /v1/transaction/import/associated
+ * @module routes/schemas/transaction-import-associated
+ */
+
+export const importAssociated = {
+  consumes: ['multipart/form-data'],
+  description: 'File Excel dei movimenti e campo metadata JSON con db, id della transazione principale e commissions',
+};
@@ -0,0 +1,185 @@
+/**
+ * Schemi delle rotte /v1/transaction
+ * @module routes/schemas/transaction
+ */
+
+import { ref, object, dbParams } from '../../lib/schemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const uuidList = { type: 'array', items: ref('Uuid') };
+
+const documents = {
+  type: ['array', 'null'],
+  items: object({ url: { type: 'string' }, isNew: { type: 'boolean' } }, ['url']),
+  description: 'Documenti allegati; isNew per i file appena caricati nella cartella temporanea',
+};
+
+// Campi di una transazione inviati da creazione, modifica e scorporo
+const transactionFields = {
+  db: ref('Db'),
+  date: ref('Date'),
+  amount: ref('Amount'),
+  owner: ref('Uuid'),
+  category: ref('Uuid'),
+  subject: ref('Uuid'),
+  details: ref('NullableUuid'),
+  description: nullableString,
+  note: nullableString,
+  paymentType: nullableString,
+  status: nullableString,
+  documents,
+};
+
+export const list = {
+  params: dbParams,
+};
+
+export const edit = {
+  body: object({
+    id: ref('Uuid'),
+    ...transactionFields,
+    excludedFromStats: { type: ['boolean', 'null'] },
+  }, ['db', 'id', 'date', 'amount', 'owner', 'category', 'subject']),
+};
+
+export const editMulti = {
+  body: object({
+    db: ref('Db'),
+    transactions: { ...uuidList, minItems: 1 },
+    category: ref('NullableUuid'),
+    subject: ref('NullableUuid'),
+    details: ref('NullableUuid'),
+    status: nullableString,
+    paymentType: nullableString,
+    excludedFromStats: { type: ['boolean', 'null'] },
+  }, ['db', 'transactions']),
+};
+
+export const remove = {
+  body: object({ db: ref('Db'), ids: { ...uuidList, minItems: 1 } }, ['db', 'ids']),
+};
+
+export const monthTransactions = {
+  body: object({
+    db: ref('Db'),
+    owner: { type: 'string', description: 'ID del conto oppure "all-accounts"' },
+    category: ref('Uuid'),
+    subject: ref('Uuid'),
+    detail: ref('NullableUuid'),
+    year: { type: 'integer' },
+    month: { type: 'integer', minimum: 1, maximum: 12 },
+  }, ['db', 'owner', 'category', 'subject', 'year', 'month']),
+};
+
+export const filteredList = {
+  body: object({
+    db: ref('Db'),
+    owner: { type: 'string', description: 'ID del conto oppure "all-accounts"' },
+    category: ref('Uuid'),
+    subject: ref('Uuid'),
+    details: ref('NullableUuid'),
+    year: { type: ['integer', 'string', 'null'], description: 'Anno oppure "all-years"' },
+    month: { type: ['integer', 'null'], minimum: 1, maximum: 12 },
+    exactMonth: { type: ['boolean', 'null'] },
+  }, ['db', 'owner', 'category', 'subject']),
+};
+
+export const split = {
+  body: object({ id: ref('Uuid'), ...transactionFields }, ['db', 'id', 'date', 'amount', 'owner', 'category', 'subject']),
+};
+
+export const create = {
+  body: object(transactionFields, ['db', 'date', 'amount', 'owner', 'category', 'subject']),
+};
+
+export const importPreview = {
+  consumes: ['multipart/form-data'],
+  description: 'File (Excel, CAMT.053, MT940, CBI) e campo metadata JSON con db, owner e mapping facoltativo',
+};
+
+export const importFile = {
+  consumes: ['multipart/form-data'],
+  description: 'File e campo metadata JSON con db, owner, category, subject, details, duplicateMode, skipRows, forceRows, mapping, saveMapping',
+};
+
+export const getMappingProfile = {
+  params: object({ db: ref('Db'), ownerId: ref('Uuid') }, ['db', 'ownerId']),
+};
+
+export const saveMappingProfile = {
+  body: object({
+    db: ref('Db'),
+    owner: ref('Uuid'),
+    mapping: { type: 'object', additionalProperties: true },
+  }, ['db', 'owner', 'mapping']),
+};
+
+export const deleteMappingProfile = {
+  body: object({ db: ref('Db'), owner: ref('Uuid') }, ['db', 'owner']),
+};
+
+export const importHistory = {
+  body: object({
+    db: ref('Db'),
+    limit: { type: 'integer', minimum: 1, maximum: 500 },
+    offset: { type: 'integer', minimum: 0 },
+  }, ['db']),
+};
+
+export const importHistoryDetails = {
+  body: object({ db: ref('Db'), importId: { type: 'integer' } }, ['db', 'importId']),
+};
+
+export const undoImport = {
+  body: object({
+    db: ref('Db'),
+    importId: { type: ['integer', 'null'] },
+    transactionIds: uuidList,
+  }, ['db']),
+};
+
+export const toggleStatsExclusion = {
+  body: object({ db: ref('Db'), id: ref('Uuid'), excludedFromStats: { type: 'boolean' } }, ['db', 'id', 'excludedFromStats']),
+};
+
+export const auditHistory = {
+  body: object({
+    db: ref('Db'),
+    transactionId: ref('NullableUuid'),
+    userId: ref('NullableUuid'),
+    bulkId: ref('NullableUuid'),
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 },
+  }, ['db']),
+};
+
+export const auditRevert = {
+  body: object({ db: ref('Db'), auditId: ref('NullableUuid'), bulkId: ref('NullableUuid') }, ['db']),
+};
+
+export const classificationFeedback = {
+  body: object({
+    db: ref('Db'),
+    transactionId: ref('NullableUuid'),
+    originalDescription: nullableString,
+    amount: ref('NullableAmount'),
+    transactionDate: ref('NullableDate'),
+    suggestedCategoryId: ref('NullableUuid'),
+    suggestedSubjectId: ref('NullableUuid'),
+    suggestedDetailId: ref('NullableUuid'),
+    suggestionConfidence: { type: ['number', 'null'] },
+    suggestionMethod: nullableString,
+    correctedCategoryId: ref('NullableUuid'),
+    correctedSubjectId: ref('NullableUuid'),
+    correctedDetailId: ref('NullableUuid'),
+  }, ['db']),
+};
+
+export const searchSimilar = {
+  body: object({
+    db: ref('Db'),
+    description: { type: 'string', minLength: 1 },
+    transactionId: ref('NullableUuid'),
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+  }, ['db', 'description']),
+};
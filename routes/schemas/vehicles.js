@@ -0,0 +1,322 @@
+/**
+ * Schemi delle rotte /v1/vehicles
+ * @module routes/schemas/vehicles
+ */
+
+import { ref, object } from '../../lib/schemas.js';
+import { EURO_CLASSES } from '../../lib/bollo-tariffs.js';
+import { FINE_STATUSES } from '../../lib/vehicleFines.js';
+
+export const VEHICLE_STATUSES = ['attivo', 'fermo', 'in_manutenzione', 'venduto', 'radiato'];
+
+const nullableString = { type: ['string', 'null'] };
+const nullableInteger = { type: ['integer', 'null'], minimum: 0 };
+const nullableNumber = { type: ['number', 'null'], minimum: 0 };
+
+const success = object({ success: { type: 'boolean' } });
+
+const byId = object({ id: ref('Uuid') }, ['id']);
+const byVehicleId = object({ vehicle_id: ref('Uuid') }, ['vehicle_id']);
+const byVehicleIdCamel = object({ vehicleId: ref('Uuid') }, ['vehicleId']);
+
+// Sotto-risorsa di un veicolo: corpo { [name]: campi } in creazione, { id, [name]: campi } in modifica
+function subresource(name, fields, required) {
+  return {
+    create: object({ [name]: object({ vehicle_id: ref('Uuid'), ...fields }, ['vehicle_id', ...required]) }, [name]),
+    update: object({ id: ref('Uuid'), [name]: object(fields) }, ['id', name]),
+  };
+}
+
+const vehicleFields = {
+  plate: { type: 'string', minLength: 1 },
+  vin: nullableString,
+  make: nullableString,
+  model: nullableString,
+  registration_date: ref('NullableDate'),
+  vehicle_usage: nullableString,
+  fuel_type: nullableString,
+  euro_class: { type: ['string', 'null'], enum: [...EURO_CLASSES, null] },
+  kw: nullableNumber,
+  engine_cc: nullableInteger,
+  seats: nullableInteger,
+  status: { type: 'string', enum: VEHICLE_STATUSES },
+  owner_id: ref('NullableUuid'),
+  owner_type: nullableString,
+  owner_name: nullableString,
+  availability_type: nullableString,
+  assignee_type: nullableString,
+  assignee_name: nullableString,
+  assignment_notes: nullableString,
+  purchase_date: ref('NullableDate'),
+  purchase_vendor: nullableString,
+  purchase_amount: ref('NullableAmount'),
+  purchase_notes: nullableString,
+  disposal_date: ref('NullableDate'),
+  disposal_buyer: nullableString,
+  disposal_amount: ref('NullableAmount'),
+  disposal_reason: nullableString,
+  disposal_notes: nullableString,
+  notes: nullableString,
+  telepass_serial: nullableString,
+  telepass_notes: nullableString,
+};
+
+// ─── Veicoli ────────────────────────────────────────────────────────────────
+
+export const list = {
+  body: object({
+    filters: object({
+      search: nullableString,
+      status: nullableString,
+      ownerType: nullableString,
+      availabilityType: nullableString,
+      assigneeName: nullableString,
+    }),
+  }),
+};
+
+export const details = { body: byId };
+
+export const create = {
+  body: object({ vehicle: object(vehicleFields, ['plate']) }, ['vehicle']),
+};
+
+export const update = {
+  body: object({ id: ref('Uuid'), vehicle: object(vehicleFields) }, ['id', 'vehicle']),
+};
+
+export const remove = { body: byId };
+
+// ─── Documenti ──────────────────────────────────────────────────────────────
+
+export const documentsList = { body: byVehicleId };
+
+export const documentsCreate = {
+  body: object({
+    document: object({
+      vehicle_id: ref('Uuid'),
+      document_type: { type: 'string', minLength: 1 },
+      title: { type: 'string', minLength: 1 },
+      file_path: { type: 'string', minLength: 1 },
+      document_date: ref('NullableDate'),
+      expiry_date: ref('NullableDate'),
+      related_entity_type: nullableString,
+      related_entity_id: ref('NullableUuid'),
+      notes: nullableString,
+    }, ['vehicle_id', 'document_type', 'title', 'file_path']),
+  }, ['document']),
+};
+
+export const documentsDelete = { body: byId };
+
+export const documentsUpload = {
+  consumes: ['multipart/form-data'],
+  querystring: object({ vehicle_id: ref('NullableUuid'), category: nullableString }),
+};
+
+export const documentsFile = {
+  description: 'Contenuto del documento; db è quello del conto del veicolo (assente per i veicoli senza conto)',
+  params: object({ '*': { type: 'string', minLength: 1 } }, ['*']),
+  querystring: object({ db: ref('Db') }),
+};
+
+// ─── Manutenzioni, pneumatici, sinistri ─────────────────────────────────────
+
+const maintenance = subresource('maintenance', {
+  maintenance_type: { type: 'string', minLength: 1 },
+  title: { type: 'string', minLength: 1 },
+  maintenance_date: ref('Date'),
+  mileage: nullableInteger,
+  vendor: nullableString,
+  amount: ref('NullableAmount'),
+  next_due_date: ref('NullableDate'),
+  next_due_mileage: nullableInteger,
+  notes: nullableString,
+}, ['maintenance_type', 'title', 'maintenance_date']);
+
+export const maintenanceList = { body: byVehicleId };
+
+export const maintenanceCreate = { body: maintenance.create };
+export const maintenanceUpdate = { body: maintenance.update };
+export const maintenanceDelete = { body: byId };
+
+// ─── Letture del contachilometri ────────────────────────────────────────────
+
+const reading = subresource('reading', {
+  reading_date: ref('Date'),
+  mileage: { type: 'integer', minimum: 0 },
+  notes: nullableString,
+}, ['reading_date', 'mileage']);
+
+export const odometerList = {
+  body: byVehicleIdCamel,
+};
+export const odometerCreate = { body: reading.create };
+export const odometerUpdate = { body: reading.update };
+export const odometerDelete = { body: byId };
+
+export const mileageSchedule = {
+  body: byVehicleIdCamel,
+};
+
+const tire = subresource('tire', {
+  tire_type: { type: 'string', minLength: 1 },
+  brand: nullableString,
+  model: nullableString,
+  size: nullableString,
+  install_date: ref('NullableDate'),
+  mileage_at_install: nullableInteger,
+  storage_location: nullableString,
+  condition: nullableString,
+  notes: nullableString,
+}, ['tire_type']);
+
+export const tiresList = { body: byVehicleId };
+export const tiresCreate = { body: tire.create };
+export const tiresUpdate = { body: tire.update };
+export const tiresDelete = { body: byId };
+
+const incident = subresource('incident', {
+  incident_type: { type: 'string', minLength: 1 },
+  title: { type: 'string', minLength: 1 },
+  incident_date: ref('Date'),
+  description: nullableString,
+  damage_amount: ref('NullableAmount'),
+  insurance_claim_number: nullableString,
+  status: nullableString,
+  notes: nullableString,
+}, ['incident_type', 'title', 'incident_date']);
+
+export const incidentsList = { body: byVehicleId };
+export const incidentsCreate = { body: incident.create };
+export const incidentsUpdate = { body: incident.update };
+export const incidentsDelete = { body: byId };
+
+export const timeline = {
+  body: byVehicleId,
+};
+
+// ─── Polizze, bollo, ZTL, multe ─────────────────────────────────────────────
+
+const policy = subresource('policy', {
+  policy_number: { type: 'string', minLength: 1 },
+  insurer: { type: 'string', minLength: 1 },
+  policy_types: { type: ['array', 'null'], items: { type: 'string' } },
+  broker: nullableString,
+  start_date: ref('Date'),
+  end_date: ref('Date'),
+  premium_amount: ref('NullableAmount'),
+  status: nullableString,
+  notes: nullableString,
+}, ['policy_number', 'insurer', 'start_date', 'end_date']);
+
+export const policiesList = { body: byVehicleIdCamel };
+export const policiesCreate = { body: policy.create };
+export const policiesUpdate = { body: policy.update };
+export const policiesDelete = { body: byId };
+
+const tax = subresource('tax', {
+  year: { type: 'integer', minimum: 1900, maximum: 2100 },
+  region: nullableString,
+  kw_at_payment: nullableNumber,
+  bollo_amount: ref('NullableAmount'),
+  superbollo_amount: ref('NullableAmount'),
+  due_date: ref('NullableDate'),
+  paid_date: ref('NullableDate'),
+  payment_method: nullableString,
+  status: nullableString,
+  notes: nullableString,
+}, ['year']);
+
+export const taxesList = { body: byVehicleIdCamel };
+
+export const taxesCalculate = {
+  body: object({
+    vehicleId: ref('Uuid'),
+    kw: { type: 'number', minimum: 0 },
+    region: nullableString,
+    euroClass: nullableString,
+    fuelType: nullableString,
+    registrationDate: ref('NullableDate'),
+    year: { type: 'integer', minimum: 1900, maximum: 2100 },
+  }),
+};
+
+export const taxesCreate = { body: tax.create };
+export const taxesUpdate = { body: tax.update };
+export const taxesDelete = { body: byId };
+
+const ztl = subresource('ztl', {
+  city: nullableString,
+  authorization_number: nullableString,
+  permit_type: nullableString,
+  valid_until: ref('NullableDate'),
+  notes: nullableString,
+}, []);
+
+export const ztlList = { body: byVehicleIdCamel };
+export const ztlCreate = { body: ztl.create };
+export const ztlUpdate = { body: ztl.update };
+export const ztlDelete = { body: byId };
+
+// Con notification_date importo ridotto, scadenze e termini sono calcolati e
+// sostituiscono quelli inviati; senza driver_name il conducente è cercato nello storico assegnazioni
+const fine = subresource('fine', {
+  fine_date: ref('Date'),
+  notification_date: ref('NullableDate'),
+  violation_number: nullableString,
+  issuing_authority: nullableString,
+  violation_type: nullableString,
+  amount: ref('NullableAmount'),
+  discount_excluded: { type: 'boolean' },
+  discount_amount: ref('NullableAmount'),
+  due_date: ref('NullableDate'),
+  paid_date: ref('NullableDate'),
+  payment_method: nullableString,
+  // 'pagato' accettato per le righe precedenti agli stati automatici
+  status: { type: ['string', 'null'], enum: [...FINE_STATUSES, 'pagato', null] },
+  appeal_notes: nullableString,
+  license_points: nullableInteger,
+  driver_name: nullableString,
+  driver_type: nullableString,
+  driver_communication_date: ref('NullableDate'),
+  notes: nullableString,
+}, ['fine_date']);
+
+export const finesList = { body: byVehicleIdCamel };
+export const finesCreate = {
+  body: fine.create,
+};
+export const finesUpdate = {
+  body: fine.update,
+};
+export const finesDelete = { body: byId };
+export const finesDriverCommunication = {
+  body: object({ id: ref('Uuid'), driverName: { type: 'string', minLength: 1 } }, ['id']),
+};
+
+// ─── Scadenze nello scadenziario ────────────────────────────────────────────
+
+export const deadlinesSync = {
+  body: byVehicleIdCamel,
+};
+
+// ─── Costo totale di possesso ───────────────────────────────────────────────
+
+const tcoYear = { type: 'integer', minimum: 1900, maximum: 2100 };
+const tcoRange = {
+  fromYear: { ...tcoYear, description: 'Primo anno (predefinito: quattro anni prima di toYear)' },
+  toYear: { ...tcoYear, description: 'Ultimo anno (predefinito: anno corrente)' },
+};
+
+export const tco = {
+  body: object({ vehicleId: ref('Uuid'), ...tcoRange }, ['vehicleId']),
+};
+
+export const tcoFleet = {
+  body: object({
+    vehicleIds: { type: 'array', items: ref('Uuid'), description: 'Veicoli da confrontare (predefinito: tutti)' },
+    status: { type: 'string', enum: VEHICLE_STATUSES },
+    ...tcoRange,
+  }),
+};
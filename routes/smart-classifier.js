@@ -3,6 +3,8 @@
  * Analizza pattern testuali, importi e altre euristiche per classificazioni intelligenti
  */
 
+import * as schemas from './schemas/smart-classifier.js';
+
 const smartRules = [
   // COMMISSIONI BANCARIE - Solo vere commissioni (importi piccoli)
   {
@@ -220,7 +222,7 @@ function analyzeTransaction(transaction, db) {
  */
 export default async function smartClassifyRoute(fastify, options) {
   // POST /v1/transaction/smart-classify
-  fastify.post('/smart-classify', async (request, reply) => {
+  fastify.post('/smart-classify', { schema: schemas.smartClassify }, async (request, reply) => {
     try {
       const { transaction, db } = request.body;
       
@@ -236,12 +238,12 @@ export default async function smartClassifyRoute(fastify, options) {
       if (result) {
         // Cerca gli ID reali delle categorie/soggetti dal database
         const categoryQuery = await fastify.pg.query(
-          'SELECT id FROM categories WHERE LOWER(name) = LOWER($1) AND db = $2',
+          'SELECT id FROM categories WHERE LOWER(name) = LOWER($1) AND db = $2 AND deleted_at IS NULL',
           [result.category_name, db]
         );
         
         const subjectQuery = await fastify.pg.query(
-          'SELECT id FROM subjects WHERE LOWER(name) = LOWER($1) AND category_id = $2',
+          'SELECT id FROM subjects WHERE LOWER(name) = LOWER($1) AND category_id = $2 AND deleted_at IS NULL',
           [result.subject_name, categoryQuery.rows[0]?.id]
         );
         
@@ -1,15 +1,18 @@
 import { checkUserLogin } from '../lib/utils.js';
+import { softDeleteClassification } from '../lib/recycleBin.js';
+import { loadMergePair, previewMerge, mergeClassification } from '../lib/classificationMerge.js';
+import { subject as schemas } from './schemas/taxonomy.js';
 
 const subject = async (fastify) => {
-  fastify.get('/:db', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/:db', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
     const db = request.params.db;
 
     try {
       const subjectsQuery = `
         SELECT s.id AS id, s.name AS name, COUNT(d.id) AS details
         FROM subjects s
-        LEFT JOIN details d ON s.id = d.subject_id
-        WHERE s.db = $1
+        LEFT JOIN details d ON s.id = d.subject_id AND d.deleted_at IS NULL
+        WHERE s.db = $1 AND s.deleted_at IS NULL
         GROUP BY s.id, s.name
         ORDER BY s.name;
       `;
@@ -22,15 +25,15 @@ const subject = async (fastify) => {
     }
   });
 
-  fastify.post('/', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/', { preHandler: fastify.authenticate, schema: schemas.byCategory }, async (request, reply) => {
     const { db, categoryId } = request.body;
 
     try {
       const subjectsQuery = `
         SELECT s.id AS id, s.name AS name, COUNT(d.id) AS details
         FROM subjects s
-        LEFT JOIN details d ON s.id = d.subject_id
-        WHERE s.db = $1 AND s.category_id = $2
+        LEFT JOIN details d ON s.id = d.subject_id AND d.deleted_at IS NULL
+        WHERE s.db = $1 AND s.category_id = $2 AND s.deleted_at IS NULL
         GROUP BY s.id, s.name
         ORDER BY s.name;
       `;
@@ -43,7 +46,7 @@ const subject = async (fastify) => {
     }
   });
 
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     try {
       const { db, name, categoryId } = request.body;
 
@@ -63,7 +66,7 @@ const subject = async (fastify) => {
     }
   });
 
-  fastify.post('/edit', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/edit', { preHandler: fastify.authenticate, schema: schemas.edit }, async (request, reply) => {
     try {
       const { id, db, name } = request.body;
 
@@ -82,24 +85,70 @@ const subject = async (fastify) => {
     }
   });
 
-  fastify.post('/delete', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
       const { id, db } = request.body;
 
-      const query = 'DELETE FROM subjects WHERE id = $1 AND db = $2';
-      const values = [id, db];
-
+      // Eliminazione logica: soggetto e dettagli finiscono nel cestino
+      const client = await fastify.pg.connect();
       try {
-        await fastify.pg.query(query, values);
-        reply.send({ message: "Soggetto eliminato con successo", status: 200 });
+        await client.query('BEGIN');
+        const result = await softDeleteClassification(client, { db, type: 'subject', id, userId: request.user?.id });
+        await client.query('COMMIT');
+        reply.send({ message: "Soggetto spostato nel cestino", deleted: result, status: 200 });
       } catch (error) {
-        return reply.code(400).send({ message: error.message, status: 400 });
+        await client.query('ROLLBACK');
+        return reply.code(error.statusCode || 400).send({ message: error.message, status: error.statusCode || 400 });
+      } finally {
+        client.release();
       }
     } catch (error) {
       console.error("Error deleting subject", error);
       reply.status(500).send({ message: 'Errore durante l\'eliminazione del soggetto', status: 500 });
     }
   })
+
+  // Anteprima dell'unione di due elementi: conteggio dei riferimenti che verranno spostati
+  fastify.post('/merge/preview', { preHandler: fastify.authenticate, schema: schemas.mergePreview }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const pair = await loadMergePair(fastify.pg, { db, type: 'subject', sourceId, targetId });
+      if (pair.error) {
+        return reply.code(pair.status).send({ message: pair.error, status: pair.status });
+      }
+
+      const preview = await previewMerge(fastify.pg, { db, type: 'subject', ...pair });
+      reply.send({ source: pair.source, target: pair.target, ...preview, status: 200 });
+    } catch (error) {
+      console.error("Error previewing subject merge", error);
+      reply.status(500).send({ message: 'Errore durante l\'anteprima dell\'unione', status: 500 });
+    }
+  });
+
+  // Unisce il soggetto sorgente nella destinazione spostando tutti i riferimenti
+  fastify.post('/merge', { preHandler: fastify.authenticate, schema: schemas.merge }, async (request, reply) => {
+    try {
+      const { db, sourceId, targetId } = request.body;
+
+      const result = await mergeClassification(fastify.pg, {
+        db,
+        type: 'subject',
+        sourceId,
+        targetId,
+        userId: request.user?.id,
+        route: 'POST /v1/subject/merge',
+      });
+      if (result.error) {
+        return reply.code(result.status).send({ message: result.error, status: result.status });
+      }
+
+      reply.send({ message: "Soggetti uniti con successo", ...result, status: 200 });
+    } catch (error) {
+      console.error("Error merging subject", error);
+      reply.status(500).send({ message: 'Errore durante l\'unione', status: 500 });
+    }
+  });
 }
 
 export default subject;
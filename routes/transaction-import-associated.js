@@ -2,6 +2,8 @@
 
 import * as Minio from 'minio';
 import { ConvertExcelToJson, detectPaymentMethod, parseDate } from '../lib/utils.js';
+import { checkDbAccess } from '../lib/auth.js';
+import * as schemas from './schemas/transaction-import-associated.js';
 
 const transactionImportAssociated = async (fastify) => {
   // Funzione ausiliaria per assicurarsi che il bucket esista
@@ -19,7 +21,7 @@ const transactionImportAssociated = async (fastify) => {
   }
 
   // Endpoint per importare un file Excel e associare i movimenti ad una transazione esistente
-  fastify.post('/import/associated', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/import/associated', { preHandler: fastify.authenticate, schema: schemas.importAssociated }, async (request, reply) => {
     try {
       console.log('📂 Inizio importazione associativa...');
       
@@ -44,8 +46,14 @@ const transactionImportAssociated = async (fastify) => {
       const { db, id, commissions } = JSON.parse(metadataString);
       console.log('📊 Metadata ricevuti:', { db, id, commissions });
 
+      // Multipart: il db è noto solo dopo aver letto i metadata
+      const denied = await checkDbAccess(request, db, 'import');
+      if (denied) {
+        return reply.status(denied.status).send({ message: denied.error, status: denied.status, mfaRequired: denied.mfaRequired });
+      }
+
       // Verifica che la transazione principale esista
-      const checkQuery = 'SELECT * FROM transactions WHERE id = $1 AND db = $2';
+      const checkQuery = 'SELECT * FROM transactions WHERE id = $1 AND db = $2 AND deleted_at IS NULL';
       const checkValues = [id, db];
       const checkResult = await fastify.pg.query(checkQuery, checkValues);
       
@@ -74,8 +82,8 @@ const transactionImportAssociated = async (fastify) => {
         
         // 1. Crea un record nella tabella import_batches
         const createBatchQuery = `
-          INSERT INTO import_batches (db, owner_id, category_id, subject_id, detail_id, filename, file_size, parent_transaction_id)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8::uuid)
+          INSERT INTO import_batches (db, owner_id, category_id, subject_id, detail_id, filename, file_size, parent_transaction_id, parent_amount)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8::uuid, $9)
           RETURNING id
         `;
         
@@ -87,7 +95,9 @@ const transactionImportAssociated = async (fastify) => {
           parentTransaction.detailid || null, 
           file.filename, 
           file.file.bytesRead,
-          parentTransaction.id
+          parentTransaction.id,
+          // Importo originale, conservato per la riconciliazione dato che la principale viene azzerata
+          parentTransaction.amount
         ];
         
         const batchResult = await client.query(createBatchQuery, batchValues);
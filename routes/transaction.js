@@ -1,13 +1,20 @@
 import * as Minio from 'minio';
-import { ConvertExcelToJson, detectPaymentMethod, parseDate } from '../lib/utils.js';
+import { parseExcelStatement, detectPaymentMethod, parseDate } from '../lib/utils.js';
+import { detectStatementFormat, parseBankStatement, STATEMENT_FORMATS } from '../lib/bankStatementParsers.js';
+import { classifyImportRows, summarizeClassification } from '../lib/importDeduplication.js';
+import { getMappingProfile, saveMappingProfile, deleteMappingProfile, validateMapping } from '../lib/importMappingProfiles.js';
 import { cache } from '../lib/cache.js';
+import { snapshotTransactions, recordTransactionChanges, revertAuditEntries, newBulkId } from '../lib/transactionAudit.js';
+import { softDeleteTransactions } from '../lib/recycleBin.js';
+import { checkDbAccess } from '../lib/auth.js';
+import * as schemas from './schemas/transaction.js';
 
 const transaction = async (fastify) => {
   async function ensureBucketExists(minioClient, bucketName) {
     // ...existing code...
   }
 
-  fastify.get('/:db', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.get('/:db', { preHandler: fastify.authenticate, schema: schemas.list }, async (request, reply) => {
     const { db } = request.params;
 
     const query = `
@@ -35,7 +42,7 @@ const transaction = async (fastify) => {
       LEFT JOIN details d ON t.detailId = d.id
       JOIN owners o ON t.ownerId = o.id
       LEFT JOIN documents doc ON doc.transaction_id = t.id
-      WHERE t.db = $1
+      WHERE t.db = $1 AND t.deleted_at IS NULL
       GROUP BY
         t.id,
         t.date,
@@ -67,7 +74,7 @@ const transaction = async (fastify) => {
     }
   });
 
-  fastify.post('/edit', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/edit', { preHandler: fastify.authenticate, schema: schemas.edit }, async (request, reply) => {
     try {
       const {
         id,
@@ -100,7 +107,7 @@ const transaction = async (fastify) => {
       LEFT JOIN details d ON t.detailid = d.id
       JOIN owners o ON t.ownerid = o.id
       LEFT JOIN documents doc ON doc.transaction_id = t.id
-      WHERE t.db = $1 AND t.id = $2
+      WHERE t.db = $1 AND t.id = $2 AND t.deleted_at IS NULL
       GROUP BY 
         t.id,
         c.name,
@@ -113,6 +120,10 @@ const transaction = async (fastify) => {
       const { rows } = await fastify.pg.query(query, values);
 
       const transaction = rows[0];
+      // Le transazioni nel cestino non si modificano
+      if (!transaction) {
+        return reply.code(404).send({ message: 'Transazione non trovata', status: 404 });
+      }
 
       const bucketName = db;
       const bucketTemp = 'file-manager';
@@ -185,7 +196,11 @@ const transaction = async (fastify) => {
         }
       }
 
+      // Documenti, modifica e voce di audit in un'unica transazione
+      const client = await fastify.pg.connect();
       try {
+        await client.query('BEGIN');
+
         if (documentsList.length > 0) {
           // Inserimento dei documenti associati
           // Supponendo che documents sia un array di url
@@ -195,7 +210,7 @@ const transaction = async (fastify) => {
             VALUES ($1, $2, $3);
           `;
             const documentValues = [id, doc, db];
-            await fastify.pg.query(insertDocumentQuery, documentValues);
+            await client.query(insertDocumentQuery, documentValues);
           }
         }
 
@@ -204,27 +219,48 @@ const transaction = async (fastify) => {
           SET ownerid = $1, date = $2, amount = $3, description = $4, 
               paymenttype = $5, note = $6, categoryid = $7, subjectid = $8, 
               detailid = $9, status = $10, excluded_from_stats = $11
-          WHERE id = $12 AND db = $13
+          WHERE id = $12 AND db = $13 AND deleted_at IS NULL
           RETURNING *;
         `;
 
         const values = [owner, date, amount, description, paymentType, note, category, subject, details === '' ? null : details, status, excludedFromStats || false, id, db];
-        await fastify.pg.query(query, values);
+        const before = await snapshotTransactions(client, db, [id]);
+        const updated = await client.query(query, values);
+        if (updated.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.code(404).send({ message: 'Transazione non trovata', status: 404 });
+        }
+        const after = await snapshotTransactions(client, db, [id]);
+        await recordTransactionChanges(client, {
+          before,
+          after,
+          route: 'POST /v1/transaction/edit',
+          userId: request.user?.id,
+        });
 
+        await client.query('COMMIT');
         reply.send({ message: 'Record aggiornato con successo', status: 200 });
       } catch (error) {
+        await client.query('ROLLBACK');
         console.log('Error fetching data', error);
         return reply.code(400).send({ message: error.message, status: 400 });
+      } finally {
+        client.release();
       }
     } catch (error) {
       console.error('Error updating owner', error);
     }
   });
 
-  fastify.post('/edit/multi', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/edit/multi', { preHandler: fastify.authenticate, schema: schemas.editMulti }, async (request, reply) => {
     const { db, category, subject, details, transactions, status, paymentType, excludedFromStats } = request.body;
 
+    const client = await fastify.pg.connect();
     try {
+      await client.query('BEGIN');
+
+      const before = await snapshotTransactions(client, db, transactions);
+
       for (const t of transactions) {
         let query;
         let values;
@@ -252,7 +288,7 @@ const transaction = async (fastify) => {
           query = `
             UPDATE transactions
             SET ${updateFields.join(', ')}
-            WHERE id = $${paramIndex} AND db = $${paramIndex + 1}
+            WHERE id = $${paramIndex} AND db = $${paramIndex + 1} AND deleted_at IS NULL
             RETURNING *;
           `;
           values = [...queryValues, t, db];
@@ -281,37 +317,69 @@ const transaction = async (fastify) => {
           query = `
             UPDATE transactions
             SET ${updateFields.join(', ')}
-            WHERE id = $${paramIndex} AND db = $${paramIndex + 1}
+            WHERE id = $${paramIndex} AND db = $${paramIndex + 1} AND deleted_at IS NULL
             RETURNING *;
           `;
           values = [...queryValues, t, db];
         }
 
-        await fastify.pg.query(query, values);
+        const updated = await client.query(query, values);
+        if (updated.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.code(404).send({ message: `Transazione non trovata: ${t}`, status: 404 });
+        }
       }
 
-      reply.send({ message: 'Record aggiornati con successo', status: 200 });
+      // Tutte le modifiche della richiesta condividono lo stesso bulk_id per l'annullamento in blocco
+      const bulkId = newBulkId();
+      const after = await snapshotTransactions(client, db, transactions);
+      await recordTransactionChanges(client, {
+        before,
+        after,
+        route: 'POST /v1/transaction/edit/multi',
+        userId: request.user?.id,
+        bulkId,
+      });
+
+      await client.query('COMMIT');
+      reply.send({ message: 'Record aggiornati con successo', bulkId, status: 200 });
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error updating transactions', error);
       return reply.code(500).send({ message: 'Errore interno', status: 500 });
+    } finally {
+      client.release();
     }
   });
 
-  fastify.post('/delete', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/delete', { preHandler: fastify.authenticate, schema: schemas.remove }, async (request, reply) => {
     try {
-      const { ids } = request.body;
+      const { ids, db } = request.body;
 
+      const client = await fastify.pg.connect();
       try {
+        await client.query('BEGIN');
 
-        for (const id of ids) {
-          const query = 'DELETE FROM transactions WHERE id = $1';
-          const values = [id];
-          await fastify.pg.query(query, values);
-        }
+        const before = await snapshotTransactions(client, db, ids);
+
+        // Eliminazione logica: le transazioni finiscono nel cestino e possono essere ripristinate
+        const deleted = await softDeleteTransactions(client, { db, ids, userId: request.user?.id });
 
-        reply.send({ message: 'Record eliminato', status: 200 });
+        const after = await snapshotTransactions(client, db, ids);
+        await recordTransactionChanges(client, {
+          before,
+          after,
+          route: 'POST /v1/transaction/delete',
+          userId: request.user?.id,
+        });
+
+        await client.query('COMMIT');
+        reply.send({ message: 'Record spostato nel cestino', deleted, status: 200 });
       } catch (error) {
+        await client.query('ROLLBACK');
         return reply.code(400).send({ message: error.message, status: 400 });
+      } finally {
+        client.release();
       }
     } catch (error) {
       console.error('Error deleting record', error);
@@ -319,7 +387,7 @@ const transaction = async (fastify) => {
   });
 
   // Endpoint dedicato: movimenti di un singolo mese per soggetto/dettaglio
-  fastify.post('/month_transactions', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/month_transactions', { preHandler: fastify.authenticate, schema: schemas.monthTransactions }, async (request, reply) => {
     const { db, owner, category, subject, detail, year, month } = request.body;
 
     try {
@@ -349,7 +417,7 @@ const transaction = async (fastify) => {
             ON cte.transaction_id = t.id
             AND cte.db = t.db
             AND cte.category_id = $2
-          WHERE t.db = $1
+          WHERE t.db = $1 AND t.deleted_at IS NULL
             AND t.categoryid = $2
             AND t.subjectid = $3
             ${detail ? 'AND t.detailid = $6' : ''}
@@ -381,7 +449,7 @@ const transaction = async (fastify) => {
             ON cte.transaction_id = t.id
             AND cte.db = t.db
             AND cte.category_id = $3
-          WHERE t.db = $1
+          WHERE t.db = $1 AND t.deleted_at IS NULL
             AND t.ownerid = $2
             AND t.categoryid = $3
             AND t.subjectid = $4
@@ -404,7 +472,7 @@ const transaction = async (fastify) => {
     }
   });
 
-  fastify.post('/filtered_list', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/filtered_list', { preHandler: fastify.authenticate, schema: schemas.filteredList }, async (request, reply) => {
     const { db, owner, category, subject, details, year, month, exactMonth } = request.body;
 
     try {
@@ -446,7 +514,7 @@ const transaction = async (fastify) => {
         JOIN
           owners o ON t.ownerId = o.id
         WHERE
-          t.db = $1
+          t.db = $1 AND t.deleted_at IS NULL
           ${isAllAccounts ? '' : 'AND t.ownerId = $2'}
           AND t.categoryId = ${isAllAccounts ? '$2' : '$3'}
           AND t.subjectId = ${isAllAccounts ? '$3' : '$4'}
@@ -476,7 +544,7 @@ const transaction = async (fastify) => {
     }
   });
 
-  fastify.post('/split', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/split', { preHandler: fastify.authenticate, schema: schemas.split }, async (request, reply) => {
     const {
       db,
       id,
@@ -493,11 +561,14 @@ const transaction = async (fastify) => {
       category,
     } = request.body;
 
+    const client = await fastify.pg.connect();
     try {
-      const selectQuery = `SELECT * FROM transactions WHERE id = $1 AND db = $2;`;
+      await client.query('BEGIN');
+
+      const selectQuery = `SELECT * FROM transactions WHERE id = $1 AND db = $2 AND deleted_at IS NULL FOR UPDATE;`;
       const selectValues = [id, db];
 
-      const { rows } = await fastify.pg.query(selectQuery, selectValues);
+      const { rows } = await client.query(selectQuery, selectValues);
 
       const originalTransaction = rows[0];
 
@@ -512,8 +583,10 @@ const transaction = async (fastify) => {
           RETURNING *;
         `;
 
+      const before = await snapshotTransactions(client, db, [id]);
+
       const updateValues = [id, db, updatedAmount];
-      await fastify.pg.query(updateQuery, updateValues);
+      await client.query(updateQuery, updateValues);
 
       const insertQuery = `
         INSERT INTO transactions (db, amount, categoryId, subjectId, detailId, ownerId, date, description,  note, paymenttype, status)
@@ -525,19 +598,32 @@ const transaction = async (fastify) => {
       const roundedAmount = Math.round(amount * 100) / 100;
       const insertValues = [db, roundedAmount, category, subject, details, owner, date, description, note, paymentType, status];
 
-      await fastify.pg.query(insertQuery, insertValues);
+      const { rows: inserted } = await client.query(insertQuery, insertValues);
+
+      // Scorporo = aggiornamento dell'originale + nuova transazione, annullabili insieme
+      const after = await snapshotTransactions(client, db, [id, inserted[0].id]);
+      await recordTransactionChanges(client, {
+        before,
+        after,
+        route: 'POST /v1/transaction/split',
+        userId: request.user?.id,
+      });
       
       // La transazione originale mantiene il suo status originale
       // Se necessario, potrebbe essere aggiornato in futuro con logica specifica
 
+      await client.query('COMMIT');
       reply.send({ message: 'Record inserito correttamente' }).code(200);
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error fetching data', error);
       reply.status(500).send({ error: 'Failed to fetch data' });
+    } finally {
+      client.release();
     }
   });
 
-  fastify.post('/create', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.authenticate, schema: schemas.create }, async (request, reply) => {
     const {
       amount,
       category,
@@ -617,60 +703,228 @@ const transaction = async (fastify) => {
     }
   });
 
-  // Importazione di transazioni con supporto per il tracciamento dei batch
-  fastify.post('/import', { preHandler: fastify.authenticate }, async (request, reply) => {
+  // Legge il file multipart e i metadata di una richiesta di importazione
+  // e ne estrae i movimenti (Excel oppure estratto conto nativo)
+  async function readImportRequest(request) {
+    const file = await request.file();
+
+    // Log dettagli del file per debug
+    console.log('📄 File info:', {
+      filename: file.filename,
+      encoding: file.encoding,
+      mimetype: file.mimetype,
+      fieldsKeys: Object.keys(file.fields || {})
+    });
+
+    const bufferedFile = await file.toBuffer();
+    console.log('✅ File ricevuto! Buffer size:', bufferedFile.length);
+
+    // Estrai metadata in modo sicuro
+    const metadataField = file.fields?.metadata;
+    if (!metadataField) {
+      console.error('❌ Campo metadata mancante!');
+      return { error: 'Missing metadata field' };
+    }
+
+    // Gestisci sia il caso con .value che senza
+    const metadataString = typeof metadataField === 'string' ? metadataField : metadataField.value;
+    if (!metadataString) {
+      console.error('❌ Valore metadata vuoto!');
+      return { error: 'Empty metadata value' };
+    }
+
+    const metadata = JSON.parse(metadataString);
+
+    // Multipart: il db è noto solo dopo aver letto i metadata
+    const denied = await checkDbAccess(request, metadata.db, 'import');
+    if (denied) {
+      return { error: denied.error, status: denied.status, mfaRequired: denied.mfaRequired };
+    }
+
+    // Rileva il formato: Excel oppure estratto conto nativo (CAMT.053, MT940, CBI)
+    const sourceFormat = detectStatementFormat(bufferedFile, file.filename);
+    console.log('🔎 Formato file rilevato:', sourceFormat);
+
+    // Per i file Excel la mappatura colonne arriva, in ordine di priorità, dalla richiesta,
+    // dal profilo salvato per il conto oppure dal rilevamento automatico
+    let requestedMapping = null;
+    let mappingSource = null;
+    if (sourceFormat === STATEMENT_FORMATS.EXCEL) {
+      if (metadata.mapping) {
+        const mappingErrors = validateMapping(metadata.mapping);
+        if (mappingErrors.length > 0) {
+          return { error: 'Mappatura colonne non valida', details: mappingErrors };
+        }
+        requestedMapping = metadata.mapping;
+        mappingSource = 'request';
+      } else if (metadata.db && metadata.owner) {
+        const profile = await getMappingProfile(fastify.pg, metadata.db, metadata.owner);
+        if (profile) {
+          requestedMapping = profile.mapping;
+          mappingSource = 'profile';
+        }
+      }
+      mappingSource = mappingSource || 'detected';
+    }
+
+    // Estrae i movimenti dal file
+    let movements;
+    let mapping = null;
+    let validationErrors = [];
     try {
-      console.log('📂 Inizio importazione batch...');
-      
-      const file = await request.file();
-      
-      // Log dettagli del file per debug
-      console.log('📄 File info:', {
-        filename: file.filename,
-        encoding: file.encoding,
-        mimetype: file.mimetype,
-        fieldsKeys: Object.keys(file.fields || {})
-      });
-      
-      const bufferedFile = await file.toBuffer();
-      console.log('✅ File ricevuto! Buffer size:', bufferedFile.length);
-
-      // Estrai metadata in modo sicuro
-      const metadataField = file.fields?.metadata;
-      if (!metadataField) {
-        console.error('❌ Campo metadata mancante!');
-        return reply.status(400).send({ error: 'Missing metadata field' });
+      if (sourceFormat === STATEMENT_FORMATS.EXCEL) {
+        ({ movements, mapping, errors: validationErrors } = await parseExcelStatement(bufferedFile, requestedMapping));
+      } else {
+        movements = parseBankStatement(bufferedFile, sourceFormat);
       }
-      
-      // Gestisci sia il caso con .value che senza
-      const metadataString = typeof metadataField === 'string' ? metadataField : metadataField.value;
-      if (!metadataString) {
-        console.error('❌ Valore metadata vuoto!');
-        return reply.status(400).send({ error: 'Empty metadata value' });
+    } catch (parseError) {
+      console.error('❌ Errore lettura file:', parseError.message);
+      return { error: 'Impossibile leggere il file', message: parseError.message, format: sourceFormat };
+    }
+    console.log('📋 Dati estratti dal file:', movements);
+
+    if (!movements || movements.length === 0) {
+      console.warn('⚠️ Nessun dato estratto dal file!');
+      return { error: 'Il file non contiene transazioni valide', mapping, validationErrors };
+    }
+
+    return { file, bufferedFile, metadata, sourceFormat, movements, mapping, mappingSource, validationErrors };
+  }
+
+  // Converte i movimenti estratti in righe pronte per l'inserimento,
+  // numerate in base alla posizione nel file (usata per skip/force dal frontend)
+  function buildImportRows(movements) {
+    const rows = [];
+
+    movements.forEach((movement, index) => {
+      const { date, description, negativeAmount, positiveAmount, paymentType, valueDate } = movement;
+
+      // Determina l'importo
+      let amount;
+      if (negativeAmount && parseFloat(negativeAmount) !== 0) {
+        amount = parseFloat(negativeAmount);
+      } else if (positiveAmount && parseFloat(positiveAmount) !== 0) {
+        amount = parseFloat(positiveAmount);
+      } else {
+        console.warn('⚠️ Transazione senza importo valido, saltata:', movement);
+        return;
       }
-      
-      const { db, owner, category, subject, details } = JSON.parse(metadataString);
-      console.log('📊 Metadata ricevuti:', { db, owner, category, subject, details });
 
-      // Estrae i dati dal file Excel
-      const excelToJson = await ConvertExcelToJson(bufferedFile);
-      console.log('📋 Dati estratti dal file:', excelToJson);
+      // Determina la data: senza una data valida il movimento non si importa
+      const parsedDate = parseDate(date);
+      if (!parsedDate) {
+        console.warn('⚠️ Transazione senza data valida, saltata:', movement);
+        return;
+      }
+
+      // Determina il metodo di pagamento
+      const detectedPaymentType = paymentType || detectPaymentMethod(description) || 'Bonifico';
+
+      // Per gli estratti conto nativi la data valuta viene riportata nella nota
+      const note = valueDate && valueDate !== parsedDate ? `Valuta: ${valueDate}` : '';
+
+      rows.push({
+        index,
+        date: parsedDate,
+        description: description || 'Transazione senza descrizione',
+        amount,
+        paymentType: detectedPaymentType,
+        note,
+      });
+    });
+
+    return rows;
+  }
+
+  // Anteprima (dry-run) dell'importazione: restituisce le righe lette, la mappatura colonne
+  // usata, gli errori di validazione e la classificazione nuove / già presenti / sospette
+  // senza scrivere nulla nel database
+  fastify.post('/import/preview', { preHandler: fastify.authenticate, schema: schemas.importPreview }, async (request, reply) => {
+    try {
+      const parsed = await readImportRequest(request);
+      if (parsed.error) {
+        return reply.status(parsed.status || 400).send(parsed);
+      }
+
+      const { db, owner } = parsed.metadata;
+      const rows = buildImportRows(parsed.movements);
+      const classified = await classifyImportRows(fastify.pg, { db, ownerId: owner, rows });
+
+      reply.send({
+        success: true,
+        format: parsed.sourceFormat,
+        mapping: parsed.mapping,
+        mappingSource: parsed.mappingSource,
+        validationErrors: parsed.validationErrors,
+        summary: summarizeClassification(classified),
+        rows: classified,
+      });
+    } catch (error) {
+      console.error('❌ Errore durante l\'anteprima dell\'importazione:', error);
+      reply.status(500).send({
+        error: 'Failed to preview import',
+        message: error.message
+      });
+    }
+  });
+
+  // Importazione di transazioni con supporto per il tracciamento dei batch
+  //
+  // Metadata opzionali per la gestione dei duplicati:
+  // - duplicateMode: 'skip' (default) salta i movimenti già presenti, 'force' li inserisce comunque
+  // - skipRows: indici delle righe da non importare (es. righe "sospette" scartate in anteprima)
+  // - forceRows: indici delle righe da importare anche se già presenti
+  // Metadata opzionali per la mappatura colonne (solo Excel):
+  // - mapping: mappatura esplicita da usare al posto del profilo/rilevamento
+  // - saveMapping: true per salvare la mappatura usata come profilo del conto
+  fastify.post('/import', { preHandler: fastify.authenticate, schema: schemas.importFile }, async (request, reply) => {
+    try {
+      console.log('📂 Inizio importazione batch...');
+
+      const parsed = await readImportRequest(request);
+      if (parsed.error) {
+        return reply.status(parsed.status || 400).send(parsed);
+      }
 
-      if (!excelToJson || excelToJson.length === 0) {
-        console.warn('⚠️ Nessun dato estratto dal file!');
-        return reply.status(400).send({ error: 'Il file non contiene transazioni valide' });
+      const { file, bufferedFile, metadata, sourceFormat, movements, mapping, validationErrors } = parsed;
+      const { db, owner, category, subject, details, duplicateMode = 'skip', skipRows = [], forceRows = [], saveMapping = false } = metadata;
+      console.log('📊 Metadata ricevuti:', { db, owner, category, subject, details, duplicateMode });
+
+      // Con righe non valide (date o importi non riconosciuti) l'importazione non parte:
+      // vanno corrette nel file o nella mappatura, verificando l'anteprima
+      if (validationErrors.length > 0) {
+        return reply.status(400).send({
+          error: 'Il file contiene righe non valide',
+          message: `${validationErrors.length} errori di validazione: correggere il file o la mappatura colonne`,
+          mapping,
+          validationErrors,
+        });
       }
 
+      const rows = buildImportRows(movements);
+
       // Inizia una transazione per garantire l'atomicità delle operazioni
       const client = await fastify.pg.connect();
       
       try {
         await client.query('BEGIN');
+
+        // Confronta le righe con le transazioni già presenti sul conto
+        const classified = await classifyImportRows(client, { db, ownerId: owner, rows });
+        const skipSet = new Set(skipRows);
+        const forceSet = new Set(forceRows);
+        const rowsToInsert = classified.filter(row => {
+          if (skipSet.has(row.index)) return false;
+          if (row.status === 'duplicate' && duplicateMode !== 'force' && !forceSet.has(row.index)) return false;
+          return true;
+        });
+        const skippedCount = classified.length - rowsToInsert.length;
+        console.log(`🔁 Righe saltate come duplicate o scartate: ${skippedCount}`);
         
         // 1. Crea un record nella tabella import_batches
         const createBatchQuery = `
-          INSERT INTO import_batches (db, owner_id, category_id, subject_id, detail_id, filename, file_size)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          INSERT INTO import_batches (db, owner_id, category_id, subject_id, detail_id, filename, file_size, source_format)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
           RETURNING id
         `;
         
@@ -681,7 +935,8 @@ const transaction = async (fastify) => {
           subject, 
           details || null, 
           file.filename || 'imported_file.xlsx', 
-          file.file?.bytesRead || 0
+          file.file?.bytesRead || bufferedFile.length,
+          sourceFormat
         ];
         
         const batchResult = await client.query(createBatchQuery, batchValues);
@@ -689,36 +944,10 @@ const transaction = async (fastify) => {
         
         console.log('🆔 Batch di importazione creato con ID:', batchId);
         
-        // 2. Elabora ogni transazione dal file
+        // 2. Inserisce ogni transazione collegandola al batch
         const transactions = [];
         
-        for (const transaction of excelToJson) {
-          const { date, description, negativeAmount, positiveAmount, paymentType } = transaction;
-          
-          // Determina l'importo
-          let amount;
-          if (negativeAmount && parseFloat(negativeAmount) !== 0) {
-            amount = parseFloat(negativeAmount);
-          } else if (positiveAmount && parseFloat(positiveAmount) !== 0) {
-            amount = parseFloat(positiveAmount);
-          } else {
-            console.warn('⚠️ Transazione senza importo valido, saltata:', transaction);
-            continue;
-          }
-          
-          // Determina la data
-          let parsedDate;
-          try {
-            parsedDate = date ? parseDate(date) : new Date();
-          } catch (e) {
-            console.warn('⚠️ Data non valida, utilizzo data odierna:', date);
-            parsedDate = new Date();
-          }
-          
-          // Determina il metodo di pagamento
-          const detectedPaymentType = paymentType || detectPaymentMethod(description) || 'Bonifico';
-          
-          // Inserisci la transazione collegandola al batch
+        for (const row of rowsToInsert) {
           const insertQuery = `
             INSERT INTO transactions (
               date, description, amount, db, 
@@ -730,16 +959,16 @@ const transaction = async (fastify) => {
           `;
           
           const insertValues = [
-            parsedDate,
-            description || 'Transazione senza descrizione',
-            amount,
+            row.date,
+            row.description,
+            row.amount,
             db,
             owner,
             category,
             subject,
             details || null,
-            '',
-            detectedPaymentType,
+            row.note,
+            row.paymentType,
             'pending',
             batchId
           ];
@@ -749,6 +978,12 @@ const transaction = async (fastify) => {
           
           console.log('➕ Transazione inserita:', result.rows[0].id);
         }
+
+        // 3. Salva la mappatura confermata come profilo del conto
+        if (saveMapping && mapping) {
+          await saveMappingProfile(client, { db, ownerId: owner, mapping });
+          console.log('💾 Profilo di mappatura salvato per il conto:', owner);
+        }
         
         await client.query('COMMIT');
         
@@ -758,7 +993,12 @@ const transaction = async (fastify) => {
           success: true, 
           message: `Import completed successfully. ${transactions.length} transactions created.`,
           batchId,
-          transactionCount: transactions.length
+          format: sourceFormat,
+          transactionCount: transactions.length,
+          skippedCount,
+          summary: summarizeClassification(classified),
+          mapping,
+          validationErrors
         });
       } catch (err) {
         await client.query('ROLLBACK');
@@ -776,8 +1016,64 @@ const transaction = async (fastify) => {
     }
   });
 
+  // Profilo di mappatura colonne salvato per un conto
+  fastify.get('/import/mapping-profile/:db/:ownerId', { preHandler: fastify.authenticate, schema: schemas.getMappingProfile }, async (request, reply) => {
+    try {
+      const { db, ownerId } = request.params;
+      const profile = await getMappingProfile(fastify.pg, db, ownerId);
+
+      if (!profile) {
+        return reply.code(404).send({ message: 'Nessun profilo di mappatura per questo conto', status: 404 });
+      }
+
+      reply.send({ data: profile, status: 200 });
+    } catch (error) {
+      console.error('Error fetching mapping profile:', error);
+      reply.status(500).send({ error: 'Failed to fetch mapping profile', message: error.message });
+    }
+  });
+
+  // Crea o aggiorna il profilo di mappatura colonne di un conto
+  fastify.post('/import/mapping-profile/save', { preHandler: fastify.authenticate, schema: schemas.saveMappingProfile }, async (request, reply) => {
+    try {
+      const { db, owner, mapping } = request.body;
+
+      if (!db || !owner) {
+        return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e owner', status: 400 });
+      }
+
+      const mappingErrors = validateMapping(mapping);
+      if (mappingErrors.length > 0) {
+        return reply.code(400).send({ message: 'Mappatura colonne non valida', details: mappingErrors, status: 400 });
+      }
+
+      const profile = await saveMappingProfile(fastify.pg, { db, ownerId: owner, mapping });
+      reply.send({ message: 'Profilo di mappatura salvato', data: profile, status: 200 });
+    } catch (error) {
+      console.error('Error saving mapping profile:', error);
+      reply.status(500).send({ error: 'Failed to save mapping profile', message: error.message });
+    }
+  });
+
+  // Elimina il profilo di mappatura colonne di un conto (si torna al rilevamento automatico)
+  fastify.post('/import/mapping-profile/delete', { preHandler: fastify.authenticate, schema: schemas.deleteMappingProfile }, async (request, reply) => {
+    try {
+      const { db, owner } = request.body;
+      const deleted = await deleteMappingProfile(fastify.pg, db, owner);
+
+      if (!deleted) {
+        return reply.code(404).send({ message: 'Nessun profilo di mappatura per questo conto', status: 404 });
+      }
+
+      reply.send({ message: 'Profilo di mappatura eliminato', status: 200 });
+    } catch (error) {
+      console.error('Error deleting mapping profile:', error);
+      reply.status(500).send({ error: 'Failed to delete mapping profile', message: error.message });
+    }
+  });
+
   // API per ottenere la cronologia delle importazioni
-  fastify.post('/import-history', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/import-history', { preHandler: fastify.authenticate, schema: schemas.importHistory }, async (request, reply) => {
     try {
       const { db, limit = 50, offset = 0 } = request.body;
 
@@ -869,7 +1165,7 @@ const transaction = async (fastify) => {
   });
 
   // API per ottenere i dettagli di un'importazione specifica
-  fastify.post('/import-history/details', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/import-history/details', { preHandler: fastify.authenticate, schema: schemas.importHistoryDetails }, async (request, reply) => {
     try {
       const { db, importId } = request.body;
       
@@ -899,7 +1195,7 @@ const transaction = async (fastify) => {
         LEFT JOIN
           details d ON t.detailId = d.id
         WHERE 
-          t.db = $1 AND t.import_batch_id = $2
+          t.db = $1 AND t.deleted_at IS NULL AND t.import_batch_id = $2
         ORDER BY 
           t.date DESC
       `;
@@ -939,7 +1235,7 @@ const transaction = async (fastify) => {
   });
 
   // API per annullare un'importazione (eliminare tutte le transazioni di un batch)
-  fastify.post('/undo-import', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/undo-import', { preHandler: fastify.authenticate, schema: schemas.undoImport }, async (request, reply) => {
     try {
       const { db, importId, transactionIds } = request.body;
       
@@ -1025,8 +1321,11 @@ const transaction = async (fastify) => {
   });
 
   // Route per aggiornare solo il campo excluded_from_stats
-  fastify.post('/toggle-stats-exclusion', { preHandler: fastify.authenticate }, async (request, reply) => {
+  fastify.post('/toggle-stats-exclusion', { preHandler: fastify.authenticate, schema: schemas.toggleStatsExclusion }, async (request, reply) => {
+    const client = await fastify.pg.connect();
     try {
+      await client.query('BEGIN');
+
       const { id, db, excludedFromStats } = request.body;
 
       const query = `
@@ -1037,25 +1336,129 @@ const transaction = async (fastify) => {
       `;
 
       const values = [excludedFromStats, id, db];
-      const { rows } = await fastify.pg.query(query, values);
+      const before = await snapshotTransactions(client, db, [id]);
+      const { rows } = await client.query(query, values);
 
       if (rows.length === 0) {
+        await client.query('ROLLBACK');
         return reply.code(404).send({ message: 'Transaction not found', status: 404 });
       }
 
+      const after = await snapshotTransactions(client, db, [id]);
+      await recordTransactionChanges(client, {
+        before,
+        after,
+        route: 'POST /v1/transaction/toggle-stats-exclusion',
+        userId: request.user?.id,
+      });
+
+      await client.query('COMMIT');
       reply.send({ 
         message: 'Stato di esclusione aggiornato con successo', 
         data: rows[0], 
         status: 200 
       });
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error updating stats exclusion', error);
       return reply.code(400).send({ message: error.message, status: 400 });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Storico delle modifiche per transazione, per utente o per modifica in blocco
+  fastify.post('/audit/history', { preHandler: fastify.authenticate, schema: schemas.auditHistory }, async (request, reply) => {
+    try {
+      const { db, transactionId, userId, bulkId, limit = 100, offset = 0 } = request.body;
+
+      if (!db) {
+        return reply.code(400).send({ message: 'Parametro db mancante', status: 400 });
+      }
+
+      const { rows } = await fastify.pg.query(`
+        SELECT
+          a.id,
+          a.transaction_id,
+          a.bulk_id,
+          a.action,
+          a.route,
+          a.user_id,
+          u.email AS user_email,
+          a.changes,
+          a.created_at,
+          a.reverted_at,
+          a.reverted_by,
+          a.revert_bulk_id
+        FROM transaction_audit_log a
+        LEFT JOIN users u ON u.id = a.user_id
+        WHERE a.db = $1
+          AND ($2::uuid IS NULL OR a.transaction_id = $2::uuid)
+          AND ($3::uuid IS NULL OR a.user_id = $3::uuid)
+          AND ($4::uuid IS NULL OR a.bulk_id = $4::uuid)
+        ORDER BY a.created_at DESC
+        LIMIT $5 OFFSET $6
+      `, [db, transactionId || null, userId || null, bulkId || null, Math.min(parseInt(limit, 10) || 100, 500), parseInt(offset, 10) || 0]);
+
+      reply.send({ data: rows, status: 200 });
+    } catch (error) {
+      console.error('Error fetching audit history', error);
+      reply.status(500).send({ error: 'Failed to fetch audit history', message: error.message });
+    }
+  });
+
+  // Annulla una singola modifica (auditId) o un'intera modifica in blocco (bulkId)
+  fastify.post('/audit/revert', { preHandler: fastify.authenticate, schema: schemas.auditRevert }, async (request, reply) => {
+    const { db, auditId, bulkId } = request.body;
+
+    if (!db || (!auditId && !bulkId)) {
+      return reply.code(400).send({ message: 'Parametri mancanti. Richiesti: db e auditId oppure bulkId', status: 400 });
+    }
+
+    const client = await fastify.pg.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: entries } = await client.query(`
+        SELECT *
+        FROM transaction_audit_log
+        WHERE db = $1
+          AND (($2::uuid IS NOT NULL AND id = $2::uuid) OR ($3::uuid IS NOT NULL AND bulk_id = $3::uuid))
+        FOR UPDATE
+      `, [db, auditId || null, bulkId || null]);
+
+      if (entries.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.code(404).send({ message: 'Modifica non trovata', status: 404 });
+      }
+
+      const result = await revertAuditEntries(client, entries, {
+        userId: request.user?.id,
+        route: 'POST /v1/transaction/audit/revert',
+      });
+
+      if (result.conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return reply.code(409).send({
+          message: 'Impossibile annullare: le transazioni sono state modificate successivamente',
+          conflicts: result.conflicts,
+          status: 409,
+        });
+      }
+
+      await client.query('COMMIT');
+      reply.send({ message: 'Modifica annullata', reverted: result.reverted, bulkId: result.bulkId, status: 200 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error reverting audit entry', error);
+      reply.status(500).send({ error: 'Failed to revert change', message: error.message });
+    } finally {
+      client.release();
     }
   });
 
   // Endpoint per salvare il feedback sulle classificazioni AI
-  fastify.post('/classification-feedback', async (request, reply) => {
+  fastify.post('/classification-feedback', { schema: schemas.classificationFeedback }, async (request, reply) => {
     const {
       db,
       transactionId,
@@ -1146,7 +1549,7 @@ const transaction = async (fastify) => {
   });
 
   // Endpoint per cercare transazioni simili
-  fastify.post('/search-similar', async (request, reply) => {
+  fastify.post('/search-similar', { schema: schemas.searchSimilar }, async (request, reply) => {
     const { description, db, transactionId, limit = 10 } = request.body;
 
     if (!description || !db) {
@@ -1175,7 +1578,7 @@ const transaction = async (fastify) => {
         LEFT JOIN categories c ON t.categoryid = c.id
         LEFT JOIN subjects s ON t.subjectid = s.id
         LEFT JOIN details d ON t.detailid = d.id
-        WHERE t.db = $2 
+        WHERE t.db = $2 AND t.deleted_at IS NULL 
           AND t.categoryid IS NOT NULL
           AND similarity(t.description, $1) > 0.3
           AND ($4::uuid IS NULL OR t.id != $4)
@@ -1,8 +1,9 @@
 import { createMinioClient, ensureBucketExists, getMinioBaseUrl } from '../lib/minio-config.js';
 import { sanitizeFileName } from '../lib/utils.js';
+import * as schemas from './schemas/fileManager.js';
 
 const upload = async (fastify) => {
-  fastify.post('/', async (request, reply) => {
+  fastify.post('/', { schema: schemas.tempUpload }, async (request, reply) => {
     const data = await request.file()
 
     const { filename, mimetype, file } = data;
@@ -1,10 +1,134 @@
 // routes/vehicles.js
 import { createMinioClient, ensureBucketExists } from '../lib/minio-config.js';
 import { calculateBollo } from '../lib/bollo-calculator.js';
+import { buildVehicleTco, buildFleetTco } from '../lib/vehicleTco.js';
+import { loadMileageSchedule, syncMileageSchedule, readingWarnings } from '../lib/vehicleMileage.js';
+import { syncVehicleDeadlines } from '../lib/vehicleDeadlines.js';
+import { applyFineLifecycle, driverCommunicationText } from '../lib/vehicleFines.js';
+import { findAssignedDriver, recordAssignment } from '../lib/vehicleAssignments.js';
+import { checkDbAccess } from '../lib/auth.js';
+import * as schemas from './schemas/vehicles.js';
 
 const MINIO_BUCKET_VEHICLES = 'vehicle-documents';
 
-const VALID_STATUSES = ['attivo', 'fermo', 'in_manutenzione', 'venduto', 'radiato'];
+const VALID_STATUSES = schemas.VEHICLE_STATUSES;
+
+// Db del veicolo tramite il suo conto (db null se il veicolo non ha conto)
+const VEHICLE_DB_QUERY = `
+  SELECT o.db FROM vehicles v LEFT JOIN owners o ON o.id = v.owner_id
+  WHERE v.id::text = $1
+`;
+
+// URL di un file dei documenti, con il db del veicolo se ha un conto
+const documentFileUrl = (objectName, db) =>
+  `/api/vehicles/documents/file/${encodeURIComponent(objectName)}${db ? `?db=${encodeURIComponent(db)}` : ''}`;
+
+// Anni considerati dal report TCO quando l'intervallo non è indicato
+const TCO_DEFAULT_YEARS = 5;
+
+// Costi per veicolo, anno e voce del TCO. Dello scadenziario contano i pagamenti
+// completati senza rate figlie (le rate ereditano il veicolo della scadenza madre);
+// le scadenze generate dal modulo veicoli ripeterebbero costi già conteggiati
+const TCO_COSTS_QUERY = `
+  SELECT vehicle_id, year, category, SUM(amount) AS amount
+  FROM (
+    SELECT vehicle_id, EXTRACT(YEAR FROM maintenance_date)::int AS year, 'manutenzione' AS category, amount
+      FROM vehicle_maintenance WHERE amount IS NOT NULL
+    UNION ALL
+    SELECT vehicle_id, EXTRACT(YEAR FROM start_date)::int, 'assicurazione', premium_amount
+      FROM vehicle_policies WHERE premium_amount IS NOT NULL
+    UNION ALL
+    SELECT vehicle_id, year, 'bollo', bollo_amount FROM vehicle_taxes
+    UNION ALL
+    SELECT vehicle_id, year, 'superbollo', superbollo_amount FROM vehicle_taxes
+    UNION ALL
+    SELECT vehicle_id, EXTRACT(YEAR FROM fine_date)::int, 'contravvenzioni',
+           CASE WHEN paid_date <= discount_due_date AND discount_amount IS NOT NULL THEN discount_amount ELSE amount END
+      FROM vehicle_fines WHERE status <> 'annullata'
+    UNION ALL
+    SELECT vehicle_id, EXTRACT(YEAR FROM incident_date)::int, 'sinistri', damage_amount
+      FROM vehicle_incidents WHERE damage_amount IS NOT NULL
+    UNION ALL
+    SELECT COALESCE(s.vehicle_id, p.vehicle_id), EXTRACT(YEAR FROM COALESCE(s.payment_date, s.date))::int, 'scadenziario', s.amount
+      FROM scadenziario s
+      LEFT JOIN scadenziario p ON p.id = s.parent_id
+      WHERE s.status = 'completed' AND s.amount IS NOT NULL
+        AND COALESCE(s.source_module, p.source_module) IS DISTINCT FROM 'vehicles'
+        AND NOT EXISTS (SELECT 1 FROM scadenziario c WHERE c.parent_id = s.id)
+  ) costs
+  WHERE vehicle_id = ANY($1::uuid[]) AND year BETWEEN $2 AND $3
+  GROUP BY vehicle_id, year, category
+`;
+
+const TCO_VEHICLE_COLUMNS = `
+  id, plate, make, model, status, purchase_amount,
+  to_char(registration_date, 'YYYY-MM-DD') AS registration_date,
+  to_char(purchase_date, 'YYYY-MM-DD') AS purchase_date,
+  to_char(disposal_date, 'YYYY-MM-DD') AS disposal_date
+`;
+
+// Intervallo di anni del report TCO: { fromYear, toYear } oppure { error }
+function tcoYearRange({ fromYear, toYear }) {
+  const to = toYear || new Date().getFullYear();
+  const from = fromYear || to - TCO_DEFAULT_YEARS + 1;
+  if (from > to) return { error: 'fromYear non può essere successivo a toYear' };
+  return { fromYear: from, toYear: to };
+}
+
+// Costi e letture del contachilometri (dalle manutenzioni) dei veicoli indicati
+async function loadTcoData(client, vehicleIds, fromYear, toYear) {
+  const costs = await client.query(TCO_COSTS_QUERY, [vehicleIds, fromYear, toYear]);
+  const readings = await client.query(
+    `SELECT vehicle_id, to_char(maintenance_date, 'YYYY-MM-DD') AS date, mileage
+     FROM vehicle_maintenance
+     WHERE vehicle_id = ANY($1::uuid[]) AND mileage IS NOT NULL AND maintenance_date <= make_date($2, 12, 31)
+     ORDER BY maintenance_date`,
+    [vehicleIds, toYear]
+  );
+  return { costs: costs.rows, readings: readings.rows };
+}
+
+// Avvisi sul chilometraggio di una manutenzione rispetto alle altre letture del veicolo
+function mileageWarnings(schedule, maintenance) {
+  const reading = schedule?.readings.find(r => r.source === 'maintenance' && r.id === maintenance.id);
+  return reading ? readingWarnings(schedule.readings, reading) : [];
+}
+
+// Colonne di vehicle_fines scritte da create e update
+const FINE_COLUMNS = [
+  'fine_date', 'notification_date', 'violation_number', 'issuing_authority', 'violation_type',
+  'amount', 'discount_excluded', 'discount_amount', 'discount_due_date', 'due_date',
+  'paid_date', 'payment_method', 'status', 'appeal_notes', 'appeal_prefetto_deadline', 'appeal_giudice_deadline',
+  'license_points', 'driver_name', 'driver_type', 'driver_communication_deadline', 'driver_communication_date',
+  'notes',
+];
+
+// Scadenze che senza data di notifica si inseriscono a mano
+const MANUAL_FINE_DATES = [
+  'discount_due_date', 'due_date', 'appeal_prefetto_deadline', 'appeal_giudice_deadline', 'driver_communication_deadline',
+];
+
+// Il conto del veicolo deve esistere e l'utente deve poter scrivere sul suo db
+async function checkVehicleOwner(request, client, ownerId) {
+  const owner = await client.query('SELECT db FROM owners WHERE id = $1', [ownerId]);
+  if (owner.rows.length === 0) return { error: 'Conto non trovato', status: 400 };
+  return checkDbAccess(request, owner.rows[0].db, 'write');
+}
+
+// Valori della contravvenzione con importi, scadenze e stato calcolati; senza
+// driver_name il conducente è l'assegnatario del veicolo alla data dell'infrazione
+async function prepareFine(client, vehicleId, fine) {
+  const warnings = [];
+  const row = { ...fine, amount: fine.amount ?? 0, discount_excluded: fine.discount_excluded ?? false };
+  if (row.driver_name === undefined) {
+    const driver = await findAssignedDriver(client, vehicleId, row.fine_date);
+    row.driver_name = driver?.name ?? null;
+    row.driver_type = driver?.type ?? null;
+    if (!driver) warnings.push(`Nessun assegnatario del veicolo registrato il ${row.fine_date}`);
+  }
+  const values = applyFineLifecycle(row);
+  return { values: FINE_COLUMNS.map(column => values[column] ?? null), warnings };
+}
 
 export default async function vehiclesRoutes(fastify, options) {
   const preHandler = fastify.authenticate;
@@ -12,7 +136,7 @@ export default async function vehiclesRoutes(fastify, options) {
   // ─── VEICOLI ──────────────────────────────────────────────────────────────
 
   // POST /list — lista veicoli con filtri
-  fastify.post('/list', { preHandler }, async (request, reply) => {
+  fastify.post('/list', { preHandler, schema: schemas.list }, async (request, reply) => {
     try {
       const { filters = {} } = request.body;
 
@@ -20,8 +144,8 @@ export default async function vehiclesRoutes(fastify, options) {
         SELECT
           v.id, v.plate, v.vin, v.make, v.model,
           to_char(v.registration_date, 'YYYY-MM-DD') AS registration_date,
-          v.vehicle_usage, v.fuel_type, v.kw, v.engine_cc, v.seats,
-          v.status, v.owner_type, v.owner_name,
+          v.vehicle_usage, v.fuel_type, v.euro_class, v.kw, v.engine_cc, v.seats,
+          v.status, v.owner_id, v.owner_type, v.owner_name,
           v.availability_type, v.assignee_type, v.assignee_name,
           v.assignment_notes,
           to_char(v.purchase_date, 'YYYY-MM-DD') AS purchase_date,
@@ -81,12 +205,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero veicoli', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero veicoli', message: error.message });
     }
   });
 
   // POST /details — dettaglio veicolo
-  fastify.post('/details', { preHandler }, async (request, reply) => {
+  fastify.post('/details', { preHandler, schema: schemas.details }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
@@ -111,12 +235,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero dettaglio veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero dettaglio veicolo', message: error.message });
     }
   });
 
   // POST /create — crea veicolo
-  fastify.post('/create', { preHandler }, async (request, reply) => {
+  fastify.post('/create', { preHandler, schema: schemas.create }, async (request, reply) => {
     try {
       const { vehicle } = request.body;
       if (!vehicle) return reply.status(400).send({ error: 'Dati veicolo non specificati' });
@@ -127,8 +251,8 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const {
         plate, vin, make, model, registration_date, vehicle_usage,
-        fuel_type, kw, engine_cc, seats,
-        status = 'attivo',
+        fuel_type, euro_class, kw, engine_cc, seats,
+        status = 'attivo', owner_id,
         owner_type, owner_name, availability_type,
         assignee_type, assignee_name, assignment_notes,
         purchase_date, purchase_vendor, purchase_amount, purchase_notes,
@@ -138,9 +262,18 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
+        // Il conto è facoltativo: senza conto le scadenze generate restano senza conto
+        const denied = owner_id ? await checkVehicleOwner(request, client, owner_id) : null;
+        if (denied) {
+          await client.query('ROLLBACK');
+          return reply.status(denied.status).send({ error: denied.error });
+        }
+
         // Check duplicate plate
         const existing = await client.query('SELECT id FROM vehicles WHERE plate = $1', [plate.toUpperCase()]);
         if (existing.rows.length > 0) {
+          await client.query('ROLLBACK');
           return reply.status(409).send({ error: 'Targa già presente nel sistema' });
         }
 
@@ -152,12 +285,12 @@ export default async function vehiclesRoutes(fastify, options) {
             assignee_type, assignee_name, assignment_notes,
             purchase_date, purchase_vendor, purchase_amount, purchase_notes,
             disposal_date, disposal_buyer, disposal_amount, disposal_reason, disposal_notes,
-            notes
+            notes, euro_class, owner_id
           ) VALUES (
             $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,
             $12,$13,$14,$15,$16,$17,
             $18,$19,$20,$21,
-            $22,$23,$24,$25,$26,$27
+            $22,$23,$24,$25,$26,$27,$28,$29
           ) RETURNING *`,
           [
             plate.toUpperCase(), vin || null, make || null, model || null,
@@ -170,21 +303,27 @@ export default async function vehiclesRoutes(fastify, options) {
             purchase_amount || null, purchase_notes || null,
             disposal_date || null, disposal_buyer || null,
             disposal_amount || null, disposal_reason || null, disposal_notes || null,
-            notes || null,
+            notes || null, euro_class || null, owner_id || null,
           ]
         );
+        await recordAssignment(client, result.rows[0]);
+        await syncVehicleDeadlines(client, result.rows[0].id);
+        await client.query('COMMIT');
         reply.send({ data: result.rows[0], success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore creazione veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore creazione veicolo', message: error.message });
     }
   });
 
   // POST /update — aggiorna veicolo
-  fastify.post('/update', { preHandler }, async (request, reply) => {
+  fastify.post('/update', { preHandler, schema: schemas.update }, async (request, reply) => {
     try {
       const { id, vehicle } = request.body;
       if (!id || !vehicle) return reply.status(400).send({ error: 'ID o dati veicolo non specificati' });
@@ -194,8 +333,8 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const updatableFields = [
         'plate', 'vin', 'make', 'model', 'registration_date', 'vehicle_usage',
-        'fuel_type', 'kw', 'engine_cc', 'seats', 'status',
-        'owner_type', 'owner_name', 'availability_type',
+        'fuel_type', 'euro_class', 'kw', 'engine_cc', 'seats', 'status',
+        'owner_id', 'owner_type', 'owner_name', 'availability_type',
         'assignee_type', 'assignee_name', 'assignment_notes',
         'purchase_date', 'purchase_vendor', 'purchase_amount', 'purchase_notes',
         'disposal_date', 'disposal_buyer', 'disposal_amount', 'disposal_reason', 'disposal_notes',
@@ -211,6 +350,9 @@ export default async function vehiclesRoutes(fastify, options) {
           if (field === 'plate') {
             setClauses.push(`${field} = $${paramIndex++}`);
             queryParams.push(vehicle[field].toUpperCase());
+          } else if (field === 'owner_id') {
+            setClauses.push(`${field} = $${paramIndex++}`);
+            queryParams.push(vehicle[field] || null);
           } else {
             setClauses.push(`${field} = $${paramIndex++}`);
             queryParams.push(vehicle[field]);
@@ -224,45 +366,79 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
+        if (vehicle.owner_id) {
+          const denied = await checkVehicleOwner(request, client, vehicle.owner_id);
+          if (denied) {
+            await client.query('ROLLBACK');
+            return reply.status(denied.status).send({ error: denied.error });
+          }
+        }
+
         const result = await client.query(
           `UPDATE vehicles SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
           queryParams
         );
-        if (result.rows.length === 0) return reply.status(404).send({ error: 'Veicolo non trovato' });
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.status(404).send({ error: 'Veicolo non trovato' });
+        }
+        await recordAssignment(client, result.rows[0]);
+        // Targa, immatricolazione e stato entrano nelle scadenze generate
+        await syncVehicleDeadlines(client, id);
+        await syncMileageSchedule(client, id);
+        await client.query('COMMIT');
         reply.send({ data: result.rows[0], success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore aggiornamento veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore aggiornamento veicolo', message: error.message });
     }
   });
 
   // POST /delete — elimina veicolo
-  fastify.post('/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/delete', { preHandler, schema: schemas.remove }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
+        // Le scadenze generate dal modulo e non pagate non hanno più senso senza il veicolo:
+        // vanno eliminate prima, perché l'eliminazione del veicolo azzera scadenziario.vehicle_id
+        await client.query(
+          `DELETE FROM scadenziario WHERE vehicle_id = $1 AND source_module = 'vehicles' AND payment_date IS NULL`,
+          [id]
+        );
         const result = await client.query('DELETE FROM vehicles WHERE id = $1 RETURNING id', [id]);
-        if (result.rows.length === 0) return reply.status(404).send({ error: 'Veicolo non trovato' });
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.status(404).send({ error: 'Veicolo non trovato' });
+        }
+        await client.query('COMMIT');
         reply.send({ success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore eliminazione veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore eliminazione veicolo', message: error.message });
     }
   });
 
   // ─── DOCUMENTI ────────────────────────────────────────────────────────────
 
   // POST /documents/list
-  fastify.post('/documents/list', { preHandler }, async (request, reply) => {
+  fastify.post('/documents/list', { preHandler, schema: schemas.documentsList }, async (request, reply) => {
     try {
       const { vehicle_id } = request.body;
       if (!vehicle_id) return reply.status(400).send({ error: 'vehicle_id non specificato' });
@@ -282,12 +458,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero documenti', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero documenti', message: error.message });
     }
   });
 
   // POST /documents/create
-  fastify.post('/documents/create', { preHandler }, async (request, reply) => {
+  fastify.post('/documents/create', { preHandler, schema: schemas.documentsCreate }, async (request, reply) => {
     try {
       const { document } = request.body;
       if (!document?.vehicle_id || !document?.document_type || !document?.title || !document?.file_path) {
@@ -298,6 +474,7 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
         const result = await client.query(
           `INSERT INTO vehicle_documents
             (vehicle_id, document_type, title, file_path, document_date, expiry_date, related_entity_type, related_entity_id, notes)
@@ -305,38 +482,52 @@ export default async function vehiclesRoutes(fastify, options) {
            RETURNING *`,
           [vehicle_id, document_type, title, file_path, document_date || null, expiry_date || null, related_entity_type || null, related_entity_id || null, notes || null]
         );
+        await syncVehicleDeadlines(client, vehicle_id);
+        await client.query('COMMIT');
         reply.send({ data: result.rows[0], success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore creazione documento', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore creazione documento', message: error.message });
     }
   });
 
   // POST /documents/delete
-  fastify.post('/documents/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/documents/delete', { preHandler, schema: schemas.documentsDelete }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
 
       const client = await fastify.pg.pool.connect();
       try {
-        const result = await client.query('DELETE FROM vehicle_documents WHERE id = $1 RETURNING id', [id]);
-        if (result.rows.length === 0) return reply.status(404).send({ error: 'Documento non trovato' });
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM vehicle_documents WHERE id = $1 RETURNING vehicle_id', [id]);
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.status(404).send({ error: 'Documento non trovato' });
+        }
+        await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+        await client.query('COMMIT');
         reply.send({ success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore eliminazione documento', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore eliminazione documento', message: error.message });
     }
   });
 
   // POST /documents/upload — upload file su MinIO
-  fastify.post('/documents/upload', { preHandler }, async (request, reply) => {
+  fastify.post('/documents/upload', { preHandler, schema: schemas.documentsUpload }, async (request, reply) => {
     try {
       const data = await request.file();
       if (!data) return reply.status(400).send({ error: 'Nessun file ricevuto' });
@@ -353,18 +544,36 @@ export default async function vehiclesRoutes(fastify, options) {
         'Content-Type': data.mimetype,
       });
 
-      const url = `/api/vehicles/documents/file/${encodeURIComponent(objectName)}`;
+      const owner = await fastify.pg.query(VEHICLE_DB_QUERY, [vehicleId]);
+      const url = documentFileUrl(objectName, owner.rows[0]?.db);
       reply.send({ data: { url, object_name: objectName, file_path: objectName } });
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore upload documento veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore upload documento veicolo', message: error.message });
     }
   });
 
   // GET /documents/file/* — serve file da MinIO
-  fastify.get('/documents/file/*', { preHandler }, async (request, reply) => {
+  fastify.get('/documents/file/*', { preHandler, schema: schemas.documentsFile }, async (request, reply) => {
     try {
       const objectName = decodeURIComponent(request.params['*']);
+
+      // I documenti sono salvati in auto/<vehicle_id>/...: per un veicolo con conto serve la
+      // lettura sul db del conto (e il db indicato deve essere quello), per un veicolo senza
+      // conto basta la lettura su un database come per le altre rotte dei veicoli
+      const [prefix, vehicleId] = objectName.split('/');
+      const vehicle = prefix === 'auto' && vehicleId
+        ? await fastify.pg.query(VEHICLE_DB_QUERY, [vehicleId])
+        : { rows: [] };
+      const vehicleDb = vehicle.rows[0]?.db;
+      if (vehicle.rows.length === 0 || (request.query.db && request.query.db !== vehicleDb)) {
+        return reply.status(404).send({ error: 'Documento non trovato' });
+      }
+      if (vehicleDb) {
+        const denied = await checkDbAccess(request, vehicleDb, 'read');
+        if (denied) return reply.status(denied.status).send({ error: denied.error, mfaRequired: denied.mfaRequired });
+      }
+
       const minioClient = createMinioClient();
       const stream = await minioClient.getObject(MINIO_BUCKET_VEHICLES, objectName);
 
@@ -373,7 +582,7 @@ export default async function vehiclesRoutes(fastify, options) {
       const buffer = Buffer.concat(chunks);
 
       const ext = objectName.split('.').pop()?.toLowerCase();
-      const mimeTypes = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+      const mimeTypes = { txt: 'text/plain; charset=utf-8', pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
       reply
         .header('Content-Type', mimeTypes[ext] || 'application/octet-stream')
         .header('Content-Disposition', `inline; filename="${objectName.split('/').pop()}"`)
@@ -381,14 +590,14 @@ export default async function vehiclesRoutes(fastify, options) {
         .send(buffer);
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero file veicolo', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero file veicolo', message: error.message });
     }
   });
 
   // ─── MANUTENZIONI ─────────────────────────────────────────────────────────
 
   // POST /maintenance/list
-  fastify.post('/maintenance/list', { preHandler }, async (request, reply) => {
+  fastify.post('/maintenance/list', { preHandler, schema: schemas.maintenanceList }, async (request, reply) => {
     try {
       const { vehicle_id } = request.body;
       if (!vehicle_id) return reply.status(400).send({ error: 'vehicle_id non specificato' });
@@ -409,12 +618,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero manutenzioni', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero manutenzioni', message: error.message });
     }
   });
 
   // POST /maintenance/create
-  fastify.post('/maintenance/create', { preHandler }, async (request, reply) => {
+  fastify.post('/maintenance/create', { preHandler, schema: schemas.maintenanceCreate }, async (request, reply) => {
     try {
       const { maintenance } = request.body;
       if (!maintenance?.vehicle_id || !maintenance?.maintenance_type || !maintenance?.title || !maintenance?.maintenance_date) {
@@ -425,6 +634,7 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
         const result = await client.query(
           `INSERT INTO vehicle_maintenance
             (vehicle_id, maintenance_type, title, maintenance_date, mileage, vendor, amount, next_due_date, next_due_mileage, notes)
@@ -432,18 +642,25 @@ export default async function vehiclesRoutes(fastify, options) {
            RETURNING *`,
           [vehicle_id, maintenance_type, title, maintenance_date, mileage || null, vendor || null, amount || null, next_due_date || null, next_due_mileage || null, notes || null]
         );
-        reply.send({ data: result.rows[0], success: true });
+        const row = result.rows[0];
+        const schedule = await syncMileageSchedule(client, vehicle_id);
+        await syncVehicleDeadlines(client, vehicle_id);
+        await client.query('COMMIT');
+        reply.send({ data: row, success: true, warnings: mileageWarnings(schedule, row) });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore creazione manutenzione', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore creazione manutenzione', message: error.message });
     }
   });
 
   // POST /maintenance/update
-  fastify.post('/maintenance/update', { preHandler }, async (request, reply) => {
+  fastify.post('/maintenance/update', { preHandler, schema: schemas.maintenanceUpdate }, async (request, reply) => {
     try {
       const { id, maintenance } = request.body;
       if (!id || !maintenance) return reply.status(400).send({ error: 'ID o dati non specificati' });
@@ -465,45 +682,184 @@ export default async function vehiclesRoutes(fastify, options) {
 
       const client = await fastify.pg.pool.connect();
       try {
+        await client.query('BEGIN');
         const result = await client.query(
           `UPDATE vehicle_maintenance SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
           queryParams
         );
-        if (result.rows.length === 0) return reply.status(404).send({ error: 'Manutenzione non trovata' });
-        reply.send({ data: result.rows[0], success: true });
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.status(404).send({ error: 'Manutenzione non trovata' });
+        }
+        const row = result.rows[0];
+        const schedule = await syncMileageSchedule(client, row.vehicle_id);
+        await syncVehicleDeadlines(client, row.vehicle_id);
+        await client.query('COMMIT');
+        reply.send({ data: row, success: true, warnings: mileageWarnings(schedule, row) });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore aggiornamento manutenzione', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore aggiornamento manutenzione', message: error.message });
     }
   });
 
   // POST /maintenance/delete
-  fastify.post('/maintenance/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/maintenance/delete', { preHandler, schema: schemas.maintenanceDelete }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
 
       const client = await fastify.pg.pool.connect();
       try {
-        const result = await client.query('DELETE FROM vehicle_maintenance WHERE id = $1 RETURNING id', [id]);
-        if (result.rows.length === 0) return reply.status(404).send({ error: 'Manutenzione non trovata' });
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM vehicle_maintenance WHERE id = $1 RETURNING vehicle_id', [id]);
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return reply.status(404).send({ error: 'Manutenzione non trovata' });
+        }
+        await syncMileageSchedule(client, result.rows[0].vehicle_id);
+        await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+        await client.query('COMMIT');
         reply.send({ success: true });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
       } finally {
         client.release();
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore eliminazione manutenzione', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore eliminazione manutenzione', message: error.message });
     }
   });
 
+  // ─── LETTURE CONTACHILOMETRI ──────────────────────────────────────────────
+
+  // POST /odometer/list — letture con segnalazione di quelle fuori sequenza
+  fastify.post('/odometer/list', { preHandler, schema: schemas.odometerList }, async (request, reply) => {
+    const { vehicleId } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, vehicle_id, to_char(reading_date, 'YYYY-MM-DD') AS reading_date, mileage, notes,
+                to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS created_at
+         FROM vehicle_odometer_readings WHERE vehicle_id = $1 ORDER BY reading_date DESC, mileage DESC`,
+        [vehicleId]
+      );
+      const schedule = await loadMileageSchedule(client, vehicleId);
+      const backwards = new Set((schedule?.readings || []).filter(r => r.backwards && r.source === 'odometer').map(r => r.id));
+      reply.send({
+        data: result.rows.map(row => ({ ...row, backwards: backwards.has(row.id) })),
+        warnings: schedule?.warnings || [],
+      });
+    } finally { client.release(); }
+  });
+
+  // POST /odometer/create
+  fastify.post('/odometer/create', { preHandler, schema: schemas.odometerCreate }, async (request, reply) => {
+    const { reading } = request.body;
+    const { vehicle_id, reading_date, mileage, notes } = reading;
+    const client = await fastify.pg.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const vehicle = await client.query('SELECT id FROM vehicles WHERE id = $1', [vehicle_id]);
+      if (vehicle.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Veicolo non trovato' });
+      }
+
+      const result = await client.query(
+        `INSERT INTO vehicle_odometer_readings (vehicle_id, reading_date, mileage, notes)
+         VALUES ($1,$2,$3,$4) RETURNING id`,
+        [vehicle_id, reading_date, mileage, notes || null]
+      );
+      const id = result.rows[0].id;
+      const schedule = await syncMileageSchedule(client, vehicle_id);
+      await client.query('COMMIT');
+      reply.send({
+        id,
+        warnings: readingWarnings(schedule.readings, { id, source: 'odometer', date: reading_date, mileage }),
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // POST /odometer/update
+  fastify.post('/odometer/update', { preHandler, schema: schemas.odometerUpdate }, async (request, reply) => {
+    const { id, reading } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE vehicle_odometer_readings
+         SET reading_date = COALESCE($1, reading_date), mileage = COALESCE($2, mileage),
+             notes = CASE WHEN $3::boolean THEN $4 ELSE notes END, updated_at = NOW()
+         WHERE id = $5
+         RETURNING vehicle_id, to_char(reading_date, 'YYYY-MM-DD') AS reading_date, mileage`,
+        [reading.reading_date || null, reading.mileage ?? null, reading.notes !== undefined, reading.notes || null, id]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Lettura non trovata' });
+      }
+
+      const row = result.rows[0];
+      const schedule = await syncMileageSchedule(client, row.vehicle_id);
+      await client.query('COMMIT');
+      reply.send({
+        success: true,
+        warnings: readingWarnings(schedule.readings, { id, source: 'odometer', date: row.reading_date, mileage: row.mileage }),
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // POST /odometer/delete
+  fastify.post('/odometer/delete', { preHandler, schema: schemas.odometerDelete }, async (request, reply) => {
+    const { id } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM vehicle_odometer_readings WHERE id = $1 RETURNING vehicle_id', [id]);
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Lettura non trovata' });
+      }
+      await syncMileageSchedule(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
+      reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // POST /mileage/schedule — stima km/giorno e previsione delle prossime manutenzioni
+  // (le scadenze dello scadenziario si aggiornano a ogni lettura o manutenzione)
+  fastify.post('/mileage/schedule', { preHandler, schema: schemas.mileageSchedule }, async (request, reply) => {
+    const { vehicleId } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      const schedule = await loadMileageSchedule(client, vehicleId);
+      if (!schedule) return reply.status(404).send({ error: 'Veicolo non trovato' });
+      const { lastReading, model, projections, warnings } = schedule;
+      reply.send({ data: { lastReading, model, projections, warnings } });
+    } finally { client.release(); }
+  });
+
   // ─── PNEUMATICI ───────────────────────────────────────────────────────────
 
   // POST /tires/list
-  fastify.post('/tires/list', { preHandler }, async (request, reply) => {
+  fastify.post('/tires/list', { preHandler, schema: schemas.tiresList }, async (request, reply) => {
     try {
       const { vehicle_id } = request.body;
       if (!vehicle_id) return reply.status(400).send({ error: 'vehicle_id non specificato' });
@@ -523,12 +879,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero pneumatici', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero pneumatici', message: error.message });
     }
   });
 
   // POST /tires/create
-  fastify.post('/tires/create', { preHandler }, async (request, reply) => {
+  fastify.post('/tires/create', { preHandler, schema: schemas.tiresCreate }, async (request, reply) => {
     try {
       const { tire } = request.body;
       if (!tire?.vehicle_id || !tire?.tire_type) {
@@ -552,12 +908,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore creazione pneumatici', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore creazione pneumatici', message: error.message });
     }
   });
 
   // POST /tires/update
-  fastify.post('/tires/update', { preHandler }, async (request, reply) => {
+  fastify.post('/tires/update', { preHandler, schema: schemas.tiresUpdate }, async (request, reply) => {
     try {
       const { id, tire } = request.body;
       if (!id || !tire) return reply.status(400).send({ error: 'ID o dati non specificati' });
@@ -590,12 +946,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore aggiornamento pneumatici', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore aggiornamento pneumatici', message: error.message });
     }
   });
 
   // POST /tires/delete
-  fastify.post('/tires/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/tires/delete', { preHandler, schema: schemas.tiresDelete }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
@@ -610,14 +966,14 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore eliminazione pneumatici', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore eliminazione pneumatici', message: error.message });
     }
   });
 
   // ─── SINISTRI / EVENTI ────────────────────────────────────────────────────
 
   // POST /incidents/list
-  fastify.post('/incidents/list', { preHandler }, async (request, reply) => {
+  fastify.post('/incidents/list', { preHandler, schema: schemas.incidentsList }, async (request, reply) => {
     try {
       const { vehicle_id } = request.body;
       if (!vehicle_id) return reply.status(400).send({ error: 'vehicle_id non specificato' });
@@ -637,12 +993,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero sinistri', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero sinistri', message: error.message });
     }
   });
 
   // POST /incidents/create
-  fastify.post('/incidents/create', { preHandler }, async (request, reply) => {
+  fastify.post('/incidents/create', { preHandler, schema: schemas.incidentsCreate }, async (request, reply) => {
     try {
       const { incident } = request.body;
       if (!incident?.vehicle_id || !incident?.incident_type || !incident?.title || !incident?.incident_date) {
@@ -666,12 +1022,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore creazione sinistro', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore creazione sinistro', message: error.message });
     }
   });
 
   // POST /incidents/update
-  fastify.post('/incidents/update', { preHandler }, async (request, reply) => {
+  fastify.post('/incidents/update', { preHandler, schema: schemas.incidentsUpdate }, async (request, reply) => {
     try {
       const { id, incident } = request.body;
       if (!id || !incident) return reply.status(400).send({ error: 'ID o dati non specificati' });
@@ -704,12 +1060,12 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore aggiornamento sinistro', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore aggiornamento sinistro', message: error.message });
     }
   });
 
   // POST /incidents/delete
-  fastify.post('/incidents/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/incidents/delete', { preHandler, schema: schemas.incidentsDelete }, async (request, reply) => {
     try {
       const { id } = request.body;
       if (!id) return reply.status(400).send({ error: 'ID non specificato' });
@@ -724,14 +1080,14 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore eliminazione sinistro', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore eliminazione sinistro', message: error.message });
     }
   });
 
   // ─── TIMELINE ─────────────────────────────────────────────────────────────
 
   // POST /timeline — timeline derivata (no tabella dedicata)
-  fastify.post('/timeline', { preHandler }, async (request, reply) => {
+  fastify.post('/timeline', { preHandler, schema: schemas.timeline }, async (request, reply) => {
     try {
       const { vehicle_id } = request.body;
       if (!vehicle_id) return reply.status(400).send({ error: 'vehicle_id non specificato' });
@@ -791,14 +1147,14 @@ export default async function vehiclesRoutes(fastify, options) {
       }
     } catch (error) {
       fastify.log.error(error);
-      reply.status(500).send({ error: 'Errore recupero timeline', message: error.message });
+      reply.status(error.statusCode || 500).send({ error: 'Errore recupero timeline', message: error.message });
     }
   });
 
   // ─── POLIZZE ──────────────────────────────────────────────────────────────
 
   // POST /policies/list
-  fastify.post('/policies/list', { preHandler }, async (request, reply) => {
+  fastify.post('/policies/list', { preHandler, schema: schemas.policiesList }, async (request, reply) => {
     const { vehicleId } = request.body;
     const client = await fastify.pg.pool.connect();
     try {
@@ -816,7 +1172,7 @@ export default async function vehiclesRoutes(fastify, options) {
   });
 
   // POST /policies/create
-  fastify.post('/policies/create', { preHandler }, async (request, reply) => {
+  fastify.post('/policies/create', { preHandler, schema: schemas.policiesCreate }, async (request, reply) => {
     const { policy } = request.body;
     if (!policy?.vehicle_id || !policy?.policy_number || !policy?.insurer || !policy?.start_date || !policy?.end_date) {
       return reply.status(400).send({ error: 'Campi obbligatori: vehicle_id, policy_number, insurer, start_date, end_date' });
@@ -824,47 +1180,65 @@ export default async function vehiclesRoutes(fastify, options) {
     const { vehicle_id, policy_number, insurer, policy_types = [], broker, start_date, end_date, premium_amount, status = 'attiva', notes } = policy;
     const client = await fastify.pg.pool.connect();
     try {
+      await client.query('BEGIN');
       const result = await client.query(
         `INSERT INTO vehicle_policies (vehicle_id, policy_number, insurer, policy_types, broker, start_date, end_date, premium_amount, status, notes)
          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
         [vehicle_id, policy_number, insurer, policy_types, broker, start_date, end_date, premium_amount, status, notes]
       );
+      await syncVehicleDeadlines(client, vehicle_id);
+      await client.query('COMMIT');
       reply.send({ id: result.rows[0].id });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /policies/update
-  fastify.post('/policies/update', { preHandler }, async (request, reply) => {
+  fastify.post('/policies/update', { preHandler, schema: schemas.policiesUpdate }, async (request, reply) => {
     const { id, policy } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const { policy_number, insurer, policy_types, broker, start_date, end_date, premium_amount, status, notes } = policy;
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query(
+      await client.query('BEGIN');
+      const result = await client.query(
         `UPDATE vehicle_policies SET policy_number=$1, insurer=$2, policy_types=$3, broker=$4,
          start_date=$5, end_date=$6, premium_amount=$7, status=$8, notes=$9, updated_at=NOW()
-         WHERE id=$10`,
+         WHERE id=$10 RETURNING vehicle_id`,
         [policy_number, insurer, policy_types, broker, start_date, end_date, premium_amount, status, notes, id]
       );
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /policies/delete
-  fastify.post('/policies/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/policies/delete', { preHandler, schema: schemas.policiesDelete }, async (request, reply) => {
     const { id } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query('DELETE FROM vehicle_policies WHERE id = $1', [id]);
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM vehicle_policies WHERE id = $1 RETURNING vehicle_id', [id]);
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // ─── TASSE (BOLLO/SUPERBOLLO) ─────────────────────────────────────────────
 
   // POST /taxes/list
-  fastify.post('/taxes/list', { preHandler }, async (request, reply) => {
+  fastify.post('/taxes/list', { preHandler, schema: schemas.taxesList }, async (request, reply) => {
     const { vehicleId } = request.body;
     const client = await fastify.pg.pool.connect();
     try {
@@ -883,13 +1257,40 @@ export default async function vehiclesRoutes(fastify, options) {
   });
 
   // POST /taxes/calculate — calcola importi senza salvare
-  fastify.post('/taxes/calculate', { preHandler }, async (request, reply) => {
-    const { kw, region } = request.body;
-    reply.send(calculateBollo(kw, region));
+  // Con vehicleId i dati mancanti sono presi dal veicolo e la regione dall'ultimo bollo registrato
+  fastify.post('/taxes/calculate', { preHandler, schema: schemas.taxesCalculate }, async (request, reply) => {
+    const { vehicleId, ...params } = request.body;
+
+    if (vehicleId) {
+      const client = await fastify.pg.pool.connect();
+      try {
+        const vehicle = await client.query(
+          `SELECT kw, euro_class, fuel_type, to_char(registration_date, 'YYYY-MM-DD') AS registration_date,
+                  (SELECT region FROM vehicle_taxes WHERE vehicle_id = v.id AND region IS NOT NULL
+                   ORDER BY year DESC LIMIT 1) AS region
+           FROM vehicles v WHERE id = $1`,
+          [vehicleId]
+        );
+        if (vehicle.rows.length === 0) return reply.status(404).send({ error: 'Veicolo non trovato' });
+        const row = vehicle.rows[0];
+        params.kw ??= row.kw !== null ? Number(row.kw) : undefined;
+        params.region ??= row.region;
+        params.euroClass ??= row.euro_class;
+        params.fuelType ??= row.fuel_type;
+        params.registrationDate ??= row.registration_date;
+      } finally {
+        client.release();
+      }
+    }
+
+    if (params.kw === undefined || params.kw === null) {
+      return reply.status(400).send({ error: 'Potenza (kw) non specificata' });
+    }
+    reply.send(calculateBollo(params));
   });
 
   // POST /taxes/create
-  fastify.post('/taxes/create', { preHandler }, async (request, reply) => {
+  fastify.post('/taxes/create', { preHandler, schema: schemas.taxesCreate }, async (request, reply) => {
     const { tax } = request.body;
     if (!tax?.vehicle_id || !tax?.year) {
       return reply.status(400).send({ error: 'Campi obbligatori: vehicle_id, year' });
@@ -897,50 +1298,68 @@ export default async function vehiclesRoutes(fastify, options) {
     const { vehicle_id, year, region, kw_at_payment, bollo_amount, superbollo_amount, due_date, paid_date, payment_method, status = 'da_pagare', notes } = tax;
     const client = await fastify.pg.pool.connect();
     try {
+      await client.query('BEGIN');
       const result = await client.query(
         `INSERT INTO vehicle_taxes (vehicle_id, year, region, kw_at_payment, bollo_amount, superbollo_amount, due_date, paid_date, payment_method, status, notes)
          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`,
         [vehicle_id, year, region, kw_at_payment, bollo_amount || 0, superbollo_amount || 0, due_date, paid_date, payment_method, status, notes]
       );
+      await syncVehicleDeadlines(client, vehicle_id);
+      await client.query('COMMIT');
       reply.send({ id: result.rows[0].id });
     } catch (err) {
-      if (err.code === '23505') return reply.status(409).send({ error: 'Esiste già un record per questo veicolo e anno' });
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return reply.status(409).send({ error: 'Esiste già un record per questo veicolo e anno' });
+      }
       throw err;
     } finally { client.release(); }
   });
 
   // POST /taxes/update
-  fastify.post('/taxes/update', { preHandler }, async (request, reply) => {
+  fastify.post('/taxes/update', { preHandler, schema: schemas.taxesUpdate }, async (request, reply) => {
     const { id, tax } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const { year, region, kw_at_payment, bollo_amount, superbollo_amount, due_date, paid_date, payment_method, status, notes } = tax;
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query(
+      await client.query('BEGIN');
+      const result = await client.query(
         `UPDATE vehicle_taxes SET year=$1, region=$2, kw_at_payment=$3, bollo_amount=$4,
          superbollo_amount=$5, due_date=$6, paid_date=$7, payment_method=$8, status=$9, notes=$10, updated_at=NOW()
-         WHERE id=$11`,
+         WHERE id=$11 RETURNING vehicle_id`,
         [year, region, kw_at_payment, bollo_amount, superbollo_amount, due_date, paid_date, payment_method, status, notes, id]
       );
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /taxes/delete
-  fastify.post('/taxes/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/taxes/delete', { preHandler, schema: schemas.taxesDelete }, async (request, reply) => {
     const { id } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query('DELETE FROM vehicle_taxes WHERE id = $1', [id]);
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM vehicle_taxes WHERE id = $1 RETURNING vehicle_id', [id]);
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // ─── ZTL ──────────────────────────────────────────────────────────────────
 
   // POST /ztl/list
-  fastify.post('/ztl/list', { preHandler }, async (request, reply) => {
+  fastify.post('/ztl/list', { preHandler, schema: schemas.ztlList }, async (request, reply) => {
     const { vehicleId } = request.body;
     const client = await fastify.pg.pool.connect();
     try {
@@ -957,114 +1376,304 @@ export default async function vehiclesRoutes(fastify, options) {
   });
 
   // POST /ztl/create
-  fastify.post('/ztl/create', { preHandler }, async (request, reply) => {
+  fastify.post('/ztl/create', { preHandler, schema: schemas.ztlCreate }, async (request, reply) => {
     const { ztl } = request.body;
     if (!ztl?.vehicle_id) return reply.status(400).send({ error: 'vehicle_id obbligatorio' });
     const { vehicle_id, city, authorization_number, permit_type, valid_until, notes } = ztl;
     const client = await fastify.pg.pool.connect();
     try {
+      await client.query('BEGIN');
       const result = await client.query(
         `INSERT INTO vehicle_ztl (vehicle_id, city, authorization_number, permit_type, valid_until, notes)
          VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
         [vehicle_id, city, authorization_number, permit_type, valid_until, notes]
       );
+      await syncVehicleDeadlines(client, vehicle_id);
+      await client.query('COMMIT');
       reply.send({ id: result.rows[0].id });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /ztl/update
-  fastify.post('/ztl/update', { preHandler }, async (request, reply) => {
+  fastify.post('/ztl/update', { preHandler, schema: schemas.ztlUpdate }, async (request, reply) => {
     const { id, ztl } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const { city, authorization_number, permit_type, valid_until, notes } = ztl;
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query(
+      await client.query('BEGIN');
+      const result = await client.query(
         `UPDATE vehicle_ztl SET city=$1, authorization_number=$2, permit_type=$3, valid_until=$4, notes=$5, updated_at=NOW()
-         WHERE id=$6`,
+         WHERE id=$6 RETURNING vehicle_id`,
         [city, authorization_number, permit_type, valid_until, notes, id]
       );
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /ztl/delete
-  fastify.post('/ztl/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/ztl/delete', { preHandler, schema: schemas.ztlDelete }, async (request, reply) => {
     const { id } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query('DELETE FROM vehicle_ztl WHERE id = $1', [id]);
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM vehicle_ztl WHERE id = $1 RETURNING vehicle_id', [id]);
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // ─── CONTRAVVENZIONI ──────────────────────────────────────────────────────
 
   // POST /fines/list
-  fastify.post('/fines/list', { preHandler }, async (request, reply) => {
+  fastify.post('/fines/list', { preHandler, schema: schemas.finesList }, async (request, reply) => {
     const { vehicleId } = request.body;
     const client = await fastify.pg.pool.connect();
     try {
       const result = await client.query(
-        `SELECT id, vehicle_id, violation_number, issuing_authority, violation_type,
-                to_char(fine_date, 'YYYY-MM-DD') AS fine_date,
-                amount, discount_amount,
-                to_char(due_date, 'YYYY-MM-DD') AS due_date,
-                to_char(paid_date, 'YYYY-MM-DD') AS paid_date,
-                payment_method, status, appeal_notes, notes,
-                to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS created_at
-         FROM vehicle_fines WHERE vehicle_id = $1 ORDER BY fine_date DESC`,
+        `SELECT f.id, f.vehicle_id, f.violation_number, f.issuing_authority, f.violation_type,
+                to_char(f.fine_date, 'YYYY-MM-DD') AS fine_date,
+                to_char(f.notification_date, 'YYYY-MM-DD') AS notification_date,
+                f.amount, f.discount_excluded, f.discount_amount,
+                to_char(f.discount_due_date, 'YYYY-MM-DD') AS discount_due_date,
+                to_char(f.due_date, 'YYYY-MM-DD') AS due_date,
+                to_char(f.paid_date, 'YYYY-MM-DD') AS paid_date,
+                f.payment_method, f.status, f.appeal_notes,
+                to_char(f.appeal_prefetto_deadline, 'YYYY-MM-DD') AS appeal_prefetto_deadline,
+                to_char(f.appeal_giudice_deadline, 'YYYY-MM-DD') AS appeal_giudice_deadline,
+                f.license_points, f.driver_name, f.driver_type,
+                to_char(f.driver_communication_deadline, 'YYYY-MM-DD') AS driver_communication_deadline,
+                to_char(f.driver_communication_date, 'YYYY-MM-DD') AS driver_communication_date,
+                (SELECT d.id FROM vehicle_documents d
+                 WHERE d.related_entity_type = 'fine' AND d.related_entity_id = f.id
+                 ORDER BY d.created_at DESC LIMIT 1) AS driver_document_id,
+                f.notes,
+                to_char(f.created_at, 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS created_at
+         FROM vehicle_fines f WHERE f.vehicle_id = $1 ORDER BY f.fine_date DESC`,
         [vehicleId]
       );
       reply.send({ data: result.rows });
     } finally { client.release(); }
   });
 
-  // POST /fines/create
-  fastify.post('/fines/create', { preHandler }, async (request, reply) => {
+  // POST /fines/create — importi ridotti, scadenze, stato e conducente sono calcolati (vedi lib/vehicleFines)
+  fastify.post('/fines/create', { preHandler, schema: schemas.finesCreate }, async (request, reply) => {
     const { fine } = request.body;
     if (!fine?.vehicle_id || !fine?.fine_date) {
       return reply.status(400).send({ error: 'Campi obbligatori: vehicle_id, fine_date' });
     }
-    const { vehicle_id, fine_date, violation_number, issuing_authority, violation_type, amount, discount_amount, due_date, paid_date, payment_method, status = 'da_pagare', appeal_notes, notes } = fine;
     const client = await fastify.pg.pool.connect();
     try {
+      await client.query('BEGIN');
+      const { values, warnings } = await prepareFine(client, fine.vehicle_id, fine);
       const result = await client.query(
-        `INSERT INTO vehicle_fines (vehicle_id, fine_date, violation_number, issuing_authority, violation_type, amount, discount_amount, due_date, paid_date, payment_method, status, appeal_notes, notes)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING id`,
-        [vehicle_id, fine_date, violation_number, issuing_authority, violation_type, amount || 0, discount_amount, due_date, paid_date, payment_method, status, appeal_notes, notes]
+        `INSERT INTO vehicle_fines (vehicle_id, ${FINE_COLUMNS.join(', ')})
+         VALUES ($1, ${FINE_COLUMNS.map((_, i) => `$${i + 2}`).join(', ')}) RETURNING id`,
+        [fine.vehicle_id, ...values]
       );
-      reply.send({ id: result.rows[0].id });
+      await syncVehicleDeadlines(client, fine.vehicle_id);
+      await client.query('COMMIT');
+      reply.send({ id: result.rows[0].id, warnings });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /fines/update
-  fastify.post('/fines/update', { preHandler }, async (request, reply) => {
+  fastify.post('/fines/update', { preHandler, schema: schemas.finesUpdate }, async (request, reply) => {
     const { id, fine } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
-    const { fine_date, violation_number, issuing_authority, violation_type, amount, discount_amount, due_date, paid_date, payment_method, status, appeal_notes, notes } = fine;
     const client = await fastify.pg.pool.connect();
     try {
+      await client.query('BEGIN');
+      const existing = await client.query(
+        `SELECT vehicle_id, discount_amount,
+           ${MANUAL_FINE_DATES.map(column => `to_char(${column}, 'YYYY-MM-DD') AS ${column}`).join(', ')}
+         FROM vehicle_fines WHERE id = $1`,
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Contravvenzione non trovata' });
+      }
+      const { vehicle_id: vehicleId, ...current } = existing.rows[0];
+
+      // Senza data di notifica le scadenze non inviate restano quelle salvate
+      const { values, warnings } = await prepareFine(client, vehicleId, { ...current, ...fine });
       await client.query(
-        `UPDATE vehicle_fines SET fine_date=$1, violation_number=$2, issuing_authority=$3, violation_type=$4,
-         amount=$5, discount_amount=$6, due_date=$7, paid_date=$8, payment_method=$9,
-         status=$10, appeal_notes=$11, notes=$12, updated_at=NOW()
-         WHERE id=$13`,
-        [fine_date, violation_number, issuing_authority, violation_type, amount, discount_amount, due_date, paid_date, payment_method, status, appeal_notes, notes, id]
+        `UPDATE vehicle_fines SET ${FINE_COLUMNS.map((column, i) => `${column}=$${i + 2}`).join(', ')}, updated_at=NOW()
+         WHERE id=$1`,
+        [id, ...values]
       );
-      reply.send({ success: true });
+      await syncVehicleDeadlines(client, vehicleId);
+      await client.query('COMMIT');
+      reply.send({ success: true, warnings });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally { client.release(); }
   });
 
   // POST /fines/delete
-  fastify.post('/fines/delete', { preHandler }, async (request, reply) => {
+  fastify.post('/fines/delete', { preHandler, schema: schemas.finesDelete }, async (request, reply) => {
     const { id } = request.body;
     if (!id) return reply.status(400).send({ error: 'id obbligatorio' });
     const client = await fastify.pg.pool.connect();
     try {
-      await client.query('DELETE FROM vehicle_fines WHERE id = $1', [id]);
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM vehicle_fines WHERE id = $1 RETURNING vehicle_id', [id]);
+      if (result.rows.length > 0) await syncVehicleDeadlines(client, result.rows[0].vehicle_id);
+      await client.query('COMMIT');
       reply.send({ success: true });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // POST /fines/driver-communication — genera la comunicazione dei dati del conducente
+  // e la archivia tra i documenti del veicolo (related_entity_type 'fine')
+  fastify.post('/fines/driver-communication', { preHandler, schema: schemas.finesDriverCommunication }, async (request, reply) => {
+    const { id, driverName } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `SELECT f.id, f.vehicle_id, f.violation_number, f.issuing_authority, f.violation_type, f.driver_name,
+                to_char(f.fine_date, 'YYYY-MM-DD') AS fine_date,
+                to_char(f.notification_date, 'YYYY-MM-DD') AS notification_date,
+                to_char(f.driver_communication_deadline, 'YYYY-MM-DD') AS driver_communication_deadline,
+                v.plate, v.make, v.model, v.owner_name, o.db
+         FROM vehicle_fines f JOIN vehicles v ON v.id = f.vehicle_id
+         LEFT JOIN owners o ON o.id = v.owner_id
+         WHERE f.id = $1`,
+        [id]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Contravvenzione non trovata' });
+      }
+      const fine = result.rows[0];
+
+      const driver = driverName || fine.driver_name || (await findAssignedDriver(client, fine.vehicle_id, fine.fine_date))?.name;
+      if (!driver) {
+        await client.query('ROLLBACK');
+        return reply.status(400).send({ error: `Nessun assegnatario del veicolo registrato il ${fine.fine_date}: indicare driverName` });
+      }
+
+      const buffer = Buffer.from(driverCommunicationText({ fine, vehicle: fine, driverName: driver }), 'utf8');
+      const objectName = `auto/${fine.vehicle_id}/contravvenzioni/${Date.now()}-comunicazione-conducente-${fine.id}.txt`;
+      const minioClient = createMinioClient();
+      await ensureBucketExists(minioClient, MINIO_BUCKET_VEHICLES);
+      await minioClient.putObject(MINIO_BUCKET_VEHICLES, objectName, buffer, buffer.length, {
+        'Content-Type': 'text/plain; charset=utf-8',
+      });
+
+      const document = await client.query(
+        `INSERT INTO vehicle_documents (vehicle_id, document_type, title, file_path, document_date, related_entity_type, related_entity_id)
+         VALUES ($1, 'comunicazione_conducente', $2, $3, CURRENT_DATE, 'fine', $4)
+         RETURNING *, to_char(document_date, 'YYYY-MM-DD') AS document_date`,
+        [fine.vehicle_id, `Comunicazione dati conducente${fine.violation_number ? ` - verbale n. ${fine.violation_number}` : ''}`, objectName, fine.id]
+      );
+      if (driver !== fine.driver_name) {
+        await client.query('UPDATE vehicle_fines SET driver_name = $1, updated_at = NOW() WHERE id = $2', [driver, fine.id]);
+        await syncVehicleDeadlines(client, fine.vehicle_id);
+      }
+
+      await client.query('COMMIT');
+      reply.send({
+        data: document.rows[0],
+        url: documentFileUrl(objectName, fine.db),
+        success: true,
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // ─── SCADENZE NELLO SCADENZIARIO ──────────────────────────────────────────
+
+  // POST /deadlines/sync — riallinea subito le scadenze generate di un veicolo
+  // (avviene già a ogni modifica e ogni notte per tutti i veicoli)
+  fastify.post('/deadlines/sync', { preHandler, schema: schemas.deadlinesSync }, async (request, reply) => {
+    const { vehicleId } = request.body;
+    const client = await fastify.pg.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const counts = await syncVehicleDeadlines(client, vehicleId);
+      if (!counts) {
+        await client.query('ROLLBACK');
+        return reply.status(404).send({ error: 'Veicolo non trovato' });
+      }
+      const schedule = await syncMileageSchedule(client, vehicleId);
+      await client.query('COMMIT');
+      reply.send({ data: { ...counts, maintenance: schedule.projections.filter(p => p.dueDate).length } });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally { client.release(); }
+  });
+
+  // ─── COSTO TOTALE DI POSSESSO ─────────────────────────────────────────────
+
+  // POST /tco — TCO di un veicolo per anno e voce, con costo al km
+  fastify.post('/tco', { preHandler, schema: schemas.tco }, async (request, reply) => {
+    const { vehicleId } = request.body;
+    const range = tcoYearRange(request.body);
+    if (range.error) return reply.status(400).send({ error: range.error });
+
+    const client = await fastify.pg.pool.connect();
+    try {
+      const vehicle = await client.query(`SELECT ${TCO_VEHICLE_COLUMNS} FROM vehicles WHERE id = $1`, [vehicleId]);
+      if (vehicle.rows.length === 0) return reply.status(404).send({ error: 'Veicolo non trovato' });
+
+      const { costs, readings } = await loadTcoData(client, [vehicleId], range.fromYear, range.toYear);
+      reply.send({ data: { ...range, ...buildVehicleTco({ vehicle: vehicle.rows[0], costs, readings, ...range }) } });
+    } finally { client.release(); }
+  });
+
+  // POST /tco/fleet — TCO della flotta e confronto tra veicoli
+  fastify.post('/tco/fleet', { preHandler, schema: schemas.tcoFleet }, async (request, reply) => {
+    const { vehicleIds, status } = request.body;
+    const range = tcoYearRange(request.body);
+    if (range.error) return reply.status(400).send({ error: range.error });
+
+    const conditions = [];
+    const params = [];
+    if (vehicleIds?.length) {
+      params.push(vehicleIds);
+      conditions.push(`id = ANY($${params.length}::uuid[])`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    const client = await fastify.pg.pool.connect();
+    try {
+      const vehicles = await client.query(
+        `SELECT ${TCO_VEHICLE_COLUMNS} FROM vehicles
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY plate`,
+        params
+      );
+      const { costs, readings } = await loadTcoData(client, vehicles.rows.map(v => v.id), range.fromYear, range.toYear);
+      reply.send({ data: { ...range, ...buildFleetTco({ vehicles: vehicles.rows, costs, readings, ...range }) } });
     } finally { client.release(); }
   });
 }